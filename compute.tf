@@ -39,7 +39,8 @@ resource "aws_launch_template" "app" {
     project_name      = var.project_name
     environment       = var.environment
     aws_region        = var.aws_region
-    anthropic_api_key = var.anthropic_api_key
+    secret_store      = var.secret_store
+    secret_id         = local.anthropic_api_key_id
   }))
 
   # Monitoring
@@ -288,6 +289,23 @@ resource "aws_iam_role_policy" "app" {
   })
 }
 
+# Reads the Anthropic API key (secrets.tf) at boot and on `openclaw secrets rotate`
+resource "aws_iam_role_policy" "anthropic_api_key" {
+  name = "read-anthropic-api-key"
+  role = aws_iam_role.app.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = var.secret_store == "ssm" ? ["ssm:GetParameter"] : ["secretsmanager:GetSecretValue"]
+        Resource = local.anthropic_api_key_arn
+      }
+    ]
+  })
+}
+
 # Attach AWS managed policies
 resource "aws_iam_role_policy_attachment" "ssm_managed_instance" {
   role       = aws_iam_role.app.name
@@ -86,6 +86,13 @@ resource "aws_cloudfront_distribution" "frontend" {
       domain_name = aws_lb.app[0].dns_name
       origin_id   = "ALB-${var.project_name}-${var.environment}"
 
+      # Lets the HTTP listener forward CloudFront's requests when it redirects
+      # everyone else to HTTPS (load-balancer.tf)
+      custom_header {
+        name  = "X-OpenClaw-Origin"
+        value = random_id.cloudfront_origin[0].hex
+      }
+
       custom_origin_config {
         http_port              = 80
         https_port             = 443
@@ -178,11 +185,13 @@ resource "aws_cloudfront_distribution" "frontend" {
     Name = "${var.project_name}-${var.environment}-cloudfront"
   })
 
+  # CloudFront only takes certificates from us-east-1, so the load balancer's
+  # ssl_certificate_arn (regional) cannot be shared here.
   viewer_certificate {
-    cloudfront_default_certificate = var.ssl_certificate_arn == ""
-    acm_certificate_arn           = var.ssl_certificate_arn != "" ? var.ssl_certificate_arn : null
-    ssl_support_method            = var.ssl_certificate_arn != "" ? "sni-only" : null
-    minimum_protocol_version      = var.ssl_certificate_arn != "" ? "TLSv1.2_2021" : null
+    cloudfront_default_certificate = var.cloudfront_certificate_arn == ""
+    acm_certificate_arn           = var.cloudfront_certificate_arn != "" ? var.cloudfront_certificate_arn : null
+    ssl_support_method            = var.cloudfront_certificate_arn != "" ? "sni-only" : null
+    minimum_protocol_version      = var.cloudfront_certificate_arn != "" ? "TLSv1.2_2021" : null
   }
 
   # Custom error responses for React SPA
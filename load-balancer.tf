@@ -131,6 +131,35 @@ resource "aws_lb_listener" "https" {
   tags = local.common_tags
 }
 
+# CloudFront reaches the load balancer over plain HTTP (frontend.tf) and marks
+# its requests with this header, so the HTTP listener keeps forwarding them
+# once a certificate turns its default action into a redirect.
+resource "random_id" "cloudfront_origin" {
+  count       = var.enable_load_balancer ? 1 : 0
+  byte_length = 16
+}
+
+resource "aws_lb_listener_rule" "cloudfront" {
+  count = var.enable_load_balancer && var.ssl_certificate_arn != "" ? 1 : 0
+
+  listener_arn = aws_lb_listener.http[0].arn
+  priority     = 90
+
+  action {
+    type             = "forward"
+    target_group_arn = aws_lb_target_group.app[0].arn
+  }
+
+  condition {
+    http_header {
+      http_header_name = "X-OpenClaw-Origin"
+      values           = [random_id.cloudfront_origin[0].hex]
+    }
+  }
+
+  tags = local.common_tags
+}
+
 # Additional listener rules can be added here for path-based routing
 resource "aws_lb_listener_rule" "api" {
   count = var.enable_load_balancer ? 1 : 0
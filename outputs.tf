@@ -80,6 +80,16 @@ output "iam_instance_profile_name" {
   value       = aws_iam_instance_profile.app.name
 }
 
+output "secret_store" {
+  description = "Where the Anthropic API key is kept (ssm or secretsmanager)"
+  value       = var.secret_store
+}
+
+output "anthropic_api_key_secret_id" {
+  description = "SSM parameter name or Secrets Manager ARN of the Anthropic API key"
+  value       = local.anthropic_api_key_id
+}
+
 output "cloudwatch_log_group_name" {
   description = "Name of the CloudWatch log group"
   value       = var.enable_cloudwatch_monitoring ? aws_cloudwatch_log_group.app[0].name : null
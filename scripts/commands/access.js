@@ -0,0 +1,146 @@
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const {
+    parseDuration,
+    parsePorts,
+    normalizeCidr,
+    portName,
+    detectPublicIp,
+    findWorldOpenPorts,
+    GrantExpiry,
+    AccessManager
+} = require('../lib/access');
+const { createReport } = require('../lib/output');
+
+function printRules(rules) {
+    if (rules.length === 0) {
+        console.log(chalk.gray('No ingress rules'));
+        return;
+    }
+
+    console.log(`  ${'Port'.padEnd(14)} ${'Source'.padEnd(20)} ${'Expires'.padEnd(22)} Granted by`);
+    for (const rule of rules) {
+        const port = rule.fromPort === rule.toPort ? portName(rule.fromPort) : `${rule.fromPort}-${rule.toPort}`;
+        const expires = rule.expiresAt ? (rule.expired ? `${rule.expiresAt} (expired)` : rule.expiresAt) : 'never';
+        const owner = rule.managed ? rule.user || '-' : 'terraform';
+        const color = rule.expired ? 'gray' : rule.managed ? 'green' : 'white';
+        console.log(chalk[color](`  ${port.padEnd(14)} ${rule.cidr.padEnd(20)} ${expires.padEnd(22)} ${owner}`));
+    }
+}
+
+async function grant(manager, cidr, flags) {
+    const ports = parsePorts(flags.port || 'ssh');
+    const expiresAt = flags.ttl ? new Date(Date.now() + parseDuration(flags.ttl)).toISOString() : null;
+    const existing = await manager.list();
+    const granted = [];
+
+    for (const port of ports) {
+        if (existing.some((rule) => rule.cidr === cidr && port >= rule.fromPort && port <= rule.toPort)) {
+            console.log(chalk.gray(`${cidr} can already reach ${portName(port)}`));
+            continue;
+        }
+
+        await manager.grant({ cidr, port, expiresAt });
+        granted.push({ cidr, port, expiresAt });
+        console.log(chalk.green(`✅ ${cidr} may reach ${portName(port)}${expiresAt ? ` until ${expiresAt} (revoke scheduled)` : ''}`));
+    }
+
+    return granted;
+}
+
+async function revoke(manager, cidr, flags) {
+    const ports = flags.port ? parsePorts(flags.port) : null;
+    const matching = (await manager.list()).filter((rule) =>
+        rule.cidr === cidr && rule.fromPort === rule.toPort && (!ports || ports.includes(rule.fromPort)));
+
+    if (matching.length === 0) {
+        throw new Error(`No ingress rule for ${cidr}${ports ? ` on port ${ports.join(', ')}` : ''}`);
+    }
+
+    for (const rule of matching) {
+        await manager.revoke({ cidr, port: rule.fromPort });
+        console.log(chalk.green(`✅ Revoked ${cidr} on ${portName(rule.fromPort)}`));
+
+        if (!rule.managed) {
+            console.log(chalk.yellow('⚠️  This rule comes from Terraform and returns on the next deploy; ' +
+                'change allowedCidrBlocks to remove it for good.'));
+        }
+    }
+
+    return matching.map(({ cidr: source, fromPort }) => ({ cidr: source, port: fromPort }));
+}
+
+module.exports = {
+    description: 'List, grant and revoke access to SSH, the gateway and the health check',
+    usage: 'access <list|allow-me|grant <cidr>|revoke <cidr>|prune> [--port 22,gateway,...] [--ttl 2h]',
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [action = 'list', target] = positionals;
+        const outputs = await terraform.outputs();
+        const groupId = outputs.security_group_id || outputs.security_group_ec2_id;
+
+        if (!groupId) {
+            throw new Error('No deployment found. Run `openclaw deploy` first.');
+        }
+
+        const manager = new AccessManager({
+            ec2: new AWS.EC2({ region: environment.region }),
+            groupId,
+            expiry: new GrantExpiry({
+                scheduler: new AWS.Scheduler({ region: environment.region }),
+                iam: new AWS.IAM({ region: environment.region }),
+                groupId,
+                region: environment.region
+            })
+        });
+        const report = createReport('access', environment.name);
+        report.securityGroupId = groupId;
+        report.result = 'ok';
+
+        // Scheduled revokes remove grants on time; every run also clears any
+        // whose schedule did not run.
+        report.expired = await manager.pruneExpired();
+        report.expired.forEach((rule) =>
+            console.log(chalk.gray(`Expired grant removed: ${rule.cidr} on ${portName(rule.fromPort)}`)));
+
+        switch (action) {
+            case 'list': {
+                report.rules = await manager.list();
+                console.log(chalk.blue(`🔐 Ingress rules of ${groupId}:`));
+                printRules(report.rules);
+
+                const worldOpen = findWorldOpenPorts(await manager.describe());
+                worldOpen.forEach(({ port, name, cidr }) =>
+                    console.log(chalk.yellow(`⚠️  ${name} (${port}) is open to ${cidr}`)));
+                break;
+            }
+            case 'allow-me': {
+                const ip = await detectPublicIp();
+                console.log(chalk.gray(`Your public IP: ${ip}`));
+                report.granted = await grant(manager, `${ip}/32`, flags);
+                break;
+            }
+            case 'grant':
+                if (!target) {
+                    throw new Error('Usage: openclaw access grant <cidr> [--port <ports>] [--ttl <duration>]');
+                }
+                report.granted = await grant(manager, normalizeCidr(target), flags);
+                break;
+            case 'revoke':
+                if (!target) {
+                    throw new Error('Usage: openclaw access revoke <cidr> [--port <ports>]');
+                }
+                report.revoked = await revoke(manager, normalizeCidr(target), flags);
+                break;
+            case 'prune':
+                if (report.expired.length === 0) {
+                    console.log(chalk.gray('No expired grants'));
+                }
+                break;
+            default:
+                throw new Error(`Unknown access action: ${action}. Expected list, allow-me, grant, revoke or prune.`);
+        }
+
+        return report;
+    }
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const { createReport, confirm } = require('../lib/output');
+const { clientOptions } = require('../lib/aws');
+const { topologyOfDir } = require('../lib/topology');
+const {
+    DEFAULT_LOCK_TABLE,
+    backendFile,
+    defaultBucketName,
+    stateKeys,
+    renderBackendConfig,
+    readBackendFile,
+    readBackendConfig,
+    workspaceOfLock,
+    StateBackend
+} = require('../lib/backend');
+
+function createStateBackend(settings) {
+    return new StateBackend({
+        s3: new AWS.S3(clientOptions(settings.region)),
+        dynamodb: new AWS.DynamoDB(clientOptions(settings.region)),
+        bucket: settings.bucket,
+        table: settings.dynamodbTable,
+        region: settings.region
+    });
+}
+
+function requireBackend(terraform) {
+    const config = readBackendConfig(terraform.dir);
+
+    if (!config) {
+        throw new Error(`State is local (no ${backendFile(terraform.dir)}). Run \`openclaw backend init\` first.`);
+    }
+    return config;
+}
+
+// Locks of this stack only; the lock table is shared with the other one.
+async function stackLocks(backend, config) {
+    return (await backend.locks()).filter((lock) => workspaceOfLock(lock.path, config) !== null);
+}
+
+// Creates the bucket and lock table, writes backend.tf and moves the local
+// state of every workspace into S3. Refuses to overwrite a backend.tf with
+// other configuration, or to copy local state over state already in S3.
+async function initBackend(flags, environment, terraform, report) {
+    const existing = readBackendConfig(terraform.dir);
+    const file = backendFile(terraform.dir);
+    const current = readBackendFile(terraform.dir);
+
+    if (!existing && current && current.trim()) {
+        throw new Error(`${file} holds Terraform configuration openclaw did not write. `
+            + 'Move it aside, or add the s3 backend to it by hand.');
+    }
+
+    const stack = topologyOfDir(terraform.dir) || path.basename(terraform.dir);
+    const region = flags.region || (existing && existing.region) || environment.region;
+    let bucket = flags.bucket || (existing && existing.bucket);
+
+    if (!bucket) {
+        const sts = new AWS.STS(clientOptions(region));
+        const { Account } = await sts.getCallerIdentity().promise();
+        bucket = defaultBucketName(Account, region);
+    }
+
+    const settings = {
+        bucket,
+        ...(existing ? { key: existing.key, workspaceKeyPrefix: existing.workspaceKeyPrefix } : stateKeys(stack)),
+        region,
+        dynamodbTable: flags.table || (existing && existing.dynamodbTable) || DEFAULT_LOCK_TABLE,
+        endpoint: process.env.AWS_ENDPOINT_URL
+    };
+    report.backend = settings;
+
+    console.log(chalk.blue('🗄️  Remote state backend'));
+    console.log(chalk.gray(`Bucket: s3://${settings.bucket} (${region})`));
+    console.log(chalk.gray(`State: ${settings.key} (${stack} stack)`));
+    console.log(chalk.gray(`Lock table: ${settings.dynamodbTable}`));
+    if (current !== null && !existing) {
+        console.log(chalk.gray(`${file} only holds comments and will be replaced`));
+    }
+
+    if (!await confirm(flags, 'Create or update these and move the Terraform state into them?')) {
+        console.log(chalk.yellow('Backend setup cancelled.'));
+        report.result = 'cancelled';
+        report.exitCode = 1;
+        return;
+    }
+
+    const backend = createStateBackend(settings);
+    const createdBucket = await backend.ensureBucket();
+    console.log(chalk.green(`✅ Bucket ${settings.bucket} ${createdBucket ? 'created' : 'exists'}: versioned, encrypted, not public`));
+
+    const createdTable = await backend.ensureLockTable();
+    console.log(chalk.green(`✅ Lock table ${settings.dynamodbTable} ${createdTable ? 'created' : 'exists'}`));
+
+    // Re-running init against the backend.tf it wrote migrates nothing.
+    const moving = !existing || existing.bucket !== settings.bucket;
+    const remote = moving ? await backend.existingStates(settings) : [];
+    if (remote.length > 0) {
+        throw new Error(`s3://${settings.bucket} already holds state for this stack (${remote.join(', ')}). `
+            + 'Copying the local state would overwrite it; write backend.tf by hand to use that state, '
+            + 'or pass another --bucket.');
+    }
+
+    fs.writeFileSync(file, renderBackendConfig(settings));
+    console.log(chalk.green(`✅ Wrote ${file}`));
+
+    // -force-copy answers Terraform's "copy existing state?" question with yes.
+    await terraform.run(['init', '-input=false', '-migrate-state', '-force-copy'], { env: { TF_WORKSPACE: '' } });
+
+    console.log(chalk.green('\n✅ Terraform state is now stored in S3 and locked through DynamoDB'));
+    console.log(chalk.gray(`Commit ${file} so your teammates use it too. The local terraform.tfstate files are`));
+    console.log(chalk.gray('left in place as a backup; delete them once `openclaw status` works.'));
+    report.result = 'configured';
+}
+
+async function showStatus(terraform, report) {
+    const config = requireBackend(terraform);
+    const backend = createStateBackend(config);
+
+    report.backend = config;
+    report.bucket = await backend.bucketStatus();
+    report.locks = await stackLocks(backend, config);
+
+    console.log(chalk.blue('🗄️  Remote state backend'));
+    console.log(chalk.gray(`Config: ${config.file}`));
+    console.log(chalk.gray(`State: s3://${config.bucket}/${config.key} (${config.region})`));
+    console.log(chalk.gray(`Versioning: ${report.bucket.versioning}, encryption: ${report.bucket.encryption}`));
+    console.log(chalk.gray(`Lock table: ${config.dynamodbTable}`));
+
+    if (report.locks.length === 0) {
+        console.log(chalk.green('🔓 No locks held'));
+        return;
+    }
+
+    console.log(chalk.yellow(`🔒 ${report.locks.length} lock(s) held:`));
+    for (const lock of report.locks) {
+        console.log(chalk.yellow(`  ${lock.id}  ${lock.operation || '-'} by ${lock.who || 'unknown'} since ${lock.created || 'unknown'}`));
+        console.log(chalk.gray(`    workspace ${workspaceOfLock(lock.path, config)}, ${lock.path}`));
+    }
+    console.log(chalk.gray('Release a stuck lock with `openclaw backend unlock <id>`'));
+}
+
+// Force-unlocks through Terraform, in the workspace the lock belongs to.
+async function unlock(lockId, flags, terraform, report) {
+    const config = requireBackend(terraform);
+    const locks = await stackLocks(createStateBackend(config), config);
+    const lock = lockId ? locks.find((entry) => entry.id === lockId) : locks.length === 1 ? locks[0] : null;
+
+    if (!lock) {
+        throw new Error(lockId
+            ? `No lock with ID ${lockId}. See \`openclaw backend status\`.`
+            : `${locks.length} locks are held; pass the ID of the one to release (see \`openclaw backend status\`).`);
+    }
+
+    const workspace = workspaceOfLock(lock.path, config);
+    report.lock = { ...lock, workspace };
+    console.log(chalk.yellow(`🔒 ${lock.id}: ${lock.operation || '-'} by ${lock.who || 'unknown'} since ${lock.created || 'unknown'}`));
+    console.log(chalk.gray('Only release a lock whose Terraform run has died; releasing a live one can corrupt the state.'));
+
+    if (!await confirm(flags, `Force-unlock the state of workspace "${workspace}"?`)) {
+        report.result = 'cancelled';
+        report.exitCode = 1;
+        return;
+    }
+
+    await terraform.run(['force-unlock', '-force', lock.id], { env: { TF_WORKSPACE: workspace } });
+    console.log(chalk.green(`✅ Lock ${lock.id} released`));
+    report.result = 'unlocked';
+}
+
+module.exports = {
+    description: 'Set up, inspect or unlock the shared S3 state backend',
+    usage: 'backend <init|status|unlock [<lock-id>]> [--bucket <name>] [--table <name>]',
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [action = 'status', lockId] = positionals;
+        const report = createReport('backend', environment.name);
+        report.result = 'ok';
+
+        switch (action) {
+            case 'init':
+                await initBackend(flags, environment, terraform, report);
+                break;
+            case 'status':
+                await showStatus(terraform, report);
+                break;
+            case 'unlock':
+                await unlock(lockId, flags, terraform, report);
+                break;
+            default:
+                throw new Error(`Unknown backend action: ${action}. Expected init, status or unlock.`);
+        }
+
+        return report;
+    }
+};
@@ -0,0 +1,141 @@
+const chalk = require('chalk');
+const { createReport } = require('../lib/output');
+const { createRemoteExecutor } = require('../lib/remote');
+const { installedVersion } = require('../lib/upgrade');
+const {
+    ARCHIVE_NAME,
+    createBackupId,
+    snapshotRootVolume,
+    uploadConfigArchive,
+    createBackupStore
+} = require('../lib/backup');
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MiB` : `${Math.ceil(bytes / 1024)} KiB`;
+}
+
+// A config archive in S3 and an EBS snapshot of the root volume, tied
+// together by a manifest. Either one failing still saves the other.
+async function createBackup(flags, environment, terraform, store, report) {
+    const outputs = await terraform.outputs();
+
+    if (!outputs.instance_id) {
+        throw new Error(outputs.auto_scaling_group_name
+            ? 'backup create works on single-instance deployments; DLM snapshots the Auto Scaling group\'s volumes daily.'
+            : 'No deployment found. Run `openclaw deploy` first.');
+    }
+    if (flags.snapshot === false && flags.archive === false) {
+        throw new Error('--no-snapshot and --no-archive leave nothing to back up');
+    }
+
+    const manifest = {
+        id: createBackupId(),
+        environment: environment.name,
+        createdAt: new Date().toISOString(),
+        instanceId: outputs.instance_id,
+        openclawVersion: null,
+        snapshotId: null,
+        volumeId: null,
+        archive: null
+    };
+    report.backup = manifest;
+    report.bucket = store.bucket;
+
+    console.log(chalk.blue(`💾 Backing up ${outputs.instance_id} as ${manifest.id}...`));
+    const created = await store.ensureBucket();
+    console.log(chalk.gray(`• Bucket s3://${store.bucket} ${created ? 'created' : 'exists'}`));
+
+    if (flags.archive !== false) {
+        try {
+            const executor = await createRemoteExecutor({
+                transport: flags.transport,
+                instanceId: outputs.instance_id,
+                host: outputs.instance_public_ip,
+                keyPath: environment.keyPath,
+                region: environment.region
+            });
+            const key = store.key(manifest.id, ARCHIVE_NAME);
+
+            manifest.openclawVersion = await installedVersion(executor).catch(() => null);
+            console.log(chalk.gray(`• Archiving the OpenClaw config over ${executor.transport.toUpperCase()}`));
+            manifest.archive = { key, bytes: await uploadConfigArchive(executor, await store.uploadUrl(key)) };
+            console.log(chalk.green(`✅ Config archived to s3://${store.bucket}/${key} (${formatBytes(manifest.archive.bytes)})`));
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not archive the OpenClaw config: ${error.message}`));
+            report.exitCode = 1;
+        }
+    }
+
+    if (flags.snapshot !== false) {
+        try {
+            console.log(chalk.gray('• Snapshotting the root volume (this can take several minutes)'));
+            Object.assign(manifest, await snapshotRootVolume(store.ec2, outputs.instance_id, {
+                description: `OpenClaw ${environment.name} backup ${manifest.id}`,
+                tags: { Project: 'openclaw', Environment: environment.name, Backup: manifest.id }
+            }));
+            console.log(chalk.green(`✅ Snapshot ${manifest.snapshotId} of ${manifest.volumeId} completed`));
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not snapshot the root volume: ${error.message}`));
+            report.exitCode = 1;
+        }
+    }
+
+    if (!manifest.archive && !manifest.snapshotId) {
+        console.error(chalk.red('❌ Nothing was backed up'));
+        report.result = 'failed';
+        return;
+    }
+
+    await store.saveManifest(manifest);
+    report.result = report.exitCode ? 'partial' : 'created';
+    console.log(chalk.green(`\n✅ Backup ${manifest.id} saved; \`openclaw restore ${manifest.id}\` brings it back`));
+}
+
+async function listBackups(store, report) {
+    report.bucket = store.bucket;
+    report.backups = await store.list();
+    report.result = 'listed';
+
+    if (report.backups.length === 0) {
+        console.log(chalk.gray('No backups yet. Create one with `openclaw backup create`.'));
+        return;
+    }
+
+    console.log(chalk.blue(`💾 Backups of ${store.environment}`));
+    for (const backup of report.backups) {
+        const parts = [];
+        if (backup.snapshot) {
+            parts.push(`snapshot ${backup.snapshot.snapshotId} (${backup.snapshot.sizeGiB} GiB${backup.snapshot.state === 'completed' ? '' : `, ${backup.snapshot.state}`})`);
+        }
+        if (backup.archive) {
+            parts.push(`config archive (${formatBytes(backup.archive.bytes)})`);
+        }
+
+        console.log(`${backup.id.padEnd(24)} ${new Date(backup.createdAt).toLocaleString().padEnd(24)} ${backup.source.padEnd(12)} ${parts.join(', ')}`);
+    }
+}
+
+module.exports = {
+    description: 'Back up the instance (root volume snapshot and config archive in S3) or list backups',
+    usage: 'backup [list | create [--no-snapshot] [--no-archive] [--transport auto|ssh|ssm]] [--bucket <name>]',
+    requiresKey: true,
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [action = 'list'] = positionals;
+        const report = createReport('backup', environment.name);
+        const store = await createBackupStore(environment, flags.bucket);
+
+        switch (action) {
+            case 'list':
+                await listBackups(store, report);
+                break;
+            case 'create':
+                await createBackup(flags, environment, terraform, store, report);
+                break;
+            default:
+                throw new Error(`Unknown backup action: ${action}. Expected list or create.`);
+        }
+
+        return report;
+    }
+};
@@ -0,0 +1,17 @@
+const { Deployer } = require('../deploy');
+
+module.exports = {
+    description: 'Validate credentials, plan and apply the infrastructure',
+    usage: 'deploy [--wait] [--timeout <seconds>] [--no-preflight]',
+    booleanFlags: ['wait'],
+    requiresSecrets: true,
+
+    async run({ flags, environment, terraform }) {
+        if (flags.json && !flags.yes) {
+            throw new Error('--json cannot prompt for plan approval; pass --yes as well');
+        }
+
+        const deployer = new Deployer({ ...flags, terraform, environment, keyPath: environment.keyPath });
+        return deployer.deploy();
+    }
+};
@@ -0,0 +1,17 @@
+const { Destroyer } = require('../destroy');
+
+module.exports = {
+    description: 'Preview and destroy all AWS resources of the deployment',
+    usage: 'destroy [--snapshot] [--remove-keys] [--yes --confirm <environment>]',
+    booleanFlags: ['snapshot', 'remove-keys'],
+    requiresSecrets: true,
+
+    async run({ flags, environment, terraform }) {
+        if (flags.json && !flags.yes) {
+            throw new Error('--json cannot prompt for confirmation; pass --yes --confirm=<environment> as well');
+        }
+
+        const destroyer = new Destroyer({ ...flags, terraform, environment });
+        return destroyer.destroy();
+    }
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { runCommand } = require('../lib/terraform');
+const { createRemoteExecutor } = require('../lib/remote');
+const { COLLECTORS, summarize } = require('../lib/diagnostics');
+const { createReport } = require('../lib/output');
+
+const DIAGNOSTICS_DIR = path.join(__dirname, '..', '..', 'diagnostics');
+
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Packs the bundle directory into <dir>.tar.gz. Returns null when tar is not
+// available, in which case the directory is kept as is.
+async function archiveBundle(bundleDir) {
+    const archivePath = `${bundleDir}.tar.gz`;
+
+    try {
+        await runCommand('tar', ['-czf', archivePath, '-C', path.dirname(bundleDir), path.basename(bundleDir)], {
+            capture: true,
+            quiet: true
+        });
+        fs.rmSync(bundleDir, { recursive: true, force: true });
+        return archivePath;
+    } catch (error) {
+        return null;
+    }
+}
+
+function printSummary(summary) {
+    const { install, pm2, ports } = summary;
+
+    console.log(chalk.blue('\n📦 Installation:'));
+    console.log(install.completed ? chalk.green('✅ Completed') : chalk.red('❌ Did not complete'));
+    for (const failure of install.failedSteps) {
+        console.log(chalk.red(`❌ ${failure.step}`));
+        failure.errors.forEach((line) => console.log(chalk.gray(`     ${line}`)));
+    }
+
+    console.log(chalk.blue('\n⚙️  PM2 apps:'));
+    for (const app of pm2.apps) {
+        const color = app.status === 'online' ? 'green' : 'red';
+        console.log(chalk[color](`${app.name.padEnd(20)} ${app.status.padEnd(10)} restarts: ${app.restarts}`));
+    }
+    pm2.missingApps.forEach((name) => console.log(chalk.red(`${name.padEnd(20)} missing`)));
+
+    console.log(chalk.blue('\n🔌 Listening ports:'));
+    console.log(chalk.gray(ports.listening.join(', ') || 'none'));
+    ports.closedPorts.forEach(({ port, name }) => console.log(chalk.red(`❌ ${port} (${name}) is not listening`)));
+
+    if (summary.healthy) {
+        console.log(chalk.green('\n✅ No problems found'));
+    } else {
+        console.log(chalk.red(`\n❌ ${summary.problems.length} problem(s) found:`));
+        summary.problems.forEach((problem) => console.log(chalk.red(`  • ${problem}`)));
+    }
+}
+
+module.exports = {
+    description: 'Collect install logs, PM2 state and ports from the instance into a local archive',
+    usage: 'diagnose [--transport auto|ssh|ssm] [--output <dir>]',
+    requiresKey: true,
+
+    async run({ flags, environment, terraform }) {
+        const outputs = await terraform.outputs();
+
+        if (!outputs.instance_id) {
+            throw new Error('No deployment found. Run `openclaw deploy` first.');
+        }
+
+        const executor = await createRemoteExecutor({
+            transport: flags.transport,
+            instanceId: outputs.instance_id,
+            host: outputs.instance_public_ip,
+            keyPath: environment.keyPath,
+            region: environment.region
+        });
+
+        console.log(chalk.blue(`🩺 Collecting diagnostics from ${outputs.instance_id} over ${executor.transport.toUpperCase()}...`));
+
+        const bundleDir = path.join(flags.output ? path.resolve(flags.output) : DIAGNOSTICS_DIR,
+            `${environment.name}-${timestamp()}`);
+        fs.mkdirSync(bundleDir, { recursive: true });
+
+        const results = {};
+        for (const collector of COLLECTORS) {
+            console.log(chalk.gray(`• ${collector.command}`));
+            try {
+                const result = await executor.exec(collector.command);
+                results[collector.name] = result.stdout;
+                fs.writeFileSync(path.join(bundleDir, collector.file),
+                    result.stderr ? `${result.stdout}\n\n--- stderr ---\n${result.stderr}\n` : `${result.stdout}\n`);
+            } catch (error) {
+                results[collector.name] = '';
+                fs.writeFileSync(path.join(bundleDir, collector.file), `Collection failed: ${error.message}\n`);
+            }
+        }
+
+        const summary = summarize(results);
+        fs.writeFileSync(path.join(bundleDir, 'summary.json'), `${JSON.stringify(summary, null, 2)}\n`);
+
+        const archivePath = await archiveBundle(bundleDir);
+
+        if (!flags.json) {
+            printSummary(summary);
+        }
+        console.log(chalk.gray(`\nDiagnostics saved to ${archivePath || bundleDir}`));
+
+        const report = createReport('diagnose', environment.name);
+        report.result = summary.healthy ? 'healthy' : 'problems-found';
+        report.exitCode = summary.healthy ? 0 : 1;
+        report.transport = executor.transport;
+        report.instanceId = outputs.instance_id;
+        report.archive = archivePath || bundleDir;
+        report.summary = summary;
+        return report;
+    }
+};
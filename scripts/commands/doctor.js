@@ -0,0 +1,138 @@
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const { createReport, confirm } = require('../lib/output');
+const { createRemoteExecutor } = require('../lib/remote');
+const { selectPlaybooks, detect, remediate } = require('../lib/doctor');
+
+const STATUS_STYLE = {
+    ok: { icon: '✅', color: 'green' },
+    fixed: { icon: '🔧', color: 'green' },
+    broken: { icon: '❌', color: 'red' },
+    failed: { icon: '❌', color: 'red' },
+    error: { icon: '⚠️ ', color: 'yellow' },
+    skip: { icon: '➖', color: 'gray' }
+};
+
+// Connects on first use, so playbooks that only talk to the AWS API work
+// before SSM does. A failed attempt is retried on the next call: the IAM
+// playbook may just have brought SSM online.
+function lazyExecutor(options) {
+    let executor = null;
+
+    return async () => {
+        if (!executor) {
+            executor = await createRemoteExecutor(options);
+            console.log(chalk.gray(`  (connected over ${executor.transport.toUpperCase()})`));
+        }
+        return executor;
+    };
+}
+
+function printResult(playbook, outcome) {
+    const style = STATUS_STYLE[outcome.status];
+    console.log(chalk[style.color](`${style.icon} ${playbook.id.padEnd(26)} ${outcome.status.padEnd(7)} ${outcome.detail}`));
+
+    if (outcome.action) {
+        console.log(chalk.gray(`   ${' '.repeat(26)} ${outcome.action}`));
+    }
+}
+
+module.exports = {
+    description: 'Find and repair known nginx, WebSocket, IAM and API key problems on the instance',
+    usage: 'doctor [<playbook>...] [--fix] [--transport auto|ssh|ssm] [--yes]',
+    booleanFlags: ['fix'],
+    requiresKey: true,
+
+    async run({ positionals, flags, environment, terraform }) {
+        const playbooks = selectPlaybooks(positionals);
+        const outputs = await terraform.outputs();
+
+        if (!outputs.instance_id) {
+            throw new Error(outputs.auto_scaling_group_name
+                ? 'doctor works on single-instance deployments; the Auto Scaling group replaces unhealthy instances itself.'
+                : 'No deployment found. Run `openclaw deploy` first.');
+        }
+
+        const context = {
+            instanceId: outputs.instance_id,
+            outputs,
+            ec2: new AWS.EC2({ region: environment.region }),
+            iam: new AWS.IAM({ region: environment.region }),
+            ssm: new AWS.SSM({ region: environment.region }),
+            executor: lazyExecutor({
+                transport: flags.transport,
+                instanceId: outputs.instance_id,
+                host: outputs.instance_public_ip,
+                keyPath: environment.keyPath,
+                region: environment.region
+            })
+        };
+
+        const report = createReport('doctor', environment.name);
+        report.instanceId = outputs.instance_id;
+        report.playbooks = [];
+
+        console.log(chalk.blue(`🩺 Checking ${outputs.instance_id}...`));
+        for (const playbook of playbooks) {
+            const outcome = await detect(playbook, context);
+            report.playbooks.push({ id: playbook.id, replaces: playbook.replaces, ...outcome });
+            printResult(playbook, outcome);
+        }
+
+        const broken = report.playbooks.filter((entry) => entry.status === 'broken');
+
+        if (broken.length === 0 || !flags.fix) {
+            const errors = report.playbooks.filter((entry) => entry.status === 'error');
+
+            if (broken.length > 0) {
+                console.log(chalk.red(`\n❌ ${broken.length} problem(s) found. Repair them with \`openclaw doctor --fix\`.`));
+            } else if (errors.length > 0) {
+                console.log(chalk.yellow(`\n⚠️  ${errors.length} check(s) could not run.`));
+            } else {
+                console.log(chalk.green('\n✅ No known problems found'));
+            }
+
+            report.result = broken.length > 0 || errors.length > 0 ? 'problems-found' : 'healthy';
+            report.exitCode = report.result === 'healthy' ? 0 : 1;
+            return report;
+        }
+
+        const errors = report.playbooks.filter((entry) => entry.status === 'error');
+        const recheck = errors.length > 0 ? ` and re-check ${errors.length} that could not run` : '';
+
+        if (!await confirm(flags, `Apply ${broken.length} fix(es) to ${outputs.instance_id}${recheck}?`)) {
+            console.log(chalk.yellow('No changes made.'));
+            report.result = 'cancelled';
+            report.exitCode = 1;
+            return report;
+        }
+
+        // Playbooks run in their fixed order and detect again first: an
+        // earlier fix (nginx-conflict) often repairs a later problem too, and
+        // checks that could not run (no SSM, no key) may run once the IAM
+        // playbook has brought SSM online, and are fixed if they find a problem.
+        console.log(chalk.blue('\n🔧 Fixing...'));
+        for (const playbook of playbooks) {
+            const entry = report.playbooks.find((item) => item.id === playbook.id);
+            if (entry.status !== 'broken' && entry.status !== 'error') {
+                continue;
+            }
+
+            const outcome = await remediate(playbook, context);
+            Object.assign(entry, outcome);
+            printResult(playbook, outcome);
+        }
+
+        const remaining = report.playbooks.filter((entry) => ['failed', 'broken', 'error'].includes(entry.status));
+        if (remaining.length === 0) {
+            console.log(chalk.green('\n✅ All problems fixed'));
+            report.result = 'fixed';
+        } else {
+            console.log(chalk.red(`\n❌ ${remaining.length} problem(s) remain; \`openclaw diagnose\` collects the logs.`));
+            report.result = 'fix-failed';
+            report.exitCode = 1;
+        }
+
+        return report;
+    }
+};
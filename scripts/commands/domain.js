@@ -0,0 +1,232 @@
+const path = require('path');
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const { createReport, confirm } = require('../lib/output');
+const { validateLayer } = require('../lib/config');
+const { readEnvironmentConfig, writeEnvironmentConfig } = require('../lib/environments');
+const { createRemoteExecutor } = require('../lib/remote');
+const { instanceState } = require('../lib/power');
+const { probeCertificate } = require('../lib/probes');
+const {
+    findHostedZone,
+    upsertRecord,
+    addressRecord,
+    loadBalancerAliasRecord,
+    issueCertificate,
+    findOrRequestCertificate,
+    validationRecord,
+    describeAcmCertificate
+} = require('../lib/domain');
+
+// What `-target` covers when the certificate goes onto the load balancer:
+// the listeners, the rule that moves to HTTPS, the rule (and CloudFront's
+// origin header) that keeps CloudFront's plain-HTTP requests forwarded, and
+// the 443 ingress.
+const LISTENER_TARGETS = [
+    'aws_lb_listener.http',
+    'aws_lb_listener.https',
+    'aws_lb_listener_rule.api',
+    'aws_lb_listener_rule.cloudfront',
+    'aws_cloudfront_distribution.frontend',
+    'aws_security_group.alb'
+];
+
+// Keeps the domain (and the ALB certificate) in environments/<name>.json, so
+// `status` reports on it, `start` re-points it and `deploy` keeps the listener.
+function recordSettings(environment, settings) {
+    const file = writeEnvironmentConfig(environment.name, {
+        ...readEnvironmentConfig(environment.name),
+        ...settings
+    });
+    console.log(chalk.gray(`Recorded ${Object.keys(settings).join(' and ')} in ${path.relative(process.cwd(), file)}`));
+}
+
+// Resolves with the hosted zone, or null with --no-dns.
+async function hostedZone(flags, domain, route53) {
+    if (flags.dns === false) {
+        return null;
+    }
+
+    const zone = await findHostedZone(route53, domain, flags.zone);
+    console.log(chalk.gray(`• Hosted zone ${zone.name} (${zone.id})`));
+    return zone;
+}
+
+// Single instance: an A record to its public IP, then certbot on the box
+// answers the HTTP-01 challenge through nginx.
+async function attachToInstance(domain, flags, environment, outputs, report) {
+    const ec2 = new AWS.EC2({ region: environment.region });
+    const route53 = new AWS.Route53({ region: environment.region });
+    const { state, publicIp } = await instanceState(ec2, outputs.instance_id);
+
+    if (state !== 'running') {
+        throw new Error(`Instance ${outputs.instance_id} is ${state}; run \`openclaw start\` first`);
+    }
+
+    report.zone = await hostedZone(flags, domain, route53);
+    if (report.zone) {
+        console.log(chalk.gray(`• Pointing ${domain} at ${publicIp}`));
+        await upsertRecord(route53, report.zone.id, addressRecord(domain, publicIp));
+    } else {
+        console.log(chalk.yellow(`⚠️  Skipping DNS: ${domain} must already resolve to ${publicIp}`));
+    }
+
+    const executor = await createRemoteExecutor({
+        transport: flags.transport,
+        instanceId: outputs.instance_id,
+        host: publicIp,
+        keyPath: environment.keyPath,
+        region: environment.region
+    });
+
+    console.log(chalk.gray(`• Getting a certificate from ${environment.acmeServer} (HTTP-01, over ${executor.transport.toUpperCase()})`));
+    report.certificate = await issueCertificate(executor, {
+        domain,
+        email: environment.acmeEmail,
+        server: environment.acmeServer,
+        insecure: Boolean(flags.acmeInsecure)
+    });
+
+    recordSettings(environment, { domain });
+}
+
+// Auto Scaling stack: an ACM certificate validated through DNS goes onto the
+// load balancer through ssl_certificate_arn, and an alias record points at it.
+async function attachToLoadBalancer(domain, flags, environment, outputs, terraform, report) {
+    const acm = new AWS.ACM({ region: environment.region });
+    const route53 = new AWS.Route53({ region: environment.region });
+
+    report.zone = await hostedZone(flags, domain, route53);
+
+    console.log(chalk.gray(`• Requesting an ACM certificate for ${domain}`));
+    report.certificateArn = await findOrRequestCertificate(acm, domain);
+    const validation = await validationRecord(acm, report.certificateArn);
+
+    if (validation.record && report.zone) {
+        console.log(chalk.gray(`• Adding the validation record ${validation.record.Name}`));
+        await upsertRecord(route53, report.zone.id, validation.record);
+    } else if (validation.record) {
+        console.log(chalk.yellow('⚠️  Create this record in your DNS for ACM to validate the certificate:'));
+        console.log(chalk.yellow(`   ${validation.record.Name} CNAME ${validation.record.ResourceRecords[0].Value}`));
+    }
+
+    if (validation.status !== 'ISSUED') {
+        console.log(chalk.gray('• Waiting for ACM to validate the certificate (usually a few minutes)'));
+        await acm.waitFor('certificateValidated', { CertificateArn: report.certificateArn }).promise();
+    }
+
+    recordSettings(environment, { domain, sslCertificateArn: report.certificateArn });
+
+    console.log(chalk.gray('• Adding the HTTPS listener to the load balancer'));
+    terraform.env.TF_VAR_ssl_certificate_arn = report.certificateArn;
+    await terraform.init();
+    await terraform.apply([...LISTENER_TARGETS.map((target) => `-target=${target}`), '-auto-approve', '-input=false']);
+
+    if (report.zone) {
+        console.log(chalk.gray(`• Pointing ${domain} at the load balancer`));
+        await upsertRecord(route53, report.zone.id,
+            await loadBalancerAliasRecord(new AWS.ELBv2({ region: environment.region }), domain, outputs.load_balancer_arn));
+    } else {
+        console.log(chalk.yellow(`⚠️  Point ${domain} at the load balancer yourself (CNAME or alias)`));
+    }
+
+    report.certificate = await describeAcmCertificate(acm, report.certificateArn);
+}
+
+async function attach(domain, flags, environment, terraform, report) {
+    if (!domain) {
+        throw new Error('Usage: openclaw domain attach <domain>');
+    }
+    validateLayer({ domain }, 'command line');
+
+    const outputs = await terraform.outputs();
+    const scaled = Boolean(outputs.auto_scaling_group_name);
+
+    if (scaled && !outputs.load_balancer_arn) {
+        throw new Error('domain attach needs the load balancer on the Auto Scaling stack (enable_load_balancer = true)');
+    }
+    if (!scaled && !outputs.instance_id) {
+        throw new Error('No deployment found. Run `openclaw deploy` first.');
+    }
+
+    report.domain = domain;
+    report.method = scaled ? 'acm' : 'acme';
+
+    const question = scaled
+        ? `Get an ACM certificate for ${domain}, put it on the load balancer and point ${domain} at it?`
+        : `Point ${domain} at ${outputs.instance_id}, get a certificate from ${environment.acmeServer} and rewrite its nginx config?`;
+
+    if (!await confirm(flags, question)) {
+        console.log(chalk.yellow('Domain attach cancelled.'));
+        report.result = 'cancelled';
+        report.exitCode = 1;
+        return;
+    }
+
+    console.log(chalk.blue(`🌐 Attaching ${domain}...`));
+    if (scaled) {
+        await attachToLoadBalancer(domain, flags, environment, outputs, terraform, report);
+    } else {
+        await attachToInstance(domain, flags, environment, outputs, report);
+    }
+
+    report.result = 'attached';
+    console.log(chalk.green(`\n✅ https://${domain} is served with a certificate from ${report.certificate.issuer || 'unknown'}`));
+    if (report.certificate.expiresAt) {
+        console.log(chalk.gray(`Expires ${new Date(report.certificate.expiresAt).toLocaleDateString()}; ${scaled ? 'ACM renews it' : 'certbot renews it'} automatically`));
+    }
+}
+
+async function show(environment, report) {
+    report.domain = environment.domain || null;
+
+    if (!report.domain) {
+        report.result = 'none';
+        console.log(chalk.gray('No domain attached. Attach one with `openclaw domain attach openclaw.example.com`.'));
+        return;
+    }
+
+    console.log(chalk.blue(`🌐 https://${report.domain}`));
+    try {
+        report.certificate = await probeCertificate(report.domain);
+    } catch (error) {
+        report.result = 'unreachable';
+        report.exitCode = 1;
+        console.error(chalk.red(`❌ Could not fetch the certificate: ${error.message}`));
+        return;
+    }
+
+    const { certificate } = report;
+    report.result = certificate.trusted && certificate.daysLeft >= 0 ? 'ok' : 'untrusted';
+    console.log(chalk[certificate.trusted ? 'green' : 'yellow'](
+        `${certificate.trusted ? '✅' : '⚠️ '} Issued by ${certificate.issuer || 'unknown'} for ${certificate.names.join(', ')}`));
+    console.log(chalk.gray(`Expires ${new Date(certificate.expiresAt).toLocaleDateString()} (${certificate.daysLeft} days)`));
+}
+
+module.exports = {
+    description: 'Serve OpenClaw on your own domain: Route 53 record plus a certificate from ACME (instance) or ACM (load balancer)',
+    usage: 'domain [show | attach <domain> [--zone <id>] [--no-dns] [--acme-server <url>] [--acme-email <address>] [--acme-insecure] [--transport auto|ssh|ssm] [--yes]]',
+    booleanFlags: ['acme-insecure'],
+    // The load balancer path runs `terraform apply`, which needs the API key;
+    // checked up front so it does not fail after the certificate is issued.
+    requiresSecrets: true,
+    requiresKey: true,
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [action = 'show', domain] = positionals;
+        const report = createReport('domain', environment.name);
+
+        switch (action) {
+            case 'show':
+                await show(environment, report);
+                break;
+            case 'attach':
+                await attach(domain, flags, environment, terraform, report);
+                break;
+            default:
+                throw new Error(`Unknown domain action: ${action}. Expected show or attach.`);
+        }
+
+        return report;
+    }
+};
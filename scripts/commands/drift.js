@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { createReport } = require('../lib/output');
+const {
+    LIVE_CHECKED_TYPES,
+    summarizeRefresh,
+    stateResources,
+    configuredAddresses,
+    compareLive,
+    findUnmanaged,
+    mergeDrift
+} = require('../lib/drift');
+
+const KIND_STYLES = {
+    changed: { icon: '✏️ ', color: 'yellow' },
+    deleted: { icon: '🗑️ ', color: 'red' },
+    unmanaged: { icon: '❓', color: 'magenta' }
+};
+
+// --accept / --import (or their --no- forms) decide; otherwise prompt, except
+// with --yes or --json where nothing is changed.
+async function decide(flags, flag, message) {
+    if (flags[flag] !== undefined) {
+        return Boolean(flags[flag]);
+    }
+    if (flags.yes || flags.json) {
+        return false;
+    }
+
+    const answers = await inquirer.prompt([{ type: 'confirm', name: 'confirmed', message, default: false }]);
+    return answers.confirmed;
+}
+
+function printDrift(drift, unmanaged) {
+    if (drift.length === 0 && unmanaged.length === 0) {
+        console.log(chalk.green('\n✅ No drift: live resources match the Terraform state.'));
+        return;
+    }
+
+    if (drift.length > 0) {
+        console.log(chalk.blue('\n🔀 Drifted resources:'));
+        for (const entry of drift) {
+            const { icon, color } = KIND_STYLES[entry.kind];
+            const attributes = entry.attributes.length > 0 ? ` (${entry.attributes.join(', ')})` : '';
+            console.log(chalk[color](`${icon} ${entry.address} ${entry.kind}${attributes}`));
+
+            if (entry.ingress) {
+                entry.ingress.added.forEach((rule) => console.log(chalk.gray(`     + ${rule} added by hand`)));
+                entry.ingress.removed.forEach((rule) => console.log(chalk.gray(`     - ${rule} removed by hand`)));
+            }
+        }
+    }
+
+    if (unmanaged.length > 0) {
+        console.log(chalk.blue('\n❓ Resources tagged for this project that Terraform does not manage:'));
+        for (const resource of unmanaged) {
+            const name = resource.name ? ` "${resource.name}"` : '';
+            console.log(chalk.magenta(`   ${resource.type} ${resource.id}${name} - ${resource.detail}`));
+            console.log(chalk.gray(resource.importAddress
+                ? `     import as ${resource.importAddress}`
+                : '     no matching resource in the configuration: remove it by hand or add it to Terraform'));
+        }
+    }
+}
+
+// Matches unmanaged resources to configured addresses that have no state, the
+// only place an import can go. Each address is given out once.
+function findImportTargets(unmanaged, plan, resources) {
+    const inState = new Set(resources.map((resource) => resource.address));
+    const free = configuredAddresses(plan).filter((entry) => !entry.counted && !inState.has(entry.address));
+
+    for (const resource of unmanaged) {
+        const candidates = free.filter((entry) => entry.type === resource.type);
+        resource.importAddress = candidates.length === 1 ? candidates[0].address : null;
+        if (resource.importAddress) {
+            free.splice(free.indexOf(candidates[0]), 1);
+        }
+    }
+}
+
+module.exports = {
+    description: 'Compare Terraform state with live AWS resources (exit 0 in sync, 2 drift found)',
+    usage: 'drift [--accept] [--import] [--yes]',
+    booleanFlags: ['accept', 'import'],
+    requiresSecrets: true,
+
+    async run({ flags, environment, terraform }) {
+        const report = createReport('drift', environment.name);
+        const ec2 = new AWS.EC2({ region: environment.region });
+        const planFile = path.join(terraform.dir, `openclaw-${terraform.workspace}-drift.tfplan`);
+
+        console.log(chalk.blue('🔍 Checking for drift...'));
+        console.log(chalk.gray(`Environment: ${terraform.workspace}`));
+
+        await terraform.init();
+
+        try {
+            await terraform.plan(['-refresh-only', '-input=false', `-out=${planFile}`]);
+            const plan = await terraform.showPlan(planFile);
+            const resources = stateResources(await terraform.showState());
+
+            const live = [];
+            for (const resource of resources.filter((entry) => LIVE_CHECKED_TYPES.includes(entry.type))) {
+                const entry = await compareLive(ec2, resource);
+                if (entry) {
+                    live.push(entry);
+                }
+            }
+
+            const known = new Set(resources.flatMap((resource) =>
+                [resource.values.id, resource.values.key_name, resource.values.key_pair_id].filter(Boolean)));
+            const unmanaged = await findUnmanaged(ec2, {
+                projects: [...new Set(['openclaw', environment.projectName].filter(Boolean))],
+                environment: environment.name,
+                known
+            });
+            findImportTargets(unmanaged, plan, resources);
+
+            report.drift = mergeDrift(summarizeRefresh(plan), live);
+            report.unmanaged = unmanaged;
+            report.accepted = false;
+            report.imported = [];
+            printDrift(report.drift, report.unmanaged);
+
+            if (report.drift.length > 0) {
+                if (report.drift.some((entry) => entry.kind === 'deleted')) {
+                    console.log(chalk.gray('\nDeleted resources are recreated by `openclaw deploy`.'));
+                }
+
+                console.log(chalk.gray('Accepting records the live values in the state; `openclaw deploy` would instead revert them.'));
+                if (await decide(flags, 'accept', 'Accept the live values into the Terraform state?')) {
+                    await terraform.apply(['-input=false', planFile]);
+                    report.accepted = true;
+                    console.log(chalk.green('✅ State updated from the live resources'));
+                }
+            }
+
+            for (const resource of unmanaged.filter((entry) => entry.importAddress)) {
+                if (await decide(flags, 'import', `Import ${resource.type} ${resource.id} as ${resource.importAddress}?`)) {
+                    await terraform.run(['import', '-input=false', resource.importAddress, resource.id]);
+                    report.imported.push({ address: resource.importAddress, id: resource.id });
+                    console.log(chalk.green(`✅ Imported ${resource.id} as ${resource.importAddress}`));
+                }
+            }
+        } finally {
+            fs.rmSync(planFile, { force: true });
+        }
+
+        const unresolved = (report.accepted ? 0 : report.drift.length) + report.unmanaged.length - report.imported.length;
+        report.result = unresolved > 0 ? 'drift' : 'in-sync';
+        report.exitCode = unresolved > 0 ? 2 : 0;
+        return report;
+    }
+};
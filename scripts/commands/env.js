@@ -0,0 +1,59 @@
+const chalk = require('chalk');
+const {
+    readEnvironmentConfig,
+    writeEnvironmentConfig,
+    resolveEnvironment,
+    listEnvironments
+} = require('../lib/environments');
+const { redactConfig } = require('../lib/config');
+
+module.exports = {
+    description: 'List, show or create named environments',
+    usage: 'env <list|show|create> [name]',
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [action = 'list', name] = positionals;
+
+        if (action === 'list') {
+            const names = await listEnvironments(terraform);
+            for (const envName of names) {
+                const marker = envName === environment.name ? chalk.green('*') : ' ';
+                console.log(`${marker} ${envName}`);
+            }
+            return;
+        }
+
+        if (action === 'show') {
+            const resolved = name ? resolveEnvironment(name, { config: flags.config }) : environment;
+            console.log(JSON.stringify(redactConfig(resolved), null, 2));
+            return;
+        }
+
+        if (action === 'create') {
+            if (!name) {
+                throw new Error('Usage: openclaw env create <name> [--region ...] [--instance-type ...] [--key-name ...]');
+            }
+
+            const config = {
+                ...readEnvironmentConfig(name),
+                region: flags.region,
+                instanceType: flags.instanceType,
+                keyName: flags.keyName,
+                projectName: flags.projectName
+            };
+            const resolved = resolveEnvironment(name, config);
+            const configPath = writeEnvironmentConfig(name, {
+                region: resolved.region,
+                instanceType: resolved.instanceType,
+                keyName: resolved.keyName,
+                projectName: resolved.projectName
+            });
+
+            console.log(chalk.green(`✅ Environment "${name}" written to ${configPath}`));
+            console.log(chalk.gray(`Deploy it with: openclaw deploy --env ${name}`));
+            return;
+        }
+
+        throw new Error(`Unknown env action: ${action}. Expected list, show or create.`);
+    }
+};
@@ -0,0 +1,28 @@
+// Subcommand registry for the `openclaw` CLI. Each module exports
+// { description, usage, booleanFlags?, requiresSecrets?, requiresKey?, run(context) }.
+module.exports = {
+    deploy: require('./deploy'),
+    plan: require('./plan'),
+    destroy: require('./destroy'),
+    status: require('./status'),
+    validate: require('./validate'),
+    ssh: require('./ssh'),
+    logs: require('./logs'),
+    outputs: require('./outputs'),
+    diagnose: require('./diagnose'),
+    env: require('./env'),
+    keys: require('./keys'),
+    access: require('./access'),
+    secrets: require('./secrets'),
+    drift: require('./drift'),
+    backend: require('./backend'),
+    upgrade: require('./upgrade'),
+    doctor: require('./doctor'),
+    stop: require('./stop'),
+    start: require('./start'),
+    schedule: require('./schedule'),
+    backup: require('./backup'),
+    restore: require('./restore'),
+    domain: require('./domain'),
+    watch: require('./watch')
+};
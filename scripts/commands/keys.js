@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { confirm } = require('../lib/output');
+const { runSsh } = require('../lib/ssh');
+const { assertRequiredSettings } = require('../lib/config');
+const { createKeyStorage, publicKeyFromPem, fingerprint } = require('../lib/keys');
+
+const AUTHORIZED_KEYS = ['/home/ubuntu/.ssh/authorized_keys', '/home/openclaw/.ssh/authorized_keys'];
+
+// Appends `publicKey` to every authorized_keys file that exists, once.
+function addKeyScript(publicKey) {
+    const body = publicKey.split(' ')[1];
+    return AUTHORIZED_KEYS.map((file) =>
+        `if sudo test -f ${file}; then sudo grep -qF '${body}' ${file} || echo '${publicKey}' | sudo tee -a ${file} >/dev/null; fi`
+    ).join('\n');
+}
+
+// Drops every line containing `publicKey`, keeping the file's owner and mode.
+function removeKeyScript(publicKey) {
+    const body = publicKey.split(' ')[1];
+    return AUTHORIZED_KEYS.map((file) =>
+        `if sudo test -f ${file}; then sudo sh -c "grep -vF '${body}' ${file} > ${file}.tmp; cat ${file}.tmp > ${file}; rm ${file}.tmp"; fi`
+    ).join('\n');
+}
+
+// Writes a key to a private temporary file for one ssh call.
+function withTemporaryKey(pem, callback) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-key-'));
+    const keyPath = path.join(dir, 'key.pem');
+    fs.writeFileSync(keyPath, pem, { mode: 0o600 });
+
+    return Promise.resolve()
+        .then(() => callback(keyPath))
+        .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+async function showKey(environment, storage) {
+    const pem = await storage.load(environment.keyName);
+
+    console.log(chalk.gray(`Storage: ${storage.type}`));
+    console.log(chalk.gray(`Location: ${storage.describe(environment.keyName)}`));
+
+    if (!pem) {
+        console.log(chalk.yellow('⚠️  No private key stored locally. Run `openclaw keys export`.'));
+        return;
+    }
+
+    console.log(chalk.green(`✅ ${fingerprint(publicKeyFromPem(pem))}`));
+}
+
+// Copies the private key from Terraform state into the configured storage,
+// or to a plain PEM file with --to.
+async function exportKey(environment, storage, terraform, flags) {
+    const pem = await terraform.output('private_key_pem');
+
+    if (!pem) {
+        throw new Error('No private key in the Terraform state. Run `openclaw deploy` first.');
+    }
+
+    if (flags.to) {
+        const target = path.resolve(flags.to);
+        fs.writeFileSync(target, `${pem}\n`, { mode: 0o600 });
+        fs.chmodSync(target, 0o600);
+        console.log(chalk.green(`✅ Private key written to ${target}`));
+        return;
+    }
+
+    await storage.save(environment.keyName, pem);
+    console.log(chalk.green(`✅ Private key saved to ${storage.describe(environment.keyName)}`));
+}
+
+// Generates a new key pair in Terraform and swaps it into authorized_keys on
+// the running instance: the new key is added and verified before the old one
+// is removed, so a failure part way leaves a key that still works.
+async function rotateKey(environment, storage, terraform, flags) {
+    assertRequiredSettings(environment);
+
+    const outputs = await terraform.outputs();
+    const host = outputs.instance_public_ip || outputs.instance_public_dns;
+
+    if (!outputs.instance_id || !host) {
+        throw new Error('No deployment found. Run `openclaw deploy` first.');
+    }
+
+    const oldPem = await terraform.output('private_key_pem');
+    const oldPublicKey = publicKeyFromPem(oldPem);
+
+    console.log(chalk.blue(`🔑 Rotating the SSH key of ${outputs.instance_id} (${fingerprint(oldPublicKey)})`));
+
+    if (!await confirm(flags, 'Generate a new key pair and replace the current key on the instance?')) {
+        console.log(chalk.yellow('Rotation cancelled.'));
+        return;
+    }
+
+    // Kept until the instance accepts the new key.
+    const previousName = `${environment.keyName}.previous`;
+    await storage.save(previousName, oldPem);
+
+    await terraform.apply([
+        '-input=false',
+        '-auto-approve',
+        '-replace=tls_private_key.openclaw',
+        '-target=tls_private_key.openclaw',
+        '-target=aws_key_pair.openclaw'
+    ]);
+
+    const newPem = await terraform.output('private_key_pem');
+    const newPublicKey = publicKeyFromPem(newPem, environment.keyName);
+
+    try {
+        console.log(chalk.gray('• Adding the new key to authorized_keys'));
+        await withTemporaryKey(oldPem, (keyPath) => runSsh(host, keyPath, addKeyScript(newPublicKey), { capture: true }));
+
+        console.log(chalk.gray('• Verifying login with the new key'));
+        await withTemporaryKey(newPem, (keyPath) => runSsh(host, keyPath, 'true', { capture: true }));
+
+        console.log(chalk.gray('• Removing the old key'));
+        await withTemporaryKey(newPem, (keyPath) => runSsh(host, keyPath, removeKeyScript(oldPublicKey), { capture: true }));
+    } catch (error) {
+        await storage.save(environment.keyName, newPem);
+        throw new Error(`Key swap on the instance failed (${error.message}). The previous key, still accepted by ` +
+            `the instance, is kept at ${storage.describe(previousName)}; the new key at ${storage.describe(environment.keyName)}.`);
+    }
+
+    await storage.save(environment.keyName, newPem);
+    await storage.remove(previousName);
+
+    console.log(chalk.green(`✅ Key rotated: ${fingerprint(newPublicKey)}`));
+    console.log(chalk.gray(`Saved to ${storage.describe(environment.keyName)}`));
+}
+
+async function removeKeys(environment, storage, flags) {
+    if (!await confirm(flags, `Delete the local private keys of "${environment.name}"?`)) {
+        return;
+    }
+
+    for (const name of [environment.keyName, `${environment.keyName}.previous`]) {
+        if (await storage.remove(name)) {
+            console.log(chalk.green(`🗑️  Removed ${storage.describe(name)}`));
+        }
+    }
+}
+
+module.exports = {
+    description: 'Show, export, rotate or remove the SSH private key of an environment',
+    usage: 'keys <show|export|rotate|remove> [--to <path>] [--key-storage file|keystore|keychain]',
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [action = 'show'] = positionals;
+        const storage = createKeyStorage(environment);
+
+        switch (action) {
+            case 'show':
+                return showKey(environment, storage);
+            case 'export':
+                return exportKey(environment, storage, terraform, flags);
+            case 'rotate':
+                return rotateKey(environment, storage, terraform, flags);
+            case 'remove':
+                return removeKeys(environment, storage, flags);
+            default:
+                throw new Error(`Unknown keys action: ${action}. Expected show, export, rotate or remove.`);
+        }
+    }
+};
@@ -0,0 +1,91 @@
+const AWS = require('aws-sdk');
+const { LogFilter, Pm2LogStreamer, CloudWatchLogStreamer, parseSince } = require('../lib/logs');
+
+const SOURCES = ['pm2', 'cloudwatch'];
+const DEFAULT_LINES = 100;
+
+// `--lines 0` is kept: it shows no history, only what follows.
+function parseLines(value) {
+    if (value === undefined) {
+        return DEFAULT_LINES;
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid --lines "${value}": expected a whole number of 0 or more`);
+    }
+    return Number(value);
+}
+
+// Reads the instance id from fresh Terraform outputs and its current address
+// from EC2, so a reconnect finds a replaced or restarted instance.
+function createTargetResolver(terraform, ec2) {
+    return async () => {
+        const outputs = await terraform.outputs();
+
+        if (!outputs.instance_id) {
+            throw new Error('No deployment found. Run `openclaw deploy` first.');
+        }
+
+        const result = await ec2.describeInstances({ InstanceIds: [outputs.instance_id] }).promise();
+        const instance = result.Reservations[0] && result.Reservations[0].Instances[0];
+        const host = (instance && instance.PublicIpAddress) || outputs.instance_public_ip;
+
+        if (!host) {
+            throw new Error(`Instance ${outputs.instance_id} has no public address`);
+        }
+
+        return { instanceId: outputs.instance_id, host };
+    };
+}
+
+module.exports = {
+    description: 'Show or follow OpenClaw logs from PM2 (single instance) or CloudWatch (auto scaling stack)',
+    usage: 'logs [--follow] [--since <time>] [--grep <regex>] [--process <name>] [--lines <n>] [--source pm2|cloudwatch]',
+    requiresKey: true,
+    booleanFlags: ['follow'],
+
+    async run({ flags, environment, terraform }) {
+        const outputs = await terraform.outputs();
+        const source = flags.source || (outputs.cloudwatch_log_group_name ? 'cloudwatch' : 'pm2');
+
+        if (!SOURCES.includes(source)) {
+            throw new Error(`Unknown --source "${source}" (expected ${SOURCES.join(' or ')})`);
+        }
+
+        const lines = parseLines(flags.lines);
+        const options = {
+            filter: new LogFilter({ since: parseSince(flags.since), grep: flags.grep }),
+            process: flags.process,
+            follow: Boolean(flags.follow),
+            json: Boolean(flags.json)
+        };
+
+        let streamer;
+        if (source === 'cloudwatch') {
+            if (!outputs.cloudwatch_log_group_name) {
+                throw new Error('This deployment has no CloudWatch log group');
+            }
+            streamer = new CloudWatchLogStreamer({
+                ...options,
+                logs: new AWS.CloudWatchLogs({ region: environment.region }),
+                logGroupName: outputs.cloudwatch_log_group_name
+            });
+        } else {
+            streamer = new Pm2LogStreamer({
+                ...options,
+                resolveTarget: createTargetResolver(terraform, new AWS.EC2({ region: environment.region })),
+                keyPath: environment.keyPath,
+                lines
+            });
+        }
+
+        const stop = () => streamer.stop();
+        process.once('SIGINT', stop);
+
+        try {
+            await streamer.run();
+        } finally {
+            process.removeListener('SIGINT', stop);
+        }
+    }
+};
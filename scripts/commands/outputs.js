@@ -0,0 +1,26 @@
+const chalk = require('chalk');
+const { writeJson } = require('../lib/output');
+
+module.exports = {
+    description: 'Print the Terraform outputs of the deployment',
+    usage: 'outputs',
+
+    async run({ flags, terraform }) {
+        const outputs = await terraform.outputs();
+
+        if (flags.json) {
+            writeJson(outputs);
+            return;
+        }
+
+        if (Object.keys(outputs).length === 0) {
+            console.log(chalk.red('❌ No deployment found'));
+            return;
+        }
+
+        for (const [name, value] of Object.entries(outputs)) {
+            const display = typeof value === 'string' ? value : JSON.stringify(value);
+            console.log(`${chalk.blue(name)} = ${display}`);
+        }
+    }
+};
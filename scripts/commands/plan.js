@@ -0,0 +1,17 @@
+const { Deployer } = require('../deploy');
+
+module.exports = {
+    description: 'Initialize Terraform and summarize the deployment plan',
+    usage: 'plan',
+    requiresSecrets: true,
+
+    async run({ flags, environment, terraform }) {
+        const deployer = new Deployer({ ...flags, terraform, keyPath: environment.keyPath });
+        await deployer.initializeTerraform();
+        try {
+            await deployer.planDeployment();
+        } finally {
+            deployer.discardPlan();
+        }
+    }
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { createReport, confirm } = require('../lib/output');
+const { createRemoteExecutor } = require('../lib/remote');
+const { restartGateway } = require('../lib/upgrade');
+const { waitForHealth } = require('../lib/probes');
+const { instanceState } = require('../lib/power');
+const {
+    createBackupId,
+    replayConfigArchive,
+    restoreRootVolume,
+    createBackupStore
+} = require('../lib/backup');
+
+const SOURCES = ['archive', 'snapshot'];
+
+// What to restore from: a local archive (as left in backups/ by `openclaw
+// destroy --snapshot`), or a backup or snapshot ID from `openclaw backup list`.
+// Archives are preferred, being quicker and leaving the rest of the instance alone.
+async function resolveSource(id, flags, store) {
+    if (fs.existsSync(id) && fs.statSync(id).isFile()) {
+        return { id, from: 'archive', archiveFile: id };
+    }
+
+    const backup = await store.find(id);
+    const from = flags.from || (backup.archive ? 'archive' : 'snapshot');
+
+    if (!SOURCES.includes(from)) {
+        throw new Error(`Unknown --from: ${from}. Expected ${SOURCES.join(' or ')}.`);
+    }
+    if (from === 'archive' && !backup.archive) {
+        throw new Error(`Backup ${id} has no config archive; restore its snapshot with --from snapshot`);
+    }
+    if (from === 'snapshot' && !backup.snapshot) {
+        throw new Error(`Backup ${id} has no snapshot; restore its config archive with --from archive`);
+    }
+    if (from === 'snapshot' && backup.snapshot.state !== 'completed') {
+        throw new Error(`Snapshot ${backup.snapshot.snapshotId} is ${backup.snapshot.state}; try again once it has completed`);
+    }
+
+    return { id: backup.id, from, backup };
+}
+
+async function replayArchive(source, outputs, flags, environment, store, report) {
+    const executor = await createRemoteExecutor({
+        transport: flags.transport,
+        instanceId: outputs.instance_id,
+        host: outputs.instance_public_ip,
+        keyPath: environment.keyPath,
+        region: environment.region
+    });
+    let key = source.backup && source.backup.archive.key;
+
+    if (source.archiveFile) {
+        await store.ensureBucket();
+        key = await store.importArchive(source.archiveFile);
+        console.log(chalk.gray(`• Uploaded ${source.archiveFile} to s3://${store.bucket}/${key}`));
+    }
+
+    console.log(chalk.gray(`• Replaying the config archive over ${executor.transport.toUpperCase()}`));
+    report.previousConfig = await replayConfigArchive(executor, await store.downloadUrl(key), createBackupId());
+    console.log(chalk.gray(`• The replaced config was moved to ${report.previousConfig}`));
+
+    console.log(chalk.gray('• Restarting the gateway'));
+    await restartGateway(executor);
+}
+
+async function rebuildFromSnapshot(source, outputs, store, report) {
+    const { snapshotId } = source.backup.snapshot;
+
+    console.log(chalk.gray(`• Replacing the root volume with one from ${snapshotId} (the instance reboots)`));
+    Object.assign(report, await restoreRootVolume(store.ec2, outputs.instance_id, source.backup.snapshot));
+    console.log(chalk.gray(`• The replaced volume ${report.previousVolumeId} is kept, detached; delete it once you are happy`));
+}
+
+module.exports = {
+    description: 'Restore the instance from a backup: replay its config archive or rebuild the root volume from its snapshot',
+    usage: 'restore <backup-id | snapshot-id | archive.tar.gz> [--from archive|snapshot] [--transport auto|ssh|ssm] [--bucket <name>] [--yes]',
+    requiresKey: true,
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [id] = positionals;
+
+        if (!id) {
+            throw new Error('Usage: openclaw restore <backup-id | snapshot-id | archive.tar.gz>; see `openclaw backup list`');
+        }
+
+        const outputs = await terraform.outputs();
+        if (!outputs.instance_id) {
+            throw new Error(outputs.auto_scaling_group_name
+                ? 'restore works on single-instance deployments; the Auto Scaling group rebuilds its instances from the launch template.'
+                : 'No deployment found. Run `openclaw deploy` first.');
+        }
+
+        const report = createReport('restore', environment.name);
+        const store = await createBackupStore(environment, flags.bucket);
+        const source = await resolveSource(id, flags, store);
+        Object.assign(report, { backupId: source.id, from: source.from, instanceId: outputs.instance_id });
+
+        const question = source.from === 'archive'
+            ? `Replace the OpenClaw config on ${outputs.instance_id} with ${source.id}? The current config is moved aside.`
+            : `Replace the root volume of ${outputs.instance_id} with snapshot ${source.backup.snapshot.snapshotId}? The instance reboots and changes since the snapshot are lost.`;
+
+        if (!await confirm(flags, question)) {
+            console.log(chalk.yellow('Restore cancelled.'));
+            report.result = 'cancelled';
+            report.exitCode = 1;
+            return report;
+        }
+
+        console.log(chalk.blue(`♻️  Restoring ${outputs.instance_id} from ${source.id}...`));
+        if (source.from === 'archive') {
+            await replayArchive(source, outputs, flags, environment, store, report);
+        } else {
+            await rebuildFromSnapshot(source, outputs, store, report);
+        }
+
+        const { publicIp } = await instanceState(store.ec2, outputs.instance_id);
+        console.log(chalk.gray('• Waiting for the health check'));
+        report.health = await waitForHealth(publicIp, { attempts: 36 });
+
+        if (report.health.status === 'pass') {
+            console.log(chalk.green(`✅ Restored from ${source.id}; OpenClaw is healthy at ${publicIp}`));
+            report.result = 'restored';
+        } else {
+            console.error(chalk.red(`❌ Restored, but the gateway is not healthy (${report.health.detail}); see \`openclaw doctor\``));
+            report.result = 'unhealthy';
+            report.exitCode = 1;
+        }
+
+        return report;
+    }
+};
@@ -0,0 +1,118 @@
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const { createReport } = require('../lib/output');
+const { CostEstimator, money } = require('../lib/cost');
+const { instanceState, groupCapacity } = require('../lib/power');
+const {
+    SCHEDULER_ROLE_NAME,
+    parseWindow,
+    describeWindow,
+    runningHoursPerWeek,
+    estimateSavings,
+    nextTransition,
+    InstanceScheduler,
+    GroupScheduler
+} = require('../lib/schedule');
+
+// The scheduler for whatever is deployed, and what the savings are counted on.
+async function createScheduler(outputs, environment) {
+    if (outputs.auto_scaling_group_name) {
+        const autoscaling = new AWS.AutoScaling({ region: environment.region });
+        const { current, saved } = await groupCapacity(autoscaling, outputs.auto_scaling_group_name);
+
+        return {
+            target: outputs.auto_scaling_group_name,
+            scheduler: new GroupScheduler({ autoscaling, groupName: outputs.auto_scaling_group_name }),
+            capacity: current.desired > 0 ? current : saved || { min: 1, max: Math.max(1, current.max), desired: 1 },
+            instanceType: environment.instanceType
+        };
+    }
+
+    if (outputs.instance_id) {
+        const ec2 = new AWS.EC2({ region: environment.region });
+        return {
+            target: outputs.instance_id,
+            scheduler: new InstanceScheduler({
+                scheduler: new AWS.Scheduler({ region: environment.region }),
+                iam: new AWS.IAM({ region: environment.region }),
+                instanceId: outputs.instance_id,
+                region: environment.region
+            }),
+            capacity: { desired: 1 },
+            instanceType: (await instanceState(ec2, outputs.instance_id)).instanceType
+        };
+    }
+
+    throw new Error('No deployment found. Run `openclaw deploy` first.');
+}
+
+function printWindow(window, context, report) {
+    const estimator = new CostEstimator({ region: context.region });
+    const count = (window.capacity || context.capacity).desired;
+
+    report.next = nextTransition(window);
+    report.runningHoursPerWeek = runningHoursPerWeek(window);
+    report.monthlySavings = estimateSavings(estimator, window, context.instanceType, count);
+
+    console.log(chalk.green(`⏰ Runs ${describeWindow(window)}${window.enabled === false ? ', disabled' : ''}`));
+    console.log(chalk.gray(`Running ${report.runningHoursPerWeek} of 168 hours a week`));
+    if (report.next) {
+        console.log(chalk.gray(`Next: ${report.next.action} at ${new Date(report.next.at).toLocaleString()}`));
+    }
+    if (report.monthlySavings !== null) {
+        console.log(chalk.green(`💰 Saves about ${money(report.monthlySavings, estimator.prices.currency)} per month (${count} × ${context.instanceType})`));
+    }
+}
+
+module.exports = {
+    description: 'Start and stop the deployment on weekday working hours',
+    usage: 'schedule [show | set --on <HH:MM> --off <HH:MM> [--days mon-fri] [--timezone <zone>] | clear]',
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [action = 'show'] = positionals;
+        const outputs = await terraform.outputs();
+        const context = { ...await createScheduler(outputs, environment), region: environment.region };
+        const report = createReport('schedule', environment.name);
+        report.target = context.target;
+
+        switch (action) {
+            case 'show': {
+                report.schedule = await context.scheduler.read();
+                report.result = report.schedule ? 'scheduled' : 'unscheduled';
+
+                if (report.schedule) {
+                    printWindow(report.schedule, context, report);
+                } else {
+                    console.log(chalk.gray(`${context.target} runs around the clock. Set working hours with`));
+                    console.log(chalk.gray('`openclaw schedule set --on 08:00 --off 19:00 --days mon-fri --timezone Europe/Berlin`'));
+                }
+                break;
+            }
+            case 'set': {
+                const window = parseWindow({ days: flags.days, on: flags.on, off: flags.off, timezone: flags.timezone });
+
+                console.log(chalk.blue(`⏰ Scheduling ${context.target}...`));
+                await context.scheduler.apply(window, context.capacity);
+                report.schedule = await context.scheduler.read();
+                report.result = 'scheduled';
+                printWindow(report.schedule, context, report);
+
+                if (outputs.auto_scaling_group_name) {
+                    console.log(chalk.gray(`Scales to zero at ${window.off} and back to ${context.capacity.desired} at ${window.on}.`));
+                } else {
+                    console.log(chalk.gray(`EventBridge Scheduler starts and stops it through the ${SCHEDULER_ROLE_NAME} role.`));
+                }
+                break;
+            }
+            case 'clear':
+                await context.scheduler.remove();
+                report.result = 'unscheduled';
+                console.log(chalk.green(`✅ Schedule removed; ${context.target} is left as it is now`));
+                break;
+            default:
+                throw new Error(`Unknown schedule action: ${action}. Expected show, set or clear.`);
+        }
+
+        return report;
+    }
+};
@@ -0,0 +1,223 @@
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { createReport } = require('../lib/output');
+const { createRemoteExecutor } = require('../lib/remote');
+const { waitForHealth } = require('../lib/probes');
+const { describeGroup, waitForTargets } = require('../lib/fleet');
+const { maskSecret, checkAnthropicKey, createSecretStore, refreshInstanceSecrets } = require('../lib/secrets');
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', (chunk) => { data += chunk; });
+        process.stdin.on('end', () => resolve(data));
+        process.stdin.on('error', reject);
+    });
+}
+
+// The new key comes from --from-env (ANTHROPIC_API_KEY or the config file),
+// from piped stdin, or from a hidden prompt. It is never taken as a flag value,
+// which would leave it in the shell history.
+async function readNewKey(flags, environment) {
+    if (flags.fromEnv) {
+        return checkAnthropicKey(environment.anthropicApiKey);
+    }
+
+    if (!process.stdin.isTTY) {
+        return checkAnthropicKey(await readStdin());
+    }
+
+    if (flags.json) {
+        throw new Error('--json cannot prompt for the key; pipe it on stdin or pass --from-env');
+    }
+
+    const answers = await inquirer.prompt([
+        { type: 'password', name: 'key', mask: '*', message: 'New Anthropic API key:' }
+    ]);
+    return checkAnthropicKey(answers.key);
+}
+
+async function showMetadata(store, report) {
+    const metadata = await store.metadata();
+
+    if (!metadata) {
+        throw new Error(`Secret ${store.id} not found in ${store.type}`);
+    }
+
+    report.secret = metadata;
+    console.log(chalk.blue('🔑 Anthropic API key'));
+    console.log(chalk.gray(`Store: ${metadata.store}`));
+    console.log(chalk.gray(`ID: ${metadata.id}`));
+    console.log(chalk.gray(`Version: ${metadata.version}`));
+    console.log(chalk.gray(`Last modified: ${metadata.lastModified || 'unknown'}${metadata.lastModifiedBy ? ` by ${metadata.lastModifiedBy}` : ''}`));
+    if (metadata.kmsKeyId) {
+        console.log(chalk.gray(`KMS key: ${metadata.kmsKeyId}`));
+    }
+}
+
+async function setKey(store, key, report) {
+    report.version = await store.put(key);
+    report.key = maskSecret(key);
+    console.log(chalk.green(`✅ Stored ${report.key} as version ${report.version} of ${store.id}`));
+}
+
+// The single instance, over SSH or SSM, checked through its health service.
+async function singleInstance(outputs, environment) {
+    const host = outputs.instance_public_ip;
+    const executor = await createRemoteExecutor({
+        instanceId: outputs.instance_id,
+        host,
+        keyPath: environment.keyPath,
+        region: environment.region
+    });
+
+    return {
+        instanceIds: [outputs.instance_id],
+        async refresh() {
+            console.log(chalk.gray(`• Refreshing the key on ${outputs.instance_id} over ${executor.transport}`));
+            await refreshInstanceSecrets(executor);
+        },
+        async health() {
+            console.log(chalk.gray('• Waiting for the gateway health check'));
+            return waitForHealth(host);
+        }
+    };
+}
+
+// Every in-service instance of the Auto Scaling group, over SSM (they sit in
+// private subnets), checked through the load balancer's target health.
+async function groupInstances(outputs, environment) {
+    const group = await describeGroup(new AWS.AutoScaling({ region: environment.region }), outputs.auto_scaling_group_name);
+    const instanceIds = group
+        ? group.instances.filter((instance) => instance.lifecycle === 'InService').map((instance) => instance.id)
+        : [];
+
+    if (instanceIds.length === 0) {
+        throw new Error(`${outputs.auto_scaling_group_name} has no instances in service`);
+    }
+
+    return {
+        instanceIds,
+        async refresh() {
+            for (const instanceId of instanceIds) {
+                console.log(chalk.gray(`• Refreshing the key on ${instanceId} over ssm`));
+                const executor = await createRemoteExecutor({ transport: 'ssm', instanceId, region: environment.region });
+                await refreshInstanceSecrets(executor);
+            }
+        },
+        async health() {
+            if (!outputs.target_group_arn) {
+                return { status: 'pass', detail: 'no load balancer; the gateway restarts were not checked' };
+            }
+
+            console.log(chalk.gray(`• Waiting for ${instanceIds.length} healthy target(s) behind the load balancer`));
+            const targets = await waitForTargets(new AWS.ELBv2({ region: environment.region }), outputs.target_group_arn, instanceIds.length);
+            return {
+                status: targets.ok ? 'pass' : 'fail',
+                detail: `${targets.healthy}/${targets.targets.length} targets healthy`,
+                targets: targets.targets
+            };
+        }
+    };
+}
+
+// Stores the new key, has every instance fetch it and restart the gateway,
+// and waits for the health check. If the gateway does not come back, the
+// previous key is put back and pushed the same way.
+async function rotateKey(store, key, context, report) {
+    const { outputs, environment } = context;
+    const previous = await store.get();
+
+    if (previous === key) {
+        console.log(chalk.gray('The stored key is already this one; pushing it to the instances again.'));
+    } else {
+        await setKey(store, key, report);
+    }
+
+    let instances;
+    let failure = null;
+
+    try {
+        instances = outputs.auto_scaling_group_name
+            ? await groupInstances(outputs, environment)
+            : await singleInstance(outputs, environment);
+        report.instanceIds = instances.instanceIds;
+
+        await instances.refresh();
+        report.health = await instances.health();
+        if (report.health.status !== 'pass') {
+            failure = `the gateway is not healthy after the restart (${report.health.detail})`;
+        }
+    } catch (error) {
+        failure = error.message;
+    }
+
+    if (!failure) {
+        console.log(chalk.green('✅ Gateway restarted with the new key'));
+        report.result = 'rotated';
+        return;
+    }
+
+    report.error = failure;
+    report.exitCode = 1;
+    console.error(chalk.red(`❌ Rotation failed: ${failure}`));
+
+    if (previous === key) {
+        report.result = 'failed';
+        return;
+    }
+
+    console.log(chalk.yellow(`↩️  Restoring the previous key ${maskSecret(previous)}`));
+    report.version = await store.put(previous);
+    try {
+        if (!instances) {
+            throw new Error('the instances could not be reached');
+        }
+        await instances.refresh();
+        report.result = 'rolled-back';
+    } catch (error) {
+        console.error(chalk.red(`❌ Could not push the previous key back: ${error.message}`));
+        report.result = 'failed';
+    }
+}
+
+module.exports = {
+    description: 'Set, rotate or inspect the Anthropic API key kept in SSM or Secrets Manager',
+    usage: 'secrets <show-metadata|set|rotate> [--from-env]',
+    booleanFlags: ['from-env'],
+    requiresKey: true,
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [action = 'show-metadata'] = positionals;
+        const outputs = await terraform.outputs();
+
+        if (!outputs.instance_id && !outputs.auto_scaling_group_name) {
+            throw new Error('No deployment found. Run `openclaw deploy` first.');
+        }
+
+        const store = createSecretStore(outputs, environment.region);
+        const report = createReport('secrets', environment.name);
+        report.store = store.type;
+        report.id = store.id;
+        report.result = 'ok';
+
+        switch (action) {
+            case 'show-metadata':
+                await showMetadata(store, report);
+                break;
+            case 'set':
+                await setKey(store, await readNewKey(flags, environment), report);
+                console.log(chalk.gray('Instances pick it up at their next boot; `openclaw secrets rotate` also pushes it now.'));
+                break;
+            case 'rotate':
+                await rotateKey(store, await readNewKey(flags, environment), { outputs, environment }, report);
+                break;
+            default:
+                throw new Error(`Unknown secrets action: ${action}. Expected show-metadata, set or rotate.`);
+        }
+
+        return report;
+    }
+};
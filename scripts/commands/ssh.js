@@ -0,0 +1,12 @@
+const { getInstanceHost, runSsh } = require('../lib/ssh');
+
+module.exports = {
+    description: 'Open an SSH session on the instance, or run a command there',
+    usage: 'ssh [-- <command>]',
+    requiresKey: true,
+
+    async run({ positionals, environment, terraform }) {
+        const host = await getInstanceHost(terraform);
+        await runSsh(host, environment.keyPath, positionals.join(' ') || undefined);
+    }
+};
@@ -0,0 +1,118 @@
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const { createReport } = require('../lib/output');
+const { waitForHealth } = require('../lib/probes');
+const { startInstance, restoreCapacity } = require('../lib/power');
+const { GroupScheduler } = require('../lib/schedule');
+const { waitForTargets } = require('../lib/fleet');
+const { findHostedZone, upsertRecord, addressRecord } = require('../lib/domain');
+
+// A stopped instance comes back with a new public IP; refreshing only the
+// instance puts it into the Terraform outputs without applying anything else.
+async function refreshOutputs(terraform) {
+    await terraform.init();
+    await terraform.apply(['-refresh-only', '-auto-approve', '-input=false', '-target=aws_instance.openclaw']);
+    return terraform.outputs();
+}
+
+// Moves the record of an attached domain to the new IP. Failing only warns:
+// the zone may be outside Route 53 (`domain attach --no-dns`).
+async function repointDomain(domain, publicIp, environment, report) {
+    try {
+        const route53 = new AWS.Route53({ region: environment.region });
+        const zone = await findHostedZone(route53, domain);
+        await upsertRecord(route53, zone.id, addressRecord(domain, publicIp));
+        report.domainUpdated = true;
+        console.log(chalk.gray(`• Pointed ${domain} at ${publicIp}`));
+    } catch (error) {
+        report.domainUpdated = false;
+        console.warn(chalk.yellow(`⚠️  Could not point ${domain} at ${publicIp}: ${error.message}`));
+    }
+}
+
+async function startGroup(groupName, outputs, environment, report) {
+    const autoscaling = new AWS.AutoScaling({ region: environment.region });
+    const schedule = await new GroupScheduler({ autoscaling, groupName }).read().catch(() => null);
+
+    report.autoScalingGroup = groupName;
+    console.log(chalk.blue(`▶️  Scaling ${groupName} back up...`));
+
+    report.capacity = await restoreCapacity(autoscaling, groupName, schedule ? schedule.capacity : undefined);
+    if (!report.capacity) {
+        console.log(chalk.green(`✅ ${groupName} is already running`));
+        report.result = 'unchanged';
+        return;
+    }
+
+    console.log(chalk.gray(`• Desired ${report.capacity.desired} (min ${report.capacity.min}, max ${report.capacity.max})`));
+    report.result = 'started';
+
+    if (!outputs.target_group_arn) {
+        return;
+    }
+
+    console.log(chalk.gray(`• Waiting for ${report.capacity.desired} healthy target(s) behind the load balancer`));
+    report.targets = await waitForTargets(new AWS.ELBv2({ region: environment.region }), outputs.target_group_arn,
+        report.capacity.desired, { attempts: 40 });
+
+    if (report.targets.ok) {
+        console.log(chalk.green(`✅ ${report.targets.healthy} target(s) healthy`));
+    } else {
+        console.error(chalk.red(`❌ Only ${report.targets.healthy}/${report.targets.targets.length} target(s) healthy; see \`openclaw status\``));
+        report.result = 'unhealthy';
+        report.exitCode = 1;
+    }
+}
+
+async function startSingle(instanceId, outputs, environment, terraform, report) {
+    report.instanceId = instanceId;
+    report.previousPublicIp = outputs.instance_public_ip || null;
+    console.log(chalk.blue(`▶️  Starting ${instanceId}...`));
+
+    const { started, publicIp } = await startInstance(new AWS.EC2({ region: environment.region }), instanceId);
+    report.publicIp = publicIp;
+    console.log(chalk.green(started ? `✅ ${instanceId} running` : `✅ ${instanceId} was already running`));
+
+    if (publicIp !== report.previousPublicIp) {
+        console.log(chalk.gray(`• Public IP changed from ${report.previousPublicIp || 'none'} to ${publicIp}; refreshing the outputs`));
+        const refreshed = await refreshOutputs(terraform);
+        report.outputsRefreshed = refreshed.instance_public_ip === publicIp;
+
+        if (environment.domain) {
+            await repointDomain(environment.domain, publicIp, environment, report);
+        }
+    }
+
+    console.log(chalk.gray('• Waiting for the health check'));
+    report.health = await waitForHealth(publicIp, { attempts: 36 });
+
+    if (report.health.status === 'pass') {
+        console.log(chalk.green(`✅ OpenClaw is healthy at ${publicIp}`));
+        report.result = started ? 'started' : 'unchanged';
+    } else {
+        console.error(chalk.red(`❌ The gateway is not healthy yet (${report.health.detail}); see \`openclaw doctor\``));
+        report.result = 'unhealthy';
+        report.exitCode = 1;
+    }
+}
+
+module.exports = {
+    description: 'Start a stopped instance, or scale the Auto Scaling group back up, and wait for health',
+    usage: 'start',
+    requiresSecrets: true,
+
+    async run({ environment, terraform }) {
+        const outputs = await terraform.outputs();
+        const report = createReport('start', environment.name);
+
+        if (outputs.auto_scaling_group_name) {
+            await startGroup(outputs.auto_scaling_group_name, outputs, environment, report);
+        } else if (outputs.instance_id) {
+            await startSingle(outputs.instance_id, outputs, environment, terraform, report);
+        } else {
+            throw new Error('No deployment found. Run `openclaw deploy` first.');
+        }
+
+        return report;
+    }
+};
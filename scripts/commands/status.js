@@ -0,0 +1,17 @@
+const { StatusChecker } = require('../status');
+
+module.exports = {
+    description: 'Show instance state, health and connection details (exit 0 healthy, 1 degraded, 2 no deployment, 3 unreachable)',
+    usage: 'status [--all]',
+    booleanFlags: ['all'],
+
+    async run({ flags, environment, terraform }) {
+        const checker = new StatusChecker({ ...flags, terraform, keyPath: environment.keyPath, domain: environment.domain });
+
+        if (flags.all) {
+            return flags.json ? checker.collectAllEnvironments() : checker.checkAllEnvironments();
+        }
+
+        return flags.json ? checker.collectStatus() : checker.checkStatus();
+    }
+};
@@ -0,0 +1,47 @@
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const { createReport, confirm } = require('../lib/output');
+const { stopInstance, scaleToZero } = require('../lib/power');
+
+module.exports = {
+    description: 'Stop the instance, or scale the Auto Scaling group to zero, keeping everything else',
+    usage: 'stop [--yes]',
+
+    async run({ flags, environment, terraform }) {
+        const outputs = await terraform.outputs();
+        const report = createReport('stop', environment.name);
+        const target = outputs.auto_scaling_group_name || outputs.instance_id;
+
+        if (!target) {
+            throw new Error('No deployment found. Run `openclaw deploy` first.');
+        }
+
+        if (!await confirm(flags, `Stop ${target}? OpenClaw is unavailable until \`openclaw start\`.`)) {
+            console.log(chalk.yellow('Stop cancelled.'));
+            report.result = 'cancelled';
+            report.exitCode = 1;
+            return report;
+        }
+
+        if (outputs.auto_scaling_group_name) {
+            report.autoScalingGroup = target;
+            console.log(chalk.blue(`⏸️  Scaling ${target} to zero...`));
+
+            report.savedCapacity = await scaleToZero(new AWS.AutoScaling({ region: environment.region }), target);
+            report.result = report.savedCapacity ? 'stopped' : 'unchanged';
+            console.log(report.savedCapacity
+                ? chalk.green(`✅ ${target} scaled to zero; \`openclaw start\` brings back ${report.savedCapacity.desired} instance(s)`)
+                : chalk.green(`✅ ${target} is already at zero`));
+            return report;
+        }
+
+        report.instanceId = target;
+        console.log(chalk.blue(`⏸️  Stopping ${target}...`));
+
+        const stopped = await stopInstance(new AWS.EC2({ region: environment.region }), target);
+        report.result = stopped ? 'stopped' : 'unchanged';
+        console.log(chalk.green(stopped ? `✅ ${target} stopped` : `✅ ${target} is already stopped`));
+        console.log(chalk.gray('The volume, key pair and configuration are kept; only storage is billed while stopped.'));
+        return report;
+    }
+};
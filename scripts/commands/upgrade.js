@@ -0,0 +1,298 @@
+const path = require('path');
+const AWS = require('aws-sdk');
+const chalk = require('chalk');
+const { createReport, confirm } = require('../lib/output');
+const { validateLayer } = require('../lib/config');
+const { readEnvironmentConfig, writeEnvironmentConfig } = require('../lib/environments');
+const { createRemoteExecutor } = require('../lib/remote');
+const { waitForHealth } = require('../lib/probes');
+const {
+    installedVersion,
+    backupInstall,
+    installVersion,
+    restoreInstall,
+    restartGateway,
+    startInstanceRefresh,
+    waitForInstanceRefresh,
+    launchTemplateOpenclawVersion
+} = require('../lib/upgrade');
+const { describeGroup, waitForTargets } = require('../lib/fleet');
+
+// npm installs can take a few minutes; SSM's default of 120s is too short.
+const REMOTE_TIMEOUT_SECONDS = 900;
+
+// Pins the version in environments/<name>.json so instances created later,
+// by a replacement or by the Auto Scaling group, install the same one.
+function recordVersion(environment, version) {
+    const file = writeEnvironmentConfig(environment.name, {
+        ...readEnvironmentConfig(environment.name),
+        openclawVersion: version
+    });
+    console.log(chalk.gray(`Recorded openclawVersion: ${version} in ${path.relative(process.cwd(), file)}`));
+}
+
+// Single instance: back up, npm install, restart the PM2 app and wait for the
+// health check; on failure put the backup back and restart again.
+async function upgradeInstance(version, context, report) {
+    const { outputs, environment, flags } = context;
+    const host = outputs.instance_public_ip;
+
+    report.strategy = 'in-place';
+    report.instanceId = outputs.instance_id;
+
+    const executor = await createRemoteExecutor({
+        instanceId: outputs.instance_id,
+        host,
+        keyPath: environment.keyPath,
+        region: environment.region,
+        timeoutSeconds: REMOTE_TIMEOUT_SECONDS
+    });
+
+    report.from = await installedVersion(executor);
+    console.log(chalk.gray(`Instance ${outputs.instance_id} runs OpenClaw ${report.from} (over ${executor.transport})`));
+
+    if (report.from === version) {
+        console.log(chalk.green(`✅ Already on ${version}`));
+        report.result = 'unchanged';
+        return;
+    }
+
+    if (!await confirm(flags, `Upgrade OpenClaw from ${report.from} to ${version}?`)) {
+        console.log(chalk.yellow('Upgrade cancelled.'));
+        report.result = 'cancelled';
+        report.exitCode = 1;
+        return;
+    }
+
+    console.log(chalk.gray('• Backing up the current install'));
+    report.backup = await backupInstall(executor, new Date().toISOString().replace(/[:.]/g, '-'));
+
+    let failure = null;
+    try {
+        console.log(chalk.gray(`• Installing openclaw@${version}`));
+        await installVersion(executor, version);
+        report.installed = await installedVersion(executor);
+
+        console.log(chalk.gray(`• Restarting the gateway on ${report.installed}`));
+        await restartGateway(executor);
+
+        console.log(chalk.gray('• Waiting for the health check'));
+        report.health = await waitForHealth(host);
+        if (report.health.status !== 'pass') {
+            failure = `the gateway is not healthy after the upgrade (${report.health.detail})`;
+        }
+    } catch (error) {
+        failure = error.message;
+    }
+
+    if (!failure) {
+        console.log(chalk.green(`✅ OpenClaw upgraded to ${report.installed}`));
+        console.log(chalk.gray(`The previous install is kept in ${report.backup} on the instance.`));
+        recordVersion(environment, report.installed);
+        report.result = 'upgraded';
+        return;
+    }
+
+    report.error = failure;
+    report.exitCode = 1;
+    console.error(chalk.red(`❌ Upgrade failed: ${failure}`));
+    console.log(chalk.yellow(`↩️  Restoring ${report.from} from ${report.backup}`));
+
+    try {
+        await restoreInstall(executor, report.backup);
+        await restartGateway(executor);
+        report.health = await waitForHealth(host);
+        report.result = report.health.status === 'pass' ? 'rolled-back' : 'failed';
+    } catch (error) {
+        console.error(chalk.red(`❌ Could not restore the previous install: ${error.message}`));
+        report.result = 'failed';
+    }
+
+    if (report.result === 'rolled-back') {
+        console.log(chalk.yellow(`OpenClaw is back on ${report.from} and healthy.`));
+    } else {
+        console.error(chalk.red('The gateway is still unhealthy; run `openclaw diagnose`.'));
+    }
+}
+
+// Applies only the launch template with the new version baked into its user
+// data, and resolves with the template's new latest version.
+async function publishLaunchTemplate(terraform, version) {
+    terraform.env.TF_VAR_openclaw_version = version;
+    await terraform.apply(['-input=false', '-auto-approve', '-target=aws_launch_template.app']);
+    return (await terraform.outputs()).launch_template_latest_version;
+}
+
+// Starts an instance refresh and waits for it, then for every target of the
+// load balancer to be healthy. Resolves with { id, status, failure? }.
+async function refreshGroup(clients, groupName, targetGroupArn) {
+    const id = await startInstanceRefresh(clients.autoscaling, groupName);
+    let lastPercentage = null;
+
+    console.log(chalk.gray(`• Instance refresh ${id} started`));
+    const refresh = await waitForInstanceRefresh(clients.autoscaling, groupName, id, {
+        onProgress: (progress) => {
+            if (progress.PercentageComplete !== undefined && progress.PercentageComplete !== lastPercentage) {
+                lastPercentage = progress.PercentageComplete;
+                console.log(chalk.gray(`  ${progress.Status}: ${lastPercentage}% of instances replaced`));
+            }
+        }
+    });
+
+    if (refresh.Status !== 'Successful') {
+        return { id, status: refresh.Status, failure: `instance refresh ${refresh.Status.toLowerCase()}${refresh.StatusReason ? `: ${refresh.StatusReason}` : ''}` };
+    }
+
+    if (!targetGroupArn) {
+        return { id, status: refresh.Status };
+    }
+
+    const { AutoScalingGroups } = await clients.autoscaling.describeAutoScalingGroups({ AutoScalingGroupNames: [groupName] }).promise();
+    const expected = AutoScalingGroups[0] ? AutoScalingGroups[0].DesiredCapacity : 1;
+
+    console.log(chalk.gray(`• Waiting for ${expected} healthy target(s) behind the load balancer`));
+    const targets = await waitForTargets(clients.elbv2, targetGroupArn, expected);
+
+    return targets.ok
+        ? { id, status: refresh.Status, targets }
+        : { id, status: refresh.Status, targets, failure: `${targets.healthy}/${targets.targets.length} targets healthy after the refresh` };
+}
+
+// The OpenClaw version the group runs. The launch template names it unless it
+// installs a dist-tag such as `latest`; then an in-service instance is asked.
+async function groupVersion(clients, outputs, environment) {
+    const templateVersion = await launchTemplateOpenclawVersion(clients.ec2,
+        outputs.launch_template_id, outputs.launch_template_latest_version);
+
+    if (/^\d+\.\d+\.\d+/.test(templateVersion)) {
+        return templateVersion;
+    }
+
+    const group = await describeGroup(clients.autoscaling, outputs.auto_scaling_group_name);
+    const instance = group && group.instances.find((entry) => entry.lifecycle === 'InService');
+
+    if (!instance) {
+        throw new Error(`The launch template installs openclaw@${templateVersion} and no instance is in service to tell which version that is`);
+    }
+
+    const executor = await createRemoteExecutor({ transport: 'ssm', instanceId: instance.id, region: environment.region });
+    return installedVersion(executor);
+}
+
+// Auto Scaling group: publish a launch template version with the new OpenClaw
+// version and replace the instances; on failure publish the version the
+// current launch template installs and refresh again.
+async function upgradeGroup(version, context, report) {
+    const { outputs, environment, terraform, flags } = context;
+    const groupName = outputs.auto_scaling_group_name;
+    const clients = {
+        autoscaling: new AWS.AutoScaling({ region: environment.region }),
+        elbv2: new AWS.ELBv2({ region: environment.region }),
+        ec2: new AWS.EC2({ region: environment.region })
+    };
+
+    report.strategy = 'instance-refresh';
+    report.autoScalingGroup = groupName;
+    // What the instances run, not the configured version (which may be `latest`
+    // or already changed), so a rollback publishes exactly that again.
+    report.from = await groupVersion(clients, outputs, environment);
+    console.log(chalk.gray(`${groupName} runs OpenClaw ${report.from} (launch template version ${outputs.launch_template_latest_version})`));
+
+    if (report.from === version) {
+        console.log(chalk.green(`✅ Already on ${version}`));
+        report.result = 'unchanged';
+        return;
+    }
+
+    if (!outputs.target_group_arn) {
+        console.log(chalk.yellow('⚠️  No load balancer: the refresh can only wait on EC2 health checks.'));
+    }
+
+    if (!await confirm(flags, `Roll ${groupName} from OpenClaw ${report.from} to ${version}?`)) {
+        console.log(chalk.yellow('Upgrade cancelled.'));
+        report.result = 'cancelled';
+        report.exitCode = 1;
+        return;
+    }
+
+    await terraform.init();
+
+    let published = false;
+    let failure = null;
+    try {
+        console.log(chalk.gray(`• Publishing a launch template version with openclaw@${version}`));
+        report.launchTemplateVersion = await publishLaunchTemplate(terraform, version);
+        published = true;
+
+        report.refresh = await refreshGroup(clients, groupName, outputs.target_group_arn);
+        failure = report.refresh.failure || null;
+    } catch (error) {
+        failure = error.message;
+    }
+
+    if (!failure) {
+        console.log(chalk.green(`✅ ${groupName} now runs OpenClaw ${version} (launch template version ${report.launchTemplateVersion})`));
+        recordVersion(environment, version);
+        report.result = 'upgraded';
+        return;
+    }
+
+    report.error = failure;
+    report.exitCode = 1;
+    console.error(chalk.red(`❌ Upgrade failed: ${failure}`));
+
+    if (!published) {
+        report.result = 'failed';
+        return;
+    }
+
+    console.log(chalk.yellow(`↩️  Rolling back to OpenClaw ${report.from}`));
+    try {
+        report.rollbackLaunchTemplateVersion = await publishLaunchTemplate(terraform, report.from);
+        report.rollback = await refreshGroup(clients, groupName, outputs.target_group_arn);
+        report.result = report.rollback.failure ? 'failed' : 'rolled-back';
+    } catch (error) {
+        report.rollback = { failure: error.message };
+        report.result = 'failed';
+    }
+
+    if (report.result === 'rolled-back') {
+        console.log(chalk.yellow(`${groupName} is back on OpenClaw ${report.from}.`));
+    } else {
+        console.error(chalk.red(`❌ Rollback failed: ${report.rollback.failure}`));
+    }
+}
+
+module.exports = {
+    description: 'Upgrade OpenClaw in place, rolling back if the health checks fail',
+    usage: 'upgrade --to <version> [--yes]',
+    requiresSecrets: true,
+    requiresKey: true,
+
+    async run({ flags, environment, terraform }) {
+        if (!flags.to || flags.to === true) {
+            throw new Error('Pass the version to install, e.g. `openclaw upgrade --to 1.4.2`');
+        }
+
+        const version = String(flags.to);
+        validateLayer({ openclawVersion: version }, '--to');
+
+        const report = createReport('upgrade', environment.name);
+        report.to = version;
+
+        const outputs = await terraform.outputs();
+        const context = { outputs, environment, terraform, flags };
+
+        console.log(chalk.blue(`⬆️  Upgrading OpenClaw to ${version}...`));
+
+        if (outputs.auto_scaling_group_name) {
+            await upgradeGroup(version, context, report);
+        } else if (outputs.instance_id) {
+            await upgradeInstance(version, context, report);
+        } else {
+            throw new Error('No deployment found. Run `openclaw deploy` first.');
+        }
+
+        return report;
+    }
+};
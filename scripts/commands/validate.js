@@ -0,0 +1,29 @@
+const chalk = require('chalk');
+const { validateAWSCredentials } = require('../validate-aws');
+const { createReport } = require('../lib/output');
+
+module.exports = {
+    description: 'Check AWS credentials and simulate the permissions deploy needs',
+    usage: 'validate [--no-preflight]',
+
+    async run({ flags, environment, terraform }) {
+        const report = createReport('validate', environment.name);
+        Object.assign(report, await validateAWSCredentials({ region: terraform.env.AWS_REGION, preflight: flags.preflight }));
+
+        if (report.preflight && report.preflight.error) {
+            // The credentials work, but nothing says deploy is allowed.
+            report.result = 'unverified';
+            report.exitCode = 2;
+            return report;
+        }
+
+        const missing = report.preflight ? report.preflight.missing.length : 0;
+        report.result = missing > 0 ? 'missing-permissions' : 'valid';
+        report.exitCode = missing > 0 ? 1 : 0;
+
+        if (missing === 0) {
+            console.log(chalk.green('\n🎉 AWS validation complete!'));
+        }
+        return report;
+    }
+};
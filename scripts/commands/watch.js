@@ -0,0 +1,163 @@
+const path = require('path');
+const chalk = require('chalk');
+const { StatusChecker, STATUS_EXIT_CODES } = require('../status');
+const { createReport } = require('../lib/output');
+const { parseSince } = require('../lib/logs');
+const {
+    DEFAULT_INTERVAL,
+    historyPath,
+    readHistory,
+    createAlertSinks,
+    Watcher,
+    summarizeHistory
+} = require('../lib/watch');
+
+const DEFAULT_WINDOW = '24h';
+const DEFAULT_TARGET = 99.9;
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+
+    if (minutes < 60) {
+        return `${minutes}m`;
+    }
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function parseNumber(value, name, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new Error(`Invalid --${name} "${value}": expected a positive number`);
+    }
+    return number;
+}
+
+async function watch(flags, environment, terraform, report) {
+    const interval = parseNumber(flags.interval, 'interval', DEFAULT_INTERVAL);
+    const sinks = createAlertSinks({
+        webhook: environment.alertWebhook,
+        slack: environment.alertSlackWebhook,
+        command: environment.alertCommand
+    });
+    const checker = new StatusChecker({ terraform, keyPath: environment.keyPath, domain: environment.domain });
+    const watcher = new Watcher({
+        environment: environment.name,
+        collect: () => checker.collectStatus(),
+        interval,
+        historyFile: historyPath(environment.name),
+        sinks,
+        once: flags.once
+    });
+
+    console.log(chalk.blue(`👀 Watching ${environment.name} every ${interval}s${flags.once ? ' (once)' : '; Ctrl+C stops'}`));
+    console.log(chalk.gray(`History: ${path.relative(process.cwd(), watcher.historyFile)}`));
+    console.log(chalk.gray(sinks.length > 0
+        ? `Alerts: ${sinks.map((sink) => sink.name).join(', ')}`
+        : 'Alerts: printed only; pass --webhook, --slack or --alert-command to send them'));
+
+    const stop = () => watcher.stop();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    try {
+        await watcher.run();
+    } finally {
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+    }
+
+    Object.assign(report, { result: 'stopped', interval, samples: watcher.samples, alerts: watcher.alerts });
+
+    // With --once the exit code is status's, for cron and CI.
+    if (watcher.once && watcher.last) {
+        report.result = watcher.last.result;
+        report.exitCode = STATUS_EXIT_CODES[watcher.last.result] !== undefined ? STATUS_EXIT_CODES[watcher.last.result] : 1;
+    }
+}
+
+function printSummary(environment, summary) {
+    const { totalsMs } = summary;
+    const share = (ms) => `${summary.monitoredMs > 0 ? ((ms / summary.monitoredMs) * 100).toFixed(1) : '0.0'}%`;
+
+    console.log(chalk.blue(`📈 ${environment} from ${new Date(summary.since).toLocaleString()} to ${new Date(summary.until).toLocaleString()}`));
+    console.log(chalk.gray(`${summary.samples} samples covering ${formatDuration(summary.monitoredMs)}`));
+
+    if (summary.uptime === null) {
+        console.log(chalk.gray('Not enough history in this window for uptime figures.'));
+        return;
+    }
+
+    console.log(`Uptime:  ${summary.uptime}% (healthy ${share(totalsMs.healthy)}, degraded ${share(totalsMs.degraded)})`);
+    if (summary.sla !== null) {
+        console.log(chalk[summary.met ? 'green' : 'red'](
+            `SLA:     ${summary.sla}% while meant to run, target ${summary.target}% ${summary.met ? '✅ met' : '❌ missed'}`));
+    }
+    if (totalsMs.stopped > 0) {
+        console.log(chalk.gray(`Stopped: ${formatDuration(totalsMs.stopped)} (left out of the SLA)`));
+    }
+    if (totalsMs.unknown > 0) {
+        console.log(chalk.gray(`Unknown: ${formatDuration(totalsMs.unknown)} (status could not be collected)`));
+    }
+
+    if (summary.outages.length > 0) {
+        const longest = Math.max(...summary.outages.map((outage) => outage.durationMs));
+        console.log(chalk.red(`\nOutages: ${summary.outages.length}, longest ${formatDuration(longest)}`));
+        summary.outages.slice(-10).forEach((outage) => console.log(chalk.red(
+            `  ${new Date(outage.start).toLocaleString()} → ${new Date(outage.end).toLocaleTimeString()}  ${formatDuration(outage.durationMs).padEnd(7)} ${outage.result}`)));
+    }
+
+    if (summary.changes.length > 0) {
+        console.log(chalk.blue('\nChanges:'));
+        summary.changes.slice(-10).forEach((change) => console.log(chalk.gray(
+            `  ${new Date(change.at).toLocaleString()}  ${change.events.join(', ')} (now ${change.result})`)));
+    }
+}
+
+function showReport(flags, environment, report) {
+    const since = parseSince(flags.since || DEFAULT_WINDOW);
+    const target = parseNumber(flags.target, 'target', DEFAULT_TARGET);
+    const file = historyPath(environment.name);
+    const samples = readHistory(file, since);
+
+    report.history = path.relative(process.cwd(), file);
+    report.summary = summarizeHistory(samples, { since, target });
+
+    if (samples.length === 0) {
+        report.result = 'no-history';
+        console.log(chalk.gray(`No samples in this window. Start collecting them with \`openclaw watch\` (history in ${report.history}).`));
+        return;
+    }
+
+    report.result = report.summary.met === false ? 'missed' : 'ok';
+    report.exitCode = report.summary.met === false ? 1 : 0;
+    printSummary(environment.name, report.summary);
+}
+
+module.exports = {
+    description: 'Check status on an interval, keep a local history and alert on changes; `watch report` prints uptime and SLA',
+    usage: 'watch [--interval <seconds>] [--once] [--webhook <url>] [--slack <url>] [--alert-command <command>] | watch report [--since <time>] [--target <percent>]',
+    booleanFlags: ['once'],
+
+    async run({ positionals, flags, environment, terraform }) {
+        const [action = 'run'] = positionals;
+        const report = createReport('watch', environment.name);
+
+        switch (action) {
+            case 'run':
+                await watch(flags, environment, terraform, report);
+                break;
+            case 'report':
+                showReport(flags, environment, report);
+                break;
+            default:
+                throw new Error(`Unknown watch action: ${action}. Expected report, or no action to start watching.`);
+        }
+
+        return report;
+    }
+};
@@ -1,152 +1,253 @@
-#!/usr/bin/env node
-
-require('dotenv').config();
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const AWS = require('aws-sdk');
 const chalk = require('chalk');
+const inquirer = require('inquirer');
 const { validateAWSCredentials } = require('./validate-aws');
+const { TerraformRunner } = require('./lib/terraform');
+const { getKeyPath } = require('./lib/ssh');
+const { summarizePlan, printPlanSummary } = require('./lib/plan');
+const { createReport } = require('./lib/output');
+const { ReadinessWaiter } = require('./lib/readiness');
+const { FileKeyStorage, createKeyStorage, resolveKeyPath } = require('./lib/keys');
+const { AccessManager } = require('./lib/access');
+const { CostEstimator, printPlanCost } = require('./lib/cost');
+const { readBackendConfig } = require('./lib/backend');
+const { topologyOfDir } = require('./lib/topology');
+const { describeGroup, waitForTargets } = require('./lib/fleet');
 
 class Deployer {
-    constructor() {
-        this.terraformDir = path.join(__dirname, '..', 'terraform');
-    }
-
-    async runCommand(command, args = [], options = {}) {
-        return new Promise((resolve, reject) => {
-            console.log(chalk.blue(`Running: ${command} ${args.join(' ')}`));
-            
-            const proc = spawn(command, args, {
-                stdio: 'inherit',
-                cwd: options.cwd || process.cwd(),
-                env: { ...process.env, ...options.env }
-            });
-
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    resolve(code);
-                } else {
-                    reject(new Error(`Command failed with exit code ${code}`));
-                }
-            });
-
-            proc.on('error', (error) => {
-                reject(error);
-            });
-        });
+    constructor(options = {}) {
+        this.options = options;
+        this.terraform = options.terraform || new TerraformRunner(options);
+        this.terraformDir = this.terraform.dir;
+        this.keyPath = options.keyPath || getKeyPath(this.terraform.env.TF_VAR_key_pair_name);
+        this.keyName = path.basename(this.keyPath, '.pem');
+        this.keyStorage = options.environment
+            ? createKeyStorage(options.environment)
+            : new FileKeyStorage({ dir: path.dirname(this.keyPath) });
+        this.planFile = path.join(this.terraformDir, `openclaw-${this.terraform.workspace}.tfplan`);
+        this.planSummary = null;
+        this.scaled = topologyOfDir(this.terraformDir) === 'scaled';
     }
 
     async checkTerraformInstalled() {
-        try {
-            await this.runCommand('terraform', ['version']);
+        if (await this.terraform.isInstalled()) {
             console.log(chalk.green('✅ Terraform is installed'));
-        } catch (error) {
-            console.error(chalk.red('❌ Terraform is not installed or not in PATH'));
+        } else {
             console.error(chalk.yellow('Please install Terraform: https://www.terraform.io/downloads'));
-            process.exit(1);
+            throw new Error('Terraform is not installed or not in PATH');
         }
     }
 
     async initializeTerraform() {
         console.log(chalk.blue('\n📦 Initializing Terraform...'));
+
+        await this.terraform.init();
         
-        if (!fs.existsSync(this.terraformDir)) {
-            throw new Error(`Terraform directory not found: ${this.terraformDir}`);
+        console.log(chalk.green('✅ Terraform initialized'));
+
+        if (!readBackendConfig(this.terraform.dir)) {
+            console.log(chalk.gray('State is stored locally; run `openclaw backend init` to share it through S3.'));
         }
+    }
 
-        await this.runCommand('terraform', ['init'], {
-            cwd: this.terraformDir,
-            env: {
-                AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
-                AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
-                AWS_REGION: process.env.AWS_REGION
-            }
+    // Grants made with `openclaw access` live outside Terraform; passing the
+    // unexpired ones as access_grants keeps them through the apply, while
+    // expired ones are dropped.
+    async preserveAccessGrants() {
+        const outputs = await this.terraform.outputs();
+
+        if (!outputs.security_group_id) {
+            return;
+        }
+
+        const manager = new AccessManager({
+            ec2: new AWS.EC2({ region: this.terraform.env.AWS_REGION }),
+            groupId: outputs.security_group_id
         });
-        
-        console.log(chalk.green('✅ Terraform initialized'));
+        const grants = await manager.activeGrants();
+
+        this.terraform.env.TF_VAR_access_grants = JSON.stringify(grants.map((grant) => ({
+            port: grant.fromPort,
+            cidr: grant.cidr,
+            description: grant.description
+        })));
+
+        if (grants.length > 0) {
+            console.log(chalk.gray(`Keeping ${grants.length} access grant(s) made with \`openclaw access\``));
+        }
     }
 
     async planDeployment() {
         console.log(chalk.blue('\n📋 Planning deployment...'));
         
-        await this.runCommand('terraform', ['plan'], {
-            cwd: this.terraformDir,
-            env: {
-                AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
-                AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
-                AWS_REGION: process.env.AWS_REGION,
-                TF_VAR_aws_region: process.env.AWS_REGION,
-                TF_VAR_instance_type: process.env.INSTANCE_TYPE || 't3.micro',
-                TF_VAR_key_pair_name: process.env.KEY_PAIR_NAME || 'openclaw-ec2-key'
-            }
-        });
+        await this.preserveAccessGrants();
+        await this.terraform.plan(['-input=false', `-out=${this.planFile}`]);
+        const plan = await this.terraform.showPlan(this.planFile);
+        this.planSummary = summarizePlan(plan);
+        printPlanSummary(this.planSummary);
+        this.planSummary.cost = this.estimateCost(plan);
         
-        console.log(chalk.green('✅ Deployment plan created'));
+        console.log(chalk.green(`\n✅ Deployment plan saved to ${this.planFile}`));
+        return this.planSummary;
     }
 
+    // Offline estimate of the plan's monthly cost; a broken price table only
+    // costs the estimate, not the deployment.
+    estimateCost(plan) {
+        try {
+            const estimate = new CostEstimator({ region: this.terraform.env.AWS_REGION }).estimatePlan(plan);
+            printPlanCost(estimate);
+            return estimate;
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  No cost estimate: ${error.message}`));
+            return null;
+        }
+    }
+
+    async confirmPlan() {
+        if (this.options.yes) {
+            return true;
+        }
+
+        const dangerous = this.planSummary.warnings.length > 0;
+        const answers = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirmApply',
+                message: dangerous
+                    ? 'This plan contains dangerous changes. Apply it anyway?'
+                    : 'Apply this plan?',
+                default: !dangerous
+            }
+        ]);
+
+        return answers.confirmApply;
+    }
+
+    // Applies exactly the plan that was reviewed, then removes the plan file.
     async applyDeployment() {
         console.log(chalk.blue('\n🚀 Applying deployment...'));
         
-        await this.runCommand('terraform', ['apply', '-auto-approve'], {
-            cwd: this.terraformDir,
-            env: {
-                AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
-                AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
-                AWS_REGION: process.env.AWS_REGION,
-                TF_VAR_aws_region: process.env.AWS_REGION,
-                TF_VAR_instance_type: process.env.INSTANCE_TYPE || 't3.micro',
-                TF_VAR_key_pair_name: process.env.KEY_PAIR_NAME || 'openclaw-ec2-key'
-            }
-        });
+        try {
+            await this.terraform.apply(['-input=false', this.planFile]);
+        } finally {
+            this.discardPlan();
+        }
         
         console.log(chalk.green('✅ Deployment completed!'));
     }
 
+    discardPlan() {
+        fs.rmSync(this.planFile, { force: true });
+    }
+
+    // Stores the key from Terraform state where the environment's `keyStorage`
+    // setting says (a 0600 PEM file by default), then points keyPath at a
+    // file ssh can use.
     async savePrivateKey() {
         console.log(chalk.blue('\n🔐 Saving private key...'));
         
         try {
-            const { stdout } = await this.runCommand('terraform', ['output', '-raw', 'private_key_pem'], {
-                cwd: this.terraformDir
-            });
+            const pem = await this.terraform.output('private_key_pem');
             
-            const keyPath = path.join(__dirname, '..', 'openclaw-ec2-key.pem');
-            fs.writeFileSync(keyPath, stdout, { mode: 0o600 });
-            console.log(chalk.green(`✅ Private key saved to: ${keyPath}`));
+            await this.keyStorage.save(this.keyName, pem);
+            this.keyPath = await resolveKeyPath({ ...this.options.environment, keyPath: this.keyPath });
+            console.log(chalk.green(`✅ Private key saved to: ${this.keyStorage.describe(this.keyName)}`));
             
         } catch (error) {
-            console.warn(chalk.yellow('⚠️  Could not save private key automatically'));
-            console.log(chalk.gray('You can retrieve it manually with: terraform output private_key_pem'));
+            console.warn(chalk.yellow(`⚠️  Could not save private key automatically: ${error.message}`));
+            console.log(chalk.gray('You can retrieve it later with: openclaw keys export'));
         }
     }
 
     async getDeploymentInfo() {
         console.log(chalk.blue('\n📊 Retrieving deployment information...'));
         
-        try {
-            const commands = [
-                ['output', 'instance_public_ip'],
-                ['output', 'instance_public_dns'],
-                ['output', 'ssh_connection_command']
-            ];
-
-            for (const [command, ...args] of commands) {
-                await this.runCommand('terraform', [command, ...args], {
-                    cwd: this.terraformDir
-                });
+        const outputs = await this.terraform.outputs();
+        const outputNames = this.scaled
+            ? ['auto_scaling_group_name', 'application_url', 'frontend_url']
+            : ['instance_public_ip', 'instance_public_dns', 'ssh_connection_command'];
+
+        for (const outputName of outputNames) {
+            if (outputs[outputName]) {
+                console.log(chalk.gray(`${outputName} = ${outputs[outputName]}`));
+            } else {
+                console.warn(chalk.yellow(`⚠️  Output ${outputName} is not available`));
             }
-            
-        } catch (error) {
-            console.warn(chalk.yellow('⚠️  Could not retrieve all deployment information'));
         }
+
+        return outputs;
+    }
+
+    // Returns a report (see lib/output.js) with the plan summary and final
+    // outputs; `exitCode` is 1 when the deployment failed or was cancelled.
+    async waitForReadiness(outputs) {
+        if (this.scaled) {
+            return this.waitForFleet(outputs);
+        }
+
+        const waiter = new ReadinessWaiter({
+            ec2: new AWS.EC2({ region: this.terraform.env.AWS_REGION }),
+            instanceId: outputs.instance_id,
+            host: outputs.instance_public_ip,
+            keyPath: this.keyPath,
+            timeoutSeconds: parseInt(this.options.timeout, 10) || undefined
+        });
+
+        return waiter.wait();
+    }
+
+    // The scaled stack is ready once every desired instance is a healthy target
+    // of the load balancer; without one there is nothing to wait on.
+    async waitForFleet(outputs) {
+        if (!outputs.target_group_arn) {
+            console.log(chalk.gray('No load balancer to wait on; check the instances with `openclaw status`.'));
+            return { ready: true, failedStage: null, stages: [] };
+        }
+
+        const region = this.terraform.env.AWS_REGION;
+        const group = await describeGroup(new AWS.AutoScaling({ region }), outputs.auto_scaling_group_name);
+        const expected = group ? group.desired : 1;
+        const started = Date.now();
+
+        console.log(chalk.blue(`\n⏳ Waiting for ${expected} healthy target(s) behind the load balancer...`));
+        const targets = await waitForTargets(new AWS.ELBv2({ region }), outputs.target_group_arn, expected, { attempts: 40 });
+        const stage = {
+            name: 'targets',
+            description: 'Load balancer targets healthy',
+            status: targets.ok ? 'passed' : 'timed-out',
+            durationMs: Date.now() - started,
+            detail: `${targets.healthy}/${targets.targets.length} healthy`
+        };
+
+        console.log(targets.ok
+            ? chalk.green(`✅ ${stage.description} (${Math.round(stage.durationMs / 1000)}s)`)
+            : chalk.red(`❌ ${stage.description}: timed out (${stage.detail})`));
+        return { ready: targets.ok, failedStage: targets.ok ? null : stage.name, stages: [stage] };
     }
 
     async deploy() {
+        const report = createReport('deploy', this.terraform.workspace);
+        report.plan = null;
+        report.outputs = null;
+        report.error = null;
+
         try {
             console.log(chalk.blue('🚀 Starting OpenClaw EC2 deployment...\n'));
+            console.log(chalk.gray(`Environment: ${this.terraform.workspace}`));
 
-            // Step 1: Validate AWS credentials
-            await validateAWSCredentials();
+            // Step 1: Validate AWS credentials and permissions
+            const validation = await validateAWSCredentials({
+                region: this.terraform.env.AWS_REGION,
+                preflight: this.options.preflight
+            });
+
+            if (validation.preflight && validation.preflight.missing.length > 0) {
+                report.missingPermissions = validation.preflight.missing;
+                throw new Error('Missing IAM permissions (listed above); grant them, or pass --no-preflight if the simulation is wrong');
+            }
 
             // Step 2: Check Terraform installation
             await this.checkTerraformInstalled();
@@ -155,34 +256,78 @@ class Deployer {
             await this.initializeTerraform();
 
             // Step 4: Plan deployment
-            await this.planDeployment();
+            const { totals, changes, warnings, hasChanges, cost } = await this.planDeployment();
+            report.plan = { totals, changes, warnings, cost };
+
+            if (!hasChanges) {
+                this.discardPlan();
+                console.log(chalk.green('\n🎉 Nothing to deploy, infrastructure is up to date.'));
+                report.result = 'no-changes';
+                report.outputs = await this.terraform.outputs();
+                return report;
+            }
+
+            if (!await this.confirmPlan()) {
+                this.discardPlan();
+                console.log(chalk.yellow('Deployment cancelled.'));
+                report.result = 'cancelled';
+                report.exitCode = 1;
+                return report;
+            }
 
-            // Step 5: Apply deployment
+            // Step 5: Apply the reviewed plan
             await this.applyDeployment();
 
-            // Step 6: Save private key
-            await this.savePrivateKey();
+            // Step 6: Save private key (the scaled stack uses an existing key pair)
+            if (!this.scaled) {
+                await this.savePrivateKey();
+            }
 
             // Step 7: Get deployment info
-            await this.getDeploymentInfo();
+            report.outputs = await this.getDeploymentInfo();
+            report.result = 'deployed';
+
+            // Step 8: Optionally wait until OpenClaw is serving
+            if (this.options.wait) {
+                report.readiness = await this.waitForReadiness(report.outputs);
+
+                if (!report.readiness.ready) {
+                    console.error(chalk.red(`\n❌ Deployment applied but OpenClaw is not ready: stage "${report.readiness.failedStage}" timed out`));
+                    console.log(chalk.gray('Inspect the instance with `openclaw logs` or `openclaw ssh`'));
+                    report.result = 'not-ready';
+                    report.error = `Readiness stage "${report.readiness.failedStage}" timed out`;
+                    report.exitCode = 1;
+                    return report;
+                }
+
+                console.log(chalk.green('\n🎉 Deployment completed and OpenClaw is ready!'));
+                return report;
+            }
 
             console.log(chalk.green('\n🎉 Deployment completed successfully!'));
             console.log(chalk.yellow('\nNext steps:'));
+
+            if (this.scaled) {
+                console.log(chalk.gray('1. Wait a few minutes for the instances to pass the load balancer health checks'));
+                console.log(chalk.gray('2. Follow them with `openclaw status`'));
+                console.log(chalk.gray(`3. Open ${report.outputs.frontend_url || report.outputs.application_url || 'the application URL above'}`));
+                return report;
+            }
+
             console.log(chalk.gray('1. Wait a few minutes for the instance to fully initialize'));
-            console.log(chalk.gray('2. Use the SSH command above to connect to your instance'));
+            console.log(chalk.gray('2. Connect with `openclaw ssh` or the SSH command above'));
             console.log(chalk.gray('3. Check the health endpoint at http://<public-ip>:8080/health'));
 
         } catch (error) {
             console.error(chalk.red('\n❌ Deployment failed:'));
             console.error(chalk.red(error.message));
-            process.exit(1);
+            report.result = 'failed';
+            report.error = error.message;
+            report.exitCode = 1;
         }
-    }
-}
 
-if (require.main === module) {
-    const deployer = new Deployer();
-    deployer.deploy();
+        return report;
+    }
 }
 
 module.exports = { Deployer };
\ No newline at end of file
@@ -1,102 +1,299 @@
-#!/usr/bin/env node
-
-require('dotenv').config();
-const { spawn } = require('child_process');
+const fs = require('fs');
 const path = require('path');
+const AWS = require('aws-sdk');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
+const { TerraformRunner } = require('./lib/terraform');
+const { createKeyStorage } = require('./lib/keys');
+const { summarizePlan, printPlanSummary } = require('./lib/plan');
+const { createReport } = require('./lib/output');
+const { createRemoteExecutor } = require('./lib/remote');
+const { BACKUPS_DIR, snapshotRootVolume, archiveConfig } = require('./lib/backup');
+const { SCHEDULER_ROLE_NAME, InstanceScheduler } = require('./lib/schedule');
+const { EXPIRY_ROLE_NAME, GRANT_PREFIX, GrantExpiry } = require('./lib/access');
 
 class Destroyer {
-    constructor() {
-        this.terraformDir = path.join(__dirname, '..', 'terraform');
+    constructor(options = {}) {
+        this.options = options;
+        this.terraform = options.terraform || new TerraformRunner(options);
+        this.terraformDir = this.terraform.dir;
+        this.planFile = path.join(this.terraformDir, `openclaw-${this.terraform.workspace}-destroy.tfplan`);
+        this.planSummary = null;
     }
 
-    async runCommand(command, args = [], options = {}) {
-        return new Promise((resolve, reject) => {
-            console.log(chalk.blue(`Running: ${command} ${args.join(' ')}`));
-            
-            const proc = spawn(command, args, {
-                stdio: 'inherit',
-                cwd: options.cwd || process.cwd(),
-                env: { ...process.env, ...options.env }
-            });
+    // Names accepted as confirmation: the environment and, when set, the project.
+    get confirmationNames() {
+        const { environment = {} } = this.options;
+        return [this.terraform.workspace, environment.projectName].filter(Boolean);
+    }
 
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    resolve(code);
-                } else {
-                    reject(new Error(`Command failed with exit code ${code}`));
-                }
-            });
+    async planDestruction() {
+        console.log(chalk.blue('\n📋 Planning destruction...'));
 
-            proc.on('error', (error) => {
-                reject(error);
-            });
-        });
+        await this.terraform.init();
+        await this.terraform.plan(['-destroy', '-input=false', `-out=${this.planFile}`]);
+        this.planSummary = summarizePlan(await this.terraform.showPlan(this.planFile));
+        printPlanSummary(this.planSummary);
+
+        if (this.planSummary.hasChanges) {
+            console.log(chalk.red('\n🗑️  Resources to be destroyed:'));
+            this.planSummary.changes.forEach((change) => console.log(chalk.red(`  - ${change.address}`)));
+        }
+
+        return this.planSummary;
+    }
+
+    discardPlan() {
+        fs.rmSync(this.planFile, { force: true });
     }
 
+    // Interactive runs type the name; --yes runs must pass it as --confirm.
     async confirmDestruction() {
-        console.log(chalk.yellow('⚠️  WARNING: This will permanently destroy all AWS resources!'));
-        console.log(chalk.gray('This includes:'));
-        console.log(chalk.gray('• EC2 instance'));
-        console.log(chalk.gray('• VPC and networking components'));
-        console.log(chalk.gray('• Security groups'));
-        console.log(chalk.gray('• Key pairs'));
-        console.log(chalk.gray('• All data on the instance'));
+        const names = this.confirmationNames;
+
+        if (this.options.yes) {
+            if (!names.includes(this.options.confirm)) {
+                throw new Error(`--yes requires --confirm=${names[0]} to destroy "${names[0]}"`);
+            }
+            return true;
+        }
+
+        console.log(chalk.yellow('\n⚠️  WARNING: This will permanently destroy the resources above and all data on the instance!'));
+
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'typedName',
+                message: `Type "${names[0]}" to confirm:`
+            }
+        ]);
+
+        return names.includes(answers.typedName.trim());
+    }
+
+    // Decides whether to back up the instance first: --snapshot / --no-snapshot,
+    // else a prompt; never by default in --yes runs.
+    async shouldBackUp(instanceId) {
+        if (!instanceId) {
+            return false;
+        }
+
+        if (this.options.snapshot !== undefined) {
+            return Boolean(this.options.snapshot);
+        }
+
+        if (this.options.yes) {
+            return false;
+        }
 
         const answers = await inquirer.prompt([
             {
                 type: 'confirm',
-                name: 'confirmDestroy',
-                message: 'Are you sure you want to destroy the infrastructure?',
-                default: false
+                name: 'backUp',
+                message: `Snapshot the root volume of ${instanceId} and archive its OpenClaw config first?`,
+                default: true
             }
         ]);
 
-        return answers.confirmDestroy;
+        return answers.backUp;
+    }
+
+    // Deletes what `openclaw schedule` created outside Terraform for the
+    // instance: its start/stop schedules and its policy on the scheduler role.
+    // The Auto Scaling group's scheduled actions go with the group. A failure
+    // only warns, naming what is left behind.
+    async removeSchedules(instanceId) {
+        const region = this.terraform.env.AWS_REGION;
+        const scheduler = new InstanceScheduler({
+            scheduler: new AWS.Scheduler({ region }),
+            iam: new AWS.IAM({ region }),
+            instanceId,
+            region
+        });
+
+        try {
+            await scheduler.remove();
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not remove the start/stop schedules of ${instanceId}: ${error.message}`));
+            const leftovers = `${scheduler.scheduleName('start')}, ${scheduler.scheduleName('stop')} and the start-stop-${instanceId} policy of ${SCHEDULER_ROLE_NAME}`;
+            console.warn(chalk.yellow(`   Check for ${leftovers} and delete them by hand.`));
+        }
+    }
+
+    // Deletes the revoke schedules `openclaw access --ttl` left pending on the
+    // security group, and the group's policy on the expiry role. A failure
+    // only warns, naming what is left behind.
+    async removeGrantExpiry(groupId) {
+        const region = this.terraform.env.AWS_REGION;
+        const expiry = new GrantExpiry({
+            scheduler: new AWS.Scheduler({ region }),
+            iam: new AWS.IAM({ region }),
+            groupId,
+            region
+        });
+
+        try {
+            const removed = await expiry.removeAll();
+            if (removed.length > 0) {
+                console.log(chalk.gray(`Removed ${removed.length} pending access expiry schedule(s) of ${groupId}`));
+            }
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not remove the access expiry schedules of ${groupId}: ${error.message}`));
+            const leftovers = `schedules named ${GRANT_PREFIX}-${groupId}-* and the revoke-${groupId} policy of ${EXPIRY_ROLE_NAME}`;
+            console.warn(chalk.yellow(`   Check for ${leftovers} and delete them by hand.`));
+        }
+    }
+
+    // Takes an EBS snapshot of the root volume and archives the OpenClaw config
+    // to backups/. A failed snapshot stops the destroy; a failed archive only warns.
+    async backUpInstance(instanceId, outputs) {
+        const { environment = {} } = this.options;
+        const region = this.terraform.env.AWS_REGION;
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backup = { snapshotId: null, volumeId: null, archive: null };
+
+        console.log(chalk.blue(`\n💾 Snapshotting the root volume of ${instanceId} (this can take several minutes)...`));
+        Object.assign(backup, await snapshotRootVolume(new AWS.EC2({ region }), instanceId, {
+            description: `OpenClaw ${this.terraform.workspace} before destroy`,
+            tags: { Project: 'openclaw', Environment: this.terraform.workspace, Reason: 'pre-destroy' }
+        }));
+        console.log(chalk.green(`✅ Snapshot ${backup.snapshotId} of ${backup.volumeId} completed`));
+
+        try {
+            const executor = await createRemoteExecutor({
+                instanceId,
+                host: outputs.instance_public_ip,
+                keyPath: environment.keyPath,
+                region
+            });
+            const archivePath = path.join(BACKUPS_DIR, `${this.terraform.workspace}-${timestamp}-openclaw-config.tar.gz`);
+            backup.archive = await archiveConfig(executor, archivePath);
+            console.log(chalk.green(`✅ OpenClaw config archived to ${backup.archive}`));
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not archive the OpenClaw config: ${error.message}`));
+        }
+
+        return backup;
+    }
+
+    // The key pair is gone with the infrastructure, so the local private keys
+    // are useless. Prompts, or follows --remove-keys when --yes is given.
+    async cleanupKeys() {
+        const { environment } = this.options;
+
+        if (!environment) {
+            return;
+        }
+
+        const storage = createKeyStorage(environment);
+        const names = [environment.keyName, `${environment.keyName}.previous`];
+        const stored = [];
+
+        for (const name of names) {
+            if (await storage.load(name)) {
+                stored.push(name);
+            }
+        }
+
+        if (stored.length === 0) {
+            return;
+        }
+
+        let remove = this.options.removeKeys;
+        if (remove === undefined && !this.options.yes) {
+            const answers = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'removeKeys',
+                    message: `Delete the local private key(s) in ${storage.describe(environment.keyName)}?`,
+                    default: true
+                }
+            ]);
+            remove = answers.removeKeys;
+        }
+
+        if (!remove) {
+            console.log(chalk.gray(`Private keys kept in ${storage.describe(environment.keyName)}`));
+            return;
+        }
+
+        for (const name of stored) {
+            await storage.remove(name);
+            console.log(chalk.green(`🗑️  Removed ${storage.describe(name)}`));
+        }
     }
 
+    // Returns a report (see lib/output.js); `exitCode` is 1 when the destroy
+    // failed or was cancelled.
     async destroy() {
+        const report = createReport('destroy', this.terraform.workspace);
+        report.plan = null;
+        report.backup = null;
+        report.error = null;
+
         try {
             console.log(chalk.red('🗑️  Starting OpenClaw EC2 infrastructure destruction...\n'));
+            console.log(chalk.gray(`Environment: ${this.terraform.workspace}`));
+
+            const outputs = await this.terraform.outputs();
+            const { totals, changes, hasChanges } = await this.planDestruction();
+            report.plan = { totals, changes };
+
+            if (!hasChanges) {
+                this.discardPlan();
+                console.log(chalk.green('\nNothing to destroy.'));
+                report.result = 'nothing-to-destroy';
+                return report;
+            }
+
+            const instanceId = changes.some((change) => change.type === 'aws_instance') ? outputs.instance_id : null;
+            const backUp = await this.shouldBackUp(instanceId);
+
+            if (!await this.confirmDestruction()) {
+                this.discardPlan();
+                console.log(chalk.yellow('Name did not match. Destruction cancelled.'));
+                report.result = 'cancelled';
+                report.exitCode = 1;
+                return report;
+            }
 
-            // Confirm destruction
-            const confirmed = await this.confirmDestruction();
-            
-            if (!confirmed) {
-                console.log(chalk.yellow('Destruction cancelled.'));
-                return;
+            if (backUp) {
+                report.backup = await this.backUpInstance(instanceId, outputs);
+            }
+
+            if (instanceId) {
+                await this.removeSchedules(instanceId);
+            }
+            const groupId = outputs.security_group_id || outputs.security_group_ec2_id;
+            if (groupId && changes.some((change) => change.type === 'aws_security_group')) {
+                await this.removeGrantExpiry(groupId);
             }
 
             console.log(chalk.blue('\n🗑️  Destroying infrastructure...'));
-            
-            await this.runCommand('terraform', ['destroy', '-auto-approve'], {
-                cwd: this.terraformDir,
-                env: {
-                    AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
-                    AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
-                    AWS_REGION: process.env.AWS_REGION,
-                    TF_VAR_aws_region: process.env.AWS_REGION,
-                    TF_VAR_instance_type: process.env.INSTANCE_TYPE || 't3.micro',
-                    TF_VAR_key_pair_name: process.env.KEY_PAIR_NAME || 'openclaw-ec2-key'
-                }
-            });
+
+            try {
+                await this.terraform.apply(['-input=false', this.planFile]);
+            } finally {
+                this.discardPlan();
+            }
 
             console.log(chalk.green('\n✅ Infrastructure destroyed successfully!'));
             console.log(chalk.gray('\nAll AWS resources have been removed.'));
-            console.log(chalk.gray('Local files (private keys, etc.) remain and can be cleaned up manually.'));
+            report.result = 'destroyed';
+
+            await this.cleanupKeys();
 
         } catch (error) {
+            this.discardPlan();
             console.error(chalk.red('\n❌ Destruction failed:'));
             console.error(chalk.red(error.message));
-            process.exit(1);
+            report.result = 'failed';
+            report.error = error.message;
+            report.exitCode = 1;
         }
-    }
-}
 
-if (require.main === module) {
-    const destroyer = new Destroyer();
-    destroyer.destroy();
+        return report;
+    }
 }
 
-module.exports = { Destroyer };
\ No newline at end of file
+module.exports = { Destroyer };
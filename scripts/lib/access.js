@@ -0,0 +1,373 @@
+const os = require('os');
+const { httpGet } = require('./http');
+
+// Ports that should not be open to the whole internet.
+const SENSITIVE_PORTS = {
+    ssh: 22,
+    gateway: 8080,
+    health: 8081
+};
+const WORLD_CIDRS = ['0.0.0.0/0', '::/0'];
+// Rules created by `openclaw access` carry this prefix in their description,
+// followed by `expires=<ISO time>` for time-limited grants and `by=<user>`.
+const GRANT_PREFIX = 'openclaw-access';
+const PUBLIC_IP_URL = 'https://checkip.amazonaws.com/';
+// Assumed by the one-time schedules that revoke time-limited grants; each
+// security group adds its own inline policy.
+const EXPIRY_ROLE_NAME = 'openclaw-access-expiry';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isNotFound(error) {
+    return error.code === 'ResourceNotFoundException' || error.code === 'NoSuchEntity';
+}
+
+function toSeconds(time) {
+    return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function parseDuration(value) {
+    const match = /^(\d+)([mhd])$/.exec(value || '');
+    if (!match) {
+        throw new Error(`Invalid duration "${value}": use e.g. 30m, 2h or 1d`);
+    }
+    return Number(match[1]) * { m: 60000, h: 3600000, d: 86400000 }[match[2]];
+}
+
+// Accepts port numbers or names from SENSITIVE_PORTS, comma-separated.
+function parsePorts(value) {
+    return String(value).split(',').map((entry) => {
+        const name = entry.trim();
+        const port = SENSITIVE_PORTS[name] || Number(name);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error(`Invalid port "${name}": use a number or one of ${Object.keys(SENSITIVE_PORTS).join(', ')}`);
+        }
+        return port;
+    });
+}
+
+// A bare IPv4 address becomes a /32.
+function normalizeCidr(value) {
+    const cidr = value.includes('/') ? value : `${value}/32`;
+    if (!/^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/.test(cidr)) {
+        throw new Error(`"${value}" is not an IPv4 address or CIDR block`);
+    }
+    return cidr;
+}
+
+function portName(port) {
+    const name = Object.keys(SENSITIVE_PORTS).find((key) => SENSITIVE_PORTS[key] === port);
+    return name ? `${port} (${name})` : String(port);
+}
+
+async function detectPublicIp() {
+    const response = await httpGet(PUBLIC_IP_URL, { timeout: 5000 });
+    const ip = response.body.trim();
+
+    if (!/^(\d{1,3}\.){3}\d{1,3}$/.test(ip)) {
+        throw new Error(`Could not detect your public IP from ${PUBLIC_IP_URL}`);
+    }
+    return ip;
+}
+
+// Security group descriptions allow a limited character set.
+function describeGrant({ expiresAt, user }) {
+    const parts = [GRANT_PREFIX];
+    if (expiresAt) {
+        parts.push(`expires=${toSeconds(expiresAt)}`);
+    }
+    parts.push(`by=${(user || os.userInfo().username).replace(/[^A-Za-z0-9._@-]/g, '')}`);
+    return parts.join(' ');
+}
+
+function parseDescription(description = '') {
+    if (!description.startsWith(GRANT_PREFIX)) {
+        return { managed: false, expiresAt: null, user: null };
+    }
+
+    const fields = Object.fromEntries(description.split(' ').slice(1)
+        .map((part) => part.split('='))
+        .filter(([key, value]) => key && value));
+
+    return { managed: true, expiresAt: fields.expires || null, user: fields.by || null };
+}
+
+// Flattens a security group's TCP ingress permissions into one entry per
+// port and CIDR.
+function listRules(securityGroup, now = Date.now()) {
+    const rules = [];
+
+    for (const permission of securityGroup.IpPermissions || []) {
+        if (permission.IpProtocol !== 'tcp' && permission.IpProtocol !== '-1') {
+            continue;
+        }
+
+        const ranges = [
+            ...(permission.IpRanges || []).map((range) => ({ cidr: range.CidrIp, description: range.Description })),
+            ...(permission.Ipv6Ranges || []).map((range) => ({ cidr: range.CidrIpv6, description: range.Description }))
+        ];
+
+        for (const range of ranges) {
+            const grant = parseDescription(range.description);
+            rules.push({
+                fromPort: permission.IpProtocol === '-1' ? 0 : permission.FromPort,
+                toPort: permission.IpProtocol === '-1' ? 65535 : permission.ToPort,
+                cidr: range.cidr,
+                description: range.description || null,
+                ...grant,
+                expired: Boolean(grant.expiresAt) && Date.parse(grant.expiresAt) <= now
+            });
+        }
+    }
+
+    return rules;
+}
+
+// Sensitive ports reachable from anywhere: [{ port, name, cidr }].
+function findWorldOpenPorts(securityGroup) {
+    return listRules(securityGroup)
+        .filter((rule) => WORLD_CIDRS.includes(rule.cidr))
+        .flatMap((rule) => Object.entries(SENSITIVE_PORTS)
+            .filter(([, port]) => port >= rule.fromPort && port <= rule.toPort)
+            .map(([name, port]) => ({ port, name, cidr: rule.cidr })));
+}
+
+function revokeParams(groupId, { cidr, port }) {
+    return {
+        GroupId: groupId,
+        IpPermissions: [{ IpProtocol: 'tcp', FromPort: port, ToPort: port, IpRanges: [{ CidrIp: cidr }] }]
+    };
+}
+
+// Revokes time-limited grants when they expire, through a one-time
+// EventBridge Scheduler schedule per grant calling EC2 directly, so the
+// expiry does not depend on anyone running `openclaw access` again.
+class GrantExpiry {
+    constructor(options) {
+        this.scheduler = options.scheduler;
+        this.iam = options.iam;
+        this.groupId = options.groupId;
+        this.region = options.region;
+    }
+
+    // Schedule names allow letters, digits, `-`, `_` and `.`.
+    scheduleName({ cidr, port }) {
+        return `${GRANT_PREFIX}-${this.groupId}-${port}-${cidr.replace('/', '-')}`;
+    }
+
+    // The role the schedules assume, allowed to revoke ingress on the
+    // deployment's security group only.
+    async ensureRole() {
+        let role;
+        try {
+            role = (await this.iam.getRole({ RoleName: EXPIRY_ROLE_NAME }).promise()).Role;
+        } catch (error) {
+            if (!isNotFound(error)) {
+                throw error;
+            }
+            role = (await this.iam.createRole({
+                RoleName: EXPIRY_ROLE_NAME,
+                Description: 'Revokes expired OpenClaw access grants (created by openclaw access)',
+                AssumeRolePolicyDocument: JSON.stringify({
+                    Version: '2012-10-17',
+                    Statement: [{ Effect: 'Allow', Principal: { Service: 'scheduler.amazonaws.com' }, Action: 'sts:AssumeRole' }]
+                })
+            }).promise()).Role;
+        }
+
+        await this.iam.putRolePolicy({
+            RoleName: EXPIRY_ROLE_NAME,
+            PolicyName: `revoke-${this.groupId}`,
+            PolicyDocument: JSON.stringify({
+                Version: '2012-10-17',
+                Statement: [{
+                    Effect: 'Allow',
+                    Action: 'ec2:RevokeSecurityGroupIngress',
+                    Resource: `arn:aws:ec2:${this.region}:*:security-group/${this.groupId}`
+                }]
+            })
+        }).promise();
+
+        return role.Arn;
+    }
+
+    async exists(grant) {
+        try {
+            await this.scheduler.getSchedule({ Name: this.scheduleName(grant) }).promise();
+            return true;
+        } catch (error) {
+            if (isNotFound(error)) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    // Creates or moves the schedule of a grant; Scheduler deletes it once it
+    // has run. A new role takes a few seconds before Scheduler accepts it.
+    async schedule({ cidr, port, expiresAt }) {
+        const roleArn = await this.ensureRole();
+        const params = {
+            Name: this.scheduleName({ cidr, port }),
+            Description: `Revokes ${cidr} on port ${port} of ${this.groupId} (openclaw access)`,
+            ScheduleExpression: `at(${toSeconds(expiresAt).replace(/Z$/, '')})`,
+            ScheduleExpressionTimezone: 'UTC',
+            FlexibleTimeWindow: { Mode: 'OFF' },
+            ActionAfterCompletion: 'DELETE',
+            State: 'ENABLED',
+            Target: {
+                Arn: 'arn:aws:scheduler:::aws-sdk:ec2:revokeSecurityGroupIngress',
+                RoleArn: roleArn,
+                Input: JSON.stringify(revokeParams(this.groupId, { cidr, port }))
+            }
+        };
+        const method = await this.exists({ cidr, port }) ? 'updateSchedule' : 'createSchedule';
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.scheduler[method](params).promise();
+                return;
+            } catch (error) {
+                if (error.code !== 'ValidationException' || !/role/i.test(error.message) || attempt === 6) {
+                    throw error;
+                }
+                await sleep(5000);
+            }
+        }
+    }
+
+    async cancel(grant) {
+        try {
+            await this.scheduler.deleteSchedule({ Name: this.scheduleName(grant) }).promise();
+        } catch (error) {
+            if (!isNotFound(error)) {
+                throw error;
+            }
+        }
+    }
+
+    // Deletes every pending schedule of the security group and its policy on
+    // the expiry role, before the group itself goes. Resolves with the names
+    // of the deleted schedules.
+    async removeAll() {
+        const names = [];
+        let nextToken;
+
+        do {
+            const page = await this.scheduler.listSchedules({
+                NamePrefix: `${GRANT_PREFIX}-${this.groupId}-`,
+                NextToken: nextToken
+            }).promise();
+            names.push(...page.Schedules.map((schedule) => schedule.Name));
+            nextToken = page.NextToken;
+        } while (nextToken);
+
+        for (const name of names) {
+            try {
+                await this.scheduler.deleteSchedule({ Name: name }).promise();
+            } catch (error) {
+                if (!isNotFound(error)) {
+                    throw error;
+                }
+            }
+        }
+
+        try {
+            await this.iam.deleteRolePolicy({ RoleName: EXPIRY_ROLE_NAME, PolicyName: `revoke-${this.groupId}` }).promise();
+        } catch (error) {
+            if (!isNotFound(error)) {
+                throw error;
+            }
+        }
+
+        return names;
+    }
+}
+
+// Manages ingress grants on the deployment's security group through the EC2
+// API. With an `expiry` (a GrantExpiry) time-limited grants are revoked on
+// time by AWS; without one only pruneExpired() removes them.
+class AccessManager {
+    constructor(options) {
+        this.ec2 = options.ec2;
+        this.groupId = options.groupId;
+        this.expiry = options.expiry || null;
+    }
+
+    async describe() {
+        const result = await this.ec2.describeSecurityGroups({ GroupIds: [this.groupId] }).promise();
+        return result.SecurityGroups[0];
+    }
+
+    async list() {
+        return listRules(await this.describe());
+    }
+
+    // Grants made by `openclaw access` that have not expired; deploy passes
+    // these to Terraform so an apply keeps them.
+    async activeGrants() {
+        return (await this.list()).filter((rule) => rule.managed && !rule.expired);
+    }
+
+    // A time-limited grant whose revoke cannot be scheduled is taken back
+    // rather than left open past its expiry.
+    async grant({ cidr, port, expiresAt, user }) {
+        await this.ec2.authorizeSecurityGroupIngress({
+            GroupId: this.groupId,
+            IpPermissions: [{
+                IpProtocol: 'tcp',
+                FromPort: port,
+                ToPort: port,
+                IpRanges: [{ CidrIp: cidr, Description: describeGrant({ expiresAt, user }) }]
+            }]
+        }).promise();
+
+        if (!expiresAt || !this.expiry) {
+            return;
+        }
+
+        try {
+            await this.expiry.schedule({ cidr, port, expiresAt });
+        } catch (error) {
+            await this.ec2.revokeSecurityGroupIngress(revokeParams(this.groupId, { cidr, port })).promise();
+            throw new Error(`Could not schedule the expiry of ${cidr} on port ${port}, so it was not granted: ${error.message}`);
+        }
+    }
+
+    async revoke({ cidr, port }) {
+        await this.ec2.revokeSecurityGroupIngress(revokeParams(this.groupId, { cidr, port })).promise();
+
+        if (this.expiry) {
+            await this.expiry.cancel({ cidr, port });
+        }
+    }
+
+    // Revokes expired grants and returns them; a fallback for grants whose
+    // schedule did not run or that were made without one.
+    async pruneExpired() {
+        const expired = (await this.list()).filter((rule) => rule.managed && rule.expired);
+
+        for (const rule of expired) {
+            await this.revoke({ cidr: rule.cidr, port: rule.fromPort });
+        }
+
+        return expired;
+    }
+}
+
+module.exports = {
+    SENSITIVE_PORTS,
+    GRANT_PREFIX,
+    EXPIRY_ROLE_NAME,
+    parseDuration,
+    parsePorts,
+    normalizeCidr,
+    portName,
+    detectPublicIp,
+    describeGrant,
+    parseDescription,
+    listRules,
+    findWorldOpenPorts,
+    GrantExpiry,
+    AccessManager
+};
@@ -0,0 +1,83 @@
+// Global flags shared by every subcommand. `boolean` flags take no value.
+const GLOBAL_FLAGS = {
+    env: { description: 'Environment / Terraform workspace (default: $OPENCLAW_ENV or default)' },
+    region: { description: 'AWS region (default: $AWS_REGION or us-east-1)' },
+    profile: { description: 'AWS profile, including SSO and role profiles (default: $AWS_PROFILE)' },
+    'role-arn': { description: 'IAM role to assume on top of the credentials (default: $OPENCLAW_ROLE_ARN)' },
+    'mfa-serial': { description: 'MFA device for --role-arn; the code is asked for (default: $OPENCLAW_MFA_SERIAL)' },
+    'instance-type': { description: 'EC2 instance type (default: $INSTANCE_TYPE or t3.micro)' },
+    'key-name': { description: 'EC2 key pair name (default: $KEY_PAIR_NAME or openclaw-ec2-key)' },
+    'key-storage': { description: 'Where private keys are kept: file, keystore or keychain (default: file)' },
+    topology: { description: 'Stack to use: single, scaled or auto (default: auto, detected from what is deployed)' },
+    dir: { description: 'Terraform directory (default: the topology\'s stack)' },
+    config: { description: 'Config file (default: ./openclaw.config.{json,yaml})' },
+    yes: { description: 'Skip confirmation prompts', boolean: true },
+    json: { description: 'Print machine-readable JSON', boolean: true },
+    help: { description: 'Show help', boolean: true }
+};
+
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// Parses argv into { command, positionals, flags }. Flags are accepted
+// anywhere on the line as `--name value`, `--name=value` or `--no-name`.
+// `booleanFlagsFor(command)` returns the subcommand flags that take no value;
+// they apply once the subcommand has been seen.
+function parseArgs(argv, booleanFlagsFor = () => []) {
+    const booleans = new Set(Object.keys(GLOBAL_FLAGS).filter((name) => GLOBAL_FLAGS[name].boolean));
+    const positionals = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (arg === '-h') {
+            flags.help = true;
+            continue;
+        }
+
+        if (arg === '-y') {
+            flags.yes = true;
+            continue;
+        }
+
+        if (!arg.startsWith('--')) {
+            if (positionals.length === 0) {
+                booleanFlagsFor(arg).forEach((name) => booleans.add(name));
+            }
+            positionals.push(arg);
+            continue;
+        }
+
+        const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+        if (rawName.startsWith('no-') && inlineValue === undefined) {
+            flags[toCamelCase(rawName.slice(3))] = false;
+            continue;
+        }
+
+        if (inlineValue !== undefined) {
+            flags[toCamelCase(rawName)] = inlineValue;
+        } else if (booleans.has(rawName)) {
+            flags[toCamelCase(rawName)] = true;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            flags[toCamelCase(rawName)] = argv[++i];
+        } else {
+            throw new Error(`Flag --${rawName} requires a value`);
+        }
+    }
+
+    const [command, ...rest] = positionals;
+    return { command, positionals: rest, flags };
+}
+
+module.exports = {
+    GLOBAL_FLAGS,
+    parseArgs
+};
@@ -0,0 +1,11 @@
+// AWS_ENDPOINT_URL points SDK clients at a local stand-in such as LocalStack
+// or MinIO; S3 then needs path-style addressing.
+function clientOptions(region, extra = {}) {
+    const endpoint = process.env.AWS_ENDPOINT_URL;
+
+    return endpoint
+        ? { region, endpoint, s3ForcePathStyle: true, ...extra }
+        : { region, ...extra };
+}
+
+module.exports = { clientOptions };
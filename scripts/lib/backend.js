@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+
+// Written by `openclaw backend init` next to the Terraform configuration and
+// meant to be committed, so every teammate uses the same state and lock.
+const BACKEND_FILE_NAME = 'backend.tf';
+const STATE_KEY_PREFIX = 'openclaw-ec2';
+const DEFAULT_LOCK_TABLE = 'openclaw-terraform-locks';
+
+function backendFile(terraformDir) {
+    return path.join(terraformDir, BACKEND_FILE_NAME);
+}
+
+function defaultBucketName(accountId, region) {
+    return `openclaw-tfstate-${accountId}-${region}`;
+}
+
+// Each stack (single, scaled) keeps its state under its own key, so both can
+// share a bucket. Non-default workspaces are stored under
+// <workspaceKeyPrefix>/<workspace>/<key>.
+function stateKeys(stack) {
+    return {
+        key: `${STATE_KEY_PREFIX}/${stack}/terraform.tfstate`,
+        workspaceKeyPrefix: `${STATE_KEY_PREFIX}/${stack}/env`
+    };
+}
+
+// Renders the s3 backend block. With an `endpoint` (a local emulator) the
+// AWS-only checks are turned off and S3 uses path-style addressing.
+function renderBackendConfig(settings) {
+    const lines = [
+        '# Written by `openclaw backend init`. Commit this file so everyone shares',
+        '# the same state and lock table.',
+        'terraform {',
+        '  backend "s3" {',
+        `    bucket               = "${settings.bucket}"`,
+        `    key                  = "${settings.key}"`,
+        `    workspace_key_prefix = "${settings.workspaceKeyPrefix}"`,
+        `    region               = "${settings.region}"`,
+        `    dynamodb_table       = "${settings.dynamodbTable}"`,
+        '    encrypt              = true'
+    ];
+
+    if (settings.endpoint) {
+        lines.push(
+            '',
+            '    endpoints = {',
+            `      s3       = "${settings.endpoint}"`,
+            `      dynamodb = "${settings.endpoint}"`,
+            '    }',
+            '    use_path_style              = true',
+            '    skip_credentials_validation = true',
+            '    skip_requesting_account_id  = true',
+            '    skip_metadata_api_check     = true'
+        );
+    }
+
+    lines.push('  }', '}', '');
+    return lines.join('\n');
+}
+
+// backend.tf without its comments, or null when there is no such file.
+function readBackendFile(terraformDir) {
+    const file = backendFile(terraformDir);
+
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return fs.readFileSync(file, 'utf8').replace(/^\s*(#|\/\/).*$/gm, '');
+}
+
+// Reads the flat `name = "value"` settings back from the s3 backend block in
+// backend.tf, or null when the state is still local (no file, or one without
+// such a block, like the root stack's comment-only backend.tf).
+function readBackendConfig(terraformDir) {
+    const file = backendFile(terraformDir);
+    const content = readBackendFile(terraformDir);
+
+    if (!content || !/backend\s+"s3"\s*\{/.test(content)) {
+        return null;
+    }
+
+    const setting = (name) => {
+        const match = new RegExp(`^\\s*${name}\\s*=\\s*"([^"]*)"`, 'm').exec(content);
+        return match ? match[1] : null;
+    };
+
+    if (!setting('bucket')) {
+        return null;
+    }
+
+    return {
+        file,
+        bucket: setting('bucket'),
+        key: setting('key'),
+        workspaceKeyPrefix: setting('workspace_key_prefix'),
+        region: setting('region'),
+        dynamodbTable: setting('dynamodb_table'),
+        endpoint: setting('s3')
+    };
+}
+
+// Maps the path of a lock back to its workspace, or null when the lock
+// belongs to another stack sharing the table.
+function workspaceOfLock(lockPath, config) {
+    const prefix = `${config.bucket}/${config.workspaceKeyPrefix}/`;
+
+    if (lockPath === `${config.bucket}/${config.key}`) {
+        return 'default';
+    }
+    if (lockPath && lockPath.startsWith(prefix) && lockPath.endsWith(`/${config.key}`)) {
+        return lockPath.slice(prefix.length).split('/')[0];
+    }
+    return null;
+}
+
+// Creates, or brings up to standard, the state bucket and the lock table.
+class StateBackend {
+    constructor(options) {
+        this.s3 = options.s3;
+        this.dynamodb = options.dynamodb;
+        this.bucket = options.bucket;
+        this.table = options.table;
+        this.region = options.region;
+    }
+
+    // Versioned, encrypted and closed to the public. Resolves with true when
+    // the bucket had to be created.
+    async ensureBucket() {
+        let created = false;
+
+        try {
+            await this.s3.headBucket({ Bucket: this.bucket }).promise();
+        } catch (error) {
+            if (error.statusCode === 403) {
+                throw new Error(`S3 bucket ${this.bucket} exists but belongs to another account or is not accessible`);
+            }
+            if (error.statusCode !== 404 && error.code !== 'NotFound') {
+                throw error;
+            }
+
+            await this.s3.createBucket({
+                Bucket: this.bucket,
+                ...(this.region === 'us-east-1' ? {} : { CreateBucketConfiguration: { LocationConstraint: this.region } })
+            }).promise();
+            created = true;
+        }
+
+        await this.s3.putBucketVersioning({
+            Bucket: this.bucket,
+            VersioningConfiguration: { Status: 'Enabled' }
+        }).promise();
+
+        await this.s3.putBucketEncryption({
+            Bucket: this.bucket,
+            ServerSideEncryptionConfiguration: {
+                Rules: [{ ApplyServerSideEncryptionByDefault: { SSEAlgorithm: 'AES256' } }]
+            }
+        }).promise();
+
+        await this.s3.putPublicAccessBlock({
+            Bucket: this.bucket,
+            PublicAccessBlockConfiguration: {
+                BlockPublicAcls: true,
+                IgnorePublicAcls: true,
+                BlockPublicPolicy: true,
+                RestrictPublicBuckets: true
+            }
+        }).promise();
+
+        return created;
+    }
+
+    // The table Terraform's s3 backend expects: string hash key `LockID`.
+    async ensureLockTable() {
+        try {
+            await this.dynamodb.describeTable({ TableName: this.table }).promise();
+            return false;
+        } catch (error) {
+            if (error.code !== 'ResourceNotFoundException') {
+                throw error;
+            }
+        }
+
+        await this.dynamodb.createTable({
+            TableName: this.table,
+            AttributeDefinitions: [{ AttributeName: 'LockID', AttributeType: 'S' }],
+            KeySchema: [{ AttributeName: 'LockID', KeyType: 'HASH' }],
+            BillingMode: 'PAY_PER_REQUEST',
+            SSESpecification: { Enabled: true }
+        }).promise();
+
+        await this.dynamodb.waitFor('tableExists', { TableName: this.table }).promise();
+        return true;
+    }
+
+    async bucketStatus() {
+        const [versioning, encryption] = await Promise.all([
+            this.s3.getBucketVersioning({ Bucket: this.bucket }).promise(),
+            this.s3.getBucketEncryption({ Bucket: this.bucket }).promise().catch(() => null)
+        ]);
+        const rule = encryption && encryption.ServerSideEncryptionConfiguration.Rules[0];
+
+        return {
+            versioning: versioning.Status || 'Disabled',
+            encryption: rule ? rule.ApplyServerSideEncryptionByDefault.SSEAlgorithm : 'none'
+        };
+    }
+
+    // The state objects already stored under a stack's keys, in any
+    // workspace; empty for a stack that has never been migrated.
+    async existingStates({ key, workspaceKeyPrefix }) {
+        const found = [];
+        let token;
+
+        try {
+            await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+            found.push(key);
+        } catch (error) {
+            if (error.statusCode !== 404) {
+                throw error;
+            }
+        }
+
+        do {
+            const page = await this.s3.listObjectsV2({
+                Bucket: this.bucket,
+                Prefix: `${workspaceKeyPrefix}/`,
+                ContinuationToken: token
+            }).promise();
+            page.Contents
+                .filter((object) => object.Key.endsWith(`/${key}`))
+                .forEach((object) => found.push(object.Key));
+            token = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (token);
+
+        return found;
+    }
+
+    // Held locks: [{ lockId, id, who, operation, created, path }]. The table
+    // also keeps `<path>-md5` digest items, which are not locks.
+    async locks() {
+        const items = [];
+        let startKey;
+
+        do {
+            const page = await this.dynamodb.scan({ TableName: this.table, ExclusiveStartKey: startKey }).promise();
+            items.push(...page.Items);
+            startKey = page.LastEvaluatedKey;
+        } while (startKey);
+
+        return items
+            .filter((item) => item.Info && item.Info.S)
+            .map((item) => {
+                const info = JSON.parse(item.Info.S);
+                return {
+                    lockId: item.LockID.S,
+                    id: info.ID,
+                    who: info.Who,
+                    operation: info.Operation,
+                    created: info.Created,
+                    path: info.Path
+                };
+            });
+    }
+}
+
+module.exports = {
+    BACKEND_FILE_NAME,
+    DEFAULT_LOCK_TABLE,
+    backendFile,
+    defaultBucketName,
+    stateKeys,
+    renderBackendConfig,
+    readBackendFile,
+    readBackendConfig,
+    workspaceOfLock,
+    StateBackend
+};
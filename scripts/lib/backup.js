@@ -0,0 +1,367 @@
+const fs = require('fs');
+const path = require('path');
+const AWS = require('aws-sdk');
+const { clientOptions } = require('./aws');
+const { runRemoteScript } = require('./remote');
+const { StateBackend } = require('./backend');
+
+const BACKUPS_DIR = path.join(__dirname, '..', '..', 'backups');
+const CONFIG_DIR = '/home/openclaw/.openclaw';
+// SSM truncates StandardOutputContent at 24,000 characters.
+const SSM_OUTPUT_LIMIT = 24000;
+const ARCHIVE_NAME = 'openclaw-config.tar.gz';
+const MANIFEST_NAME = 'manifest.json';
+// Presigned URLs end up in the SSM command history, so they are kept short-lived.
+const URL_EXPIRY_SECONDS = 15 * 60;
+const REPLACE_FINISHED = ['succeeded', 'failed', 'failed-detached'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function defaultBackupBucket(accountId, region) {
+    return `openclaw-backups-${accountId}-${region}`;
+}
+
+// Sortable and readable: 20261019T143000Z.
+function createBackupId(date = new Date()) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+// Snapshots the root EBS volume of an instance and waits until the snapshot
+// has completed. Resolves with { snapshotId, volumeId }.
+async function snapshotRootVolume(ec2, instanceId, options = {}) {
+    const result = await ec2.describeInstances({ InstanceIds: [instanceId] }).promise();
+    const instance = result.Reservations[0] && result.Reservations[0].Instances[0];
+
+    if (!instance) {
+        throw new Error(`Instance ${instanceId} not found`);
+    }
+
+    const rootDevice = instance.BlockDeviceMappings.find((mapping) => mapping.DeviceName === instance.RootDeviceName);
+    if (!rootDevice || !rootDevice.Ebs) {
+        throw new Error(`Instance ${instanceId} has no EBS root volume`);
+    }
+
+    const volumeId = rootDevice.Ebs.VolumeId;
+    const tags = Object.entries({ ...options.tags, SourceInstance: instanceId })
+        .map(([Key, Value]) => ({ Key, Value: String(Value) }));
+
+    const snapshot = await ec2.createSnapshot({
+        VolumeId: volumeId,
+        Description: options.description || `OpenClaw root volume of ${instanceId}`,
+        TagSpecifications: [{ ResourceType: 'snapshot', Tags: tags }]
+    }).promise();
+
+    await ec2.waitFor('snapshotCompleted', {
+        SnapshotIds: [snapshot.SnapshotId],
+        $waiter: { delay: 15, maxAttempts: 120 }
+    }).promise();
+
+    return { snapshotId: snapshot.SnapshotId, volumeId };
+}
+
+// Archives /home/openclaw/.openclaw (config, agents, workspace) from the
+// instance into a local .tar.gz, via a remote executor (see remote.js).
+async function archiveConfig(executor, archivePath) {
+    const result = await executor.exec(
+        `sudo tar -czf - -C ${path.posix.dirname(CONFIG_DIR)} --exclude=node_modules ${path.posix.basename(CONFIG_DIR)} | base64 -w0`);
+
+    if (result.exitCode !== 0 || !result.stdout) {
+        throw new Error(`tar failed on the instance: ${result.stderr || `exit code ${result.exitCode}`}`);
+    }
+
+    if (executor.transport === 'ssm' && result.stdout.length >= SSM_OUTPUT_LIMIT) {
+        throw new Error('The archive is too large to fetch over SSM; make the private key available to use SSH');
+    }
+
+    fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+    fs.writeFileSync(archivePath, Buffer.from(result.stdout, 'base64'), { mode: 0o600 });
+    return archivePath;
+}
+
+// Tars the OpenClaw config on the instance and PUTs it to a presigned S3 URL,
+// so the size is not limited by what SSM returns. Resolves with the size in bytes.
+async function uploadConfigArchive(executor, url) {
+    const bytes = await runRemoteScript(executor, [
+        'set -e',
+        'TMP="$(mktemp)"',
+        'trap \'rm -f "$TMP"\' EXIT',
+        `tar -czf "$TMP" -C ${path.posix.dirname(CONFIG_DIR)} --exclude=node_modules ${path.posix.basename(CONFIG_DIR)}`,
+        `curl -fsS --retry 3 --upload-file "$TMP" '${url}'`,
+        'stat -c %s "$TMP"'
+    ].join('\n'), 'Archiving the OpenClaw config to S3');
+
+    return Number(bytes.split('\n').pop());
+}
+
+// Downloads an archive made by uploadConfigArchive (or archiveConfig) from a
+// presigned URL and unpacks it over the OpenClaw config. The current config is
+// moved aside first; resolves with where it went.
+async function replayConfigArchive(executor, url, stamp) {
+    const aside = `${CONFIG_DIR}.pre-restore-${stamp}`;
+
+    await runRemoteScript(executor, [
+        'set -e',
+        'TMP="$(mktemp)"',
+        'trap \'rm -f "$TMP"\' EXIT',
+        `curl -fsS --retry 3 -o "$TMP" '${url}'`,
+        'tar -tzf "$TMP" >/dev/null',
+        `if [ -d ${CONFIG_DIR} ]; then mv ${CONFIG_DIR} ${aside}; fi`,
+        `tar -xzf "$TMP" -C ${path.posix.dirname(CONFIG_DIR)}`,
+        `chown -R openclaw:openclaw ${CONFIG_DIR}`
+    ].join('\n'), 'Restoring the OpenClaw config');
+
+    return aside;
+}
+
+async function waitForRootVolumeTask(ec2, taskId, options = {}) {
+    const interval = options.interval || 15000;
+    const deadline = Date.now() + (options.timeout || 30 * 60 * 1000);
+
+    for (;;) {
+        const { ReplaceRootVolumeTasks } = await ec2.describeReplaceRootVolumeTasks({
+            ReplaceRootVolumeTaskIds: [taskId]
+        }).promise();
+        const state = ReplaceRootVolumeTasks[0].TaskState;
+
+        if (REPLACE_FINISHED.includes(state)) {
+            return state;
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(`Root volume replacement ${taskId} still ${state} after waiting`);
+        }
+        await sleep(interval);
+    }
+}
+
+// Rebuilds the root volume of a running instance from a snapshot; the instance
+// keeps its ID, IP and Terraform state and reboots once. A snapshot of another
+// instance (one destroyed since) is registered as a temporary AMI first, since
+// EC2 only replaces from snapshots of the instance's own root volume. The
+// replaced volume is kept, detached. Resolves with { taskId, viaImage, previousVolumeId }.
+async function restoreRootVolume(ec2, instanceId, snapshot, options = {}) {
+    const { Reservations } = await ec2.describeInstances({ InstanceIds: [instanceId] }).promise();
+    const instance = Reservations[0] && Reservations[0].Instances[0];
+
+    if (!instance) {
+        throw new Error(`Instance ${instanceId} not found`);
+    }
+    if (instance.State.Name !== 'running') {
+        throw new Error(`Instance ${instanceId} is ${instance.State.Name}; run \`openclaw start\` first`);
+    }
+
+    const rootDevice = instance.BlockDeviceMappings.find((mapping) => mapping.DeviceName === instance.RootDeviceName);
+    const previousVolumeId = rootDevice && rootDevice.Ebs ? rootDevice.Ebs.VolumeId : null;
+    const viaImage = snapshot.sourceInstance !== instanceId && snapshot.volumeId !== previousVolumeId;
+    let imageId = null;
+
+    try {
+        if (viaImage) {
+            ({ ImageId: imageId } = await ec2.registerImage({
+                Name: `openclaw-restore-${snapshot.snapshotId}-${Date.now()}`,
+                Description: `Temporary image for restoring ${instanceId} from ${snapshot.snapshotId}`,
+                Architecture: instance.Architecture,
+                RootDeviceName: instance.RootDeviceName,
+                VirtualizationType: 'hvm',
+                EnaSupport: Boolean(instance.EnaSupport),
+                BlockDeviceMappings: [{
+                    DeviceName: instance.RootDeviceName,
+                    Ebs: { SnapshotId: snapshot.snapshotId, VolumeType: 'gp3', DeleteOnTermination: true }
+                }]
+            }).promise());
+            await ec2.waitFor('imageAvailable', { ImageIds: [imageId] }).promise();
+        }
+
+        const { ReplaceRootVolumeTask } = await ec2.createReplaceRootVolumeTask({
+            InstanceId: instanceId,
+            ...(viaImage ? { ImageId: imageId } : { SnapshotId: snapshot.snapshotId }),
+            DeleteReplacedRootVolume: false
+        }).promise();
+        const taskId = ReplaceRootVolumeTask.ReplaceRootVolumeTaskId;
+        const state = await waitForRootVolumeTask(ec2, taskId, options);
+
+        if (state !== 'succeeded') {
+            throw new Error(`Root volume replacement ${taskId} ${state}`);
+        }
+        return { taskId, viaImage, previousVolumeId };
+    } finally {
+        // Deregistering leaves the snapshot in place.
+        if (imageId) {
+            await ec2.deregisterImage({ ImageId: imageId }).promise().catch(() => {});
+        }
+    }
+}
+
+function snapshotSource(tags) {
+    if (tags.SnapshotCreator === 'dlm') {
+        return 'dlm';
+    }
+    if (tags.Reason === 'pre-destroy') {
+        return 'pre-destroy';
+    }
+    return tags.Backup ? 'backup' : 'snapshot';
+}
+
+// Backups of one environment: `openclaw backup create` runs (a snapshot and
+// a config archive in S3, tied together by a manifest), plus the snapshots
+// taken by DLM and by `openclaw destroy --snapshot`.
+class BackupStore {
+    constructor(options) {
+        this.ec2 = options.ec2;
+        this.s3 = options.s3;
+        this.bucket = options.bucket;
+        this.region = options.region;
+        this.environment = options.environment;
+    }
+
+    key(id, name) {
+        return `${this.environment}/${id}/${name}`;
+    }
+
+    // Same standard as the state bucket: versioned, encrypted, not public.
+    ensureBucket() {
+        return new StateBackend({ s3: this.s3, bucket: this.bucket, region: this.region }).ensureBucket();
+    }
+
+    uploadUrl(key) {
+        return this.s3.getSignedUrlPromise('putObject', { Bucket: this.bucket, Key: key, Expires: URL_EXPIRY_SECONDS });
+    }
+
+    downloadUrl(key) {
+        return this.s3.getSignedUrlPromise('getObject', { Bucket: this.bucket, Key: key, Expires: URL_EXPIRY_SECONDS });
+    }
+
+    // Puts a local archive (e.g. one `openclaw destroy` left in backups/)
+    // into the bucket so the instance can fetch it. Resolves with its key.
+    async importArchive(file) {
+        const key = `${this.environment}/imported/${path.basename(file)}`;
+
+        await this.s3.putObject({ Bucket: this.bucket, Key: key, Body: fs.readFileSync(file) }).promise();
+        return key;
+    }
+
+    async saveManifest(manifest) {
+        await this.s3.putObject({
+            Bucket: this.bucket,
+            Key: this.key(manifest.id, MANIFEST_NAME),
+            Body: `${JSON.stringify(manifest, null, 2)}\n`,
+            ContentType: 'application/json'
+        }).promise();
+    }
+
+    // Resolves with [] while the bucket does not exist yet.
+    async manifests() {
+        const keys = [];
+        let token;
+
+        try {
+            do {
+                const page = await this.s3.listObjectsV2({
+                    Bucket: this.bucket,
+                    Prefix: `${this.environment}/`,
+                    ContinuationToken: token
+                }).promise();
+                keys.push(...page.Contents.map((object) => object.Key).filter((key) => key.endsWith(`/${MANIFEST_NAME}`)));
+                token = page.NextContinuationToken;
+            } while (token);
+        } catch (error) {
+            if (error.code === 'NoSuchBucket') {
+                return [];
+            }
+            throw error;
+        }
+
+        return Promise.all(keys.map(async (key) => {
+            const object = await this.s3.getObject({ Bucket: this.bucket, Key: key }).promise();
+            return JSON.parse(object.Body.toString('utf8'));
+        }));
+    }
+
+    async snapshots() {
+        const snapshots = [];
+        let token;
+
+        do {
+            const page = await this.ec2.describeSnapshots({
+                OwnerIds: ['self'],
+                Filters: [{ Name: 'tag:Environment', Values: [this.environment] }],
+                NextToken: token
+            }).promise();
+            snapshots.push(...page.Snapshots);
+            token = page.NextToken;
+        } while (token);
+
+        return snapshots
+            .map((snapshot) => ({ snapshot, tags: Object.fromEntries((snapshot.Tags || []).map((tag) => [tag.Key, tag.Value])) }))
+            .filter(({ tags }) => String(tags.Project || '').startsWith('openclaw'))
+            .map(({ snapshot, tags }) => ({
+                snapshotId: snapshot.SnapshotId,
+                volumeId: snapshot.VolumeId,
+                sourceInstance: tags.SourceInstance || null,
+                backupId: tags.Backup || null,
+                source: snapshotSource(tags),
+                state: snapshot.State,
+                sizeGiB: snapshot.VolumeSize,
+                createdAt: new Date(snapshot.StartTime).toISOString()
+            }));
+    }
+
+    // Newest first: [{ id, source, createdAt, snapshot, archive }], where
+    // snapshot is as in snapshots() and archive is { key, bytes }, either may be null.
+    async list() {
+        const [manifests, snapshots] = await Promise.all([this.manifests(), this.snapshots()]);
+        const byId = new Map(snapshots.map((snapshot) => [snapshot.snapshotId, snapshot]));
+
+        const backups = manifests.map((manifest) => {
+            const snapshot = manifest.snapshotId ? byId.get(manifest.snapshotId) || null : null;
+            byId.delete(manifest.snapshotId);
+            return { id: manifest.id, source: 'backup', createdAt: manifest.createdAt, snapshot, archive: manifest.archive || null };
+        });
+
+        for (const snapshot of byId.values()) {
+            backups.push({ id: snapshot.snapshotId, source: snapshot.source, createdAt: snapshot.createdAt, snapshot, archive: null });
+        }
+
+        return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // A backup ID from list() or a snapshot ID.
+    async find(id) {
+        const backup = (await this.list()).find((entry) => entry.id === id || (entry.snapshot && entry.snapshot.snapshotId === id));
+
+        if (!backup) {
+            throw new Error(`No backup ${id} in ${this.environment}; see \`openclaw backup list\``);
+        }
+        return backup;
+    }
+}
+
+// The store for an environment in `bucket`, or openclaw-backups-<account>-<region>.
+async function createBackupStore(environment, bucket) {
+    if (!bucket) {
+        const { Account } = await new AWS.STS(clientOptions(environment.region)).getCallerIdentity().promise();
+        bucket = defaultBackupBucket(Account, environment.region);
+    }
+
+    return new BackupStore({
+        ec2: new AWS.EC2({ region: environment.region }),
+        s3: new AWS.S3(clientOptions(environment.region, { signatureVersion: 'v4' })),
+        bucket,
+        region: environment.region,
+        environment: environment.name
+    });
+}
+
+module.exports = {
+    BACKUPS_DIR,
+    CONFIG_DIR,
+    ARCHIVE_NAME,
+    defaultBackupBucket,
+    createBackupId,
+    snapshotRootVolume,
+    archiveConfig,
+    uploadConfigArchive,
+    replayConfigArchive,
+    restoreRootVolume,
+    BackupStore,
+    createBackupStore
+};
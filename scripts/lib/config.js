@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CONFIG_FILE_NAMES = ['openclaw.config.json', 'openclaw.config.yaml', 'openclaw.config.yml'];
+
+const AWS_REGIONS = [
+    'us-east-1', 'us-east-2', 'us-west-1', 'us-west-2',
+    'af-south-1',
+    'ap-east-1', 'ap-south-1', 'ap-south-2',
+    'ap-southeast-1', 'ap-southeast-2', 'ap-southeast-3', 'ap-southeast-4', 'ap-southeast-5', 'ap-southeast-7',
+    'ap-northeast-1', 'ap-northeast-2', 'ap-northeast-3',
+    'ca-central-1', 'ca-west-1',
+    'eu-central-1', 'eu-central-2', 'eu-west-1', 'eu-west-2', 'eu-west-3',
+    'eu-south-1', 'eu-south-2', 'eu-north-1',
+    'il-central-1', 'me-south-1', 'me-central-1', 'mx-central-1', 'sa-east-1',
+    'us-gov-east-1', 'us-gov-west-1', 'cn-north-1', 'cn-northwest-1'
+];
+
+const INSTANCE_TYPE_PATTERN = /^[a-z][a-z0-9-]*\.(nano|micro|small|medium|large|metal|\d*xlarge)(-\d+xl)?$/;
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]*$/;
+const KEY_STORAGES = ['file', 'keystore', 'keychain'];
+const SECRET_STORES = ['ssm', 'secretsmanager'];
+const TOPOLOGIES = ['auto', 'single', 'scaled'];
+// An npm version or dist-tag of the openclaw package; it ends up in shell commands.
+const VERSION_PATTERN = /^[0-9A-Za-z][0-9A-Za-z.+-]*$/;
+// These end up in shell commands and DNS records too.
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+const URL_PATTERN = /^https?:\/\/[A-Za-z0-9.-]+(:\d+)?(\/[A-Za-z0-9._~\/-]*)?$/;
+const ACM_ARN_PATTERN = /^arn:aws[a-z-]*:acm:[a-z0-9-]+:\d{12}:certificate\/[0-9a-f-]+$/;
+const LETS_ENCRYPT_DIRECTORY = 'https://acme-v02.api.letsencrypt.org/directory';
+// A profile in ~/.aws/config or ~/.aws/credentials.
+const PROFILE_PATTERN = /^[A-Za-z0-9_.+@-]+$/;
+const ROLE_ARN_PATTERN = /^arn:aws[a-z-]*:iam::\d{12}:role\/[\w+=,.@\/-]+$/;
+// A virtual device ARN or the serial number of a hardware token.
+const MFA_SERIAL_PATTERN = /^(arn:aws[a-z-]*:iam::\d{12}:mfa\/[\w+=,.@\/-]+|[A-Z0-9]{9,})$/;
+
+class ConfigError extends Error {
+    constructor(issues, source) {
+        const header = source ? `Invalid configuration (${source}):` : 'Invalid configuration:';
+        super([header, ...issues.map((issue) => `  • ${issue}`)].join('\n'));
+        this.name = 'ConfigError';
+        this.issues = issues;
+    }
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (value, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+
+    return row[b.length];
+}
+
+function isValidCidr(value) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/.exec(value);
+    return Boolean(match) &&
+        match.slice(1, 5).every((octet) => Number(octet) <= 255) &&
+        Number(match[5]) <= 32;
+}
+
+function checkRegion(value) {
+    if (AWS_REGIONS.includes(value)) {
+        return null;
+    }
+
+    const closest = [...AWS_REGIONS].sort((a, b) => editDistance(value, a) - editDistance(value, b))[0];
+    return editDistance(value, closest) <= 3
+        ? `unknown AWS region "${value}" (did you mean "${closest}"?)`
+        : `unknown AWS region "${value}"`;
+}
+
+function checkInstanceType(value) {
+    return INSTANCE_TYPE_PATTERN.test(value) ? null : `"${value}" is not a valid EC2 instance type (e.g. t3.micro)`;
+}
+
+function checkName(value) {
+    return NAME_PATTERN.test(value) ? null : `"${value}" may only contain letters, digits and dashes`;
+}
+
+function checkCidr(value) {
+    return isValidCidr(value) ? null : `"${value}" is not a valid IPv4 CIDR block (e.g. 203.0.113.10/32)`;
+}
+
+function checkKeyStorage(value) {
+    return KEY_STORAGES.includes(value) ? null : `"${value}" must be one of ${KEY_STORAGES.join(', ')}`;
+}
+
+function checkSecretStore(value) {
+    return SECRET_STORES.includes(value) ? null : `"${value}" must be one of ${SECRET_STORES.join(', ')}`;
+}
+
+function checkTopology(value) {
+    return TOPOLOGIES.includes(value) ? null : `"${value}" must be one of ${TOPOLOGIES.join(', ')}`;
+}
+
+function checkVersion(value) {
+    return VERSION_PATTERN.test(value) ? null : `"${value}" is not an npm version or tag (e.g. 1.4.2 or latest)`;
+}
+
+function checkDomain(value) {
+    return DOMAIN_PATTERN.test(value) ? null : `"${value}" is not a lowercase domain name (e.g. openclaw.example.com)`;
+}
+
+function checkEmail(value) {
+    return EMAIL_PATTERN.test(value) ? null : `"${value}" is not an email address`;
+}
+
+function checkUrl(value) {
+    return URL_PATTERN.test(value) ? null : `"${value}" is not an http(s) URL`;
+}
+
+function checkProfile(value) {
+    return PROFILE_PATTERN.test(value) ? null : `"${value}" is not an AWS profile name`;
+}
+
+function checkRoleArn(value) {
+    return ROLE_ARN_PATTERN.test(value) ? null : `"${value}" is not an IAM role ARN (arn:aws:iam::123456789012:role/name)`;
+}
+
+function checkMfaSerial(value) {
+    return MFA_SERIAL_PATTERN.test(value) ? null : `"${value}" is not an MFA device ARN or serial number`;
+}
+
+function checkCertificateArn(value) {
+    return ACM_ARN_PATTERN.test(value) ? null : `"${value}" is not an ACM certificate ARN`;
+}
+
+// Every supported setting. `env` names the environment variables read as a
+// fallback, `flag` the CLI flag (camelCased), `tfVar` the Terraform variable
+// it feeds, and `secret` marks values that are never printed.
+const CONFIG_SCHEMA = {
+    region: { type: 'string', env: ['AWS_REGION'], flag: 'region', tfVar: 'aws_region', default: 'us-east-1', check: checkRegion },
+    // AWS_PROFILE is left to the SDK, so keys in the environment still win over it.
+    profile: { type: 'string', flag: 'profile', check: checkProfile },
+    roleArn: { type: 'string', env: ['OPENCLAW_ROLE_ARN'], flag: 'roleArn', check: checkRoleArn },
+    mfaSerial: { type: 'string', env: ['OPENCLAW_MFA_SERIAL'], flag: 'mfaSerial', check: checkMfaSerial },
+    instanceType: { type: 'string', env: ['INSTANCE_TYPE'], flag: 'instanceType', tfVar: 'instance_type', default: 't3.micro', check: checkInstanceType },
+    keyName: { type: 'string', env: ['KEY_PAIR_NAME'], flag: 'keyName', tfVar: 'key_pair_name', default: 'openclaw-ec2-key', check: checkName },
+    keyStorage: { type: 'string', env: ['OPENCLAW_KEY_STORAGE'], flag: 'keyStorage', default: 'file', check: checkKeyStorage },
+    projectName: { type: 'string', flag: 'projectName', tfVar: 'project_name', check: checkName },
+    vpcCidr: { type: 'string', tfVar: 'vpc_cidr', check: checkCidr },
+    allowedCidrBlocks: { type: 'array', tfVar: 'allowed_cidr_blocks', check: checkCidr },
+    secretStore: { type: 'string', env: ['OPENCLAW_SECRET_STORE'], tfVar: 'secret_store', default: 'ssm', check: checkSecretStore },
+    topology: { type: 'string', env: ['OPENCLAW_TOPOLOGY'], flag: 'topology', default: 'auto', check: checkTopology },
+    openclawVersion: { type: 'string', env: ['OPENCLAW_VERSION'], tfVar: 'openclaw_version', default: 'latest', check: checkVersion },
+    domain: { type: 'string', env: ['OPENCLAW_DOMAIN'], check: checkDomain },
+    sslCertificateArn: { type: 'string', tfVar: 'ssl_certificate_arn', check: checkCertificateArn },
+    acmeServer: { type: 'string', env: ['OPENCLAW_ACME_SERVER'], flag: 'acmeServer', default: LETS_ENCRYPT_DIRECTORY, check: checkUrl },
+    acmeEmail: { type: 'string', env: ['OPENCLAW_ACME_EMAIL'], flag: 'acmeEmail', check: checkEmail },
+    alertWebhook: { type: 'string', env: ['OPENCLAW_ALERT_WEBHOOK'], flag: 'webhook', check: checkUrl },
+    alertSlackWebhook: { type: 'string', env: ['OPENCLAW_ALERT_SLACK_WEBHOOK'], flag: 'slack', secret: true, check: checkUrl },
+    alertCommand: { type: 'string', env: ['OPENCLAW_ALERT_COMMAND'], flag: 'alertCommand' },
+    anthropicApiKey: { type: 'string', env: ['ANTHROPIC_API_KEY', 'TF_VAR_anthropic_api_key'], tfVar: 'anthropic_api_key', secret: true, required: true }
+};
+
+function findConfigFile(dir = PROJECT_ROOT) {
+    return CONFIG_FILE_NAMES.map((name) => path.join(dir, name)).find((file) => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(file) {
+    if (!file) {
+        return {};
+    }
+
+    let parsed;
+    try {
+        const content = fs.readFileSync(file, 'utf8');
+        parsed = /\.ya?ml$/.test(file) ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+        throw new ConfigError([error.message], path.relative(process.cwd(), file));
+    }
+
+    if (parsed === undefined || parsed === null) {
+        return {};
+    }
+
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ConfigError(['the file must contain an object'], path.relative(process.cwd(), file));
+    }
+
+    return parsed;
+}
+
+// Checks types, formats and unknown keys of one layer.
+function validateLayer(layer, source) {
+    const issues = [];
+
+    for (const [key, value] of Object.entries(layer)) {
+        const rule = CONFIG_SCHEMA[key];
+
+        if (!rule) {
+            issues.push(`unknown setting "${key}"`);
+            continue;
+        }
+
+        if (value === undefined || value === null) {
+            continue;
+        }
+
+        if (rule.type === 'array') {
+            if (!Array.isArray(value)) {
+                issues.push(`${key} must be a list`);
+                continue;
+            }
+            value.forEach((item) => {
+                const problem = rule.check && rule.check(String(item));
+                if (problem) {
+                    issues.push(`${key}: ${problem}`);
+                }
+            });
+        } else if (typeof value !== rule.type) {
+            issues.push(`${key} must be a ${rule.type}`);
+        } else if (rule.check) {
+            const problem = rule.check(value);
+            if (problem) {
+                issues.push(`${key}: ${problem}`);
+            }
+        }
+    }
+
+    if (issues.length > 0) {
+        throw new ConfigError(issues, source);
+    }
+
+    return layer;
+}
+
+function envLayer() {
+    const layer = {};
+
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+        const name = (rule.env || []).find((envName) => process.env[envName]);
+        if (name) {
+            layer[key] = process.env[name];
+        }
+    }
+
+    return layer;
+}
+
+function flagLayer(flags) {
+    const layer = {};
+
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+        if (rule.flag && flags[rule.flag] !== undefined) {
+            layer[key] = flags[rule.flag];
+        }
+    }
+
+    return layer;
+}
+
+function defaultLayer() {
+    return Object.fromEntries(Object.entries(CONFIG_SCHEMA)
+        .filter(([, rule]) => rule.default !== undefined)
+        .map(([key, rule]) => [key, rule.default]));
+}
+
+// Merges layers left to right; later layers win and undefined values are skipped.
+function mergeLayers(...layers) {
+    const merged = {};
+
+    for (const layer of layers) {
+        for (const [key, value] of Object.entries(layer)) {
+            if (value !== undefined && value !== null) {
+                merged[key] = value;
+            }
+        }
+    }
+
+    return merged;
+}
+
+function assertRequiredSettings(config) {
+    const missing = Object.entries(CONFIG_SCHEMA)
+        .filter(([key, rule]) => rule.required && !config[key])
+        .map(([key, rule]) => {
+            const sources = [`"${key}" in openclaw.config`, ...(rule.env || [])];
+            return `${key} is required (set ${sources.join(' or ')})`;
+        });
+
+    if (missing.length > 0) {
+        throw new ConfigError(missing);
+    }
+}
+
+// Maps resolved settings to TF_VAR_* variables. This is the only place that
+// knows the Terraform variable names.
+function toTerraformVars(config) {
+    const vars = {};
+
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+        const value = config[key];
+        if (rule.tfVar && value !== undefined && value !== null) {
+            vars[`TF_VAR_${rule.tfVar}`] = Array.isArray(value) ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    return vars;
+}
+
+// Returns a copy that is safe to print.
+function redactConfig(config) {
+    return Object.fromEntries(Object.entries(config).map(([key, value]) => {
+        const rule = CONFIG_SCHEMA[key];
+        return [key, rule && rule.secret && value ? '********' : value];
+    }));
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    ConfigError,
+    findConfigFile,
+    readConfigFile,
+    validateLayer,
+    envLayer,
+    flagLayer,
+    defaultLayer,
+    mergeLayers,
+    assertRequiredSettings,
+    toTerraformVars,
+    redactConfig
+};
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { stateResources } = require('./drift');
+
+// Bundled list prices; point OPENCLAW_PRICE_TABLE at an edited copy to update
+// them without touching the CLI. Nothing here needs network access.
+const DEFAULT_PRICE_TABLE = path.join(__dirname, 'aws-prices.json');
+
+function loadPriceTable(file = process.env.OPENCLAW_PRICE_TABLE || DEFAULT_PRICE_TABLE) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read the price table ${file}: ${error.message}`);
+    }
+}
+
+function first(list) {
+    return Array.isArray(list) && list.length > 0 ? list[0] : {};
+}
+
+class CostEstimator {
+    constructor(options = {}) {
+        this.prices = options.prices || loadPriceTable();
+        this.region = options.region || 'us-east-1';
+        this.multiplier = this.prices.regionMultipliers[this.region] || 1;
+        this.hours = this.prices.hoursPerMonth;
+    }
+
+    hourly(rate) {
+        return rate * this.hours * this.multiplier;
+    }
+
+    volume(size, type) {
+        const rate = this.prices.ebsGbMonth[type || 'gp3'];
+        return rate === undefined ? null : size * rate * this.multiplier;
+    }
+
+    // Size and type of a root volume, falling back to the AMI default.
+    rootVolume(rootDevice) {
+        return rootDevice && rootDevice.volume_size
+            ? { size: rootDevice.volume_size, type: rootDevice.volume_type || 'gp3' }
+            : { ...this.prices.defaultRootVolume };
+    }
+
+    // Compute, root volume and (unless disabled) a public IPv4 address for one
+    // instance. Returns { monthly, detail } with monthly null when the
+    // instance type is not in the table.
+    instance(instanceType, rootDevice, publicIp = true) {
+        const rate = this.prices.ec2Hourly[instanceType];
+        const root = this.rootVolume(rootDevice);
+
+        if (rate === undefined) {
+            return { monthly: null, detail: `no price for ${instanceType}` };
+        }
+
+        const parts = [this.hourly(rate), this.volume(root.size, root.type) || 0];
+        if (publicIp) {
+            parts.push(this.hourly(this.prices.publicIpv4Hourly));
+        }
+
+        return {
+            monthly: parts.reduce((sum, part) => sum + part, 0),
+            detail: `${instanceType}, ${root.size} GB ${root.type}${publicIp ? ', public IPv4' : ''}`
+        };
+    }
+
+    // Estimates one resource from its Terraform values. `context.launchTemplates`
+    // maps launch template names to their per-instance estimate for ASGs.
+    // Returns { monthly, detail, usage } or null for resources that cost nothing.
+    resource(type, values, context = {}) {
+        const usage = this.prices.usageBased[type] || null;
+        const fixed = this.prices.monthly[type];
+
+        if (fixed !== undefined) {
+            return { monthly: fixed * this.multiplier, detail: 'flat monthly fee', usage };
+        }
+
+        switch (type) {
+            case 'aws_instance': {
+                if (values.instance_state === 'stopped' || context.stopped) {
+                    const root = this.rootVolume(first(values.root_block_device));
+                    return { monthly: this.volume(root.size, root.type) || 0, detail: 'stopped, storage only', usage };
+                }
+                return { ...this.instance(values.instance_type, first(values.root_block_device),
+                    values.associate_public_ip_address !== false), usage };
+            }
+            case 'aws_launch_template':
+                return null;
+            case 'aws_autoscaling_group': {
+                const reference = first(values.launch_template);
+                const templates = context.launchTemplates || {};
+                const perInstance = templates[reference.name] || (Object.keys(templates).length === 1 ? Object.values(templates)[0] : null);
+                const count = values.desired_capacity !== undefined && values.desired_capacity !== null
+                    ? values.desired_capacity
+                    : values.min_size || 0;
+
+                if (!perInstance || perInstance.monthly === null) {
+                    return { monthly: null, detail: 'launch template not priced', usage };
+                }
+                return { monthly: perInstance.monthly * count, detail: `${count} × ${perInstance.detail}`, usage };
+            }
+            case 'aws_ebs_volume': {
+                const monthly = this.volume(values.size || 0, values.type);
+                return { monthly, detail: `${values.size} GB ${values.type || 'gp3'}`, usage };
+            }
+            case 'aws_nat_gateway':
+                return { monthly: this.hourly(this.prices.natGatewayHourly), detail: 'hourly charge', usage };
+            case 'aws_eip':
+                return { monthly: this.hourly(this.prices.publicIpv4Hourly), detail: 'public IPv4 address', usage };
+            case 'aws_lb': {
+                const kind = values.load_balancer_type || 'application';
+                const lb = this.prices.loadBalancers[kind];
+                if (!lb) {
+                    return { monthly: null, detail: `no price for ${kind} load balancers`, usage };
+                }
+                return {
+                    monthly: this.hourly(lb.hourly + lb.capacityUnitHourly * lb.baselineCapacityUnits),
+                    detail: `${kind}, ${lb.baselineCapacityUnits} capacity unit baseline`,
+                    usage
+                };
+            }
+            default:
+                return usage ? { monthly: 0, detail: 'usage-based', usage } : null;
+        }
+    }
+
+    // Launch templates are priced first so ASGs can refer to them by name.
+    launchTemplates(resources) {
+        return Object.fromEntries(resources
+            .filter((resource) => resource.type === 'aws_launch_template' && resource.values)
+            .map((resource) => [resource.values.name, this.instance(
+                resource.values.instance_type,
+                first(first(resource.values.block_device_mappings).ebs),
+                String(first(resource.values.network_interfaces).associate_public_ip_address) === 'true'
+            )]));
+    }
+
+    totals(entries, key) {
+        return entries.reduce((sum, entry) => sum + (entry[key] || 0), 0);
+    }
+
+    // Monthly cost before and after a saved plan (`terraform show -json`).
+    estimatePlan(plan) {
+        const changes = (plan.resource_changes || []).filter((change) => change.mode !== 'data');
+        const before = this.launchTemplates(changes.map((change) => ({ type: change.type, values: change.change.before })));
+        const after = this.launchTemplates(changes.map((change) => ({ type: change.type, values: change.change.after })));
+        const resources = [];
+
+        for (const change of changes) {
+            const old = change.change.before && this.resource(change.type, change.change.before, { launchTemplates: before });
+            const next = change.change.after && this.resource(change.type, change.change.after, { launchTemplates: after });
+
+            if (!old && !next) {
+                continue;
+            }
+
+            resources.push({
+                address: change.address,
+                type: change.type,
+                before: old ? old.monthly : 0,
+                after: next ? next.monthly : 0,
+                detail: (next || old).detail,
+                usage: (next || old).usage
+            });
+        }
+
+        return this.summarize(resources, this.totals(resources, 'before'), this.totals(resources, 'after'));
+    }
+
+    // Current run-rate from `terraform show -json` state. `instanceStates`
+    // maps instance IDs to live states so stopped instances only count storage.
+    estimateState(state, instanceStates = {}) {
+        const all = stateResources(state);
+        const launchTemplates = this.launchTemplates(all);
+        const resources = [];
+
+        for (const { address, type, values } of all) {
+            const estimate = this.resource(type, values, {
+                launchTemplates,
+                stopped: type === 'aws_instance' && instanceStates[values.id] === 'stopped'
+            });
+
+            if (estimate) {
+                resources.push({ address, type, before: estimate.monthly, after: estimate.monthly, detail: estimate.detail, usage: estimate.usage });
+            }
+        }
+
+        const total = this.totals(resources, 'after');
+        return this.summarize(resources, total, total);
+    }
+
+    summarize(resources, before, after) {
+        return {
+            currency: this.prices.currency,
+            priceTableDate: this.prices.updated,
+            region: this.region,
+            before: Math.round(before * 100) / 100,
+            after: Math.round(after * 100) / 100,
+            delta: Math.round((after - before) * 100) / 100,
+            resources,
+            unpriced: resources.filter((entry) => entry.after === null || entry.before === null).map((entry) => entry.address),
+            usageBased: resources.filter((entry) => entry.usage).map((entry) => ({ address: entry.address, usage: entry.usage }))
+        };
+    }
+}
+
+function money(value, currency = 'USD') {
+    if (value === null || value === undefined) {
+        return '?';
+    }
+    const sign = value < 0 ? '-' : '';
+    return `${sign}${currency === 'USD' ? '$' : `${currency} `}${Math.abs(value).toFixed(2)}`;
+}
+
+function signedMoney(value, currency) {
+    return value > 0 ? `+${money(value, currency)}` : money(value, currency);
+}
+
+function printUsageNotes(estimate) {
+    if (estimate.usageBased.length > 0) {
+        console.log(chalk.gray('  Plus usage-based charges not included:'));
+        estimate.usageBased.forEach(({ address, usage }) => console.log(chalk.gray(`    • ${address}: ${usage}`)));
+    }
+    if (estimate.unpriced.length > 0) {
+        console.log(chalk.yellow(`  ⚠️  Not in the price table: ${estimate.unpriced.join(', ')}`));
+    }
+}
+
+// Per-resource before → after and the monthly delta of a plan.
+function printPlanCost(estimate) {
+    const { currency } = estimate;
+    const changed = estimate.resources.filter((entry) => entry.before !== entry.after);
+
+    console.log(chalk.blue(`\n💰 Estimated monthly cost (${currency}, price table of ${estimate.priceTableDate}):`));
+
+    for (const entry of changed) {
+        const delta = entry.before !== null && entry.after !== null ? signedMoney(entry.after - entry.before, currency) : '?';
+        console.log(`  ${entry.address.padEnd(48)} ${money(entry.before, currency).padStart(9)} → ${money(entry.after, currency).padStart(9)}  ${chalk.gray(`${delta}  ${entry.detail}`)}`);
+    }
+
+    const color = estimate.delta > 0 ? 'yellow' : 'green';
+    console.log(chalk[color](`  Total: ${money(estimate.before, currency)} → ${money(estimate.after, currency)} per month (${signedMoney(estimate.delta, currency)})`));
+    printUsageNotes(estimate);
+}
+
+module.exports = {
+    DEFAULT_PRICE_TABLE,
+    loadPriceTable,
+    CostEstimator,
+    money,
+    printPlanCost,
+    printUsageNotes
+};
@@ -0,0 +1,128 @@
+const EXPECTED_PM2_APPS = ['openclaw-gateway', 'health-check'];
+const EXPECTED_PORTS = [
+    { port: 22, name: 'SSH' },
+    { port: 8080, name: 'OpenClaw Gateway' },
+    { port: 8081, name: 'Health Check' }
+];
+const INSTALL_COMPLETE_MARKER = 'installation completed successfully';
+
+// What `openclaw diagnose` collects; each entry becomes one file in the archive.
+const COLLECTORS = [
+    { name: 'install-log', file: 'openclaw-install.log', command: 'sudo cat /var/log/openclaw-install.log' },
+    { name: 'pm2', file: 'pm2-jlist.json', command: 'sudo -u openclaw pm2 jlist' },
+    { name: 'ports', file: 'listening-ports.txt', command: 'sudo ss -tlnH' },
+    { name: 'validation', file: 'validate-installation.txt', command: 'sudo -u openclaw /opt/openclaw/validate-installation.sh' }
+];
+
+// user_data_enhanced.sh announces each step as "<emoji> Doing something...".
+const STEP_PATTERN = /^\S+\s+(.+\.\.\.)\s*$/;
+const ERROR_PATTERN = /(^E: |npm ERR!|\berror\b|command not found|No such file or directory|\bfailed\b|❌)/i;
+
+function parseInstallLog(log) {
+    const failedSteps = [];
+    let currentStep = 'Preparation';
+    let currentFailure = null;
+
+    for (const line of log.split('\n')) {
+        const stepMatch = STEP_PATTERN.exec(line);
+
+        if (stepMatch) {
+            currentStep = stepMatch[1];
+            currentFailure = null;
+            continue;
+        }
+
+        if (ERROR_PATTERN.test(line)) {
+            if (!currentFailure) {
+                currentFailure = { step: currentStep, errors: [] };
+                failedSteps.push(currentFailure);
+            }
+            if (currentFailure.errors.length < 5) {
+                currentFailure.errors.push(line.trim());
+            }
+        }
+    }
+
+    return {
+        completed: log.includes(INSTALL_COMPLETE_MARKER),
+        failedSteps
+    };
+}
+
+function parsePm2List(output) {
+    let processes;
+
+    try {
+        processes = JSON.parse(output);
+    } catch (error) {
+        return { error: 'pm2 jlist did not return JSON', apps: [], stoppedApps: [], missingApps: EXPECTED_PM2_APPS };
+    }
+
+    const apps = processes.map((proc) => ({
+        name: proc.name,
+        status: proc.pm2_env ? proc.pm2_env.status : 'unknown',
+        restarts: proc.pm2_env ? proc.pm2_env.restart_time : null
+    }));
+
+    return {
+        apps,
+        stoppedApps: apps.filter((app) => app.status !== 'online').map((app) => app.name),
+        missingApps: EXPECTED_PM2_APPS.filter((name) => !apps.some((app) => app.name === name))
+    };
+}
+
+// Parses `ss -tlnH`; the fourth column is the local address ending in :port.
+function parseListeningPorts(output) {
+    const listening = new Set();
+
+    for (const line of output.split('\n')) {
+        const columns = line.trim().split(/\s+/);
+        const match = columns[3] && /:(\d+)$/.exec(columns[3]);
+        if (match) {
+            listening.add(Number(match[1]));
+        }
+    }
+
+    return {
+        listening: [...listening].sort((a, b) => a - b),
+        closedPorts: EXPECTED_PORTS.filter(({ port }) => !listening.has(port))
+    };
+}
+
+function parseValidation(output) {
+    return {
+        failures: output.split('\n').filter((line) => line.includes('❌')).map((line) => line.trim())
+    };
+}
+
+// Builds the summary from collected outputs keyed by collector name.
+function summarize(results) {
+    const summary = {
+        install: parseInstallLog(results['install-log'] || ''),
+        pm2: parsePm2List(results.pm2 || ''),
+        ports: parseListeningPorts(results.ports || ''),
+        validation: parseValidation(results.validation || '')
+    };
+
+    const problems = [
+        ...(summary.install.completed ? [] : ['Installation did not complete']),
+        ...summary.install.failedSteps.map((failure) => `Install step failed: ${failure.step}`),
+        ...summary.pm2.stoppedApps.map((name) => `PM2 app not online: ${name}`),
+        ...summary.pm2.missingApps.map((name) => `PM2 app missing: ${name}`),
+        ...summary.ports.closedPorts.map(({ port, name }) => `Port ${port} (${name}) is not listening`),
+        ...summary.validation.failures.map((line) => `Validation: ${line.replace('❌', '').trim()}`)
+    ];
+
+    return { ...summary, problems, healthy: problems.length === 0 };
+}
+
+module.exports = {
+    COLLECTORS,
+    EXPECTED_PM2_APPS,
+    EXPECTED_PORTS,
+    parseInstallLog,
+    parsePm2List,
+    parseListeningPorts,
+    parseValidation,
+    summarize
+};
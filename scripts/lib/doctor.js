@@ -0,0 +1,555 @@
+const { runRemote, runRemoteScript, isSsmManaged } = require('./remote');
+const { listRules } = require('./access');
+const { REFRESH_SCRIPT, refreshInstanceSecrets } = require('./secrets');
+const { restartGateway } = require('./upgrade');
+const {
+    NGINX_CONF,
+    PROXY_CONF,
+    BACKUP_SUFFIX,
+    REMOVE_DEFAULT_SERVERS,
+    WRITE_PROXY_CONFIG,
+    INSTALL_PROXY,
+    RELOAD_NGINX
+} = require('./nginx');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const SSM_POLICY_ARN = 'arn:aws:iam::aws:policy/AmazonSSMManagedInstanceCore';
+// Created only when the stack has no instance profile of its own.
+const DOCTOR_ROLE_NAME = 'openclaw-doctor-ssm';
+// The gateway config lives in the home of whichever user runs it.
+const GATEWAY_CONFIGS = [
+    '/home/openclaw/.openclaw/openclaw.json',
+    '/home/ec2-user/.openclaw/openclaw.json',
+    '/home/ubuntu/.openclaw/openclaw.json'
+];
+const KEY_FILE = '/home/openclaw/.openclaw/anthropic-api-key';
+const WEBSOCKET_TEST_KEY = 'dGhlIHNhbXBsZSBub25jZQ==';
+
+function result(status, detail) {
+    return { status, detail };
+}
+
+async function hasNginx(executor) {
+    const output = await runRemote(executor, 'command -v nginx >/dev/null 2>&1 && echo yes || echo no', 'Looking for nginx');
+    return output === 'yes';
+}
+
+async function nginxTest(executor) {
+    const { stdout, stderr, exitCode } = await executor.exec('sudo nginx -t 2>&1');
+    return { ok: exitCode === 0, output: `${stdout}\n${stderr}`.trim() };
+}
+
+function firstError(output) {
+    const line = output.split('\n').find((entry) => /\[(emerg|error|warn)\]/.test(entry)) || output.split('\n')[0];
+    return (line || '').replace(/^nginx: /, '').trim();
+}
+
+async function readProxyConfig(executor) {
+    const output = await runRemote(executor, `sudo cat ${PROXY_CONF} 2>/dev/null || echo __missing__`, 'Reading openclaw.conf');
+    return output === '__missing__' ? null : output;
+}
+
+async function localStatus(executor, url, headers = []) {
+    const options = headers.map((header) => `-H '${header}'`).join(' ');
+    const output = await runRemote(executor,
+        `curl -ks -o /dev/null -w '%{http_code}' --max-time 5 ${options} ${url} || true`, `Requesting ${url}`);
+    return output.slice(-3) || '000';
+}
+
+async function findGatewayConfig(executor) {
+    const output = await runRemote(executor,
+        `for f in ${GATEWAY_CONFIGS.join(' ')}; do if sudo test -f "$f"; then echo "$f"; break; fi; done`,
+        'Looking for the gateway config');
+    return output || null;
+}
+
+async function instanceDetails(context) {
+    const { Reservations } = await context.ec2.describeInstances({ InstanceIds: [context.instanceId] }).promise();
+    const instance = Reservations[0] && Reservations[0].Instances[0];
+
+    if (!instance) {
+        throw new Error(`Instance ${context.instanceId} not found`);
+    }
+    return instance;
+}
+
+async function roleOfProfile(iam, profileArn) {
+    const name = profileArn.split('/').pop();
+    const { InstanceProfile } = await iam.getInstanceProfile({ InstanceProfileName: name }).promise();
+    return { profile: name, role: InstanceProfile.Roles[0] ? InstanceProfile.Roles[0].RoleName : null };
+}
+
+async function hasSsmPolicy(iam, role) {
+    const { AttachedPolicies } = await iam.listAttachedRolePolicies({ RoleName: role }).promise();
+    return AttachedPolicies.some((policy) => policy.PolicyArn === SSM_POLICY_ARN);
+}
+
+// Creates (or completes) the fallback role and profile; every step checks
+// first, so a half-finished earlier run is picked up where it stopped.
+async function ensureDoctorProfile(iam) {
+    try {
+        await iam.getRole({ RoleName: DOCTOR_ROLE_NAME }).promise();
+    } catch (error) {
+        if (error.code !== 'NoSuchEntity') {
+            throw error;
+        }
+        await iam.createRole({
+            RoleName: DOCTOR_ROLE_NAME,
+            Description: 'Lets the SSM agent on OpenClaw instances register (created by openclaw doctor)',
+            AssumeRolePolicyDocument: JSON.stringify({
+                Version: '2012-10-17',
+                Statement: [{ Effect: 'Allow', Principal: { Service: 'ec2.amazonaws.com' }, Action: 'sts:AssumeRole' }]
+            })
+        }).promise();
+    }
+
+    if (!await hasSsmPolicy(iam, DOCTOR_ROLE_NAME)) {
+        await iam.attachRolePolicy({ RoleName: DOCTOR_ROLE_NAME, PolicyArn: SSM_POLICY_ARN }).promise();
+    }
+
+    let profile;
+    try {
+        profile = (await iam.getInstanceProfile({ InstanceProfileName: DOCTOR_ROLE_NAME }).promise()).InstanceProfile;
+    } catch (error) {
+        if (error.code !== 'NoSuchEntity') {
+            throw error;
+        }
+        profile = (await iam.createInstanceProfile({ InstanceProfileName: DOCTOR_ROLE_NAME }).promise()).InstanceProfile;
+    }
+
+    if (!profile.Roles.some((role) => role.RoleName === DOCTOR_ROLE_NAME)) {
+        await iam.addRoleToInstanceProfile({ InstanceProfileName: DOCTOR_ROLE_NAME, RoleName: DOCTOR_ROLE_NAME }).promise();
+    }
+
+    return DOCTOR_ROLE_NAME;
+}
+
+// A new instance profile takes a few seconds to become usable by EC2.
+async function associateProfile(ec2, instanceId, profileName) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await ec2.associateIamInstanceProfile({ InstanceId: instanceId, IamInstanceProfile: { Name: profileName } }).promise();
+            return;
+        } catch (error) {
+            if (error.code !== 'InvalidParameterValue' || attempt === 6) {
+                throw error;
+            }
+            await sleep(5000);
+        }
+    }
+}
+
+// Each playbook encodes one of the former fix-* workflows:
+//   detect(context) -> { status: 'ok' | 'broken' | 'skip', detail }
+//   fix(context)    -> description of what was changed; safe to run again
+//   verify(context) -> like detect, after the fix
+// `context` holds the EC2/IAM/SSM clients, the Terraform outputs, the
+// instance ID and `executor()`, which connects to the instance on first use.
+const PLAYBOOKS = [
+    {
+        id: 'ec2-iam-role',
+        title: 'Instance role for SSM',
+        replaces: 'fix-ec2-iam-role.yml',
+
+        async detect(context) {
+            const instance = await instanceDetails(context);
+
+            if (!instance.IamInstanceProfile) {
+                return result('broken', 'no instance profile attached, so SSM cannot reach the instance');
+            }
+
+            const { profile, role } = await roleOfProfile(context.iam, instance.IamInstanceProfile.Arn);
+            if (!role) {
+                return result('broken', `instance profile ${profile} has no role`);
+            }
+            if (!await hasSsmPolicy(context.iam, role)) {
+                return result('broken', `role ${role} lacks AmazonSSMManagedInstanceCore`);
+            }
+            return result('ok', `${profile} (role ${role})`);
+        },
+
+        // Instance profiles can be associated with a running instance; no stop
+        // and start is needed.
+        async fix(context) {
+            const instance = await instanceDetails(context);
+
+            if (instance.IamInstanceProfile) {
+                const { profile, role } = await roleOfProfile(context.iam, instance.IamInstanceProfile.Arn);
+                if (!role) {
+                    throw new Error(`Instance profile ${profile} has no role; add one in Terraform and deploy`);
+                }
+                await context.iam.attachRolePolicy({ RoleName: role, PolicyArn: SSM_POLICY_ARN }).promise();
+                return `attached AmazonSSMManagedInstanceCore to ${role}`;
+            }
+
+            const profile = context.outputs.instance_profile_name ||
+                context.outputs.iam_instance_profile_name ||
+                await ensureDoctorProfile(context.iam);
+            await associateProfile(context.ec2, context.instanceId, profile);
+            return `associated instance profile ${profile}`;
+        },
+
+        async verify(context) {
+            const detection = await this.detect(context);
+            if (detection.status !== 'ok') {
+                return detection;
+            }
+
+            // The agent picks up the new credentials within a few minutes.
+            for (let attempt = 1; attempt <= 20; attempt++) {
+                if (await isSsmManaged(context.ssm, context.instanceId)) {
+                    return result('ok', `${detection.detail}; SSM agent online`);
+                }
+                await sleep(15000);
+            }
+            return result('broken', `${detection.detail}, but the SSM agent is not online yet`);
+        }
+    },
+    {
+        id: 'nginx-conflict',
+        title: 'nginx default server conflict',
+        replaces: 'fix-nginx-conflict.yml',
+
+        async detect(context) {
+            const executor = await context.executor();
+            if (!await hasNginx(executor)) {
+                return result('skip', 'nginx is not installed');
+            }
+
+            const test = await nginxTest(executor);
+            if (/conflicting server name/.test(test.output)) {
+                return result('broken', firstError(test.output));
+            }
+
+            const stock = await runRemote(executor,
+                `sudo grep -Ec '^[[:space:]]*listen[[:space:]]+(\\[::\\]:)?80\\b' ${NGINX_CONF} || true`, 'Reading nginx.conf');
+            if (Number(stock) > 0) {
+                return result('broken', 'nginx.conf still has its own server on port 80');
+            }
+
+            const defaults = await runRemote(executor,
+                'ls /etc/nginx/conf.d/default.conf /etc/nginx/sites-enabled/default 2>/dev/null || true', 'Looking for default sites');
+            if (defaults) {
+                return result('broken', `the distribution's default site is enabled (${defaults.split('\n').join(', ')})`);
+            }
+            return result('ok', 'only openclaw.conf serves 80 and 443');
+        },
+
+        async fix(context) {
+            await runRemoteScript(await context.executor(), [
+                'set -e',
+                REMOVE_DEFAULT_SERVERS,
+                RELOAD_NGINX
+            ].join('\n'), 'Removing the default server');
+            return `commented out the server blocks of nginx.conf (backup: ${NGINX_CONF}${BACKUP_SUFFIX})`;
+        },
+
+        verify(context) {
+            return this.detect(context);
+        }
+    },
+    {
+        id: 'nginx-config',
+        title: 'nginx proxy configuration',
+        replaces: 'fix-nginx-config.yml',
+
+        async detect(context) {
+            const executor = await context.executor();
+            if (!await hasNginx(executor)) {
+                return result('skip', 'nginx is not installed');
+            }
+
+            const test = await nginxTest(executor);
+            if (!test.ok) {
+                return result('broken', `nginx -t fails: ${firstError(test.output)}`);
+            }
+
+            const config = await readProxyConfig(executor);
+            if (!config) {
+                return result('broken', `${PROXY_CONF} is missing`);
+            }
+            if (!/proxy_pass\s+http:\/\/(127\.0\.0\.1|localhost):8080/.test(config)) {
+                return result('broken', `${PROXY_CONF} does not proxy to the gateway on 8080`);
+            }
+
+            const status = await localStatus(executor, 'https://127.0.0.1/');
+            if (['000', '502', '504'].includes(status)) {
+                return result('broken', `https://localhost/ answers ${status === '000' ? 'nothing' : `HTTP ${status}`}`);
+            }
+            return result('ok', `https://localhost/ answers HTTP ${status}`);
+        },
+
+        async fix(context) {
+            await runRemoteScript(await context.executor(), [
+                INSTALL_PROXY,
+                RELOAD_NGINX
+            ].join('\n'), 'Rewriting the nginx configuration');
+            return `wrote ${PROXY_CONF} and reloaded nginx`;
+        },
+
+        verify(context) {
+            return this.detect(context);
+        }
+    },
+    {
+        id: 'websocket-proxy-routing',
+        title: 'WebSocket upgrade through nginx',
+        replaces: 'fix-websocket-proxy-routing.yml',
+
+        async detect(context) {
+            const executor = await context.executor();
+            if (!await hasNginx(executor)) {
+                return result('skip', 'nginx is not installed');
+            }
+
+            const config = await readProxyConfig(executor);
+            if (!config) {
+                return result('skip', `${PROXY_CONF} is missing (see nginx-config)`);
+            }
+            if (!/proxy_http_version\s+1\.1/.test(config) || !/proxy_set_header\s+Upgrade\s+\$http_upgrade/.test(config)) {
+                return result('broken', 'openclaw.conf does not forward the Upgrade header over HTTP/1.1');
+            }
+            if (!/proxy_set_header\s+Connection\s+(\$connection_upgrade|"?upgrade"?)/i.test(config)) {
+                return result('broken', 'openclaw.conf does not forward the Connection header');
+            }
+            if (/\$connection_upgrade/.test(config)) {
+                const maps = await runRemote(executor,
+                    'sudo grep -rlqs \'map[[:space:]]*$http_upgrade[[:space:]]*$connection_upgrade\' /etc/nginx && echo yes || echo no',
+                    'Looking for the $connection_upgrade map');
+                if (maps !== 'yes') {
+                    return result('broken', '$connection_upgrade is used but never defined');
+                }
+            }
+            return result('ok', 'Upgrade and Connection headers are forwarded');
+        },
+
+        async fix(context) {
+            await runRemoteScript(await context.executor(), [
+                'set -e',
+                WRITE_PROXY_CONFIG,
+                RELOAD_NGINX
+            ].join('\n'), 'Rewriting openclaw.conf');
+            return `wrote ${PROXY_CONF} with WebSocket headers and reloaded nginx`;
+        },
+
+        // Also completes a handshake through nginx; the gateway answers 101,
+        // or 401 when it wants a token first.
+        async verify(context) {
+            const detection = await this.detect(context);
+            if (detection.status !== 'ok') {
+                return detection;
+            }
+
+            const status = await localStatus(await context.executor(), 'https://127.0.0.1/', [
+                'Connection: Upgrade',
+                'Upgrade: websocket',
+                'Sec-WebSocket-Version: 13',
+                `Sec-WebSocket-Key: ${WEBSOCKET_TEST_KEY}`
+            ]);
+            return ['101', '401'].includes(status)
+                ? result('ok', `WebSocket upgrade through nginx answers ${status}`)
+                : result('broken', `WebSocket upgrade through nginx answers ${status} instead of 101`);
+        }
+    },
+    {
+        id: 'websocket-secure-context',
+        title: 'Control UI origin check behind the proxy',
+        replaces: 'fix-websocket-secure-context.yml',
+
+        async detect(context) {
+            const executor = await context.executor();
+            if (!await hasNginx(executor)) {
+                return result('skip', 'no HTTPS proxy in front of the gateway');
+            }
+
+            const file = await findGatewayConfig(executor);
+            if (!file) {
+                return result('skip', 'no openclaw.json on the instance');
+            }
+
+            const controlUi = JSON.parse(await runRemote(executor,
+                `sudo jq -c '.gateway.controlUi // {}' ${file}`, 'Reading openclaw.json'));
+            if (Object.prototype.hasOwnProperty.call(controlUi, 'allowInsecureContext')) {
+                return result('broken', `${file} sets gateway.controlUi.allowInsecureContext, which the gateway rejects`);
+            }
+            if (controlUi.dangerouslyAllowHostHeaderOriginFallback !== true) {
+                return result('broken', 'the gateway rejects the https:// origin of connections coming through nginx');
+            }
+            return result('ok', `${file} accepts the proxied origin`);
+        },
+
+        async fix(context) {
+            const executor = await context.executor();
+            const file = await findGatewayConfig(executor);
+
+            // `cat >` keeps the owner and mode of the file.
+            await runRemoteScript(executor, [
+                'set -e',
+                `[ -f ${file}${BACKUP_SUFFIX} ] || cp -p ${file} ${file}${BACKUP_SUFFIX}`,
+                `jq 'del(.gateway.controlUi.allowInsecureContext) | .gateway.controlUi.dangerouslyAllowHostHeaderOriginFallback = true' ${file} > ${file}.new`,
+                `cat ${file}.new > ${file}`,
+                `rm -f ${file}.new`
+            ].join('\n'), 'Updating openclaw.json');
+            await restartGateway(executor);
+            return `updated gateway.controlUi in ${file} and restarted the gateway`;
+        },
+
+        verify(context) {
+            return this.detect(context);
+        }
+    },
+    {
+        id: 'websocket-client-routing',
+        title: 'Clients bypassing nginx on 8080',
+        replaces: 'fix-websocket-client-routing.yml',
+
+        async detect(context) {
+            if (!await hasNginx(await context.executor())) {
+                return result('skip', 'no proxy in front of the gateway; 8080 is the way in');
+            }
+
+            const open = await this.worldOpenRules(context);
+            return open.length > 0
+                ? result('broken', `8080 is open to ${open.map((rule) => rule.cidr).join(' and ')} in ${open[0].groupId}, so clients skip HTTPS`)
+                : result('ok', '8080 is not reachable from the internet');
+        },
+
+        async worldOpenRules(context) {
+            const instance = await instanceDetails(context);
+            const { SecurityGroups } = await context.ec2.describeSecurityGroups({
+                GroupIds: instance.SecurityGroups.map((group) => group.GroupId)
+            }).promise();
+
+            return SecurityGroups.flatMap((group) => listRules(group)
+                .filter((rule) => ['0.0.0.0/0', '::/0'].includes(rule.cidr) && rule.fromPort <= 8080 && rule.toPort >= 8080)
+                .map((rule) => ({ ...rule, groupId: group.GroupId })));
+        },
+
+        async fix(context) {
+            const open = await this.worldOpenRules(context);
+
+            for (const rule of open) {
+                if (rule.fromPort !== 8080 || rule.toPort !== 8080) {
+                    throw new Error(`${rule.groupId} opens ports ${rule.fromPort}-${rule.toPort} to ${rule.cidr}; narrow it by hand`);
+                }
+                const range = rule.cidr.includes(':') ? { Ipv6Ranges: [{ CidrIpv6: rule.cidr }] } : { IpRanges: [{ CidrIp: rule.cidr }] };
+                await context.ec2.revokeSecurityGroupIngress({
+                    GroupId: rule.groupId,
+                    IpPermissions: [{ IpProtocol: 'tcp', FromPort: 8080, ToPort: 8080, ...range }]
+                }).promise();
+            }
+
+            return `revoked 8080 from ${open.map((rule) => rule.cidr).join(', ')}; set allowedCidrBlocks so deploy does not add it back`;
+        },
+
+        verify(context) {
+            return this.detect(context);
+        }
+    },
+    {
+        id: 'anthropic-auth',
+        title: 'Anthropic API key on the instance',
+        replaces: 'fix-anthropic-auth-interactive.yml',
+
+        async detect(context) {
+            const state = await runRemote(await context.executor(), [
+                `if [ -x ${REFRESH_SCRIPT} ]; then`,
+                `  if sudo test -s ${KEY_FILE}; then echo ok; else echo missing; fi`,
+                'elif sudo test -f /home/openclaw/.openclaw/agents/main/agent/auth-profiles.json; then',
+                '  if [ -n "$(sudo jq -r \'.profiles[]?.token // empty\' /home/openclaw/.openclaw/agents/main/agent/auth-profiles.json)" ]; then echo ok; else echo empty-profile; fi',
+                'else',
+                '  echo unknown',
+                'fi'
+            ].join('\n'), 'Checking the API key');
+
+            switch (state) {
+                case 'ok':
+                    return result('ok', 'the gateway has an API key');
+                case 'missing':
+                    return result('broken', `${KEY_FILE} is missing or empty`);
+                case 'empty-profile':
+                    return result('broken', 'auth-profiles.json has no token');
+                default:
+                    return result('skip', 'no known place for the API key on this instance');
+            }
+        },
+
+        // Fetches the key from SSM or Secrets Manager on the instance itself,
+        // so it never appears in a command line or the SSM command history.
+        async fix(context) {
+            const executor = await context.executor();
+            const script = await runRemote(executor, `[ -x ${REFRESH_SCRIPT} ] && echo yes || echo no`, 'Looking for the refresh script');
+
+            if (script !== 'yes') {
+                throw new Error('This instance was not set up by `openclaw deploy`; store the key with `openclaw secrets set` and redeploy');
+            }
+
+            await refreshInstanceSecrets(executor);
+            return 'fetched the key from the secret store and restarted the gateway';
+        },
+
+        verify(context) {
+            return this.detect(context);
+        }
+    }
+];
+
+function selectPlaybooks(ids) {
+    if (!ids || ids.length === 0) {
+        return PLAYBOOKS;
+    }
+
+    const unknown = ids.filter((id) => !PLAYBOOKS.some((playbook) => playbook.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown playbook(s): ${unknown.join(', ')}. Known: ${PLAYBOOKS.map((playbook) => playbook.id).join(', ')}`);
+    }
+    return PLAYBOOKS.filter((playbook) => ids.includes(playbook.id));
+}
+
+// Runs a detector; a failure to look becomes status `error`.
+async function detect(playbook, context) {
+    try {
+        return await playbook.detect(context);
+    } catch (error) {
+        return result('error', error.message);
+    }
+}
+
+// Detects, and when broken fixes and verifies. Resolves with
+// { status, detail, action? } where status is ok, skip, error, fixed or failed.
+async function remediate(playbook, context) {
+    const detection = await detect(playbook, context);
+
+    if (detection.status !== 'broken') {
+        return detection;
+    }
+
+    let action;
+    try {
+        action = await playbook.fix(context);
+    } catch (error) {
+        return { status: 'failed', detail: error.message, found: detection.detail };
+    }
+
+    let verification;
+    try {
+        verification = await playbook.verify(context);
+    } catch (error) {
+        verification = result('error', error.message);
+    }
+
+    return {
+        status: verification.status === 'ok' ? 'fixed' : 'failed',
+        detail: verification.detail,
+        found: detection.detail,
+        action
+    };
+}
+
+module.exports = {
+    PLAYBOOKS,
+    selectPlaybooks,
+    detect,
+    remediate
+};
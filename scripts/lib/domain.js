@@ -0,0 +1,227 @@
+const { runRemoteScript } = require('./remote');
+const { SSL_DIR, ACME_WEBROOT, REMOVE_DEFAULT_SERVERS, INSTALL_PROXY, RELOAD_NGINX } = require('./nginx');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const LETSENCRYPT_LIVE = '/etc/letsencrypt/live';
+const RECORD_TTL = 60;
+
+function trimDot(name) {
+    return name.replace(/\.$/, '');
+}
+
+// The public hosted zone `domain` belongs in: `zoneId` when given, else the
+// one with the longest matching name. Resolves with { id, name }.
+async function findHostedZone(route53, domain, zoneId) {
+    const zones = [];
+
+    if (zoneId) {
+        const { HostedZone } = await route53.getHostedZone({ Id: zoneId }).promise();
+        zones.push(HostedZone);
+    } else {
+        let marker;
+        do {
+            const page = await route53.listHostedZones({ Marker: marker }).promise();
+            zones.push(...page.HostedZones.filter((zone) => !zone.Config || !zone.Config.PrivateZone));
+            marker = page.IsTruncated ? page.NextMarker : undefined;
+        } while (marker);
+    }
+
+    const zone = zones
+        .map((entry) => ({ id: entry.Id.replace(/^\/hostedzone\//, ''), name: trimDot(entry.Name) }))
+        .filter((entry) => domain === entry.name || domain.endsWith(`.${entry.name}`))
+        .sort((a, b) => b.name.length - a.name.length)[0];
+
+    if (!zone) {
+        throw new Error(zoneId
+            ? `Hosted zone ${zoneId} does not contain ${domain}`
+            : `No public Route 53 hosted zone for ${domain}; pass --zone <id>, or --no-dns and create the record yourself`);
+    }
+    return zone;
+}
+
+// Creates or updates one record set and waits until Route 53 serves it.
+async function upsertRecord(route53, zoneId, recordSet) {
+    const { ChangeInfo } = await route53.changeResourceRecordSets({
+        HostedZoneId: zoneId,
+        ChangeBatch: {
+            Comment: 'openclaw domain attach',
+            Changes: [{ Action: 'UPSERT', ResourceRecordSet: recordSet }]
+        }
+    }).promise();
+
+    await route53.waitFor('resourceRecordSetsChanged', { Id: ChangeInfo.Id }).promise();
+}
+
+function addressRecord(domain, ip) {
+    return { Name: domain, Type: 'A', TTL: RECORD_TTL, ResourceRecords: [{ Value: ip }] };
+}
+
+async function loadBalancerAliasRecord(elbv2, domain, loadBalancerArn) {
+    const { LoadBalancers } = await elbv2.describeLoadBalancers({ LoadBalancerArns: [loadBalancerArn] }).promise();
+    const loadBalancer = LoadBalancers[0];
+
+    return {
+        Name: domain,
+        Type: 'A',
+        AliasTarget: {
+            HostedZoneId: loadBalancer.CanonicalHostedZoneId,
+            DNSName: loadBalancer.DNSName,
+            EvaluateTargetHealth: false
+        }
+    };
+}
+
+// One attribute (O, CN) of an openssl distinguished name, else the whole name.
+function nameAttribute(name, attribute) {
+    const match = name && new RegExp(`(?:^|[,/]\\s*)${attribute}\\s*=\\s*([^,/]+)`).exec(name);
+    return match ? match[1].trim() : name;
+}
+
+// Parses `openssl x509 -noout -subject -issuer -enddate` output.
+function parseCertificateInfo(output) {
+    const field = (name) => {
+        const match = new RegExp(`^${name}\\s*=\\s*(.*)$`, 'm').exec(output);
+        return match ? match[1].trim() : null;
+    };
+    const notAfter = field('notAfter');
+
+    return {
+        subject: nameAttribute(field('subject'), 'CN'),
+        issuer: nameAttribute(field('issuer'), 'O'),
+        expiresAt: notAfter ? new Date(notAfter).toISOString() : null
+    };
+}
+
+// On the instance: installs nginx and certbot when missing, puts openclaw.conf
+// in place (it serves the HTTP-01 challenge from ACME_WEBROOT), obtains the
+// certificate and links it where openclaw.conf expects it. certbot's own timer
+// renews it; the deploy hook reloads nginx afterwards.
+function issueCertificateScript({ domain, email, server, insecure }) {
+    const live = `${LETSENCRYPT_LIVE}/${domain}`;
+    const certbot = [
+        'certbot certonly --webroot',
+        `-w ${ACME_WEBROOT}`,
+        `-d ${domain} --cert-name ${domain}`,
+        '--non-interactive --agree-tos --keep-until-expiring',
+        email ? `--email ${email}` : '--register-unsafely-without-email',
+        `--server ${server}`,
+        insecure ? '--no-verify-ssl' : null,
+        '--deploy-hook "systemctl reload nginx"',
+        '>&2'
+    ].filter(Boolean).join(' ');
+
+    // Progress goes to stderr: SSM cuts stdout short, and only the openssl
+    // lines at the end are read back.
+    return [
+        'set -e',
+        'if ! command -v nginx >/dev/null 2>&1 || ! command -v certbot >/dev/null 2>&1; then',
+        '  if command -v apt-get >/dev/null 2>&1; then',
+        '    export DEBIAN_FRONTEND=noninteractive',
+        '    apt-get update -q >&2',
+        '    apt-get install -y -q nginx certbot >&2',
+        '  else',
+        '    dnf install -y -q nginx certbot >&2 || yum install -y -q nginx certbot >&2',
+        '  fi',
+        'fi',
+        REMOVE_DEFAULT_SERVERS,
+        INSTALL_PROXY,
+        RELOAD_NGINX,
+        certbot,
+        // The self-signed pair is kept next to the links.
+        'for file in openclaw.crt openclaw.key; do',
+        `  if [ -f ${SSL_DIR}/$file ] && [ ! -L ${SSL_DIR}/$file ]; then mv ${SSL_DIR}/$file ${SSL_DIR}/$file.self-signed; fi`,
+        'done',
+        `ln -sfn ${live}/fullchain.pem ${SSL_DIR}/openclaw.crt`,
+        `ln -sfn ${live}/privkey.pem ${SSL_DIR}/openclaw.key`,
+        'if ! systemctl enable --now certbot.timer >/dev/null 2>&1 && ! systemctl enable --now certbot-renew.timer >/dev/null 2>&1; then',
+        '  echo "17 3,15 * * * root certbot renew -q" > /etc/cron.d/openclaw-certbot',
+        'fi',
+        RELOAD_NGINX,
+        `openssl x509 -in ${SSL_DIR}/openclaw.crt -noout -subject -issuer -enddate`
+    ].join('\n');
+}
+
+// Resolves with { subject, issuer, expiresAt } of the certificate nginx now serves.
+async function issueCertificate(executor, options) {
+    const output = await runRemoteScript(executor, issueCertificateScript(options),
+        `Getting a certificate for ${options.domain} from ${options.server}`);
+    return parseCertificateInfo(output);
+}
+
+// An ACM certificate for `domain` that is issued or on its way, else a new
+// one validated through DNS. Resolves with its ARN.
+async function findOrRequestCertificate(acm, domain) {
+    let token;
+
+    do {
+        const page = await acm.listCertificates({
+            CertificateStatuses: ['ISSUED', 'PENDING_VALIDATION'],
+            NextToken: token
+        }).promise();
+        const match = page.CertificateSummaryList.find((summary) => summary.DomainName === domain);
+
+        if (match) {
+            return match.CertificateArn;
+        }
+        token = page.NextToken;
+    } while (token);
+
+    const { CertificateArn } = await acm.requestCertificate({
+        DomainName: domain,
+        ValidationMethod: 'DNS',
+        IdempotencyToken: domain.replace(/[^a-z0-9]/g, '').slice(0, 32),
+        Tags: [{ Key: 'Project', Value: 'openclaw' }]
+    }).promise();
+    return CertificateArn;
+}
+
+// ACM adds the validation record to a new certificate shortly after the
+// request. Resolves with { status, record } where record is a CNAME record
+// set, or null once the certificate is issued.
+async function validationRecord(acm, certificateArn, options = {}) {
+    const attempts = options.attempts || 20;
+    const interval = options.interval || 3000;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        const { Certificate } = await acm.describeCertificate({ CertificateArn: certificateArn }).promise();
+        const validation = (Certificate.DomainValidationOptions || [])[0];
+
+        if (Certificate.Status === 'ISSUED') {
+            return { status: Certificate.Status, record: null };
+        }
+        if (validation && validation.ResourceRecord) {
+            const { Name, Type, Value } = validation.ResourceRecord;
+            return {
+                status: Certificate.Status,
+                record: { Name, Type, TTL: 300, ResourceRecords: [{ Value }] }
+            };
+        }
+        await sleep(interval);
+    }
+
+    throw new Error(`ACM has not published the validation record of ${certificateArn} yet; run the command again`);
+}
+
+async function describeAcmCertificate(acm, certificateArn) {
+    const { Certificate } = await acm.describeCertificate({ CertificateArn: certificateArn }).promise();
+
+    return {
+        subject: Certificate.DomainName,
+        issuer: Certificate.Issuer || null,
+        expiresAt: Certificate.NotAfter ? new Date(Certificate.NotAfter).toISOString() : null
+    };
+}
+
+module.exports = {
+    findHostedZone,
+    upsertRecord,
+    addressRecord,
+    loadBalancerAliasRecord,
+    parseCertificateInfo,
+    issueCertificateScript,
+    issueCertificate,
+    findOrRequestCertificate,
+    validationRecord,
+    describeAcmCertificate
+};
@@ -0,0 +1,289 @@
+const { GRANT_PREFIX } = require('./access');
+
+// Resource types compared against the EC2 API in addition to Terraform's refresh.
+const LIVE_CHECKED_TYPES = ['aws_instance', 'aws_security_group', 'aws_key_pair'];
+const LIVE_INSTANCE_STATES = ['pending', 'running', 'stopping', 'stopped'];
+
+// Grants made with `openclaw access` are meant to live outside Terraform.
+function isAccessGrant(rule) {
+    return Boolean(rule.description && rule.description.startsWith(GRANT_PREFIX));
+}
+
+// `proto:from-to:cidr` keys for a Terraform `ingress` list, one per CIDR.
+function stateIngressKeys(ingress = []) {
+    return ingress
+        .filter((rule) => !isAccessGrant(rule))
+        .flatMap((rule) => [...(rule.cidr_blocks || []), ...(rule.ipv6_cidr_blocks || [])]
+            .map((cidr) => `${rule.protocol}:${rule.from_port}-${rule.to_port}:${cidr}`));
+}
+
+// The same keys for EC2 API IpPermissions.
+function liveIngressKeys(permissions = []) {
+    return permissions.flatMap((permission) => {
+        const protocol = permission.IpProtocol;
+        const from = protocol === '-1' ? 0 : permission.FromPort;
+        const to = protocol === '-1' ? 0 : permission.ToPort;
+
+        return [
+            ...(permission.IpRanges || []).map((range) => ({ cidr: range.CidrIp, description: range.Description })),
+            ...(permission.Ipv6Ranges || []).map((range) => ({ cidr: range.CidrIpv6, description: range.Description }))
+        ]
+            .filter((range) => !isAccessGrant(range))
+            .map((range) => `${protocol}:${from}-${to}:${range.cidr}`);
+    });
+}
+
+function topLevelDifferences(before = {}, after = {}) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key])).sort();
+}
+
+// Turns the `resource_drift` of a refresh-only plan (`terraform show -json`)
+// into [{ address, type, id, kind: 'changed'|'deleted', attributes, source }].
+function summarizeRefresh(plan) {
+    const drift = [];
+
+    for (const resource of plan.resource_drift || []) {
+        const { actions, before, after } = resource.change;
+        const deleted = actions.includes('delete');
+        let attributes = deleted ? [] : topLevelDifferences(before, after);
+
+        // Ingress rules added with `openclaw access` are not drift.
+        if (resource.type === 'aws_security_group' && attributes.includes('ingress')) {
+            const beforeKeys = stateIngressKeys(before.ingress).sort();
+            const afterKeys = stateIngressKeys(after.ingress).sort();
+            if (JSON.stringify(beforeKeys) === JSON.stringify(afterKeys)) {
+                attributes = attributes.filter((name) => name !== 'ingress');
+            }
+        }
+
+        if (!deleted && attributes.length === 0) {
+            continue;
+        }
+
+        drift.push({
+            address: resource.address,
+            type: resource.type,
+            id: (before && before.id) || null,
+            kind: deleted ? 'deleted' : 'changed',
+            attributes,
+            source: 'refresh'
+        });
+    }
+
+    return drift;
+}
+
+// Managed resources from `terraform show -json` state, including modules.
+function stateResources(state) {
+    const resources = [];
+    const visit = (module) => {
+        if (!module) {
+            return;
+        }
+        (module.resources || [])
+            .filter((resource) => resource.mode === 'managed')
+            .forEach((resource) => resources.push({ address: resource.address, type: resource.type, values: resource.values }));
+        (module.child_modules || []).forEach(visit);
+    };
+
+    visit(state.values && state.values.root_module);
+    return resources;
+}
+
+// Resource addresses declared in the configuration of a plan, for matching
+// unmanaged resources to an import target.
+function configuredAddresses(plan) {
+    const addresses = [];
+    const visit = (module, prefix) => {
+        if (!module) {
+            return;
+        }
+        (module.resources || [])
+            .filter((resource) => resource.mode === 'managed')
+            .forEach((resource) => addresses.push({
+                address: `${prefix}${resource.address}`,
+                type: resource.type,
+                counted: Boolean(resource.count_expression || resource.for_each_expression)
+            }));
+        Object.entries(module.module_calls || {})
+            .forEach(([name, call]) => visit(call.module, `${prefix}module.${name}.`));
+    };
+
+    visit(plan.configuration && plan.configuration.root_module, '');
+    return addresses;
+}
+
+async function describeInstance(ec2, id) {
+    try {
+        const result = await ec2.describeInstances({ InstanceIds: [id] }).promise();
+        const reservation = result.Reservations[0];
+        return (reservation && reservation.Instances[0]) || null;
+    } catch (error) {
+        if (error.code === 'InvalidInstanceID.NotFound') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function describeSecurityGroup(ec2, id) {
+    try {
+        const result = await ec2.describeSecurityGroups({ GroupIds: [id] }).promise();
+        return result.SecurityGroups[0] || null;
+    } catch (error) {
+        if (error.code === 'InvalidGroup.NotFound') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function describeKeyPair(ec2, name) {
+    try {
+        const result = await ec2.describeKeyPairs({ KeyNames: [name] }).promise();
+        return result.KeyPairs[0] || null;
+    } catch (error) {
+        if (error.code === 'InvalidKeyPair.NotFound') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Compares one state resource with what the EC2 API reports. Returns a drift
+// entry, or null when they match.
+async function compareLive(ec2, resource) {
+    const { address, type, values } = resource;
+    const entry = (kind, attributes, details = {}) =>
+        ({ address, type, id: values.id, kind, attributes, source: 'ec2', ...details });
+
+    if (type === 'aws_instance') {
+        const instance = await describeInstance(ec2, values.id);
+        if (!instance || ['shutting-down', 'terminated'].includes(instance.State.Name)) {
+            return entry('deleted', []);
+        }
+
+        const attributes = [];
+        if (instance.InstanceType !== values.instance_type) {
+            attributes.push('instance_type');
+        }
+        const liveGroups = instance.SecurityGroups.map((group) => group.GroupId).sort();
+        if (JSON.stringify(liveGroups) !== JSON.stringify([...(values.vpc_security_group_ids || [])].sort())) {
+            attributes.push('vpc_security_group_ids');
+        }
+        if (values.instance_state && instance.State.Name !== values.instance_state) {
+            attributes.push('instance_state');
+        }
+        return attributes.length > 0 ? entry('changed', attributes) : null;
+    }
+
+    if (type === 'aws_security_group') {
+        const group = await describeSecurityGroup(ec2, values.id);
+        if (!group) {
+            return entry('deleted', []);
+        }
+
+        const stateKeys = new Set(stateIngressKeys(values.ingress));
+        const liveKeys = new Set(liveIngressKeys(group.IpPermissions));
+        const added = [...liveKeys].filter((key) => !stateKeys.has(key));
+        const removed = [...stateKeys].filter((key) => !liveKeys.has(key));
+
+        return added.length + removed.length > 0
+            ? entry('changed', ['ingress'], { ingress: { added, removed } })
+            : null;
+    }
+
+    if (type === 'aws_key_pair') {
+        const keyPair = await describeKeyPair(ec2, values.key_name);
+        if (!keyPair) {
+            return entry('deleted', []);
+        }
+        return values.fingerprint && keyPair.KeyFingerprint !== values.fingerprint
+            ? entry('changed', ['fingerprint'])
+            : null;
+    }
+
+    return null;
+}
+
+// Instances, security groups and key pairs tagged with the project that no
+// state resource refers to. Instances launched by an Auto Scaling group and
+// resources tagged for another environment are left out.
+async function findUnmanaged(ec2, options) {
+    const { projects, environment, known } = options;
+    const filters = [{ Name: 'tag:Project', Values: projects }];
+    const otherEnvironment = (tags = []) => {
+        const tag = tags.find((entry) => entry.Key === 'Environment');
+        return Boolean(tag && tag.Value !== environment);
+    };
+    const unmanaged = [];
+
+    const instances = await ec2.describeInstances({
+        Filters: [...filters, { Name: 'instance-state-name', Values: LIVE_INSTANCE_STATES }]
+    }).promise();
+    instances.Reservations.flatMap((reservation) => reservation.Instances)
+        .filter((instance) => !known.has(instance.InstanceId))
+        .filter((instance) => !instance.Tags.some((tag) => tag.Key === 'aws:autoscaling:groupName'))
+        .filter((instance) => !otherEnvironment(instance.Tags))
+        .forEach((instance) => unmanaged.push({
+            type: 'aws_instance',
+            id: instance.InstanceId,
+            name: (instance.Tags.find((tag) => tag.Key === 'Name') || {}).Value || null,
+            detail: `${instance.InstanceType}, ${instance.State.Name}, launched ${new Date(instance.LaunchTime).toISOString()}`
+        }));
+
+    const groups = await ec2.describeSecurityGroups({ Filters: filters }).promise();
+    groups.SecurityGroups
+        .filter((group) => !known.has(group.GroupId) && !otherEnvironment(group.Tags))
+        .forEach((group) => unmanaged.push({
+            type: 'aws_security_group',
+            id: group.GroupId,
+            name: group.GroupName,
+            detail: group.Description
+        }));
+
+    const keyPairs = await ec2.describeKeyPairs({ Filters: filters }).promise();
+    keyPairs.KeyPairs
+        .filter((keyPair) => !known.has(keyPair.KeyName) && !known.has(keyPair.KeyPairId) && !otherEnvironment(keyPair.Tags))
+        .forEach((keyPair) => unmanaged.push({
+            type: 'aws_key_pair',
+            id: keyPair.KeyName,
+            name: keyPair.KeyName,
+            detail: keyPair.KeyFingerprint
+        }));
+
+    return unmanaged;
+}
+
+// Merges refresh and EC2 findings for the same address.
+function mergeDrift(...lists) {
+    const byAddress = new Map();
+
+    for (const entry of lists.flat()) {
+        const existing = byAddress.get(entry.address);
+        if (!existing) {
+            byAddress.set(entry.address, { ...entry, sources: [entry.source] });
+            continue;
+        }
+
+        existing.kind = existing.kind === 'deleted' || entry.kind === 'deleted' ? 'deleted' : 'changed';
+        existing.attributes = [...new Set([...existing.attributes, ...entry.attributes])].sort();
+        existing.sources = [...new Set([...existing.sources, entry.source])];
+        if (entry.ingress) {
+            existing.ingress = entry.ingress;
+        }
+    }
+
+    return [...byAddress.values()].map(({ source, ...entry }) => entry);
+}
+
+module.exports = {
+    LIVE_CHECKED_TYPES,
+    summarizeRefresh,
+    stateResources,
+    configuredAddresses,
+    compareLive,
+    findUnmanaged,
+    mergeDrift
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { TerraformRunner } = require('./terraform');
+const {
+    CONFIG_SCHEMA,
+    ConfigError,
+    findConfigFile,
+    readConfigFile,
+    validateLayer,
+    envLayer,
+    flagLayer,
+    defaultLayer,
+    mergeLayers
+} = require('./config');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const ENVIRONMENTS_DIR = path.join(PROJECT_ROOT, 'environments');
+const DEFAULT_ENVIRONMENT = 'default';
+const ENVIRONMENT_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+function validateEnvironmentName(name) {
+    if (!ENVIRONMENT_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid environment name "${name}": use lowercase letters, digits and dashes`);
+    }
+}
+
+function getConfigPath(name) {
+    return path.join(ENVIRONMENTS_DIR, `${name}.json`);
+}
+
+// Directory for local, per-environment files such as saved private keys.
+function getStateDir(name) {
+    return name === DEFAULT_ENVIRONMENT ? PROJECT_ROOT : path.join(ENVIRONMENTS_DIR, name);
+}
+
+function readEnvironmentConfig(name) {
+    const configPath = getConfigPath(name);
+
+    if (!fs.existsSync(configPath)) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${configPath}: ${error.message}`);
+    }
+}
+
+function writeEnvironmentConfig(name, config) {
+    validateEnvironmentName(name);
+    fs.mkdirSync(ENVIRONMENTS_DIR, { recursive: true });
+
+    const settings = Object.fromEntries(Object.keys(CONFIG_SCHEMA)
+        .filter((key) => config[key] !== undefined && !CONFIG_SCHEMA[key].secret)
+        .map((key) => [key, config[key]]));
+
+    fs.writeFileSync(getConfigPath(name), `${JSON.stringify(settings, null, 2)}\n`);
+    return getConfigPath(name);
+}
+
+// Reads openclaw.config.{json,yaml}, split into top-level settings and the
+// optional `environments` section of per-environment overrides.
+function readProjectConfig(configFile) {
+    const { environments = {}, ...settings } = readConfigFile(configFile);
+    const source = configFile ? path.relative(process.cwd(), configFile) : null;
+
+    if (typeof environments !== 'object' || Array.isArray(environments)) {
+        throw new ConfigError(['environments must map environment names to settings'], source);
+    }
+
+    return { source, settings, environments };
+}
+
+// Resolves and validates an environment's settings. Layers, lowest to highest
+// precedence: built-in defaults, environment variables (.env), the project
+// config file, its `environments.<name>` section, environments/<name>.json,
+// then command-line flags. The default environment keeps the historical key
+// name so existing deployments are found where they were created; named
+// environments get their own key pair and project name.
+function resolveEnvironment(name = DEFAULT_ENVIRONMENT, flags = {}) {
+    validateEnvironmentName(name);
+
+    const isDefault = name === DEFAULT_ENVIRONMENT;
+    const configFile = flags.config ? path.resolve(flags.config) : findConfigFile();
+    const project = readProjectConfig(configFile);
+    const fromEnv = validateLayer(envLayer(), 'environment variables');
+
+    if (!isDefault) {
+        delete fromEnv.keyName;
+    }
+
+    const config = mergeLayers(
+        defaultLayer(),
+        isDefault ? {} : { keyName: `openclaw-${name}-key`, projectName: `openclaw-${name}` },
+        fromEnv,
+        validateLayer(project.settings, project.source),
+        validateLayer(project.environments[name] || {}, project.source && `${project.source}, environments.${name}`),
+        validateLayer(readEnvironmentConfig(name), path.relative(process.cwd(), getConfigPath(name))),
+        validateLayer(flagLayer(flags), 'command-line flags')
+    );
+
+    return {
+        name,
+        ...config,
+        keyPath: path.join(getStateDir(name), `${config.keyName}.pem`)
+    };
+}
+
+// Each environment maps to a Terraform workspace of the same name.
+function createTerraformRunner(environment, flags = {}) {
+    return new TerraformRunner({
+        dir: flags.dir,
+        workspace: environment.name,
+        config: {
+            ...environment,
+            environment: environment.name === DEFAULT_ENVIRONMENT ? undefined : environment.name
+        }
+    });
+}
+
+// Lists environments that have a config file or section, or a Terraform workspace.
+async function listEnvironments(terraform) {
+    const names = new Set([DEFAULT_ENVIRONMENT]);
+
+    Object.keys(readProjectConfig(findConfigFile()).environments).forEach((name) => names.add(name));
+
+    if (fs.existsSync(ENVIRONMENTS_DIR)) {
+        fs.readdirSync(ENVIRONMENTS_DIR)
+            .filter((file) => file.endsWith('.json'))
+            .forEach((file) => names.add(path.basename(file, '.json')));
+    }
+
+    for (const workspace of await terraform.listWorkspaces()) {
+        names.add(workspace);
+    }
+
+    return [...names].sort();
+}
+
+module.exports = {
+    ENVIRONMENTS_DIR,
+    DEFAULT_ENVIRONMENT,
+    getConfigPath,
+    getStateDir,
+    readEnvironmentConfig,
+    writeEnvironmentConfig,
+    resolveEnvironment,
+    createTerraformRunner,
+    listEnvironments
+};
@@ -0,0 +1,116 @@
+// Read-only views of the scaled stack (compute.tf, load-balancer.tf and
+// frontend.tf): the Auto Scaling group, the health of its load balancer
+// targets, the alarms watching them and the CloudFront distribution.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function describeGroup(autoscaling, groupName) {
+    const { AutoScalingGroups } = await autoscaling.describeAutoScalingGroups({ AutoScalingGroupNames: [groupName] }).promise();
+    const group = AutoScalingGroups[0];
+
+    if (!group) {
+        return null;
+    }
+
+    const instances = group.Instances.map((instance) => ({
+        id: instance.InstanceId,
+        lifecycle: instance.LifecycleState,
+        health: instance.HealthStatus,
+        availabilityZone: instance.AvailabilityZone
+    }));
+
+    return {
+        name: group.AutoScalingGroupName,
+        min: group.MinSize,
+        max: group.MaxSize,
+        desired: group.DesiredCapacity,
+        inService: instances.filter((instance) => instance.lifecycle === 'InService').length,
+        instances
+    };
+}
+
+async function targetHealth(elbv2, targetGroupArn) {
+    const result = await elbv2.describeTargetHealth({ TargetGroupArn: targetGroupArn }).promise();
+    const targets = result.TargetHealthDescriptions
+        .filter((entry) => entry.TargetHealth.State !== 'draining')
+        .map((entry) => ({ id: entry.Target.Id, state: entry.TargetHealth.State, reason: entry.TargetHealth.Reason }));
+
+    return { healthy: targets.filter((target) => target.state === 'healthy').length, targets };
+}
+
+// Waits until `expected` targets are healthy and none are failing. Resolves
+// with { ok, healthy, targets }.
+async function waitForTargets(elbv2, targetGroupArn, expected, options = {}) {
+    const attempts = options.attempts || 20;
+    const interval = options.interval || 15000;
+    let health = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        health = await targetHealth(elbv2, targetGroupArn);
+
+        if (health.healthy >= expected && health.healthy === health.targets.length) {
+            return { ok: true, ...health };
+        }
+        if (attempt < attempts) {
+            await sleep(interval);
+        }
+    }
+
+    return { ok: false, ...health };
+}
+
+// CloudWatch dimension values: `app/<name>/<id>` for a load balancer and
+// `targetgroup/<name>/<id>` for a target group (Terraform's arn_suffix).
+function arnSuffix(arn) {
+    return arn ? arn.split(':').pop().replace(/^loadbalancer\//, '') : null;
+}
+
+// Alarms whose dimensions point at the load balancer, its target group or the
+// Auto Scaling group, whatever they are named.
+async function findAlarms(cloudwatch, resources) {
+    const wanted = {
+        LoadBalancer: arnSuffix(resources.loadBalancerArn),
+        TargetGroup: arnSuffix(resources.targetGroupArn),
+        AutoScalingGroupName: resources.groupName
+    };
+    const alarms = [];
+    let nextToken;
+
+    do {
+        const page = await cloudwatch.describeAlarms({ AlarmTypes: ['MetricAlarm'], NextToken: nextToken }).promise();
+        alarms.push(...page.MetricAlarms);
+        nextToken = page.NextToken;
+    } while (nextToken);
+
+    return alarms
+        .filter((alarm) => (alarm.Dimensions || []).some((dimension) => wanted[dimension.Name] && wanted[dimension.Name] === dimension.Value))
+        .map((alarm) => ({
+            name: alarm.AlarmName,
+            metric: alarm.MetricName,
+            state: alarm.StateValue,
+            reason: alarm.StateReason,
+            since: alarm.StateUpdatedTimestamp
+        }));
+}
+
+async function describeDistribution(cloudfront, distributionId) {
+    const { Distribution } = await cloudfront.getDistribution({ Id: distributionId }).promise();
+
+    return {
+        id: Distribution.Id,
+        status: Distribution.Status,
+        enabled: Distribution.DistributionConfig.Enabled,
+        domainName: Distribution.DomainName,
+        aliases: Distribution.DistributionConfig.Aliases ? Distribution.DistributionConfig.Aliases.Items || [] : [],
+        url: `https://${Distribution.DomainName}`
+    };
+}
+
+module.exports = {
+    describeGroup,
+    targetHealth,
+    waitForTargets,
+    arnSuffix,
+    findAlarms,
+    describeDistribution
+};
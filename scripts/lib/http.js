@@ -0,0 +1,64 @@
+const http = require('http');
+const https = require('https');
+
+// GET a URL and resolve with { statusCode, headers, body }. Network errors and
+// timeouts reject, so callers can tell "unreachable" from "bad response".
+// `insecure` skips certificate verification for https URLs (self-signed nginx).
+function httpGet(url, options = {}) {
+    const timeout = options.timeout || 10000;
+    const client = url.startsWith('https:') ? https : http;
+    const requestOptions = { timeout, headers: options.headers };
+
+    if (client === https && options.insecure) {
+        requestOptions.rejectUnauthorized = false;
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = client.get(url, requestOptions, (res) => {
+            let body = '';
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+        });
+
+        req.on('error', reject);
+
+        req.on('timeout', () => {
+            req.destroy(new Error(`Request timed out after ${timeout}ms`));
+        });
+    });
+}
+
+// POST a JSON document and resolve like httpGet. Responses of any status
+// resolve; callers decide what counts as delivered.
+function httpPost(url, document, options = {}) {
+    const timeout = options.timeout || 10000;
+    const client = url.startsWith('https:') ? https : http;
+    const payload = JSON.stringify(document);
+    const requestOptions = {
+        method: 'POST',
+        timeout,
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+            ...options.headers
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, requestOptions, (res) => {
+            let body = '';
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+        });
+
+        req.on('error', reject);
+
+        req.on('timeout', () => {
+            req.destroy(new Error(`Request timed out after ${timeout}ms`));
+        });
+
+        req.end(payload);
+    });
+}
+
+module.exports = { httpGet, httpPost };
@@ -0,0 +1,288 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const inquirer = require('inquirer');
+const { isJsonMode } = require('./output');
+
+const KEYSTORE_PATH = path.join(os.homedir(), '.openclaw', 'keystore.json');
+const KEYCHAIN_SERVICE = 'openclaw';
+const PASSPHRASE_ENV = 'OPENCLAW_KEYSTORE_PASSPHRASE';
+
+// Runs a command with `input` on stdin and resolves with { stdout, code }.
+function runWithInput(command, args, input) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(command, args, { stdio: ['pipe', 'pipe', 'ignore'] });
+        let stdout = '';
+
+        proc.stdout.on('data', (chunk) => stdout += chunk);
+        proc.on('error', reject);
+        proc.on('close', (code) => resolve({ stdout: stdout.trim(), code }));
+        proc.stdin.end(input);
+    });
+}
+
+// Plain PEM files with 0600 permissions, one directory per environment.
+class FileKeyStorage {
+    constructor(options) {
+        this.type = 'file';
+        this.dir = options.dir;
+    }
+
+    pathFor(name) {
+        return path.join(this.dir, `${name}.pem`);
+    }
+
+    describe(name) {
+        return this.pathFor(name);
+    }
+
+    async save(name, pem) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.pathFor(name), pem.endsWith('\n') ? pem : `${pem}\n`, { mode: 0o600 });
+        // writeFileSync only applies the mode to new files.
+        fs.chmodSync(this.pathFor(name), 0o600);
+    }
+
+    async load(name) {
+        return fs.existsSync(this.pathFor(name)) ? fs.readFileSync(this.pathFor(name), 'utf8') : null;
+    }
+
+    async remove(name) {
+        if (!fs.existsSync(this.pathFor(name))) {
+            return false;
+        }
+        fs.rmSync(this.pathFor(name));
+        return true;
+    }
+}
+
+// One JSON file for all environments, each key sealed with AES-256-GCM under
+// a scrypt-derived key. The passphrase comes from $OPENCLAW_KEYSTORE_PASSPHRASE
+// or a prompt.
+class EncryptedKeyStorage {
+    constructor(options) {
+        this.type = 'keystore';
+        this.file = options.file || KEYSTORE_PATH;
+        this.scope = options.scope;
+        this.passphrase = options.passphrase || process.env[PASSPHRASE_ENV] || null;
+    }
+
+    describe(name) {
+        return `${this.file} (${this.scope}/${name})`;
+    }
+
+    async getPassphrase() {
+        if (this.passphrase) {
+            return this.passphrase;
+        }
+        if (isJsonMode() || !process.stdin.isTTY) {
+            throw new Error(`The keystore needs a passphrase: set ${PASSPHRASE_ENV}`);
+        }
+
+        const { passphrase } = await inquirer.prompt([
+            { type: 'password', name: 'passphrase', message: `Keystore passphrase (${this.file}):`, mask: '*' }
+        ]);
+        this.passphrase = passphrase;
+        return passphrase;
+    }
+
+    read() {
+        if (!fs.existsSync(this.file)) {
+            return { version: 1, keys: {} };
+        }
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+
+    write(store) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this.file, `${JSON.stringify(store, null, 2)}\n`, { mode: 0o600 });
+    }
+
+    async save(name, pem) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = crypto.scryptSync(await this.getPassphrase(), salt, 32);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+
+        const store = this.read();
+        store.keys[`${this.scope}/${name}`] = {
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+            savedAt: new Date().toISOString()
+        };
+        this.write(store);
+    }
+
+    async load(name) {
+        const entry = this.read().keys[`${this.scope}/${name}`];
+        if (!entry) {
+            return null;
+        }
+
+        const key = crypto.scryptSync(await this.getPassphrase(), Buffer.from(entry.salt, 'base64'), 32);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+
+        try {
+            return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error(`Could not decrypt ${this.scope}/${name}: wrong keystore passphrase?`);
+        }
+    }
+
+    async remove(name) {
+        const store = this.read();
+        if (!store.keys[`${this.scope}/${name}`]) {
+            return false;
+        }
+        delete store.keys[`${this.scope}/${name}`];
+        this.write(store);
+        return true;
+    }
+}
+
+// The OS keychain: `security` on macOS, libsecret's `secret-tool` on Linux.
+// Keys are stored base64-encoded and passed on stdin, never on the command line.
+class KeychainKeyStorage {
+    constructor(options) {
+        this.type = 'keychain';
+        this.scope = options.scope;
+        this.platform = options.platform || process.platform;
+
+        if (!['darwin', 'linux'].includes(this.platform)) {
+            throw new Error(`keyStorage "keychain" is not supported on ${this.platform}; use "keystore"`);
+        }
+    }
+
+    account(name) {
+        return `${this.scope}/${name}`;
+    }
+
+    describe(name) {
+        return `${this.platform === 'darwin' ? 'macOS Keychain' : 'Secret Service'} (${KEYCHAIN_SERVICE}: ${this.account(name)})`;
+    }
+
+    async save(name, pem) {
+        const secret = Buffer.from(pem).toString('base64');
+        const result = this.platform === 'darwin'
+            ? await runWithInput('security', ['-i'],
+                `add-generic-password -U -s ${KEYCHAIN_SERVICE} -a ${this.account(name)} -w ${secret}\n`)
+            : await runWithInput('secret-tool', ['store', `--label=OpenClaw ${this.account(name)}`,
+                'service', KEYCHAIN_SERVICE, 'account', this.account(name)], secret);
+
+        if (result.code !== 0) {
+            throw new Error(`Could not store ${this.account(name)} in the keychain`);
+        }
+    }
+
+    async load(name) {
+        const result = this.platform === 'darwin'
+            ? await runWithInput('security', ['find-generic-password', '-s', KEYCHAIN_SERVICE, '-a', this.account(name), '-w'], '')
+            : await runWithInput('secret-tool', ['lookup', 'service', KEYCHAIN_SERVICE, 'account', this.account(name)], '');
+
+        return result.code === 0 && result.stdout ? Buffer.from(result.stdout, 'base64').toString('utf8') : null;
+    }
+
+    async remove(name) {
+        const result = this.platform === 'darwin'
+            ? await runWithInput('security', ['delete-generic-password', '-s', KEYCHAIN_SERVICE, '-a', this.account(name)], '')
+            : await runWithInput('secret-tool', ['clear', 'service', KEYCHAIN_SERVICE, 'account', this.account(name)], '');
+
+        return result.code === 0;
+    }
+}
+
+// Storage for an environment's keys, chosen by its `keyStorage` setting.
+// File storage keeps the historical location (environment.keyPath).
+function createKeyStorage(environment) {
+    switch (environment.keyStorage || 'file') {
+        case 'file':
+            return new FileKeyStorage({ dir: path.dirname(environment.keyPath) });
+        case 'keystore':
+            return new EncryptedKeyStorage({ scope: environment.name });
+        case 'keychain':
+            return new KeychainKeyStorage({ scope: environment.name });
+        default:
+            throw new Error(`Unknown keyStorage "${environment.keyStorage}"`);
+    }
+}
+
+// Removes a temporary key directory when the process exits, including on
+// an uncaught error (which still emits 'exit') and on Ctrl+C or SIGTERM,
+// which do not. A signal nobody else handles is raised again afterwards so
+// the process still ends; commands such as `logs --follow` that stop
+// gracefully on their own keep doing so.
+function removeOnExit(dir) {
+    const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+    const onSignal = (signal) => {
+        cleanup();
+        if (process.listenerCount(signal) === 0) {
+            process.kill(process.pid, signal);
+        }
+    };
+
+    process.once('exit', cleanup);
+    ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((signal) => process.once(signal, onSignal));
+}
+
+// Returns a path ssh can use for the environment's key. Keys held in the
+// keystore or keychain are written to a private temporary file that is
+// removed when the process exits or is interrupted.
+async function resolveKeyPath(environment) {
+    const storage = createKeyStorage(environment);
+
+    if (storage.type === 'file') {
+        return environment.keyPath;
+    }
+
+    const pem = await storage.load(environment.keyName);
+    if (!pem) {
+        return environment.keyPath;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-key-'));
+    const keyPath = path.join(dir, `${environment.keyName}.pem`);
+    fs.writeFileSync(keyPath, pem, { mode: 0o600 });
+    removeOnExit(dir);
+    return keyPath;
+}
+
+// Converts a PEM RSA key (private or public) to an OpenSSH public key line.
+function publicKeyFromPem(pem, comment = '') {
+    const jwk = crypto.createPublicKey(pem).export({ format: 'jwk' });
+    const field = (buffer) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(buffer.length);
+        return Buffer.concat([length, buffer]);
+    };
+    // SSH mpints are signed: a leading 0 byte keeps the high bit clear.
+    const mpint = (base64url) => {
+        const bytes = Buffer.from(base64url, 'base64url');
+        return field(bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+    };
+
+    const blob = Buffer.concat([field(Buffer.from('ssh-rsa')), mpint(jwk.e), mpint(jwk.n)]);
+    return `ssh-rsa ${blob.toString('base64')}${comment ? ` ${comment}` : ''}`;
+}
+
+// SHA256 fingerprint in the format `ssh-keygen -l` prints.
+function fingerprint(publicKey) {
+    const blob = Buffer.from(publicKey.split(' ')[1], 'base64');
+    return `SHA256:${crypto.createHash('sha256').update(blob).digest('base64').replace(/=+$/, '')}`;
+}
+
+module.exports = {
+    KEYSTORE_PATH,
+    FileKeyStorage,
+    EncryptedKeyStorage,
+    KeychainKeyStorage,
+    createKeyStorage,
+    resolveKeyPath,
+    publicKeyFromPem,
+    fingerprint
+};
@@ -0,0 +1,262 @@
+const chalk = require('chalk');
+const { streamSsh } = require('./ssh');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// `--process` names and the PM2 apps / CloudWatch stream suffixes they select.
+const PROCESS_ALIASES = {
+    openclaw: { pm2: 'openclaw-gateway', cloudwatch: 'gateway' },
+    gateway: { pm2: 'openclaw-gateway', cloudwatch: 'gateway' },
+    'openclaw-gateway': { pm2: 'openclaw-gateway', cloudwatch: 'gateway' },
+    'health-check': { pm2: 'health-check', cloudwatch: null },
+    bootstrap: { pm2: null, cloudwatch: 'bootstrap' }
+};
+
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:\s?(?:Z|[+-]\d{2}:?\d{2}))?):?\s+(.*)$/;
+// `pm2 logs` prefixes each line with "<id>|<app> | ".
+const PM2_PREFIX_PATTERN = /^\d+\|([\w.-]+)\s*\|\s?(.*)$/;
+
+// Accepts a duration ago (30s, 10m, 2h, 1d) or anything Date.parse understands.
+function parseSince(value) {
+    if (!value) {
+        return null;
+    }
+
+    const match = /^(\d+)([smhd])$/.exec(value);
+    if (match) {
+        const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2]];
+        return Date.now() - Number(match[1]) * unit;
+    }
+
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+        throw new Error(`Invalid --since value "${value}": use e.g. 15m, 2h, 1d or an ISO date`);
+    }
+    return parsed;
+}
+
+function resolveProcess(name, source) {
+    if (!name) {
+        return null;
+    }
+
+    const alias = PROCESS_ALIASES[name];
+    if (!alias) {
+        return name;
+    }
+    if (!alias[source]) {
+        throw new Error(`Process "${name}" has no ${source} logs`);
+    }
+    return alias[source];
+}
+
+// Splits an optional leading timestamp off a log message.
+function splitTimestamp(message) {
+    const match = TIMESTAMP_PATTERN.exec(message);
+    if (!match) {
+        return { timestamp: null, message };
+    }
+
+    const parsed = Date.parse(match[1].replace(' ', 'T').replace(/ ([+-])/, '$1'));
+    return Number.isNaN(parsed)
+        ? { timestamp: null, message }
+        : { timestamp: new Date(parsed).toISOString(), message: match[2] };
+}
+
+// Parses one line of `pm2 logs` output; returns null for PM2's own banners.
+function parsePm2Line(line) {
+    const match = PM2_PREFIX_PATTERN.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    return { process: match[1], ...splitTimestamp(match[2]) };
+}
+
+class LogFilter {
+    constructor(options = {}) {
+        this.since = options.since || null;
+        this.grep = options.grep ? new RegExp(options.grep, 'i') : null;
+    }
+
+    // Entries without a timestamp cannot be placed in time and always pass --since.
+    matches(entry) {
+        if (this.since && entry.timestamp && Date.parse(entry.timestamp) < this.since) {
+            return false;
+        }
+        return !this.grep || this.grep.test(entry.message);
+    }
+}
+
+function printEntry(entry, json) {
+    if (json) {
+        process.stdout.write(`${JSON.stringify(entry)}\n`);
+        return;
+    }
+
+    const time = entry.timestamp ? chalk.gray(entry.timestamp) : chalk.gray('-'.padEnd(24));
+    process.stdout.write(`${time} ${chalk.cyan(entry.process.padEnd(18))} ${entry.message}\n`);
+}
+
+// Streams `pm2 logs` over SSH. With `follow`, reconnects whenever the
+// connection drops, re-resolving the target so a replaced instance is
+// picked up.
+class Pm2LogStreamer {
+    constructor(options) {
+        this.resolveTarget = options.resolveTarget;
+        this.keyPath = options.keyPath;
+        this.filter = options.filter;
+        this.process = resolveProcess(options.process, 'pm2');
+        this.follow = options.follow;
+        this.lines = options.lines === undefined ? 100 : options.lines;
+        this.json = options.json;
+        this.stopped = false;
+        this.connection = null;
+    }
+
+    buildCommand() {
+        const app = this.process ? ` ${this.process}` : '';
+        return `sudo -u openclaw pm2 logs${app} --lines ${this.lines}${this.follow ? '' : ' --nostream'}`;
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.connection) {
+            this.connection.kill();
+        }
+    }
+
+    async run() {
+        let delay = 2000;
+        let current = null;
+
+        while (!this.stopped) {
+            let target;
+            try {
+                target = await this.resolveTarget();
+            } catch (error) {
+                if (!this.follow) {
+                    throw error;
+                }
+                console.error(chalk.yellow(`⚠️  ${error.message}; retrying in ${delay / 1000}s`));
+                await sleep(delay);
+                delay = Math.min(delay * 2, 60000);
+                continue;
+            }
+
+            if (current && current.instanceId !== target.instanceId) {
+                console.error(chalk.yellow(`🔄 Instance replaced: ${current.instanceId} → ${target.instanceId}`));
+            }
+            current = target;
+
+            const connectedAt = Date.now();
+            this.connection = streamSsh(target.host, this.keyPath, this.buildCommand(), (line) => {
+                const parsed = parsePm2Line(line);
+                if (!parsed) {
+                    return;
+                }
+
+                const entry = { source: 'pm2', instanceId: target.instanceId, ...parsed };
+                if (this.filter.matches(entry)) {
+                    printEntry(entry, this.json);
+                }
+            });
+
+            const code = await this.connection;
+            this.connection = null;
+
+            if (!this.follow || this.stopped) {
+                if (code !== 0 && !this.stopped) {
+                    throw new Error(`ssh exited with code ${code}`);
+                }
+                return;
+            }
+
+            // A connection that stayed up for a while resets the backoff.
+            delay = Date.now() - connectedAt > 60000 ? 2000 : Math.min(delay * 2, 60000);
+            console.error(chalk.yellow(`⚠️  Log stream disconnected (code ${code}); reconnecting in ${delay / 1000}s`));
+            await sleep(delay);
+            // Only history since the drop is wanted after a reconnect.
+            this.lines = 0;
+        }
+    }
+}
+
+// Reads the ASG stack's CloudWatch log group. Streams are named
+// "<instance-id>/<name>", so new instances show up without reconnecting.
+class CloudWatchLogStreamer {
+    constructor(options) {
+        this.logs = options.logs;
+        this.logGroupName = options.logGroupName;
+        this.filter = options.filter;
+        this.process = resolveProcess(options.process, 'cloudwatch');
+        this.follow = options.follow;
+        this.json = options.json;
+        this.pollInterval = options.pollInterval || 5000;
+        this.stopped = false;
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    toEntry(event) {
+        const [instanceId, streamName = event.logStreamName] = event.logStreamName.split('/');
+        return {
+            source: 'cloudwatch',
+            instanceId,
+            process: streamName,
+            timestamp: new Date(event.timestamp).toISOString(),
+            message: event.message.replace(/\n$/, '')
+        };
+    }
+
+    async run() {
+        // Without --since: the last hour, or the last five minutes when following.
+        let startTime = this.filter.since || Date.now() - (this.follow ? 300000 : 3600000);
+        let seenAtStart = new Set();
+
+        do {
+            let nextToken;
+
+            do {
+                const result = await this.logs.filterLogEvents({
+                    logGroupName: this.logGroupName,
+                    startTime,
+                    nextToken
+                }).promise();
+
+                for (const event of result.events || []) {
+                    if (event.timestamp === startTime && seenAtStart.has(event.eventId)) {
+                        continue;
+                    }
+                    if (event.timestamp > startTime) {
+                        startTime = event.timestamp;
+                        seenAtStart = new Set();
+                    }
+                    seenAtStart.add(event.eventId);
+
+                    const entry = this.toEntry(event);
+                    if ((!this.process || entry.process === this.process) && this.filter.matches(entry)) {
+                        printEntry(entry, this.json);
+                    }
+                }
+
+                nextToken = result.nextToken;
+            } while (nextToken && !this.stopped);
+
+            if (this.follow && !this.stopped) {
+                await sleep(this.pollInterval);
+            }
+        } while (this.follow && !this.stopped);
+    }
+}
+
+module.exports = {
+    PROCESS_ALIASES,
+    parseSince,
+    parsePm2Line,
+    LogFilter,
+    Pm2LogStreamer,
+    CloudWatchLogStreamer
+};
@@ -0,0 +1,154 @@
+// nginx in front of the gateway, as `openclaw doctor` repairs it and
+// `openclaw domain attach` sets it up. Everything here is shell, run as root
+// through runRemoteScript (see remote.js).
+
+const NGINX_CONF = '/etc/nginx/nginx.conf';
+const PROXY_CONF = '/etc/nginx/conf.d/openclaw.conf';
+const WEBSOCKET_MAP_CONF = '/etc/nginx/conf.d/openclaw-websocket-map.conf';
+// openclaw.crt and openclaw.key: self-signed, or links to a certificate from
+// `openclaw domain attach`, so rewriting openclaw.conf never loses the latter.
+const SSL_DIR = '/etc/nginx/ssl';
+// Served on port 80 for ACME HTTP-01 challenges.
+const ACME_WEBROOT = '/var/www/openclaw-acme';
+// Backups are taken once, before the first change, and never overwritten.
+const BACKUP_SUFFIX = '.openclaw-doctor.bak';
+
+const PROXY_CONFIG = `# Written by \`openclaw doctor\` and \`openclaw domain attach\`: HTTPS in
+# front of the gateway on 8080, including WebSocket upgrades for the control UI.
+server {
+    listen 80 default_server;
+    listen [::]:80 default_server;
+    server_name _;
+
+    location /.well-known/acme-challenge/ {
+        root ${ACME_WEBROOT};
+    }
+
+    location / {
+        return 301 https://$host$request_uri;
+    }
+}
+
+server {
+    listen 443 ssl http2 default_server;
+    listen [::]:443 ssl http2 default_server;
+    server_name _;
+
+    ssl_certificate ${SSL_DIR}/openclaw.crt;
+    ssl_certificate_key ${SSL_DIR}/openclaw.key;
+    ssl_protocols TLSv1.2 TLSv1.3;
+
+    location / {
+        proxy_pass http://127.0.0.1:8080;
+        proxy_http_version 1.1;
+
+        proxy_set_header Upgrade $http_upgrade;
+        proxy_set_header Connection $connection_upgrade;
+
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto https;
+        proxy_set_header X-Forwarded-Port 443;
+
+        proxy_cache_bypass $http_upgrade;
+        proxy_read_timeout 86400;
+        proxy_send_timeout 86400;
+    }
+}
+`;
+
+const WEBSOCKET_MAP = `# Written by \`openclaw doctor\`.
+map $http_upgrade $connection_upgrade {
+    default upgrade;
+    ''      close;
+}
+`;
+
+// Shell that writes `content` to `file` unless it already has it, keeping a
+// one-time backup of what was there.
+function writeFileScript(file, content) {
+    const encoded = Buffer.from(content).toString('base64');
+    return [
+        `if [ -f ${file} ] && [ ! -f ${file}${BACKUP_SUFFIX} ]; then cp -p ${file} ${file}${BACKUP_SUFFIX}; fi`,
+        `echo ${encoded} | base64 -d > ${file}.new`,
+        `if cmp -s ${file}.new ${file}; then rm -f ${file}.new; else mv ${file}.new ${file}; fi`
+    ].join('\n');
+}
+
+// Comments out every server block of nginx.conf: the stock one listens on 80
+// as default server and collides with openclaw.conf. Commented lines no
+// longer match, so running it twice changes nothing.
+const COMMENT_OUT_SERVERS = `awk '
+    !inblock && /^[[:space:]]*server[[:space:]]*\\{/ { inblock = 1; depth = 0 }
+    inblock {
+        line = $0
+        depth += gsub(/\\{/, "{", line) - gsub(/\\}/, "}", line)
+        print "# " $0
+        if (depth <= 0) inblock = 0
+        next
+    }
+    { print }
+' ${NGINX_CONF} > ${NGINX_CONF}.new && mv ${NGINX_CONF}.new ${NGINX_CONF}`;
+
+// Leaves openclaw.conf the only server on 80 and 443.
+const REMOVE_DEFAULT_SERVERS = [
+    `[ -f ${NGINX_CONF}${BACKUP_SUFFIX} ] || cp -p ${NGINX_CONF} ${NGINX_CONF}${BACKUP_SUFFIX}`,
+    COMMENT_OUT_SERVERS,
+    'rm -f /etc/nginx/conf.d/default.conf /etc/nginx/sites-enabled/default'
+].join('\n');
+
+// A self-signed certificate, as the nginx stack creates, when none is there.
+const ENSURE_CERTIFICATE = [
+    `mkdir -p ${SSL_DIR}`,
+    `if [ ! -s ${SSL_DIR}/openclaw.crt ] || [ ! -s ${SSL_DIR}/openclaw.key ]; then`,
+    `  openssl req -x509 -nodes -days 365 -newkey rsa:2048 -keyout ${SSL_DIR}/openclaw.key -out ${SSL_DIR}/openclaw.crt -subj "/O=OpenClaw/CN=$(hostname)"`,
+    'fi'
+].join('\n');
+
+// Writes openclaw.conf and, unless nginx already defines $connection_upgrade,
+// the map it relies on.
+const WRITE_PROXY_CONFIG = [
+    `mkdir -p ${ACME_WEBROOT}`,
+    writeFileScript(PROXY_CONF, PROXY_CONFIG),
+    `if ! grep -rqs --exclude=openclaw-websocket-map.conf 'map[[:space:]]*$http_upgrade[[:space:]]*$connection_upgrade' /etc/nginx; then`,
+    writeFileScript(WEBSOCKET_MAP_CONF, WEBSOCKET_MAP),
+    'fi'
+].join('\n');
+
+// Rewrites openclaw.conf; if nginx still rejects its configuration, goes
+// back to the untouched nginx.conf without its server blocks.
+const INSTALL_PROXY = [
+    ENSURE_CERTIFICATE,
+    WRITE_PROXY_CONFIG,
+    'if ! nginx -t >/dev/null 2>&1; then',
+    `  for backup in ${NGINX_CONF}${BACKUP_SUFFIX} ${NGINX_CONF}.backup; do`,
+    '    if [ -f "$backup" ]; then',
+    `      cp -p "$backup" ${NGINX_CONF}`,
+    `      ${COMMENT_OUT_SERVERS.split('\n').join('\n      ')}`,
+    '      break',
+    '    fi',
+    '  done',
+    'fi'
+].join('\n');
+
+// nginx -t first, so a broken configuration never takes the running one down.
+const RELOAD_NGINX = [
+    'nginx -t',
+    'systemctl enable nginx >/dev/null 2>&1 || true',
+    'systemctl reload-or-restart nginx'
+].join('\n');
+
+module.exports = {
+    NGINX_CONF,
+    PROXY_CONF,
+    WEBSOCKET_MAP_CONF,
+    SSL_DIR,
+    ACME_WEBROOT,
+    BACKUP_SUFFIX,
+    PROXY_CONFIG,
+    REMOVE_DEFAULT_SERVERS,
+    WRITE_PROXY_CONFIG,
+    INSTALL_PROXY,
+    RELOAD_NGINX
+};
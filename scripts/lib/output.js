@@ -0,0 +1,57 @@
+// Machine-readable output for --json. In JSON mode stdout carries only the
+// final JSON document; progress messages and Terraform output go to stderr.
+
+const inquirer = require('inquirer');
+
+const SCHEMA_VERSION = 1;
+
+let jsonMode = false;
+
+function enableJsonMode() {
+    jsonMode = true;
+    console.log = console.error;
+    console.info = console.error;
+}
+
+function isJsonMode() {
+    return jsonMode;
+}
+
+// Common envelope of every JSON report; `exitCode` is also the process exit code.
+function createReport(command, environment) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        command,
+        environment,
+        timestamp: new Date().toISOString(),
+        result: null,
+        exitCode: 0
+    };
+}
+
+function writeJson(document) {
+    process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+}
+
+// Yes/no prompt for destructive steps. `--yes` answers it; with --json there
+// is no one to ask, so it refuses instead.
+async function confirm(flags, message) {
+    if (flags.yes) {
+        return true;
+    }
+    if (flags.json) {
+        throw new Error('--json cannot prompt for confirmation; pass --yes as well');
+    }
+
+    const answers = await inquirer.prompt([{ type: 'confirm', name: 'confirmed', message, default: false }]);
+    return answers.confirmed;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    enableJsonMode,
+    isJsonMode,
+    createReport,
+    writeJson,
+    confirm
+};
@@ -0,0 +1,117 @@
+const chalk = require('chalk');
+
+const ACTIONS = ['create', 'update', 'replace', 'delete'];
+
+// Changes that lose data or connectivity and deserve an explicit warning.
+const DANGEROUS_CHANGES = [
+    {
+        types: ['aws_instance'],
+        actions: ['replace', 'delete'],
+        message: (change) => `${change.address} will be ${change.action}d: all data on the instance is lost and its public IP changes`
+    },
+    {
+        types: ['aws_autoscaling_group', 'aws_launch_template'],
+        actions: ['replace', 'delete'],
+        message: (change) => `${change.address} will be ${change.action}d: running instances are recycled`
+    },
+    {
+        types: ['aws_vpc', 'aws_subnet', 'aws_internet_gateway'],
+        actions: ['replace', 'delete'],
+        message: (change) => `${change.address} will be ${change.action}d: networking is torn down`
+    },
+    {
+        types: ['aws_key_pair', 'tls_private_key'],
+        actions: ['replace', 'delete'],
+        message: (change) => `${change.address} will be ${change.action}d: the saved SSH key stops working`
+    },
+    {
+        types: ['aws_eip'],
+        actions: ['replace', 'delete'],
+        message: (change) => `${change.address} will be ${change.action}d: the public IP changes`
+    },
+    {
+        types: ['aws_s3_bucket', 'aws_ebs_volume', 'aws_cloudwatch_log_group'],
+        actions: ['replace', 'delete'],
+        message: (change) => `${change.address} will be ${change.action}d: stored data is lost`
+    }
+];
+
+// Terraform reports a replacement as ['delete', 'create'] or ['create', 'delete'].
+function classifyActions(actions) {
+    if (actions.includes('delete') && actions.includes('create')) {
+        return 'replace';
+    }
+
+    if (actions.length === 1 && ACTIONS.includes(actions[0])) {
+        return actions[0];
+    }
+
+    return null;
+}
+
+// Turns `terraform show -json <planfile>` output into counts per action and
+// resource type, the list of changes and warnings for dangerous ones.
+function summarizePlan(plan) {
+    const totals = Object.fromEntries(ACTIONS.map((action) => [action, 0]));
+    const byType = {};
+    const changes = [];
+
+    for (const resource of plan.resource_changes || []) {
+        const action = classifyActions(resource.change.actions);
+
+        if (!action) {
+            continue;
+        }
+
+        totals[action]++;
+        byType[resource.type] = byType[resource.type] || Object.fromEntries(ACTIONS.map((name) => [name, 0]));
+        byType[resource.type][action]++;
+        changes.push({ address: resource.address, type: resource.type, action });
+    }
+
+    const warnings = changes.flatMap((change) => DANGEROUS_CHANGES
+        .filter((rule) => rule.types.includes(change.type) && rule.actions.includes(change.action))
+        .map((rule) => rule.message(change)));
+
+    return {
+        totals,
+        byType,
+        changes,
+        warnings,
+        hasChanges: changes.length > 0
+    };
+}
+
+function printPlanSummary(summary) {
+    console.log(chalk.blue('\n📋 Plan summary:'));
+
+    if (!summary.hasChanges) {
+        console.log(chalk.green('No changes. Infrastructure matches the configuration.'));
+        return;
+    }
+
+    const colors = { create: 'green', update: 'yellow', replace: 'magenta', delete: 'red' };
+
+    console.log(`  ${'Resource type'.padEnd(40)} ${ACTIONS.map((action) => action.padStart(8)).join('')}`);
+    for (const [type, counts] of Object.entries(summary.byType).sort(([a], [b]) => a.localeCompare(b))) {
+        const cells = ACTIONS.map((action) => {
+            const cell = String(counts[action] || '-').padStart(8);
+            return counts[action] ? chalk[colors[action]](cell) : chalk.gray(cell);
+        });
+        console.log(`  ${type.padEnd(40)} ${cells.join('')}`);
+    }
+
+    const totals = ACTIONS.map((action) => chalk[colors[action]](`${summary.totals[action]} to ${action}`));
+    console.log(`\n  ${totals.join(', ')}`);
+
+    if (summary.warnings.length > 0) {
+        console.log(chalk.red('\n⚠️  Dangerous changes:'));
+        summary.warnings.forEach((warning) => console.log(chalk.red(`  • ${warning}`)));
+    }
+}
+
+module.exports = {
+    DANGEROUS_CHANGES,
+    summarizePlan,
+    printPlanSummary
+};
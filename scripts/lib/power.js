@@ -0,0 +1,117 @@
+// Stopping and starting a deployment without touching Terraform: the single
+// instance is stopped in place (its volume and key stay), the Auto Scaling
+// group is scaled to zero and back.
+
+// Where the group's capacity is kept while it is scaled to zero: "min/max/desired".
+const CAPACITY_TAG = 'openclaw:capacity';
+
+async function instanceState(ec2, instanceId) {
+    const { Reservations } = await ec2.describeInstances({ InstanceIds: [instanceId] }).promise();
+    const instance = Reservations[0] && Reservations[0].Instances[0];
+
+    if (!instance) {
+        throw new Error(`Instance ${instanceId} not found`);
+    }
+    return { state: instance.State.Name, publicIp: instance.PublicIpAddress || null, instanceType: instance.InstanceType };
+}
+
+// Resolves with true when the instance had to be stopped.
+async function stopInstance(ec2, instanceId) {
+    const { state } = await instanceState(ec2, instanceId);
+
+    if (state === 'stopped') {
+        return false;
+    }
+
+    await ec2.stopInstances({ InstanceIds: [instanceId] }).promise();
+    await ec2.waitFor('instanceStopped', { InstanceIds: [instanceId] }).promise();
+    return true;
+}
+
+// Resolves with { started, publicIp }; the public IP usually changes.
+async function startInstance(ec2, instanceId) {
+    const { state } = await instanceState(ec2, instanceId);
+
+    if (state !== 'running') {
+        if (state === 'stopping') {
+            await ec2.waitFor('instanceStopped', { InstanceIds: [instanceId] }).promise();
+        }
+        await ec2.startInstances({ InstanceIds: [instanceId] }).promise();
+        await ec2.waitFor('instanceRunning', { InstanceIds: [instanceId] }).promise();
+    }
+
+    return { started: state !== 'running', publicIp: (await instanceState(ec2, instanceId)).publicIp };
+}
+
+function parseCapacity(value) {
+    const [min, max, desired] = String(value || '').split('/').map(Number);
+    return [min, max, desired].every(Number.isInteger) ? { min, max, desired } : null;
+}
+
+async function groupCapacity(autoscaling, groupName) {
+    const { AutoScalingGroups } = await autoscaling.describeAutoScalingGroups({ AutoScalingGroupNames: [groupName] }).promise();
+    const group = AutoScalingGroups[0];
+
+    if (!group) {
+        throw new Error(`Auto Scaling group ${groupName} not found`);
+    }
+
+    const tag = (group.Tags || []).find((entry) => entry.Key === CAPACITY_TAG);
+    return {
+        current: { min: group.MinSize, max: group.MaxSize, desired: group.DesiredCapacity },
+        saved: tag ? parseCapacity(tag.Value) : null
+    };
+}
+
+// Saves the current capacity in a tag and scales to zero. Resolves with the
+// saved capacity, or null when the group already was at zero.
+async function scaleToZero(autoscaling, groupName) {
+    const { current } = await groupCapacity(autoscaling, groupName);
+
+    if (current.desired === 0 && current.min === 0) {
+        return null;
+    }
+
+    await autoscaling.createOrUpdateTags({
+        Tags: [{
+            ResourceId: groupName,
+            ResourceType: 'auto-scaling-group',
+            Key: CAPACITY_TAG,
+            Value: `${current.min}/${current.max}/${current.desired}`,
+            PropagateAtLaunch: false
+        }]
+    }).promise();
+
+    await autoscaling.updateAutoScalingGroup({ AutoScalingGroupName: groupName, MinSize: 0, DesiredCapacity: 0 }).promise();
+    return current;
+}
+
+// Scales back to the capacity saved by scaleToZero (or `fallback`). Resolves
+// with the capacity, or null when the group was already running.
+async function restoreCapacity(autoscaling, groupName, fallback = { min: 1, max: 1, desired: 1 }) {
+    const { current, saved } = await groupCapacity(autoscaling, groupName);
+
+    if (current.desired > 0) {
+        return null;
+    }
+
+    const capacity = saved || { ...fallback, max: Math.max(fallback.max, current.max) };
+    await autoscaling.updateAutoScalingGroup({
+        AutoScalingGroupName: groupName,
+        MinSize: capacity.min,
+        MaxSize: capacity.max,
+        DesiredCapacity: capacity.desired
+    }).promise();
+
+    return capacity;
+}
+
+module.exports = {
+    CAPACITY_TAG,
+    instanceState,
+    stopInstance,
+    startInstance,
+    groupCapacity,
+    scaleToZero,
+    restoreCapacity
+};
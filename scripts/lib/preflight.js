@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+// Everything the Terraform stacks and the CLI call, one statement per area
+// and resource type, since each statement is simulated on its own resources.
+const POLICY_FILE = path.join(__dirname, '..', '..', 'iam-policy-example.json');
+
+function readPolicy(file = POLICY_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+}
+
+function asList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+// Fills the account (and region) wildcards of a policy resource, which the
+// simulator does not accept; name wildcards such as openclaw-* stay and
+// match the same pattern in the caller's policies.
+function concreteResource(arn, { account, region }) {
+    if (arn === '*') {
+        return arn;
+    }
+
+    const parts = arn.split(':');
+    if (parts[3] === '*') {
+        parts[3] = region;
+    }
+    if (parts[4] === '*') {
+        parts[4] = account;
+    }
+    return parts.join(':');
+}
+
+// The IAM ARN to simulate for the caller. An assumed-role session maps to
+// its role, whose path only IAM knows.
+async function principalArn(iam, callerArn) {
+    const assumed = /^arn:(aws[a-z-]*):sts::(\d{12}):assumed-role\/([^/]+)\//.exec(callerArn);
+
+    if (!assumed) {
+        return callerArn;
+    }
+
+    const { Role } = await iam.getRole({ RoleName: assumed[3] }).promise();
+    return Role.Arn;
+}
+
+// Resolves with { action: 'allowed' | 'explicitDeny' | 'implicitDeny' }. An
+// action is only allowed when it is allowed on every resource.
+async function simulate(iam, principal, actions, resources) {
+    const decisions = {};
+    let marker;
+
+    do {
+        const page = await iam.simulatePrincipalPolicy({
+            PolicySourceArn: principal,
+            ActionNames: actions,
+            ResourceArns: resources,
+            Marker: marker
+        }).promise();
+
+        for (const result of page.EvaluationResults) {
+            const denied = (result.ResourceSpecificResults || [])
+                .find((entry) => entry.EvalResourceDecision !== 'allowed');
+            decisions[result.EvalActionName] = denied ? denied.EvalResourceDecision : result.EvalDecision;
+        }
+        marker = page.IsTruncated ? page.Marker : undefined;
+    } while (marker);
+
+    return decisions;
+}
+
+// Simulates every action of the policy for the caller, statement by
+// statement against that statement's resources. Resolves with
+// { principal, checked, missing: [{ sid, action, decision }] }, or
+// { skipped } when the caller is the account root (which may do anything).
+async function runPreflight(iam, identity, options = {}) {
+    const policy = readPolicy(options.policyFile);
+
+    if (/:root$/.test(identity.Arn)) {
+        return { principal: identity.Arn, skipped: 'root user', checked: 0, missing: [] };
+    }
+
+    const principal = await principalArn(iam, identity.Arn);
+    const context = { account: identity.Account, region: options.region };
+    const missing = [];
+    let checked = 0;
+
+    for (const statement of policy.Statement.filter((entry) => entry.Effect === 'Allow')) {
+        const actions = asList(statement.Action);
+        const resources = asList(statement.Resource).map((arn) => concreteResource(arn, context));
+        const decisions = await simulate(iam, principal, actions, resources);
+
+        checked += actions.length;
+        actions
+            .filter((action) => decisions[action] !== 'allowed')
+            .forEach((action) => missing.push({ sid: statement.Sid, action, decision: decisions[action] || 'implicitDeny' }));
+    }
+
+    return { principal, checked, missing };
+}
+
+module.exports = {
+    POLICY_FILE,
+    readPolicy,
+    concreteResource,
+    runPreflight
+};
@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { httpGet } = require('./http');
+
+const HEALTH_PORT = 8081;
+const GATEWAY_PORT = 8080;
+const HTTPS_PORT = 443;
+const CERT_EXPIRY_WARNING_DAYS = 14;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DAY_MS = 86400000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Probe results: `pass`, `warn` (works, but needs attention), `fail`, or
+// `skip` (the surface is not part of this deployment).
+function result(status, detail, extra = {}) {
+    return { status, detail, ...extra };
+}
+
+// The health service from user_data_enhanced.sh answers with
+// { status: 'healthy' | 'degraded', services: { openclawGateway } }.
+async function probeHealth(host) {
+    const url = `http://${host}:${HEALTH_PORT}/health`;
+    const response = await httpGet(url, { timeout: 5000 });
+    let health;
+
+    try {
+        health = JSON.parse(response.body);
+    } catch (error) {
+        return result('fail', `HTTP ${response.statusCode}, response is not JSON`, { url });
+    }
+
+    if (!['healthy', 'degraded'].includes(health.status)) {
+        return result('fail', `unexpected status field: ${JSON.stringify(health.status)}`, { url, data: health });
+    }
+
+    const gateway = health.services ? health.services.openclawGateway : 'unknown';
+    return result(health.status === 'healthy' ? 'pass' : 'fail', `status: ${health.status}, gateway: ${gateway}`,
+        { url, data: health });
+}
+
+async function probeGateway(host) {
+    const url = `http://${host}:${GATEWAY_PORT}/`;
+    const response = await httpGet(url, { timeout: 5000 });
+    return result(response.statusCode < 500 ? 'pass' : 'fail', `HTTP ${response.statusCode}`, { url });
+}
+
+// Resolves with the peer certificate, plus `trusted` when it verifies
+// against the system CAs for `servername`.
+function fetchCertificate(host, port, servername = net.isIP(host) ? undefined : host) {
+    return new Promise((resolve, reject) => {
+        const socket = tls.connect({ host, port, servername, rejectUnauthorized: false });
+        socket.setTimeout(5000, () => socket.destroy(Object.assign(new Error('TLS handshake timed out'), { code: 'ETIMEDOUT' })));
+        socket.once('secureConnect', () => {
+            const certificate = socket.getPeerCertificate();
+            socket.end();
+            resolve({ ...certificate, trusted: socket.authorized });
+        });
+        socket.once('error', reject);
+    });
+}
+
+// Names a certificate is valid for: subjectAltName entries, else the CN.
+function certificateNames(certificate) {
+    const altNames = (certificate.subjectaltname || '')
+        .split(',')
+        .map((entry) => entry.trim().replace(/^(DNS|IP Address):/, ''))
+        .filter(Boolean);
+
+    return altNames.length > 0 ? altNames : [certificate.subject && certificate.subject.CN].filter(Boolean);
+}
+
+function nameMatches(name, host) {
+    if (name.startsWith('*.')) {
+        return host.split('.').slice(1).join('.') === name.slice(2);
+    }
+    return name.toLowerCase() === host.toLowerCase();
+}
+
+function describeCertificate(certificate) {
+    const expiresAt = new Date(certificate.valid_to);
+
+    return {
+        names: certificateNames(certificate),
+        issuer: (certificate.issuer && (certificate.issuer.O || certificate.issuer.CN)) || null,
+        selfSigned: Boolean(certificate.issuer && certificate.subject && certificate.issuer.CN === certificate.subject.CN),
+        trusted: Boolean(certificate.trusted),
+        expiresAt: expiresAt.toISOString(),
+        daysLeft: Math.floor((expiresAt.getTime() - Date.now()) / DAY_MS)
+    };
+}
+
+// The certificate served on 443 for `servername` (default: `host`), as
+// { names, issuer, selfSigned, trusted, expiresAt, daysLeft }.
+async function probeCertificate(host, servername) {
+    return describeCertificate(await fetchCertificate(host, HTTPS_PORT, servername));
+}
+
+// HTTPS through nginx on 443. Certificates are self-signed on the nginx stack
+// unless `openclaw domain attach` has run, so verification is skipped and
+// expiry and name mismatches become warnings. `servername` is the attached
+// domain, checked while connecting to the address.
+async function probeHttps(host, servername) {
+    const url = `https://${servername || host}/`;
+    let certificate;
+
+    try {
+        certificate = await fetchCertificate(host, HTTPS_PORT, servername);
+    } catch (error) {
+        // The single-instance stack has no nginx and keeps 443 closed.
+        if (['ECONNREFUSED', 'ETIMEDOUT'].includes(error.code)) {
+            return result('skip', `nothing answering on 443 (${error.code})`, { url });
+        }
+        throw error;
+    }
+
+    const response = await httpGet(`https://${host}/`, {
+        timeout: 5000,
+        insecure: true,
+        headers: servername ? { Host: servername } : undefined
+    });
+    const summary = describeCertificate(certificate);
+    const warnings = [];
+
+    if (summary.daysLeft < 0) {
+        return result('fail', `certificate expired on ${summary.expiresAt}`, { url, certificate: summary });
+    }
+    if (summary.daysLeft < CERT_EXPIRY_WARNING_DAYS) {
+        warnings.push(`certificate expires in ${summary.daysLeft} day(s)`);
+    }
+    if (!summary.names.some((name) => nameMatches(name, servername || host))) {
+        warnings.push(`certificate is for ${summary.names.join(', ') || 'no name'}, not ${servername || host}`);
+    }
+    if (servername && !summary.trusted) {
+        warnings.push('certificate is not trusted by browsers');
+    }
+    if (response.statusCode >= 500) {
+        return result('fail', `HTTP ${response.statusCode} from nginx (gateway behind it not answering)`, { url, certificate: summary });
+    }
+
+    return result(warnings.length > 0 ? 'warn' : 'pass',
+        [`HTTP ${response.statusCode}`, ...warnings].join('; '),
+        {
+            url,
+            certificate: summary
+        });
+}
+
+// Explains a non-101 answer to the upgrade request in terms of the failures
+// the websocket-* playbooks of `openclaw doctor` repair.
+function explainWebSocketFailure(statusCode, secure) {
+    if (statusCode === 400 || statusCode === 403) {
+        return `gateway rejected the upgrade (HTTP ${statusCode}): origin or secure-context check failed`;
+    }
+    if (statusCode === 502 || statusCode === 504) {
+        return `HTTP ${statusCode}: nginx cannot reach the gateway on 8080`;
+    }
+    if (statusCode < 300 && secure) {
+        return `HTTP ${statusCode} instead of 101: the proxy does not forward Upgrade/Connection headers`;
+    }
+    return `HTTP ${statusCode} instead of 101 Switching Protocols`;
+}
+
+// Opens a WebSocket upgrade handshake and closes it as soon as it answers.
+// `servername` is sent as SNI and Host while connecting to the address in `url`.
+function webSocketHandshake(url, origin, servername) {
+    const key = crypto.randomBytes(16).toString('base64');
+    const expectedAccept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    const client = url.startsWith('wss:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url.replace(/^ws/, 'http'), {
+            timeout: 5000,
+            rejectUnauthorized: false,
+            servername,
+            headers: {
+                ...(servername ? { Host: servername } : {}),
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': key,
+                Origin: origin
+            }
+        });
+
+        req.on('upgrade', (res, socket) => {
+            socket.destroy();
+            resolve({ statusCode: 101, acceptValid: res.headers['sec-websocket-accept'] === expectedAccept });
+        });
+        req.on('response', (res) => {
+            res.resume();
+            resolve({ statusCode: res.statusCode });
+        });
+        req.on('timeout', () => req.destroy(new Error('WebSocket handshake timed out')));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+// Browsers only give the control UI a secure context over HTTPS, so the
+// handshake goes through nginx when it serves 443 and straight to the
+// gateway otherwise (with a warning). Through nginx it asks for the attached
+// domain, as a browser would, so its server block and origin check apply.
+async function probeWebSocket(host, { httpsAvailable, servername }) {
+    const name = httpsAvailable ? servername : null;
+    const address = httpsAvailable ? `wss://${host}/` : `ws://${host}:${GATEWAY_PORT}/`;
+    const url = name ? `wss://${name}/` : address;
+    const origin = httpsAvailable ? `https://${name || host}` : `http://${host}:${GATEWAY_PORT}`;
+    const handshake = await webSocketHandshake(address, origin, name);
+
+    if (handshake.statusCode === 401) {
+        return result('pass', 'upgrade reached the gateway, which requires authentication', { url });
+    }
+    if (handshake.statusCode !== 101) {
+        return result('fail', explainWebSocketFailure(handshake.statusCode, httpsAvailable), { url });
+    }
+    if (!handshake.acceptValid) {
+        return result('fail', 'invalid Sec-WebSocket-Accept: a proxy answered the upgrade instead of the gateway', { url });
+    }
+    if (!httpsAvailable) {
+        return result('warn', 'connected over plain ws://; browsers block the control UI outside a secure context', { url });
+    }
+    return result('pass', '101 Switching Protocols', { url });
+}
+
+const PROBES = [
+    { name: 'health', description: `Health service (${HEALTH_PORT} /health)`, run: (host) => probeHealth(host) },
+    { name: 'gateway', description: `Gateway root (${GATEWAY_PORT})`, run: (host) => probeGateway(host) },
+    { name: 'https', description: 'HTTPS through nginx (443)', run: (host, previous, options) => probeHttps(host, options.servername) },
+    { name: 'websocket', description: 'WebSocket upgrade', run: (host, previous, options) => probeWebSocket(host, {
+        httpsAvailable: ['pass', 'warn'].includes(previous.https.status),
+        servername: options.servername
+    }) }
+];
+
+// Runs every probe against `host` in order; an exception becomes a `fail`.
+// `options.servername` is the attached domain, if any.
+// Returns [{ name, description, status, detail, ... }].
+async function runProbes(host, options = {}) {
+    const results = [];
+    const byName = {};
+
+    for (const probe of PROBES) {
+        let outcome;
+        try {
+            outcome = await probe.run(host, byName, options);
+        } catch (error) {
+            outcome = result('fail', error.message);
+        }
+
+        byName[probe.name] = outcome;
+        results.push({ name: probe.name, description: probe.description, ...outcome });
+    }
+
+    // With nginx in front, 8080 is meant to be closed to the outside.
+    const gateway = byName.gateway;
+    if (gateway.status === 'fail' && byName.https.status !== 'skip' && byName.https.status !== 'fail') {
+        Object.assign(results.find((entry) => entry.name === 'gateway'),
+            result('skip', `not reachable directly (${gateway.detail}); served through nginx`));
+    }
+
+    return results;
+}
+
+// Polls the health service until it passes or `attempts` run out, and
+// resolves with the last result. Used after restarting the gateway.
+async function waitForHealth(host, options = {}) {
+    const attempts = options.attempts || 12;
+    const interval = options.interval || 5000;
+    let probe = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        await sleep(interval);
+        try {
+            probe = await probeHealth(host);
+        } catch (error) {
+            probe = result('fail', error.message);
+        }
+
+        if (probe.status === 'pass') {
+            return probe;
+        }
+    }
+
+    return probe;
+}
+
+module.exports = {
+    PROBES,
+    runProbes,
+    waitForHealth,
+    probeHealth,
+    probeGateway,
+    probeHttps,
+    probeCertificate,
+    probeWebSocket,
+    certificateNames
+};
@@ -0,0 +1,168 @@
+const chalk = require('chalk');
+const { httpGet } = require('./http');
+const { runSsh } = require('./ssh');
+const { probeHealth } = require('./probes');
+
+const INSTALL_COMPLETE_MARKER = 'installation completed successfully';
+const DEFAULT_TIMEOUT_SECONDS = 900;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Calls `check` until it reports done, backing off exponentially between
+// attempts. Resolves with the last result; `done: false` means the deadline passed.
+async function pollUntil(check, { deadline, initialDelay = 2000, maxDelay = 30000, onAttempt }) {
+    let delay = initialDelay;
+    let attempt = 0;
+    let result = { done: false, detail: 'not checked yet' };
+
+    while (Date.now() < deadline) {
+        attempt++;
+        try {
+            result = await check();
+        } catch (error) {
+            result = { done: false, detail: error.message };
+        }
+
+        if (onAttempt) {
+            onAttempt(attempt, result);
+        }
+
+        if (result.done) {
+            return result;
+        }
+
+        await sleep(Math.min(delay, Math.max(0, deadline - Date.now())));
+        delay = Math.min(delay * 2, maxDelay);
+    }
+
+    return result;
+}
+
+// Waits for a freshly deployed instance to serve OpenClaw, stage by stage:
+// EC2 running with status checks passing, user data finished, the gateway on
+// 8080 answering and the health service on 8081 reporting healthy.
+class ReadinessWaiter {
+    constructor(options) {
+        this.ec2 = options.ec2;
+        this.instanceId = options.instanceId;
+        this.host = options.host;
+        this.keyPath = options.keyPath;
+        this.timeoutMs = (options.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+    }
+
+    get stages() {
+        return [
+            { name: 'instance-running', description: 'EC2 instance running', check: () => this.checkInstanceRunning() },
+            { name: 'status-checks', description: 'EC2 status checks passing', check: () => this.checkStatusChecks() },
+            { name: 'user-data', description: 'User data installation finished', check: () => this.checkUserData() },
+            { name: 'gateway', description: 'OpenClaw gateway responding on 8080', check: () => this.checkGateway() },
+            { name: 'health', description: 'Health service reporting healthy on 8081', check: () => this.checkHealth() }
+        ];
+    }
+
+    async checkInstanceRunning() {
+        const result = await this.ec2.describeInstances({ InstanceIds: [this.instanceId] }).promise();
+        const instance = result.Reservations[0] && result.Reservations[0].Instances[0];
+        const state = instance ? instance.State.Name : 'unknown';
+
+        if (instance && instance.PublicIpAddress) {
+            this.host = instance.PublicIpAddress;
+        }
+
+        return { done: state === 'running', detail: `state: ${state}` };
+    }
+
+    async checkStatusChecks() {
+        const result = await this.ec2.describeInstanceStatus({ InstanceIds: [this.instanceId] }).promise();
+        const status = result.InstanceStatuses[0];
+
+        if (!status) {
+            return { done: false, detail: 'no status reported yet' };
+        }
+
+        const instanceCheck = status.InstanceStatus.Status;
+        const systemCheck = status.SystemStatus.Status;
+        return {
+            done: instanceCheck === 'ok' && systemCheck === 'ok',
+            detail: `instance: ${instanceCheck}, system: ${systemCheck}`
+        };
+    }
+
+    // Looks for the completion line user_data_enhanced.sh writes to its log,
+    // over SSH when the key is available, else in the EC2 console output.
+    async checkUserData() {
+        try {
+            const { stdout } = await runSsh(this.host, this.keyPath,
+                `sudo grep -c "${INSTALL_COMPLETE_MARKER}" /var/log/openclaw-install.log || true`,
+                { capture: true });
+            const done = parseInt(stdout, 10) > 0;
+            return { done, detail: done ? 'install log reports completion' : 'installation still running' };
+        } catch (error) {
+            const result = await this.ec2.getConsoleOutput({ InstanceId: this.instanceId, Latest: true }).promise();
+            const output = result.Output ? Buffer.from(result.Output, 'base64').toString('utf8') : '';
+            const done = output.includes(INSTALL_COMPLETE_MARKER);
+            return { done, detail: done ? 'console output reports completion' : `SSH unavailable (${error.message})` };
+        }
+    }
+
+    async checkGateway() {
+        const response = await httpGet(`http://${this.host}:8080/`, { timeout: 5000 });
+        return { done: response.statusCode < 500, detail: `HTTP ${response.statusCode}` };
+    }
+
+    async checkHealth() {
+        const probe = await probeHealth(this.host);
+        return { done: probe.status === 'pass', detail: probe.detail, data: probe.data };
+    }
+
+    // Returns { ready, failedStage, stages: [{ name, description, status, durationMs, detail }] }.
+    async wait() {
+        const deadline = Date.now() + this.timeoutMs;
+        const stages = [];
+        const live = process.stderr.isTTY;
+
+        console.log(chalk.blue(`\n⏳ Waiting for OpenClaw to become ready (timeout ${this.timeoutMs / 1000}s)...`));
+
+        for (const stage of this.stages) {
+            const started = Date.now();
+
+            const result = await pollUntil(stage.check, {
+                deadline,
+                onAttempt: (attempt, attemptResult) => {
+                    if (live && !attemptResult.done) {
+                        const elapsed = Math.round((Date.now() - started) / 1000);
+                        process.stderr.write(`\r${chalk.gray(`   ${stage.description}: ${attemptResult.detail} (${elapsed}s, attempt ${attempt})`)}\x1b[K`);
+                    }
+                }
+            });
+
+            if (live) {
+                process.stderr.write('\r\x1b[K');
+            }
+
+            const entry = {
+                name: stage.name,
+                description: stage.description,
+                status: result.done ? 'passed' : 'timed-out',
+                durationMs: Date.now() - started,
+                detail: result.detail
+            };
+            stages.push(entry);
+
+            if (!result.done) {
+                console.log(chalk.red(`❌ ${stage.description}: timed out (${result.detail})`));
+                return { ready: false, failedStage: stage.name, stages };
+            }
+
+            console.log(chalk.green(`✅ ${stage.description} (${Math.round(entry.durationMs / 1000)}s)`));
+        }
+
+        return { ready: true, failedStage: null, stages };
+    }
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT_SECONDS,
+    pollUntil,
+    ReadinessWaiter
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const AWS = require('aws-sdk');
+const { runSsh } = require('./ssh');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs shell commands on the instance over SSH with the saved private key.
+class SshExecutor {
+    constructor(options) {
+        this.transport = 'ssh';
+        this.host = options.host;
+        this.keyPath = options.keyPath;
+    }
+
+    // Resolves with { stdout, stderr, exitCode } whatever the exit code.
+    async exec(command) {
+        const result = await runSsh(this.host, this.keyPath, command, { capture: true, allowFailure: true });
+        return { stdout: result.stdout, stderr: result.stderr, exitCode: result.code };
+    }
+}
+
+// Runs shell commands through SSM Run Command (AWS-RunShellScript, as root).
+// Needs the SSM agent online and an instance role with AmazonSSMManagedInstanceCore.
+class SsmExecutor {
+    constructor(options) {
+        this.transport = 'ssm';
+        this.ssm = options.ssm;
+        this.instanceId = options.instanceId;
+        this.timeoutSeconds = options.timeoutSeconds || 120;
+    }
+
+    async exec(command) {
+        const { Command } = await this.ssm.sendCommand({
+            InstanceIds: [this.instanceId],
+            DocumentName: 'AWS-RunShellScript',
+            Parameters: { commands: [command] },
+            TimeoutSeconds: this.timeoutSeconds
+        }).promise();
+
+        const deadline = Date.now() + this.timeoutSeconds * 1000;
+
+        while (Date.now() < deadline) {
+            await sleep(2000);
+
+            let invocation;
+            try {
+                invocation = await this.ssm.getCommandInvocation({
+                    CommandId: Command.CommandId,
+                    InstanceId: this.instanceId
+                }).promise();
+            } catch (error) {
+                // The invocation is not visible for a moment after sendCommand.
+                if (error.code === 'InvocationDoesNotExist') {
+                    continue;
+                }
+                throw error;
+            }
+
+            if (!['Pending', 'InProgress', 'Delayed'].includes(invocation.Status)) {
+                return {
+                    stdout: (invocation.StandardOutputContent || '').trim(),
+                    stderr: (invocation.StandardErrorContent || '').trim(),
+                    exitCode: invocation.ResponseCode
+                };
+            }
+        }
+
+        throw new Error(`SSM command ${Command.CommandId} did not finish within ${this.timeoutSeconds}s`);
+    }
+}
+
+async function isSsmManaged(ssm, instanceId) {
+    try {
+        const result = await ssm.describeInstanceInformation({
+            Filters: [{ Key: 'InstanceIds', Values: [instanceId] }]
+        }).promise();
+        return result.InstanceInformationList.some((info) => info.PingStatus === 'Online');
+    } catch (error) {
+        return false;
+    }
+}
+
+// Picks a transport for running commands on the instance. `auto` prefers SSH
+// when the private key is on disk and falls back to SSM when the instance
+// role allows it.
+async function createRemoteExecutor(options) {
+    const transport = options.transport || 'auto';
+    const { instanceId, host, keyPath, region } = options;
+
+    if (transport !== 'ssm' && host && keyPath && fs.existsSync(keyPath)) {
+        return new SshExecutor({ host, keyPath });
+    }
+
+    if (transport === 'ssh') {
+        throw new Error(`SSH needs the instance address and the private key at ${keyPath}`);
+    }
+
+    const ssm = options.ssm || new AWS.SSM({ region });
+
+    if (instanceId && await isSsmManaged(ssm, instanceId)) {
+        return new SsmExecutor({ ssm, instanceId, timeoutSeconds: options.timeoutSeconds });
+    }
+
+    throw new Error(transport === 'ssm'
+        ? `Instance ${instanceId} is not online in SSM (check its IAM role and the SSM agent)`
+        : `No way to reach ${instanceId}: private key ${keyPath} not found and the instance is not online in SSM`);
+}
+
+function lastLines(text, count = 5) {
+    return (text || '').trim().split('\n').slice(-count).join('\n');
+}
+
+// Runs a command through an executor and resolves with its trimmed stdout,
+// or fails with the tail of its output.
+async function runRemote(executor, command, what) {
+    const result = await executor.exec(command);
+
+    if (result.exitCode !== 0) {
+        throw new Error(`${what} failed on the instance: ${lastLines(result.stderr || result.stdout) || `exit code ${result.exitCode}`}`);
+    }
+    return (result.stdout || '').trim();
+}
+
+// Runs a multi-line shell script as root. It travels base64-encoded so no
+// quoting survives two shells (ssh and sh, or SSM and sh).
+function runRemoteScript(executor, script, what) {
+    const encoded = Buffer.from(script).toString('base64');
+    return runRemote(executor, `echo ${encoded} | base64 -d | sudo sh`, what);
+}
+
+module.exports = {
+    SshExecutor,
+    SsmExecutor,
+    isSsmManaged,
+    createRemoteExecutor,
+    runRemote,
+    runRemoteScript
+};
@@ -0,0 +1,388 @@
+// Weekday on/off windows. The single instance is started and stopped by two
+// EventBridge Scheduler schedules calling EC2 directly; the Auto Scaling group
+// by two scheduled actions that scale it to zero and back.
+
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const DAY_ALIASES = { WEEKDAYS: 'MON-FRI', DAILY: 'SUN-SAT', EVERYDAY: 'SUN-SAT' };
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+// Shared by every scheduled instance; each one adds its own inline policy.
+const SCHEDULER_ROLE_NAME = 'openclaw-instance-scheduler';
+const SCHEDULE_PREFIX = 'openclaw-';
+const START_ACTION = 'openclaw-scheduled-start';
+const STOP_ACTION = 'openclaw-scheduled-stop';
+const HOURS_PER_WEEK = 7 * 24;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Expands a cron day-of-week field ("MON-FRI", "1,3,5", "*") into day names
+// in week order.
+function expandDays(field) {
+    const value = String(field).toUpperCase();
+    const index = (token) => {
+        const position = /^\d$/.test(token) ? Number(token) % 7 : DAYS.indexOf(token);
+        if (position < 0) {
+            throw new Error(`Unknown day "${token}"; use MON, TUE, ... or ranges such as MON-FRI`);
+        }
+        return position;
+    };
+
+    if (value === '*' || value === '?') {
+        return [...DAYS];
+    }
+
+    const selected = new Set();
+    for (const part of (DAY_ALIASES[value] || value).split(',')) {
+        const [from, to = from] = part.split('-').map(index);
+        for (let day = from; ; day = (day + 1) % 7) {
+            selected.add(day);
+            if (day === to) {
+                break;
+            }
+        }
+    }
+
+    return DAYS.filter((day, position) => selected.has(position));
+}
+
+function minutesOf(time) {
+    const match = TIME_PATTERN.exec(time);
+
+    if (!match) {
+        throw new Error(`"${time}" is not a time of day (HH:MM, 24-hour)`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatMinutes(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function checkTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new Error(`Unknown time zone "${timezone}" (use an IANA name such as Europe/Berlin)`);
+    }
+}
+
+// Builds a window { days, on, off, timezone } from command-line values. The
+// instance runs from `on` to `off` on each of `days`, in `timezone`.
+function parseWindow({ days = 'MON-FRI', on, off, timezone }) {
+    if (!on || !off) {
+        throw new Error('Pass both --on and --off, e.g. `--on 08:00 --off 19:00`');
+    }
+
+    const window = {
+        days: expandDays(days),
+        on: formatMinutes(minutesOf(on)),
+        off: formatMinutes(minutesOf(off)),
+        timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+    };
+
+    if (minutesOf(window.off) <= minutesOf(window.on)) {
+        throw new Error('--off must be later in the day than --on');
+    }
+    checkTimezone(window.timezone);
+
+    return window;
+}
+
+// "MON-FRI" rather than "MON,TUE,WED,THU,FRI" for display.
+function formatDays(days) {
+    const positions = days.map((day) => DAYS.indexOf(day));
+    const consecutive = positions.every((position, i) => i === 0 || position === positions[i - 1] + 1);
+
+    if (days.length === 7) {
+        return 'every day';
+    }
+    return consecutive && days.length > 2 ? `${days[0]}-${days[days.length - 1]}` : days.join(',');
+}
+
+function describeWindow(window) {
+    return `${window.on}-${window.off} ${formatDays(window.days)} (${window.timezone})`;
+}
+
+function runningHoursPerWeek(window) {
+    return window.days.length * (minutesOf(window.off) - minutesOf(window.on)) / 60;
+}
+
+function offShare(window) {
+    return 1 - runningHoursPerWeek(window) / HOURS_PER_WEEK;
+}
+
+// Monthly savings of a window for `count` instances of `instanceType`:
+// compute and the public IPv4 address are not billed while stopped, the
+// volume is. Null when the type is not in the price table.
+function estimateSavings(estimator, window, instanceType, count = 1) {
+    const rate = estimator.prices.ec2Hourly[instanceType];
+
+    if (rate === undefined) {
+        return null;
+    }
+    return estimator.hourly(rate + estimator.prices.publicIpv4Hourly) * offShare(window) * count;
+}
+
+// Wall-clock day and minute of `date` in `timezone`.
+function localTime(format, date) {
+    const parts = Object.fromEntries(format.formatToParts(date).map((part) => [part.type, part.value]));
+    return { day: parts.weekday.toUpperCase(), minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute) };
+}
+
+// The next start or stop after `now`: { action, at }. Steps through the next
+// eight days minute by minute, which keeps DST changes right.
+function nextTransition(window, now = new Date()) {
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: window.timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+    const on = minutesOf(window.on);
+    const off = minutesOf(window.off);
+    const start = Math.ceil((now.getTime() + 1) / 60000) * 60000;
+
+    for (let time = start; time < start + 8 * 24 * 60 * 60000; time += 60000) {
+        const local = localTime(format, new Date(time));
+
+        if (window.days.includes(local.day) && (local.minutes === on || local.minutes === off)) {
+            return { action: local.minutes === on ? 'start' : 'stop', at: new Date(time).toISOString() };
+        }
+    }
+    return null;
+}
+
+function toSchedulerCron(minutes, days) {
+    return `cron(${minutes % 60} ${Math.floor(minutes / 60)} ? * ${days.join(',')} *)`;
+}
+
+function toUnixCron(minutes, days) {
+    return `${minutes % 60} ${Math.floor(minutes / 60)} * * ${days.map((day) => DAYS.indexOf(day)).join(',')}`;
+}
+
+// Parses "M H ..." cron fields (either flavour) back into a time and days.
+function fromCron(expression) {
+    const fields = expression.replace(/^cron\(|\)$/g, '').trim().split(/\s+/);
+    return { time: formatMinutes(Number(fields[1]) * 60 + Number(fields[0])), days: expandDays(fields[4]) };
+}
+
+function isNotFound(error) {
+    return error.code === 'ResourceNotFoundException' || error.code === 'NoSuchEntity';
+}
+
+// Starts and stops one instance through EventBridge Scheduler.
+class InstanceScheduler {
+    constructor(options) {
+        this.scheduler = options.scheduler;
+        this.iam = options.iam;
+        this.instanceId = options.instanceId;
+        this.region = options.region;
+    }
+
+    scheduleName(action) {
+        return `${SCHEDULE_PREFIX}${this.instanceId}-${action}`;
+    }
+
+    // The role the schedules assume, allowed to start and stop only the
+    // scheduled instances.
+    async ensureRole() {
+        let role;
+        try {
+            role = (await this.iam.getRole({ RoleName: SCHEDULER_ROLE_NAME }).promise()).Role;
+        } catch (error) {
+            if (!isNotFound(error)) {
+                throw error;
+            }
+            role = (await this.iam.createRole({
+                RoleName: SCHEDULER_ROLE_NAME,
+                Description: 'Starts and stops OpenClaw instances on their schedule (created by openclaw schedule)',
+                AssumeRolePolicyDocument: JSON.stringify({
+                    Version: '2012-10-17',
+                    Statement: [{ Effect: 'Allow', Principal: { Service: 'scheduler.amazonaws.com' }, Action: 'sts:AssumeRole' }]
+                })
+            }).promise()).Role;
+        }
+
+        await this.iam.putRolePolicy({
+            RoleName: SCHEDULER_ROLE_NAME,
+            PolicyName: `start-stop-${this.instanceId}`,
+            PolicyDocument: JSON.stringify({
+                Version: '2012-10-17',
+                Statement: [{
+                    Effect: 'Allow',
+                    Action: ['ec2:StartInstances', 'ec2:StopInstances'],
+                    Resource: `arn:aws:ec2:${this.region}:*:instance/${this.instanceId}`
+                }]
+            })
+        }).promise();
+
+        return role.Arn;
+    }
+
+    async getSchedule(action) {
+        try {
+            return await this.scheduler.getSchedule({ Name: this.scheduleName(action) }).promise();
+        } catch (error) {
+            if (isNotFound(error)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Creates or updates both schedules. A new role takes a few seconds
+    // before Scheduler accepts it.
+    async apply(window) {
+        const roleArn = await this.ensureRole();
+
+        for (const [action, time] of [['start', window.on], ['stop', window.off]]) {
+            const params = {
+                Name: this.scheduleName(action),
+                Description: `${action === 'start' ? 'Starts' : 'Stops'} ${this.instanceId} (openclaw schedule)`,
+                ScheduleExpression: toSchedulerCron(minutesOf(time), window.days),
+                ScheduleExpressionTimezone: window.timezone,
+                FlexibleTimeWindow: { Mode: 'OFF' },
+                State: 'ENABLED',
+                Target: {
+                    Arn: `arn:aws:scheduler:::aws-sdk:ec2:${action}Instances`,
+                    RoleArn: roleArn,
+                    Input: JSON.stringify({ InstanceIds: [this.instanceId] })
+                }
+            };
+            const method = await this.getSchedule(action) ? 'updateSchedule' : 'createSchedule';
+
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    await this.scheduler[method](params).promise();
+                    break;
+                } catch (error) {
+                    if (error.code !== 'ValidationException' || !/role/i.test(error.message) || attempt === 6) {
+                        throw error;
+                    }
+                    await sleep(5000);
+                }
+            }
+        }
+    }
+
+    // Resolves with the window, or null when the instance has no schedule.
+    async read() {
+        const [start, stop] = await Promise.all([this.getSchedule('start'), this.getSchedule('stop')]);
+
+        if (!start || !stop) {
+            return null;
+        }
+
+        const on = fromCron(start.ScheduleExpression);
+        return {
+            days: on.days,
+            on: on.time,
+            off: fromCron(stop.ScheduleExpression).time,
+            timezone: start.ScheduleExpressionTimezone || 'UTC',
+            enabled: start.State === 'ENABLED' && stop.State === 'ENABLED'
+        };
+    }
+
+    async remove() {
+        for (const action of ['start', 'stop']) {
+            try {
+                await this.scheduler.deleteSchedule({ Name: this.scheduleName(action) }).promise();
+            } catch (error) {
+                if (!isNotFound(error)) {
+                    throw error;
+                }
+            }
+        }
+
+        try {
+            await this.iam.deleteRolePolicy({ RoleName: SCHEDULER_ROLE_NAME, PolicyName: `start-stop-${this.instanceId}` }).promise();
+        } catch (error) {
+            if (!isNotFound(error)) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Scales an Auto Scaling group to zero and back with scheduled actions.
+class GroupScheduler {
+    constructor(options) {
+        this.autoscaling = options.autoscaling;
+        this.groupName = options.groupName;
+    }
+
+    async actions() {
+        const { ScheduledUpdateGroupActions } = await this.autoscaling.describeScheduledActions({
+            AutoScalingGroupName: this.groupName,
+            ScheduledActionNames: [START_ACTION, STOP_ACTION]
+        }).promise();
+
+        return Object.fromEntries(ScheduledUpdateGroupActions.map((action) => [action.ScheduledActionName, action]));
+    }
+
+    // `capacity` ({ min, max, desired }) is what the group scales back to.
+    async apply(window, capacity) {
+        const common = { AutoScalingGroupName: this.groupName, TimeZone: window.timezone };
+
+        await this.autoscaling.putScheduledUpdateGroupAction({
+            ...common,
+            ScheduledActionName: START_ACTION,
+            Recurrence: toUnixCron(minutesOf(window.on), window.days),
+            MinSize: capacity.min,
+            MaxSize: capacity.max,
+            DesiredCapacity: capacity.desired
+        }).promise();
+
+        await this.autoscaling.putScheduledUpdateGroupAction({
+            ...common,
+            ScheduledActionName: STOP_ACTION,
+            Recurrence: toUnixCron(minutesOf(window.off), window.days),
+            MinSize: 0,
+            DesiredCapacity: 0
+        }).promise();
+    }
+
+    // Resolves with the window plus the capacity it scales back to, or null.
+    async read() {
+        const actions = await this.actions();
+        const start = actions[START_ACTION];
+        const stop = actions[STOP_ACTION];
+
+        if (!start || !stop) {
+            return null;
+        }
+
+        const on = fromCron(start.Recurrence);
+        return {
+            days: on.days,
+            on: on.time,
+            off: fromCron(stop.Recurrence).time,
+            timezone: start.TimeZone || 'UTC',
+            enabled: true,
+            capacity: { min: start.MinSize, max: start.MaxSize, desired: start.DesiredCapacity }
+        };
+    }
+
+    async remove() {
+        const actions = await this.actions();
+
+        for (const name of Object.keys(actions)) {
+            await this.autoscaling.deleteScheduledAction({ AutoScalingGroupName: this.groupName, ScheduledActionName: name }).promise();
+        }
+    }
+}
+
+module.exports = {
+    SCHEDULER_ROLE_NAME,
+    expandDays,
+    parseWindow,
+    describeWindow,
+    runningHoursPerWeek,
+    estimateSavings,
+    nextTransition,
+    toSchedulerCron,
+    toUnixCron,
+    fromCron,
+    InstanceScheduler,
+    GroupScheduler
+};
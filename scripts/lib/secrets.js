@@ -0,0 +1,149 @@
+const AWS = require('aws-sdk');
+const { clientOptions } = require('./aws');
+
+// Installed by terraform/user_data_enhanced.sh and by user-data.sh on the Auto
+// Scaling group; reads the key through the instance role and restarts the gateway.
+const REFRESH_SCRIPT = '/opt/openclaw/refresh-secrets.sh';
+
+// Shows only enough of a key to tell two keys apart.
+function maskSecret(value) {
+    if (!value) {
+        return null;
+    }
+    return value.length > 12 ? `${value.slice(0, 7)}…${value.slice(-4)}` : '********';
+}
+
+function checkAnthropicKey(value) {
+    if (!value || !value.trim()) {
+        throw new Error('The Anthropic API key is empty');
+    }
+    if (/\s/.test(value.trim())) {
+        throw new Error('The Anthropic API key must not contain whitespace');
+    }
+    return value.trim();
+}
+
+// The key as an SSM Parameter Store SecureString.
+class SsmSecretStore {
+    constructor(options) {
+        this.type = 'ssm';
+        this.id = options.id;
+        this.ssm = options.ssm || new AWS.SSM(clientOptions(options.region));
+    }
+
+    async metadata() {
+        const result = await this.ssm.describeParameters({
+            ParameterFilters: [{ Key: 'Name', Option: 'Equals', Values: [this.id] }]
+        }).promise();
+        const parameter = result.Parameters[0];
+
+        if (!parameter) {
+            return null;
+        }
+
+        return {
+            store: this.type,
+            id: this.id,
+            version: String(parameter.Version),
+            lastModified: parameter.LastModifiedDate ? new Date(parameter.LastModifiedDate).toISOString() : null,
+            lastModifiedBy: parameter.LastModifiedUser || null,
+            kmsKeyId: parameter.KeyId || null
+        };
+    }
+
+    async get() {
+        const result = await this.ssm.getParameter({ Name: this.id, WithDecryption: true }).promise();
+        return result.Parameter.Value;
+    }
+
+    // Resolves with the new version.
+    async put(value) {
+        const result = await this.ssm.putParameter({
+            Name: this.id,
+            Value: value,
+            Type: 'SecureString',
+            Overwrite: true
+        }).promise();
+        return String(result.Version);
+    }
+}
+
+// The key as a Secrets Manager secret string.
+class SecretsManagerSecretStore {
+    constructor(options) {
+        this.type = 'secretsmanager';
+        this.id = options.id;
+        this.secretsManager = options.secretsManager || new AWS.SecretsManager(clientOptions(options.region));
+    }
+
+    async metadata() {
+        let secret;
+        try {
+            secret = await this.secretsManager.describeSecret({ SecretId: this.id }).promise();
+        } catch (error) {
+            if (error.code === 'ResourceNotFoundException') {
+                return null;
+            }
+            throw error;
+        }
+
+        const versions = secret.VersionIdsToStages || {};
+        const current = Object.keys(versions).find((id) => versions[id].includes('AWSCURRENT'));
+
+        return {
+            store: this.type,
+            id: secret.ARN || this.id,
+            version: current || null,
+            lastModified: secret.LastChangedDate ? new Date(secret.LastChangedDate).toISOString() : null,
+            lastModifiedBy: null,
+            kmsKeyId: secret.KmsKeyId || null
+        };
+    }
+
+    async get() {
+        const result = await this.secretsManager.getSecretValue({ SecretId: this.id }).promise();
+        return result.SecretString;
+    }
+
+    async put(value) {
+        const result = await this.secretsManager.putSecretValue({ SecretId: this.id, SecretString: value }).promise();
+        return result.VersionId;
+    }
+}
+
+// Builds the store named by the `secret_store` and `anthropic_api_key_secret_id`
+// Terraform outputs.
+function createSecretStore(outputs, region) {
+    const id = outputs.anthropic_api_key_secret_id;
+
+    if (!id) {
+        throw new Error('This deployment keeps the API key in user data. Run `openclaw deploy` to move it to a managed secret.');
+    }
+
+    return outputs.secret_store === 'secretsmanager'
+        ? new SecretsManagerSecretStore({ id, region })
+        : new SsmSecretStore({ id, region });
+}
+
+// Has the instance re-read the key through its role and restart the gateway;
+// the key itself never passes through SSH or SSM.
+async function refreshInstanceSecrets(executor) {
+    const result = await executor.exec(`sudo ${REFRESH_SCRIPT}`);
+
+    if (result.exitCode !== 0) {
+        const detail = (result.stderr || result.stdout || '').trim().split('\n').slice(-3).join(' ');
+        throw new Error(`${REFRESH_SCRIPT} failed on the instance: ${detail || `exit code ${result.exitCode}`}`);
+    }
+
+    return result.stdout;
+}
+
+module.exports = {
+    REFRESH_SCRIPT,
+    maskSecret,
+    checkAnthropicKey,
+    SsmSecretStore,
+    SecretsManagerSecretStore,
+    createSecretStore,
+    refreshInstanceSecrets
+};
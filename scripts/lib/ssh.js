@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { runCommand } = require('./terraform');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const SSH_USER = 'ubuntu';
+
+// Saved PEM keys live in the project root as <key-name>.pem, matching the
+// `ssh_connection_command` Terraform output.
+function getKeyPath(keyName) {
+    return path.join(PROJECT_ROOT, `${keyName}.pem`);
+}
+
+// Non-interactive (`batch`) calls must fail fast instead of prompting.
+function buildSshArgs(host, keyPath, remoteCommand, options = {}) {
+    const args = ['-i', keyPath, '-o', 'StrictHostKeyChecking=accept-new', '-o', 'ConnectTimeout=10'];
+
+    if (options.batch) {
+        args.push('-o', 'BatchMode=yes');
+    }
+
+    args.push(`${SSH_USER}@${host}`);
+
+    if (remoteCommand) {
+        args.push(remoteCommand);
+    }
+
+    return args;
+}
+
+function formatSshCommand(host, keyPath, remoteCommand) {
+    const relativeKey = path.relative(process.cwd(), keyPath) || keyPath;
+    const base = `ssh -i ${relativeKey} ${SSH_USER}@${host}`;
+    return remoteCommand ? `${base} '${remoteCommand}'` : base;
+}
+
+// Resolves the instance address from Terraform outputs.
+async function getInstanceHost(terraform) {
+    const outputs = await terraform.outputs();
+    const host = outputs.instance_public_ip || outputs.instance_public_dns;
+
+    if (!host) {
+        throw new Error('No deployment found. Run `openclaw deploy` first.');
+    }
+
+    return host;
+}
+
+// Opens an interactive session, or runs `remoteCommand` with output streamed
+// to the terminal. With `capture` the call is non-interactive and resolves
+// with { stdout, stderr }.
+async function runSsh(host, keyPath, remoteCommand, options = {}) {
+    if (!fs.existsSync(keyPath)) {
+        throw new Error(`Private key not found: ${keyPath}`);
+    }
+
+    const args = buildSshArgs(host, keyPath, remoteCommand, { batch: options.capture });
+    return runCommand('ssh', args, { quiet: true, ...options });
+}
+
+// Runs `remoteCommand` non-interactively and calls `onLine` for every stdout
+// line as it arrives. Resolves with the ssh exit code once the connection
+// closes; `kill()` on the returned promise ends it early.
+function streamSsh(host, keyPath, remoteCommand, onLine) {
+    if (!fs.existsSync(keyPath)) {
+        return Promise.reject(new Error(`Private key not found: ${keyPath}`));
+    }
+
+    const args = ['-o', 'ServerAliveInterval=15', '-o', 'ServerAliveCountMax=3',
+        ...buildSshArgs(host, keyPath, remoteCommand, { batch: true })];
+    const proc = spawn('ssh', args, { stdio: ['ignore', 'pipe', 'inherit'] });
+    readline.createInterface({ input: proc.stdout }).on('line', onLine);
+
+    const exited = new Promise((resolve, reject) => {
+        proc.on('close', resolve);
+        proc.on('error', reject);
+    });
+    exited.kill = () => proc.kill();
+    return exited;
+}
+
+module.exports = {
+    SSH_USER,
+    getKeyPath,
+    buildSshArgs,
+    formatSshCommand,
+    getInstanceHost,
+    runSsh,
+    streamSsh
+};
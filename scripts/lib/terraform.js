@@ -0,0 +1,186 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { defaultLayer, mergeLayers, toTerraformVars } = require('./config');
+const { isJsonMode } = require('./output');
+const { credentialEnv } = require('./credentials');
+
+const DEFAULT_TERRAFORM_DIR = path.join(__dirname, '..', '..', 'terraform');
+
+// Runs a command to completion. With `capture` the output is buffered and
+// returned as { stdout, stderr, code }; otherwise it streams to the terminal
+// (stderr in --json mode) and resolves with the exit code. A non-zero exit
+// rejects unless `allowFailure` is set.
+function runCommand(command, args = [], options = {}) {
+    return new Promise((resolve, reject) => {
+        if (!options.quiet) {
+            console.log(chalk.blue(`Running: ${command} ${args.join(' ')}`));
+        }
+
+        const proc = spawn(command, args, {
+            stdio: options.capture ? 'pipe' : ['inherit', isJsonMode() ? 2 : 'inherit', 'inherit'],
+            cwd: options.cwd || process.cwd(),
+            env: { ...process.env, ...options.env }
+        });
+
+        let stdout = '';
+        let stderr = '';
+
+        if (options.capture) {
+            proc.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+
+            proc.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+        }
+
+        proc.on('close', (code) => {
+            if (code === 0 || options.allowFailure) {
+                resolve(options.capture ? { stdout: stdout.trim(), stderr: stderr.trim(), code } : code);
+            } else {
+                const detail = options.capture && stderr ? `: ${stderr.trim()}` : '';
+                reject(new Error(`Command failed with exit code ${code}${detail}`));
+            }
+        });
+
+        proc.on('error', (error) => {
+            reject(error);
+        });
+    });
+}
+
+// Builds the AWS_* and TF_VAR_* environment passed to every Terraform call
+// from resolved settings (see lib/config.js).
+function buildTerraformEnv(config = {}) {
+    const settings = mergeLayers(defaultLayer(), config);
+    const env = {
+        AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
+        AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
+        AWS_REGION: settings.region,
+        ...toTerraformVars(settings),
+        TF_VAR_environment: settings.environment
+    };
+
+    return Object.fromEntries(Object.entries(env).filter(([, value]) => value !== undefined));
+}
+
+class TerraformRunner {
+    constructor(options = {}) {
+        this.dir = options.dir ? path.resolve(options.dir) : DEFAULT_TERRAFORM_DIR;
+        this.workspace = options.workspace || 'default';
+        this.env = options.env || buildTerraformEnv(options.config);
+
+        // TF_WORKSPACE scopes every command to the workspace without touching
+        // the workspace selected in .terraform/environment.
+        if (this.workspace !== 'default') {
+            this.env.TF_WORKSPACE = this.workspace;
+        }
+    }
+
+    async run(args, options = {}) {
+        return runCommand('terraform', args, {
+            ...options,
+            cwd: this.dir,
+            env: { ...this.env, ...await credentialEnv(), ...options.env }
+        });
+    }
+
+    async isInstalled() {
+        try {
+            await runCommand('terraform', ['version'], { capture: true, quiet: true });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async init(args = []) {
+        if (!fs.existsSync(this.dir)) {
+            throw new Error(`Terraform directory not found: ${this.dir}`);
+        }
+
+        // Init runs against the selected workspace; the target one may not exist yet.
+        await this.run(['init', ...args], { env: { TF_WORKSPACE: '' } });
+        await this.ensureWorkspace();
+    }
+
+    async listWorkspaces() {
+        try {
+            const result = await this.run(['workspace', 'list'], {
+                capture: true,
+                quiet: true,
+                env: { TF_WORKSPACE: '' }
+            });
+            return result.stdout.split('\n')
+                .map((line) => line.replace(/^\*/, '').trim())
+                .filter(Boolean);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async ensureWorkspace() {
+        if (this.workspace === 'default') {
+            return;
+        }
+
+        const workspaces = await this.listWorkspaces();
+
+        if (!workspaces.includes(this.workspace)) {
+            await this.run(['workspace', 'new', this.workspace], { env: { TF_WORKSPACE: '' } });
+        }
+    }
+
+    plan(args = []) {
+        return this.run(['plan', ...args]);
+    }
+
+    apply(args = []) {
+        return this.run(['apply', ...args]);
+    }
+
+    destroy(args = []) {
+        return this.run(['destroy', ...args]);
+    }
+
+    // Parsed `terraform show -json` for a saved plan file.
+    async showPlan(planFile) {
+        const result = await this.run(['show', '-json', planFile], { capture: true, quiet: true });
+        return JSON.parse(result.stdout);
+    }
+
+    // Parsed `terraform show -json` for the current state.
+    async showState() {
+        const result = await this.run(['show', '-json'], { capture: true, quiet: true });
+        return JSON.parse(result.stdout || '{}');
+    }
+
+    async output(name) {
+        const result = await this.run(['output', '-raw', name], { capture: true, quiet: true });
+        return result.stdout;
+    }
+
+    // Returns the outputs as { name: value }, or {} when there is no state yet.
+    // Sensitive outputs are left out unless `includeSensitive` is set.
+    async outputs(options = {}) {
+        try {
+            const result = await this.run(['output', '-json'], { capture: true, quiet: true });
+            const raw = JSON.parse(result.stdout || '{}');
+            return Object.fromEntries(Object.entries(raw)
+                .filter(([, output]) => options.includeSensitive || !output.sensitive)
+                .map(([name, output]) => [name, output.value]));
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_TERRAFORM_DIR,
+    runCommand,
+    buildTerraformEnv,
+    TerraformRunner
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TERRAFORM_DIR } = require('./terraform');
+const { createTerraformRunner } = require('./environments');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+// The two stacks in the repository and the Terraform directory of each.
+const TOPOLOGIES = {
+    single: {
+        dir: DEFAULT_TERRAFORM_DIR,
+        description: 'a single EC2 instance (terraform/)'
+    },
+    scaled: {
+        dir: PROJECT_ROOT,
+        description: 'an Auto Scaling group behind a load balancer, with CloudFront (root stack)'
+    }
+};
+
+// Names the topology the outputs of a stack describe, or null when nothing
+// is deployed.
+function detectTopology(outputs) {
+    if (outputs.auto_scaling_group_name) {
+        return 'scaled';
+    }
+    if (outputs.instance_id) {
+        return 'single';
+    }
+    return null;
+}
+
+function topologyOfDir(dir) {
+    const resolved = path.resolve(dir);
+    return Object.keys(TOPOLOGIES).find((name) => TOPOLOGIES[name].dir === resolved) || null;
+}
+
+// Picks the Terraform directory: --dir, then the `topology` setting. With
+// `auto` the single-instance stack is used unless only the scaled stack has
+// a deployment. The root directory is only asked for outputs once it has been
+// initialized, so single-instance users pay for no extra Terraform call.
+async function resolveTerraformDir(environment, flags = {}) {
+    if (flags.dir) {
+        return path.resolve(flags.dir);
+    }
+
+    if (environment.topology && environment.topology !== 'auto') {
+        return TOPOLOGIES[environment.topology].dir;
+    }
+
+    if (!fs.existsSync(path.join(TOPOLOGIES.scaled.dir, '.terraform'))) {
+        return TOPOLOGIES.single.dir;
+    }
+
+    const single = await createTerraformRunner(environment, { dir: TOPOLOGIES.single.dir }).outputs();
+    if (detectTopology(single)) {
+        return TOPOLOGIES.single.dir;
+    }
+
+    const scaled = await createTerraformRunner(environment, { dir: TOPOLOGIES.scaled.dir }).outputs();
+    return detectTopology(scaled) === 'scaled' ? TOPOLOGIES.scaled.dir : TOPOLOGIES.single.dir;
+}
+
+module.exports = {
+    TOPOLOGIES,
+    detectTopology,
+    topologyOfDir,
+    resolveTerraformDir
+};
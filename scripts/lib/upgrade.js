@@ -0,0 +1,128 @@
+const { runRemote } = require('./remote');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// PM2 app started by user_data_enhanced.sh; the ASG image runs OpenClaw as the
+// `openclaw` systemd service instead (user-data.sh), and the CDK instance as a
+// user unit of ec2-user.
+const GATEWAY_APP = 'openclaw-gateway';
+const BACKUP_ROOT = '/var/backups/openclaw-upgrade';
+const BACKUPS_KEPT = 3;
+const REFRESH_FINISHED = ['Successful', 'Failed', 'Cancelled', 'RollbackSuccessful', 'RollbackFailed'];
+
+function installedVersion(executor) {
+    return runRemote(executor,
+        'node -p "require(\'$(npm root -g)/openclaw/package.json\').version"',
+        'Reading the installed version');
+}
+
+// Copies the installed package and ~/.openclaw aside, keeping the newest
+// BACKUPS_KEPT copies. Resolves with the backup directory.
+async function backupInstall(executor, stamp) {
+    const dir = `${BACKUP_ROOT}/${stamp}`;
+
+    await runRemote(executor, [
+        'set -e',
+        `sudo mkdir -p ${dir}`,
+        `sudo cp -a "$(npm root -g)/openclaw" ${dir}/openclaw`,
+        `sudo tar -czf ${dir}/config.tar.gz -C /home/openclaw --exclude=node_modules .openclaw`,
+        `ls -1dt ${BACKUP_ROOT}/*/ | tail -n +${BACKUPS_KEPT + 1} | xargs -r sudo rm -rf`
+    ].join('\n'), 'Backing up the current install');
+
+    return dir;
+}
+
+function installVersion(executor, version) {
+    return runRemote(executor, `sudo npm install -g --no-audit --no-fund openclaw@${version}`,
+        `Installing openclaw@${version}`);
+}
+
+// Puts the package and configuration saved by backupInstall back.
+function restoreInstall(executor, dir) {
+    return runRemote(executor, [
+        'set -e',
+        'ROOT="$(npm root -g)"',
+        'sudo rm -rf "$ROOT/openclaw"',
+        `sudo cp -a ${dir}/openclaw "$ROOT/openclaw"`,
+        `sudo tar -xzf ${dir}/config.tar.gz -C /home/openclaw`
+    ].join('\n'), 'Restoring the previous install');
+}
+
+function restartGateway(executor) {
+    return runRemote(executor, [
+        `if sudo -iu openclaw pm2 describe ${GATEWAY_APP} >/dev/null 2>&1; then`,
+        `  sudo -iu openclaw pm2 restart ${GATEWAY_APP} --update-env && sudo -iu openclaw pm2 save`,
+        'elif systemctl cat openclaw.service >/dev/null 2>&1; then',
+        '  sudo systemctl restart openclaw',
+        'else',
+        `  sudo -iu ec2-user env XDG_RUNTIME_DIR=/run/user/$(id -u ec2-user) systemctl --user restart ${GATEWAY_APP}`,
+        'fi'
+    ].join('\n'), 'Restarting the gateway');
+}
+
+// Rolls every instance of the group onto the latest launch template version,
+// with the warm-up and healthy share compute.tf uses for its own refreshes.
+async function startInstanceRefresh(autoscaling, groupName) {
+    const { InstanceRefreshId } = await autoscaling.startInstanceRefresh({
+        AutoScalingGroupName: groupName,
+        Strategy: 'Rolling',
+        Preferences: { MinHealthyPercentage: 50, InstanceWarmup: 300 }
+    }).promise();
+
+    return InstanceRefreshId;
+}
+
+// Polls an instance refresh until it finishes and resolves with its last
+// description. `onProgress` gets each one.
+async function waitForInstanceRefresh(autoscaling, groupName, refreshId, options = {}) {
+    const interval = options.interval || 15000;
+    const deadline = Date.now() + (options.timeout || 60 * 60 * 1000);
+
+    while (Date.now() < deadline) {
+        const result = await autoscaling.describeInstanceRefreshes({
+            AutoScalingGroupName: groupName,
+            InstanceRefreshIds: [refreshId]
+        }).promise();
+        const refresh = result.InstanceRefreshes[0];
+
+        if (options.onProgress) {
+            options.onProgress(refresh);
+        }
+        if (REFRESH_FINISHED.includes(refresh.Status)) {
+            return refresh;
+        }
+
+        await sleep(interval);
+    }
+
+    throw new Error(`Instance refresh ${refreshId} did not finish in time`);
+}
+
+// The OpenClaw version a launch template version installs: the `openclaw@<version>`
+// its user data (user-data.sh) passes to npm.
+async function launchTemplateOpenclawVersion(ec2, templateId, version) {
+    const { LaunchTemplateVersions } = await ec2.describeLaunchTemplateVersions({
+        LaunchTemplateId: templateId,
+        Versions: [String(version)]
+    }).promise();
+    const userData = LaunchTemplateVersions[0] && LaunchTemplateVersions[0].LaunchTemplateData.UserData;
+    const match = userData && /openclaw@(\S+)/.exec(Buffer.from(userData, 'base64').toString('utf8'));
+
+    if (!match) {
+        throw new Error(`Version ${version} of launch template ${templateId} does not name an OpenClaw version`);
+    }
+    return match[1];
+}
+
+module.exports = {
+    GATEWAY_APP,
+    BACKUP_ROOT,
+    installedVersion,
+    backupInstall,
+    installVersion,
+    restoreInstall,
+    restartGateway,
+    startInstanceRefresh,
+    waitForInstanceRefresh,
+    launchTemplateOpenclawVersion
+};
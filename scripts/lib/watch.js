@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+const { httpPost } = require('./http');
+
+// One JSON document per line and environment, appended by `openclaw watch`.
+const HISTORY_DIR = path.join(__dirname, '..', '..', 'history');
+const DEFAULT_INTERVAL = 60;
+// Degraded still answers requests, so it counts towards uptime.
+const UP_RESULTS = ['healthy', 'degraded'];
+const STOPPED_STATES = ['stopping', 'stopped', 'shutting-down', 'terminated'];
+const ALERT_TIMEOUT = 30000;
+
+const SEVERITY_STYLES = {
+    critical: { icon: '❌', color: 'red', slack: ':red_circle:' },
+    warning: { icon: '⚠️ ', color: 'yellow', slack: ':warning:' },
+    info: { icon: 'ℹ️ ', color: 'blue', slack: ':information_source:' },
+    resolved: { icon: '✅', color: 'green', slack: ':white_check_mark:' }
+};
+
+const RESULT_SEVERITIES = {
+    healthy: 'resolved',
+    degraded: 'warning',
+    unreachable: 'critical',
+    'no-deployment': 'critical'
+};
+
+function historyPath(environmentName) {
+    return path.join(HISTORY_DIR, `${environmentName}.jsonl`);
+}
+
+// What a status report leaves in the history: the result, where the
+// deployment runs and what is failing.
+function toSample(report, interval) {
+    const sample = {
+        at: report.timestamp,
+        interval,
+        result: report.result,
+        topology: report.topology,
+        instanceId: report.instance ? report.instance.id : null,
+        state: report.instance ? report.instance.state : null,
+        publicIp: (report.instance && report.instance.publicIp) || null,
+        problems: (report.probes || [])
+            .filter((probe) => probe.status === 'fail')
+            .map((probe) => `${probe.name}: ${probe.detail}`),
+        certificateDaysLeft: report.certificate ? report.certificate.daysLeft : null
+    };
+
+    if (report.autoScaling) {
+        const group = report.autoScaling;
+        sample.state = group.inService > 0 ? 'running' : 'stopped';
+        sample.capacity = `${group.inService}/${group.desired}`;
+    }
+    if (report.targets && report.targets.healthy < report.targets.targets.length) {
+        sample.problems.push(`targets: ${report.targets.healthy}/${report.targets.targets.length} healthy`);
+    }
+    (report.alarms || [])
+        .filter((alarm) => alarm.state === 'ALARM')
+        .forEach((alarm) => sample.problems.push(`alarm: ${alarm.name}`));
+
+    return sample;
+}
+
+// A sample for a check that did not complete (expired credentials, no
+// network on this side); it counts as unknown rather than down.
+function errorSample(error, interval) {
+    return { at: new Date().toISOString(), interval, result: 'error', error: error.message };
+}
+
+function appendSample(file, sample) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(sample)}\n`);
+}
+
+// Samples taken at or after `since` (ms), oldest first. A line cut short by
+// an interrupted write is skipped.
+function readHistory(file, since = 0) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+
+    return fs.readFileSync(file, 'utf8').split('\n')
+        .filter(Boolean)
+        .map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter((sample) => sample && Date.parse(sample.at) >= since);
+}
+
+function event(type, severity, message) {
+    return { type, severity, message };
+}
+
+// State changes between two completed samples, as alert events. `previous`
+// carries the last known public IP, so a stop and start that moves the
+// instance to a new address is still reported.
+function detectChanges(previous, current) {
+    const events = [];
+
+    if (!previous) {
+        return events;
+    }
+
+    if (previous.instanceId && current.instanceId && previous.instanceId !== current.instanceId) {
+        events.push(event('instance-replaced', 'warning', `Instance ${previous.instanceId} was replaced by ${current.instanceId}`));
+    }
+
+    const wasStopped = STOPPED_STATES.includes(previous.state);
+    const isStopped = STOPPED_STATES.includes(current.state);
+    if (isStopped && !wasStopped) {
+        events.push(event('instance-stopped', 'critical', `Instance is ${current.state} (was ${previous.state || 'unknown'})`));
+    } else if (wasStopped && current.state === 'running') {
+        events.push(event('instance-started', 'info', `Instance is running again (was ${previous.state})`));
+    }
+
+    if (previous.publicIp && current.publicIp && previous.publicIp !== current.publicIp) {
+        events.push(event('ip-changed', 'warning', `Public IP changed from ${previous.publicIp} to ${current.publicIp}`));
+    }
+
+    if (previous.result !== current.result) {
+        const problems = current.problems && current.problems.length > 0 ? `: ${current.problems.join('; ')}` : '';
+        events.push(event('result-changed', RESULT_SEVERITIES[current.result] || 'warning',
+            `OpenClaw is ${current.result} (was ${previous.result})${problems}`));
+    }
+
+    return events;
+}
+
+function postAlert(url, document) {
+    return httpPost(url, document).then((response) => {
+        if (response.statusCode >= 300) {
+            throw new Error(`HTTP ${response.statusCode}`);
+        }
+    });
+}
+
+// Runs `command` through the shell with the alert as JSON on stdin and in
+// OPENCLAW_ALERT_* variables. OPENCLAW_ENV is set, so the command can run
+// `openclaw status` against the same environment.
+function runAlertCommand(command, alert) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, {
+            shell: true,
+            stdio: ['pipe', 2, 2],
+            env: {
+                ...process.env,
+                OPENCLAW_ENV: alert.environment,
+                OPENCLAW_ALERT_TYPE: alert.type,
+                OPENCLAW_ALERT_SEVERITY: alert.severity,
+                OPENCLAW_ALERT_MESSAGE: alert.message,
+                OPENCLAW_ALERT_RESULT: alert.sample.result
+            }
+        });
+        const timer = setTimeout(() => child.kill(), ALERT_TIMEOUT);
+
+        child.on('error', reject);
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(signal ? `killed by ${signal}` : `exited with code ${code}`));
+            }
+        });
+        child.stdin.on('error', () => {});
+        child.stdin.end(`${JSON.stringify(alert)}\n`);
+    });
+}
+
+// Where alerts go: a generic webhook gets the alert as JSON, a Slack
+// incoming webhook (or anything taking Slack's payload) a one-line text.
+function createAlertSinks({ webhook, slack, command }) {
+    const sinks = [];
+
+    if (webhook) {
+        sinks.push({ name: 'webhook', send: (alert) => postAlert(webhook, alert) });
+    }
+    if (slack) {
+        sinks.push({
+            name: 'slack',
+            send: (alert) => postAlert(slack, {
+                text: `${SEVERITY_STYLES[alert.severity].slack} *OpenClaw ${alert.environment}*: ${alert.message}`
+            })
+        });
+    }
+    if (command) {
+        sinks.push({ name: 'command', send: (alert) => runAlertCommand(command, alert) });
+    }
+
+    return sinks;
+}
+
+// Polls status every `interval` seconds, appends each sample to the history
+// and sends an alert for every change. `collect` resolves with a status
+// report, as StatusChecker.collectStatus does.
+class Watcher {
+    constructor(options) {
+        this.environment = options.environment;
+        this.collect = options.collect;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.historyFile = options.historyFile;
+        this.sinks = options.sinks || [];
+        this.once = Boolean(options.once);
+        this.stopped = false;
+        this.wake = null;
+        // The last completed sample, with the last public IP seen.
+        this.known = null;
+        this.failing = false;
+        this.last = null;
+        this.samples = 0;
+        this.alerts = [];
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.wake) {
+            this.wake();
+        }
+    }
+
+    pause(ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, ms);
+            this.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        }).then(() => {
+            this.wake = null;
+        });
+    }
+
+    async alert(events, sample) {
+        for (const { type, severity, message } of events) {
+            const alert = { source: 'openclaw', environment: this.environment, type, severity, message, at: sample.at, sample };
+            const style = SEVERITY_STYLES[severity];
+
+            console.log(chalk[style.color](`${style.icon} ${message}`));
+            this.alerts.push(alert);
+
+            await Promise.all(this.sinks.map((sink) => sink.send(alert).catch((error) => {
+                console.error(chalk.yellow(`⚠️  Could not send the alert to the ${sink.name}: ${error.message}`));
+            })));
+        }
+    }
+
+    printSample(sample) {
+        const time = chalk.gray(new Date(sample.at).toLocaleTimeString());
+
+        if (sample.result === 'error') {
+            console.log(`${time} ${chalk.yellow('error'.padEnd(13))} ${sample.error}`);
+            return;
+        }
+
+        const color = { healthy: 'green', degraded: 'yellow' }[sample.result] || 'red';
+        const where = [sample.publicIp || sample.capacity, sample.state].filter(Boolean).join(' ');
+        console.log(`${time} ${chalk[color](sample.result.padEnd(13))} ${where}${sample.problems.length > 0 ? chalk.gray(`  ${sample.problems.join('; ')}`) : ''}`);
+    }
+
+    async tick() {
+        let sample;
+
+        try {
+            sample = toSample(await this.collect(), this.interval);
+        } catch (error) {
+            sample = errorSample(error, this.interval);
+        }
+
+        let events = [];
+        if (sample.result === 'error') {
+            // Only the first failure alerts; checks that keep failing say so once.
+            if (!this.failing) {
+                events = [event('watch-error', 'warning', `Could not check status: ${sample.error}`)];
+            }
+            this.failing = true;
+        } else {
+            events = detectChanges(this.known, sample);
+            this.failing = false;
+            this.known = { ...sample, publicIp: sample.publicIp || (this.known && this.known.publicIp) || null };
+        }
+
+        if (events.length > 0) {
+            sample.events = events.map((entry) => entry.type);
+        }
+
+        appendSample(this.historyFile, sample);
+        this.last = sample;
+        this.samples++;
+        this.printSample(sample);
+        await this.alert(events, sample);
+
+        return sample;
+    }
+
+    async run() {
+        while (!this.stopped) {
+            await this.tick();
+
+            if (this.once) {
+                break;
+            }
+            await this.pause(this.interval * 1000);
+        }
+    }
+}
+
+// How long each sample's result held: until the next sample, but no longer
+// than twice its interval. Gaps beyond that (watch was not running) are
+// left out rather than counted as up or down.
+function sampleSpans(samples, until) {
+    return samples.map((sample, index) => {
+        const start = Date.parse(sample.at);
+        const next = index + 1 < samples.length ? Date.parse(samples[index + 1].at) : until;
+        const limit = 2 * (sample.interval || DEFAULT_INTERVAL) * 1000;
+        return { sample, start, end: start + Math.max(0, Math.min(next - start, limit)) };
+    });
+}
+
+function bucketOf(sample) {
+    if (sample.result === 'error') {
+        return 'unknown';
+    }
+    if (UP_RESULTS.includes(sample.result)) {
+        return sample.result;
+    }
+    return STOPPED_STATES.includes(sample.state) ? 'stopped' : 'down';
+}
+
+function percentage(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 100000) / 1000 : null;
+}
+
+// Uptime and SLA over the samples between `since` and `until` (ms). Uptime
+// counts every monitored minute; the SLA leaves out time the instance was
+// stopped on purpose (`openclaw stop`, a schedule), and both leave out
+// checks that did not complete.
+function summarizeHistory(samples, { since, until = Date.now(), target }) {
+    const totals = { healthy: 0, degraded: 0, down: 0, stopped: 0, unknown: 0 };
+    const outages = [];
+    let outage = null;
+
+    for (const { sample, start, end } of sampleSpans(samples, until)) {
+        const bucket = bucketOf(sample);
+        totals[bucket] += end - start;
+
+        if (bucket === 'down') {
+            // A gap in the history ends the outage; the next one starts afresh.
+            if (outage && outage.end === start) {
+                outage.end = end;
+            } else {
+                outage = { start, end, result: sample.result };
+                outages.push(outage);
+            }
+        } else if (bucket !== 'unknown') {
+            outage = null;
+        }
+    }
+
+    const up = totals.healthy + totals.degraded;
+    const known = up + totals.down + totals.stopped;
+    const sla = percentage(up, up + totals.down);
+
+    return {
+        since: new Date(since).toISOString(),
+        until: new Date(until).toISOString(),
+        samples: samples.length,
+        monitoredMs: known + totals.unknown,
+        totalsMs: totals,
+        uptime: percentage(up, known),
+        sla,
+        target,
+        met: sla === null ? null : sla >= target,
+        outages: outages.map((entry) => ({
+            start: new Date(entry.start).toISOString(),
+            end: new Date(entry.end).toISOString(),
+            durationMs: entry.end - entry.start,
+            result: entry.result
+        })),
+        changes: samples
+            .filter((sample) => sample.events)
+            .map((sample) => ({ at: sample.at, events: sample.events, result: sample.result }))
+    };
+}
+
+module.exports = {
+    HISTORY_DIR,
+    DEFAULT_INTERVAL,
+    SEVERITY_STYLES,
+    historyPath,
+    toSample,
+    appendSample,
+    readHistory,
+    detectChanges,
+    createAlertSinks,
+    Watcher,
+    summarizeHistory
+};
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const chalk = require('chalk');
+const { GLOBAL_FLAGS, parseArgs } = require('./lib/args');
+const { DEFAULT_ENVIRONMENT, resolveEnvironment, createTerraformRunner } = require('./lib/environments');
+const { assertRequiredSettings } = require('./lib/config');
+const { resolveKeyPath } = require('./lib/keys');
+const { useCredentials } = require('./lib/credentials');
+const { resolveTerraformDir } = require('./lib/topology');
+const { enableJsonMode, isJsonMode, createReport, writeJson } = require('./lib/output');
+const commands = require('./commands');
+
+function printHelp(command) {
+    if (command) {
+        console.log(`Usage: openclaw ${command.usage} [options]\n`);
+        console.log(command.description);
+    } else {
+        console.log('Usage: openclaw <command> [options]\n');
+        console.log('Commands:');
+        for (const [name, { description }] of Object.entries(commands)) {
+            console.log(`  ${name.padEnd(12)} ${description}`);
+        }
+    }
+
+    console.log('\nGlobal options:');
+    for (const [name, { description, boolean }] of Object.entries(GLOBAL_FLAGS)) {
+        const flag = boolean ? `--${name}` : `--${name} <value>`;
+        console.log(`  ${flag.padEnd(26)} ${description}`);
+    }
+}
+
+async function main(argv) {
+    const { command: name, positionals, flags } = parseArgs(argv, (commandName) => {
+        const command = commands[commandName];
+        return (command && command.booleanFlags) || [];
+    });
+
+    if (!name || (flags.help && !commands[name])) {
+        printHelp();
+        return;
+    }
+
+    const command = commands[name];
+
+    if (!command) {
+        throw new Error(`Unknown command: ${name}. Run \`openclaw --help\` for a list of commands.`);
+    }
+
+    if (flags.help) {
+        printHelp(command);
+        return;
+    }
+
+    if (flags.json) {
+        enableJsonMode();
+    }
+
+    // Settings are validated here so typos fail before Terraform runs.
+    const environment = resolveEnvironment(flags.env || process.env.OPENCLAW_ENV || DEFAULT_ENVIRONMENT, flags);
+
+    // Keys, profile, SSO, instance role or an assumed role; resolved on first use.
+    useCredentials(environment);
+
+    if (command.requiresSecrets) {
+        assertRequiredSettings(environment);
+    }
+
+    // Keys held in the keystore or keychain are unpacked for ssh.
+    if (command.requiresKey) {
+        environment.keyPath = await resolveKeyPath(environment);
+    }
+
+    const terraform = createTerraformRunner(environment, { ...flags, dir: await resolveTerraformDir(environment, flags) });
+
+    // Commands may return a report: it is printed in --json mode and its
+    // exitCode becomes the process exit code.
+    const report = await command.run({ positionals, flags, environment, terraform });
+
+    if (report) {
+        if (flags.json) {
+            writeJson(report);
+        }
+        process.exitCode = report.exitCode || 0;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((error) => {
+        console.error(chalk.red(`❌ ${error.message}`));
+
+        if (isJsonMode()) {
+            writeJson({ ...createReport(null, null), result: 'error', error: error.message, exitCode: 1 });
+        }
+
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
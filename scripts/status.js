@@ -1,83 +1,72 @@
-#!/usr/bin/env node
-
-require('dotenv').config();
 const AWS = require('aws-sdk');
 const chalk = require('chalk');
-const path = require('path');
-const { spawn } = require('child_process');
+const { TerraformRunner } = require('./lib/terraform');
+const { SSH_USER, getKeyPath, formatSshCommand } = require('./lib/ssh');
+const { createReport } = require('./lib/output');
+const { runProbes, probeCertificate } = require('./lib/probes');
+const { findWorldOpenPorts } = require('./lib/access');
+const { CostEstimator, money, printUsageNotes } = require('./lib/cost');
+const { resolveEnvironment, createTerraformRunner, listEnvironments } = require('./lib/environments');
+const { TOPOLOGIES, detectTopology, topologyOfDir } = require('./lib/topology');
+const { describeGroup, targetHealth, findAlarms, describeDistribution } = require('./lib/fleet');
+const { describeWindow, estimateSavings, nextTransition, InstanceScheduler, GroupScheduler } = require('./lib/schedule');
 
-class StatusChecker {
-    constructor() {
-        this.terraformDir = path.join(__dirname, '..', 'terraform');
-        
-        // Configure AWS
-        AWS.config.update({
-            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-            region: process.env.AWS_REGION || 'us-east-1'
-        });
-        
-        this.ec2 = new AWS.EC2();
-    }
+// Status results and their process exit codes.
+const STATUS_EXIT_CODES = {
+    healthy: 0,
+    degraded: 1,
+    'no-deployment': 2,
+    unreachable: 3
+};
 
-    async runCommand(command, args = [], options = {}) {
-        return new Promise((resolve, reject) => {
-            const proc = spawn(command, args, {
-                stdio: 'pipe',
-                cwd: options.cwd || process.cwd(),
-                env: { ...process.env, ...options.env }
-            });
-
-            let stdout = '';
-            let stderr = '';
+const PROBE_STYLES = {
+    pass: { icon: '✅', color: 'green' },
+    warn: { icon: '⚠️ ', color: 'yellow' },
+    fail: { icon: '❌', color: 'red' },
+    skip: { icon: '➖', color: 'gray' }
+};
 
-            proc.stdout.on('data', (data) => {
-                stdout += data.toString();
-            });
-
-            proc.stderr.on('data', (data) => {
-                stderr += data.toString();
-            });
+const ALARM_STYLES = {
+    OK: { icon: '✅', color: 'green' },
+    ALARM: { icon: '❌', color: 'red' },
+    INSUFFICIENT_DATA: { icon: '➖', color: 'gray' }
+};
 
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    resolve({ stdout: stdout.trim(), stderr: stderr.trim() });
-                } else {
-                    reject(new Error(`Command failed with exit code ${code}: ${stderr}`));
-                }
-            });
+function finalizeReport(report, result) {
+    report.result = result;
+    report.exitCode = STATUS_EXIT_CODES[result];
+    return report;
+}
 
-            proc.on('error', (error) => {
-                reject(error);
-            });
-        });
+class StatusChecker {
+    constructor(options = {}) {
+        this.options = options;
+        this.terraform = options.terraform || new TerraformRunner(options);
+        this.terraformDir = this.terraform.dir;
+        this.keyPath = options.keyPath || getKeyPath(this.terraform.env.TF_VAR_key_pair_name);
+        
+        // Credentials come from lib/credentials.js; only the region is set here.
+        AWS.config.update({ region: this.terraform.env.AWS_REGION });
+        
+        this.ec2 = new AWS.EC2();
     }
 
     async getTerraformOutputs() {
-        try {
-            const outputs = {};
-            const outputNames = ['instance_id', 'instance_public_ip', 'instance_public_dns'];
-
-            for (const outputName of outputNames) {
-                try {
-                    const result = await this.runCommand('terraform', ['output', '-raw', outputName], {
-                        cwd: this.terraformDir
-                    });
-                    outputs[outputName] = result.stdout;
-                } catch (error) {
-                    outputs[outputName] = null;
-                }
-            }
+        const outputs = await this.terraform.outputs();
+        const outputNames = ['instance_id', 'instance_public_ip', 'instance_public_dns'];
 
-            return outputs;
-        } catch (error) {
-            return {};
+        for (const outputName of outputNames) {
+            if (outputs[outputName] === undefined) {
+                outputs[outputName] = null;
+            }
         }
+
+        return outputs;
     }
 
-    async checkInstanceStatus(instanceId) {
+    async checkInstanceStatus(instanceId, ec2 = this.ec2) {
         try {
-            const result = await this.ec2.describeInstances({
+            const result = await ec2.describeInstances({
                 InstanceIds: [instanceId]
             }).promise();
 
@@ -89,7 +78,8 @@ class StatusChecker {
                     instanceType: instance.InstanceType,
                     publicIp: instance.PublicIpAddress,
                     privateIp: instance.PrivateIpAddress,
-                    keyName: instance.KeyName
+                    keyName: instance.KeyName,
+                    securityGroupIds: (instance.SecurityGroups || []).map((group) => group.GroupId)
                 };
             }
         } catch (error) {
@@ -98,69 +88,337 @@ class StatusChecker {
         return null;
     }
 
-    async checkHealthEndpoint(publicIp) {
+    // Probes every exposed surface: the health service, the gateway, HTTPS
+    // through nginx and a WebSocket upgrade.
+    async checkEndpoints(publicIp) {
+        return runProbes(publicIp, { servername: this.options.domain });
+    }
+
+    // Sensitive ports (SSH, gateway, health) that the instance's security
+    // groups open to the whole internet.
+    async checkExposure(groupIds) {
+        if (groupIds.length === 0) {
+            return [];
+        }
+
         try {
-            const https = require('http');
-            
-            return new Promise((resolve) => {
-                const req = https.get(`http://${publicIp}:8080/health`, { timeout: 10000 }, (res) => {
-                    let data = '';
-                    res.on('data', chunk => data += chunk);
-                    res.on('end', () => {
-                        try {
-                            const healthData = JSON.parse(data);
-                            resolve({
-                                status: 'healthy',
-                                data: healthData,
-                                httpStatus: res.statusCode
-                            });
-                        } catch (error) {
-                            resolve({
-                                status: 'unhealthy',
-                                error: 'Invalid JSON response',
-                                httpStatus: res.statusCode
-                            });
-                        }
-                    });
-                });
-
-                req.on('error', (error) => {
-                    resolve({
-                        status: 'unreachable',
-                        error: error.message
-                    });
-                });
-
-                req.on('timeout', () => {
-                    req.destroy();
-                    resolve({
-                        status: 'timeout',
-                        error: 'Request timed out'
-                    });
-                });
-            });
+            const result = await this.ec2.describeSecurityGroups({ GroupIds: groupIds }).promise();
+            return result.SecurityGroups.flatMap((group) =>
+                findWorldOpenPorts(group).map((entry) => ({ ...entry, securityGroupId: group.GroupId })));
         } catch (error) {
-            return {
-                status: 'error',
-                error: error.message
+            console.error(chalk.yellow(`⚠️  Could not check security groups: ${error.message}`));
+            return [];
+        }
+    }
+
+    // Monthly run-rate of the resources in the state, from the bundled price
+    // table; stopped instances only count their storage.
+    async estimateRunRate(instance) {
+        try {
+            const state = await this.terraform.showState();
+            const instanceStates = instance ? { [instance.id]: instance.state } : {};
+            const estimate = new CostEstimator({ region: this.terraform.env.AWS_REGION }).estimateState(state, instanceStates);
+            return { monthly: estimate.after, ...estimate };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The on/off window with its next transition and the estimated monthly
+    // savings, or null when nothing is scheduled. A group's window carries the
+    // capacity it scales back to.
+    async checkSchedule(scheduler, instanceType) {
+        const window = await this.lookUp('the schedule', () => scheduler.read());
+
+        if (!window) {
+            return null;
+        }
+
+        const estimator = new CostEstimator({ region: this.terraform.env.AWS_REGION });
+        return {
+            ...window,
+            next: nextTransition(window),
+            monthlySavings: estimateSavings(estimator, window, instanceType, window.capacity ? window.capacity.desired : 1),
+            currency: estimator.prices.currency
+        };
+    }
+
+    printSchedule(schedule) {
+        if (!schedule) {
+            return;
+        }
+
+        console.log(chalk.blue('\n⏰ Schedule:'));
+        console.log(chalk.gray(`Runs ${describeWindow(schedule)}${schedule.enabled ? '' : ' (disabled)'}`));
+        if (schedule.next) {
+            console.log(chalk.gray(`Next: ${schedule.next.action} at ${new Date(schedule.next.at).toLocaleString()}`));
+        }
+        if (schedule.monthlySavings !== null) {
+            console.log(chalk.green(`Saves about ${money(schedule.monthlySavings, schedule.currency)} per month`));
+        }
+    }
+
+    printCertificate(domain, certificate) {
+        if (!certificate) {
+            return;
+        }
+
+        const color = certificate.daysLeft < 14 ? 'red' : certificate.trusted ? 'green' : 'yellow';
+        console.log(chalk.blue('\n🔒 TLS certificate:'));
+        console.log(chalk[color](`${certificate.names.join(', ') || 'no name'}, issued by ${certificate.issuer || 'unknown'}`));
+        console.log(chalk[color](`Expires ${new Date(certificate.expiresAt).toLocaleDateString()} (${certificate.daysLeft} days)`));
+        if (!domain && certificate.selfSigned) {
+            console.log(chalk.gray('Self-signed; `openclaw domain attach <name>` gets one browsers accept'));
+        }
+    }
+
+    // Gathers outputs, instance state and health into a JSON-serializable
+    // report without printing anything.
+    async collectStatus() {
+        const report = createReport('status', this.terraform.workspace);
+        const outputs = await this.getTerraformOutputs();
+
+        report.outputs = outputs;
+        report.topology = detectTopology(outputs);
+        report.instance = null;
+        report.health = null;
+        report.probes = [];
+        report.exposure = [];
+        report.cost = null;
+        report.schedule = null;
+        report.ssh = null;
+        report.domain = this.options.domain || null;
+        report.certificate = null;
+
+        if (report.topology === 'scaled') {
+            return this.collectScaledStatus(report, outputs);
+        }
+
+        if (!outputs.instance_id) {
+            return finalizeReport(report, 'no-deployment');
+        }
+
+        const instanceStatus = await this.checkInstanceStatus(outputs.instance_id);
+        report.instance = instanceStatus && { id: outputs.instance_id, ...instanceStatus };
+
+        if (instanceStatus) {
+            report.exposure = await this.checkExposure(instanceStatus.securityGroupIds);
+        }
+
+        report.cost = await this.estimateRunRate(report.instance);
+        report.schedule = await this.checkSchedule(
+            new InstanceScheduler({ scheduler: new AWS.Scheduler(), instanceId: outputs.instance_id }),
+            (instanceStatus && instanceStatus.instanceType) || this.terraform.env.TF_VAR_instance_type);
+
+        if (instanceStatus && instanceStatus.state === 'running' && instanceStatus.publicIp) {
+            report.probes = await this.checkEndpoints(instanceStatus.publicIp);
+            report.health = report.probes.find((probe) => probe.name === 'health');
+            report.certificate = (report.probes.find((probe) => probe.name === 'https') || {}).certificate || null;
+        }
+
+        const host = (instanceStatus && instanceStatus.publicIp) || outputs.instance_public_ip;
+        if (host) {
+            report.ssh = {
+                host,
+                user: SSH_USER,
+                keyPath: this.keyPath,
+                command: formatSshCommand(host, this.keyPath)
             };
         }
+
+        const answered = report.probes.filter((probe) => ['pass', 'warn'].includes(probe.status));
+
+        if (answered.length === 0) {
+            return finalizeReport(report, 'unreachable');
+        }
+
+        if (report.probes.some((probe) => probe.status === 'fail')) {
+            return finalizeReport(report, 'degraded');
+        }
+
+        return finalizeReport(report, 'healthy');
+    }
+
+    // Runs one AWS lookup of the scaled stack; a failure is printed and
+    // leaves that part of the report null.
+    async lookUp(what, lookup) {
+        try {
+            return await lookup();
+        } catch (error) {
+            console.error(chalk.yellow(`⚠️  Could not get ${what}: ${error.message}`));
+            return null;
+        }
+    }
+
+    // The scaled stack: Auto Scaling group, load balancer targets, alarms and
+    // CloudFront. Healthy needs every desired instance in service and healthy
+    // behind the load balancer, no alarm firing and the distribution deployed.
+    async collectScaledStatus(report, outputs) {
+        const clients = {
+            autoscaling: new AWS.AutoScaling(),
+            elbv2: new AWS.ELBv2(),
+            cloudwatch: new AWS.CloudWatch(),
+            cloudfront: new AWS.CloudFront()
+        };
+
+        report.autoScaling = await this.lookUp('the Auto Scaling group',
+            () => describeGroup(clients.autoscaling, outputs.auto_scaling_group_name));
+        report.targets = outputs.target_group_arn
+            ? await this.lookUp('target health', () => targetHealth(clients.elbv2, outputs.target_group_arn))
+            : null;
+        report.alarms = await this.lookUp('alarms', () => findAlarms(clients.cloudwatch, {
+            loadBalancerArn: outputs.load_balancer_arn,
+            targetGroupArn: outputs.target_group_arn,
+            groupName: outputs.auto_scaling_group_name
+        })) || [];
+        report.cloudfront = outputs.cloudfront_distribution_id
+            ? await this.lookUp('the CloudFront distribution', () => describeDistribution(clients.cloudfront, outputs.cloudfront_distribution_id))
+            : null;
+        report.certificate = report.domain
+            ? await this.lookUp(`the certificate of ${report.domain}`, () => probeCertificate(report.domain))
+            : null;
+        report.cost = await this.estimateRunRate(null);
+        report.schedule = await this.checkSchedule(
+            new GroupScheduler({ autoscaling: clients.autoscaling, groupName: outputs.auto_scaling_group_name }),
+            this.terraform.env.TF_VAR_instance_type);
+
+        if (report.autoScaling && report.targets) {
+            const targets = Object.fromEntries(report.targets.targets.map((target) => [target.id, target]));
+            report.autoScaling.instances.forEach((instance) => {
+                instance.target = targets[instance.id] ? targets[instance.id].state : null;
+            });
+        }
+
+        const group = report.autoScaling;
+        const serving = report.targets ? report.targets.healthy : group ? group.inService : 0;
+
+        if (serving === 0) {
+            return finalizeReport(report, 'unreachable');
+        }
+
+        const degraded = !group ||
+            group.inService < group.desired ||
+            (report.targets && report.targets.healthy < report.targets.targets.length) ||
+            report.alarms.some((alarm) => alarm.state === 'ALARM') ||
+            (report.cloudfront && (report.cloudfront.status !== 'Deployed' || !report.cloudfront.enabled));
+
+        return finalizeReport(report, degraded ? 'degraded' : 'healthy');
+    }
+
+    printScaledStatus(report) {
+        const { outputs, autoScaling, targets, alarms, cloudfront } = report;
+
+        console.log(chalk.green(`✅ Deployment found: ${TOPOLOGIES.scaled.description}`));
+        if (outputs.application_url) {
+            console.log(chalk.gray(`Application: ${outputs.application_url}`));
+        }
+        if (report.domain) {
+            console.log(chalk.gray(`Domain: https://${report.domain}`));
+        }
+        if (outputs.frontend_url) {
+            console.log(chalk.gray(`Frontend: ${outputs.frontend_url}`));
+        }
+
+        console.log(chalk.blue(`\n⚖️  Auto Scaling group ${outputs.auto_scaling_group_name}:`));
+        if (autoScaling) {
+            const color = autoScaling.inService >= autoScaling.desired ? 'green' : 'yellow';
+            console.log(chalk[color](`In service: ${autoScaling.inService}/${autoScaling.desired} (min ${autoScaling.min}, max ${autoScaling.max})`));
+
+            for (const instance of autoScaling.instances) {
+                const target = instance.target === undefined ? '' : `  target: ${instance.target || 'not registered'}`;
+                const healthy = instance.lifecycle === 'InService' && instance.health === 'Healthy' && [undefined, 'healthy'].includes(instance.target);
+                console.log(chalk[healthy ? 'gray' : 'yellow'](`  ${instance.id}  ${instance.lifecycle.padEnd(12)} ${instance.health.padEnd(9)} ${instance.availabilityZone}${target}`));
+            }
+        } else {
+            console.log(chalk.red('❌ Could not retrieve the Auto Scaling group'));
+        }
+
+        if (targets) {
+            const color = targets.healthy === targets.targets.length && targets.healthy > 0 ? 'green' : 'red';
+            console.log(chalk[color](`\n🎯 Load balancer targets: ${targets.healthy}/${targets.targets.length} healthy`));
+            targets.targets
+                .filter((target) => target.state !== 'healthy')
+                .forEach((target) => console.log(chalk.yellow(`  ${target.id}: ${target.state}${target.reason ? ` (${target.reason})` : ''}`)));
+        } else if (!outputs.target_group_arn) {
+            console.log(chalk.gray('\nNo load balancer (enable_load_balancer = false)'));
+        }
+
+        if (alarms.length > 0) {
+            console.log(chalk.blue('\n🔔 Alarms:'));
+            for (const alarm of alarms) {
+                const { icon, color } = ALARM_STYLES[alarm.state] || ALARM_STYLES.INSUFFICIENT_DATA;
+                console.log(chalk[color](`${icon} ${alarm.name} (${alarm.metric}): ${alarm.state}`));
+                if (alarm.state === 'ALARM' && alarm.reason) {
+                    console.log(chalk.gray(`   ${alarm.reason}`));
+                }
+            }
+        }
+
+        if (cloudfront) {
+            const deployed = cloudfront.status === 'Deployed' && cloudfront.enabled;
+            console.log(chalk.blue('\n🌐 CloudFront:'));
+            console.log(chalk[deployed ? 'green' : 'yellow'](`${cloudfront.id}: ${cloudfront.status}${cloudfront.enabled ? '' : ', disabled'}`));
+            console.log(chalk.gray(`URL: ${cloudfront.url}`));
+            cloudfront.aliases.forEach((alias) => console.log(chalk.gray(`Alias: https://${alias}`)));
+        }
+    }
+
+    printCommands() {
+        console.log(chalk.blue('\n📋 Available commands:'));
+        console.log(chalk.gray('• openclaw deploy    - Deploy infrastructure'));
+        console.log(chalk.gray('• openclaw status    - Check deployment status'));
+        console.log(chalk.gray('• openclaw ssh       - Open an SSH session on the instance'));
+        console.log(chalk.gray('• openclaw logs      - Show OpenClaw PM2 logs'));
+        console.log(chalk.gray('• openclaw destroy   - Destroy infrastructure'));
+        console.log(chalk.gray('• openclaw access    - Manage who can reach SSH and the gateway'));
+        console.log(chalk.gray('• openclaw upgrade   - Upgrade OpenClaw in place'));
+        console.log(chalk.gray('• openclaw doctor    - Find and fix known instance problems'));
+        console.log(chalk.gray('• openclaw stop      - Stop the deployment; `openclaw start` brings it back'));
+        console.log(chalk.gray('• openclaw schedule  - Run only during working hours'));
+        console.log(chalk.gray('• openclaw backup    - Snapshot the instance and archive its config; `openclaw restore` brings one back'));
+        console.log(chalk.gray('• openclaw domain    - Serve OpenClaw on your own domain with a trusted certificate'));
+        console.log(chalk.gray('• openclaw watch     - Monitor on an interval and alert on changes; `watch report` for uptime'));
+        console.log(chalk.gray('• openclaw validate  - Test AWS credentials'));
+        console.log(chalk.gray('• openclaw status --all - List every environment'));
     }
 
     async checkStatus() {
         console.log(chalk.blue('📊 Checking OpenClaw EC2 deployment status...\n'));
+        console.log(chalk.gray(`Environment: ${this.terraform.workspace}`));
 
-        // Get Terraform outputs
-        const outputs = await this.getTerraformOutputs();
-        
-        if (!outputs.instance_id) {
+        const report = await this.collectStatus();
+        const { outputs, instance, health, probes, exposure, cost, ssh } = report;
+
+        if (report.result === 'no-deployment') {
             console.log(chalk.red('❌ No deployment found'));
-            console.log(chalk.gray('Run `npm run deploy` to create a new deployment'));
-            return;
+            console.log(chalk.gray('Run `openclaw deploy` to create a new deployment'));
+            if (topologyOfDir(this.terraformDir) === 'single') {
+                console.log(chalk.gray('For the Auto Scaling stack, pass `--topology scaled`'));
+            }
+            return report;
+        }
+
+        if (report.topology === 'scaled') {
+            this.printScaledStatus(report);
+            this.printCertificate(report.domain, report.certificate);
+            this.printSchedule(report.schedule);
+
+            if (cost) {
+                console.log(chalk.blue(`\n💰 Run-rate: ${money(cost.monthly, cost.currency)} per month`));
+                console.log(chalk.gray(`  Estimate from the price table of ${cost.priceTableDate}, ${cost.region}`));
+                printUsageNotes(cost);
+            }
+
+            this.printCommands();
+            return report;
         }
 
         console.log(chalk.green('✅ Deployment found'));
         console.log(chalk.gray(`Instance ID: ${outputs.instance_id}`));
+
+        if (report.domain) {
+            console.log(chalk.gray(`Domain: https://${report.domain}`));
+        }
         
         if (outputs.instance_public_ip) {
             console.log(chalk.gray(`Public IP: ${outputs.instance_public_ip}`));
@@ -170,47 +428,41 @@ class StatusChecker {
             console.log(chalk.gray(`Public DNS: ${outputs.instance_public_dns}`));
         }
 
-        // Check instance status
-        console.log(chalk.blue('\n🔍 Checking instance status...'));
-        const instanceStatus = await this.checkInstanceStatus(outputs.instance_id);
+        console.log(chalk.blue('\n🔍 Instance status:'));
         
-        if (instanceStatus) {
-            const stateColor = instanceStatus.state === 'running' ? 'green' : 
-                             instanceStatus.state === 'stopped' ? 'red' : 'yellow';
+        if (instance) {
+            const stateColor = instance.state === 'running' ? 'green' : 
+                             instance.state === 'stopped' ? 'red' : 'yellow';
             
-            console.log(chalk[stateColor](`State: ${instanceStatus.state}`));
-            console.log(chalk.gray(`Instance Type: ${instanceStatus.instanceType}`));
-            console.log(chalk.gray(`Launch Time: ${instanceStatus.launchTime}`));
+            console.log(chalk[stateColor](`State: ${instance.state}`));
+            if (instance.state === 'stopped') {
+                console.log(chalk.gray(report.schedule ? 'Stopped, possibly by its schedule (below); `openclaw start` starts it now' : 'Start it with `openclaw start`'));
+            }
+            console.log(chalk.gray(`Instance Type: ${instance.instanceType}`));
+            console.log(chalk.gray(`Launch Time: ${instance.launchTime}`));
             
-            if (instanceStatus.publicIp) {
-                console.log(chalk.gray(`Public IP: ${instanceStatus.publicIp}`));
+            if (instance.publicIp) {
+                console.log(chalk.gray(`Public IP: ${instance.publicIp}`));
             }
             
-            if (instanceStatus.privateIp) {
-                console.log(chalk.gray(`Private IP: ${instanceStatus.privateIp}`));
+            if (instance.privateIp) {
+                console.log(chalk.gray(`Private IP: ${instance.privateIp}`));
             }
             
-            if (instanceStatus.keyName) {
-                console.log(chalk.gray(`Key Pair: ${instanceStatus.keyName}`));
+            if (instance.keyName) {
+                console.log(chalk.gray(`Key Pair: ${instance.keyName}`));
             }
 
-            // Check health endpoint if instance is running
-            if (instanceStatus.state === 'running' && instanceStatus.publicIp) {
-                console.log(chalk.blue('\n🏥 Checking health endpoint...'));
-                const health = await this.checkHealthEndpoint(instanceStatus.publicIp);
-                
-                if (health.status === 'healthy') {
-                    console.log(chalk.green(`✅ Health check passed (HTTP ${health.httpStatus})`));
-                    if (health.data) {
-                        console.log(chalk.gray(`Application uptime: ${Math.round(health.data.uptime)} seconds`));
-                        console.log(chalk.gray(`Last check: ${health.data.timestamp}`));
-                    }
-                    console.log(chalk.gray(`Health URL: http://${instanceStatus.publicIp}:8080/health`));
-                } else {
-                    console.log(chalk.red(`❌ Health check failed: ${health.status}`));
-                    if (health.error) {
-                        console.log(chalk.red(`Error: ${health.error}`));
-                    }
+            if (probes.length > 0) {
+                console.log(chalk.blue('\n🏥 Endpoints:'));
+
+                for (const probe of probes) {
+                    const { icon, color } = PROBE_STYLES[probe.status];
+                    console.log(chalk[color](`${icon} ${probe.description}: ${probe.detail}`));
+                }
+
+                if (health && health.data && health.data.uptime !== undefined) {
+                    console.log(chalk.gray(`Health service uptime: ${Math.round(health.data.uptime)} seconds`));
                 }
             }
 
@@ -218,23 +470,89 @@ class StatusChecker {
             console.log(chalk.red('❌ Could not retrieve instance status'));
         }
 
-        // SSH connection info
-        if (outputs.instance_public_ip) {
+        this.printCertificate(report.domain, report.certificate);
+        this.printSchedule(report.schedule);
+
+        if (cost) {
+            console.log(chalk.blue(`\n💰 Run-rate: ${money(cost.monthly, cost.currency)} per month`));
+            console.log(chalk.gray(`  Estimate from the price table of ${cost.priceTableDate}, ${cost.region}`));
+            printUsageNotes(cost);
+        }
+
+        if (exposure.length > 0) {
+            console.log(chalk.yellow('\n⚠️  Open to the internet:'));
+            exposure.forEach(({ port, name, cidr }) => console.log(chalk.yellow(`  ${name} (${port}) from ${cidr}`)));
+            console.log(chalk.gray('Restrict it with `openclaw access allow-me` and allowedCidrBlocks'));
+        }
+
+        if (ssh) {
             console.log(chalk.blue('\n🔐 SSH Connection:'));
-            console.log(chalk.gray(`ssh -i openclaw-ec2-key.pem ubuntu@${outputs.instance_public_ip}`));
+            console.log(chalk.gray(ssh.command));
         }
 
-        console.log(chalk.blue('\n📋 Available commands:'));
-        console.log(chalk.gray('• npm run deploy     - Deploy infrastructure'));
-        console.log(chalk.gray('• npm run status     - Check deployment status'));
-        console.log(chalk.gray('• npm run destroy    - Destroy infrastructure'));
-        console.log(chalk.gray('• npm run validate-aws - Test AWS credentials'));
+        this.printCommands();
+
+        return report;
     }
-}
 
-if (require.main === module) {
-    const checker = new StatusChecker();
-    checker.checkStatus().catch(console.error);
+    async collectAllEnvironments() {
+        const report = createReport('status', null);
+        report.result = 'ok';
+        report.environments = [];
+
+        for (const name of await listEnvironments(this.terraform)) {
+            const environment = resolveEnvironment(name);
+            const terraform = createTerraformRunner(environment, { dir: this.terraformDir });
+            const outputs = await terraform.outputs();
+            const entry = {
+                name,
+                region: environment.region,
+                instanceId: outputs.instance_id || null,
+                autoScalingGroup: outputs.auto_scaling_group_name || null,
+                state: 'not-deployed',
+                publicIp: null
+            };
+
+            if (outputs.instance_id) {
+                const ec2 = new AWS.EC2({ region: environment.region });
+                const instanceStatus = await this.checkInstanceStatus(outputs.instance_id, ec2);
+                entry.state = instanceStatus ? instanceStatus.state : 'unknown';
+                entry.publicIp = (instanceStatus && instanceStatus.publicIp) || outputs.instance_public_ip || null;
+            } else if (outputs.auto_scaling_group_name) {
+                const autoscaling = new AWS.AutoScaling({ region: environment.region });
+                const group = await this.lookUp('the Auto Scaling group', () => describeGroup(autoscaling, outputs.auto_scaling_group_name));
+                entry.state = !group ? 'unknown' : group.inService > 0 ? 'running' : 'stopped';
+                entry.capacity = group ? `${group.inService}/${group.desired}` : null;
+            }
+
+            report.environments.push(entry);
+        }
+
+        return report;
+    }
+
+    async checkAllEnvironments() {
+        console.log(chalk.blue('📊 Checking all OpenClaw environments...\n'));
+
+        const report = await this.collectAllEnvironments();
+
+        for (const entry of report.environments) {
+            const label = chalk.bold(entry.name.padEnd(16));
+
+            if (!entry.instanceId && !entry.autoScalingGroup) {
+                console.log(`${label} ${chalk.gray('not deployed')}`);
+                continue;
+            }
+
+            const stateColor = entry.state === 'running' ? 'green' : entry.state === 'stopped' ? 'red' : 'yellow';
+            const target = entry.instanceId
+                ? `${entry.instanceId}  ${entry.publicIp || '-'}`
+                : `${entry.autoScalingGroup}  ${entry.capacity || '?'} in service`;
+            console.log(`${label} ${chalk[stateColor](entry.state.padEnd(10))} ${target}  ${chalk.gray(entry.region)}`);
+        }
+
+        return report;
+    }
 }
 
-module.exports = { StatusChecker };
\ No newline at end of file
+module.exports = { StatusChecker, STATUS_EXIT_CODES };
\ No newline at end of file
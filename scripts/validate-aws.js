@@ -1,84 +1,119 @@
-#!/usr/bin/env node
-
-require('dotenv').config();
+const path = require('path');
 const AWS = require('aws-sdk');
 const chalk = require('chalk');
+const { clientOptions } = require('./lib/aws');
+const { describeCredentials } = require('./lib/credentials');
+const { POLICY_FILE, runPreflight } = require('./lib/preflight');
+
+// What to do about the errors credential providers and STS raise most often.
+function credentialHint(error) {
+    if (/sso/i.test(error.message)) {
+        return 'The SSO session has expired or was never started; run `aws sso login` for the profile';
+    }
+    if (error.code === 'InvalidClientTokenId' || error.code === 'SignatureDoesNotMatch') {
+        return 'The secret access key is invalid or does not belong to the access key ID';
+    }
+    if (error.code === 'ExpiredToken' || error.code === 'RequestExpired') {
+        return 'The session token has expired; get new temporary credentials';
+    }
+    if (error.code === 'AccessDenied' && /AssumeRole/.test(error.message)) {
+        return 'These credentials may not assume the role, or the MFA code was wrong';
+    }
+    if (error.code === 'CredentialsError') {
+        return 'Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY in .env, pass --profile, or run where an instance or container role is available';
+    }
+    return null;
+}
+
+function credentialError(message, error) {
+    const hint = credentialHint(error);
+    return new Error(`${message}: ${error.message}${hint ? `\n💡 ${hint}` : ''}`);
+}
+
+function printPreflight(preflight) {
+    if (preflight.error) {
+        console.warn(chalk.yellow(`⚠️  Could not simulate permissions: ${preflight.error}`));
+        console.warn(chalk.yellow('   The preflight needs iam:SimulatePrincipalPolicy and iam:GetRole; pass --no-preflight to skip it'));
+        return;
+    }
+    if (preflight.skipped) {
+        console.log(chalk.gray(`Skipped for the ${preflight.skipped}, which is allowed everything`));
+        return;
+    }
+    if (preflight.missing.length === 0) {
+        console.log(chalk.green(`✅ All ${preflight.checked} actions are allowed for ${preflight.principal}`));
+        return;
+    }
+
+    console.error(chalk.red(`❌ ${preflight.missing.length} of ${preflight.checked} actions are not allowed for ${preflight.principal}:`));
+    const bySid = {};
+    preflight.missing.forEach(({ sid, action, decision }) => {
+        (bySid[sid] = bySid[sid] || []).push(decision === 'explicitDeny' ? `${action} (explicitly denied)` : action);
+    });
+    Object.entries(bySid).forEach(([sid, actions]) => {
+        console.error(chalk.red(`   ${sid}: ${actions.join(', ')}`));
+    });
+    console.error(chalk.yellow(`💡 Attach the statements above from ${path.basename(POLICY_FILE)} to ${preflight.principal}`));
+}
 
-async function validateAWSCredentials() {
+// Checks that credentials resolve (keys, profile, SSO, assumed role or
+// instance role, see lib/credentials.js) and work, then simulates every
+// action in iam-policy-example.json unless `preflight` is false. Resolves
+// with { region, credentials, identity, preflight }; rejects when there are
+// no working credentials.
+async function validateAWSCredentials(options = {}) {
     console.log(chalk.blue('🔍 Validating AWS credentials...'));
-    
-    // Set AWS credentials from environment variables
-    const accessKeyId = process.env.AWS_ACCESS_KEY_ID;
-    const secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
-    const region = process.env.AWS_REGION || 'us-east-1';
-    
-    if (!accessKeyId || !secretAccessKey) {
-        console.error(chalk.red('❌ Missing AWS credentials in environment variables'));
-        console.error(chalk.yellow('Required: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY'));
-        process.exit(1);
+
+    const region = options.region || process.env.AWS_REGION || 'us-east-1';
+    let credentials;
+
+    try {
+        credentials = await describeCredentials();
+    } catch (error) {
+        throw credentialError('No usable AWS credentials', error);
+    }
+
+    console.log(chalk.gray(`Source: ${credentials.source}${credentials.profile ? ` (profile ${credentials.profile})` : ''}`));
+    if (credentials.roleArn) {
+        console.log(chalk.gray(`Assumed role: ${credentials.roleArn}`));
+    }
+    console.log(chalk.gray(`Access Key ID: ${credentials.accessKeyId}`));
+    if (credentials.expiresAt) {
+        console.log(chalk.gray(`Expires: ${new Date(credentials.expiresAt).toLocaleString()}`));
     }
-    
-    console.log(chalk.gray(`Access Key ID: ${accessKeyId}`));
     console.log(chalk.gray(`Region: ${region}`));
-    
-    // Configure AWS SDK
-    AWS.config.update({
-        accessKeyId: accessKeyId,
-        secretAccessKey: secretAccessKey,
-        region: region
-    });
-    
+
+    let identity;
     try {
-        // Test STS GetCallerIdentity
-        console.log(chalk.blue('Testing STS GetCallerIdentity...'));
-        const sts = new AWS.STS();
-        const identity = await sts.getCallerIdentity().promise();
-        
-        console.log(chalk.green('✅ AWS credentials are valid!'));
-        console.log(chalk.gray(`User ARN: ${identity.Arn}`));
-        console.log(chalk.gray(`Account ID: ${identity.Account}`));
-        console.log(chalk.gray(`User ID: ${identity.UserId}`));
-        
-        // Test EC2 permissions
-        console.log(chalk.blue('\nTesting EC2 permissions...'));
-        const ec2 = new AWS.EC2();
-        
-        try {
-            await ec2.describeRegions().promise();
-            console.log(chalk.green('✅ EC2 permissions verified'));
-        } catch (ec2Error) {
-            console.warn(chalk.yellow('⚠️  EC2 permissions may be limited:'), ec2Error.message);
-        }
-        
-        // Test IAM permissions
-        console.log(chalk.blue('\nTesting IAM permissions...'));
-        const iam = new AWS.IAM();
-        
-        try {
-            await iam.listRoles({ MaxItems: 1 }).promise();
-            console.log(chalk.green('✅ IAM permissions verified'));
-        } catch (iamError) {
-            console.warn(chalk.yellow('⚠️  IAM permissions may be limited:'), iamError.message);
-        }
-        
-        console.log(chalk.green('\n🎉 AWS validation complete!'));
-        
+        identity = await new AWS.STS(clientOptions(region)).getCallerIdentity().promise();
     } catch (error) {
-        console.error(chalk.red('❌ AWS credential validation failed:'));
-        console.error(chalk.red(error.message));
-        
-        if (error.code === 'InvalidUserID.NotFound' || error.code === 'SignatureDoesNotMatch') {
-            console.error(chalk.red('\n💡 This suggests the AWS_SECRET_ACCESS_KEY is invalid or doesn\'t match the ACCESS_KEY_ID'));
-        } else if (error.code === 'UnauthorizedOperation') {
-            console.error(chalk.red('\n💡 Credentials are valid but lack required permissions'));
-        }
-        
-        process.exit(1);
+        throw credentialError('AWS credential validation failed', error);
     }
-}
 
-if (require.main === module) {
-    validateAWSCredentials().catch(console.error);
+    console.log(chalk.green('✅ AWS credentials are valid!'));
+    console.log(chalk.gray(`ARN: ${identity.Arn}`));
+    console.log(chalk.gray(`Account ID: ${identity.Account}`));
+
+    const result = {
+        region,
+        credentials,
+        identity: { arn: identity.Arn, account: identity.Account, userId: identity.UserId },
+        preflight: null
+    };
+
+    if (options.preflight === false) {
+        return result;
+    }
+
+    console.log(chalk.blue(`\nSimulating the permissions in ${path.basename(POLICY_FILE)}...`));
+    try {
+        result.preflight = await runPreflight(new AWS.IAM(clientOptions(region)), identity, { region });
+    } catch (error) {
+        result.preflight = { error: error.message, checked: 0, missing: [] };
+    }
+    printPreflight(result.preflight);
+
+    return result;
 }
 
-module.exports = { validateAWSCredentials };
\ No newline at end of file
+module.exports = { validateAWSCredentials };
@@ -0,0 +1,45 @@
+# Anthropic API key for the Auto Scaling group. Terraform only sets the first
+# value: `openclaw secrets` rotates it afterwards, and instances read it through
+# their IAM role (compute.tf) instead of finding it in the launch template.
+
+locals {
+  anthropic_api_key_name = "/${var.project_name}/${var.environment}/anthropic-api-key"
+  anthropic_api_key_id   = var.secret_store == "ssm" ? aws_ssm_parameter.anthropic_api_key[0].name : aws_secretsmanager_secret.anthropic_api_key[0].arn
+  anthropic_api_key_arn  = var.secret_store == "ssm" ? aws_ssm_parameter.anthropic_api_key[0].arn : aws_secretsmanager_secret.anthropic_api_key[0].arn
+}
+
+resource "aws_ssm_parameter" "anthropic_api_key" {
+  count = var.secret_store == "ssm" ? 1 : 0
+
+  name        = local.anthropic_api_key_name
+  description = "Anthropic API key for OpenClaw"
+  type        = "SecureString"
+  value       = var.anthropic_api_key
+
+  tags = local.common_tags
+
+  lifecycle {
+    ignore_changes = [value]
+  }
+}
+
+resource "aws_secretsmanager_secret" "anthropic_api_key" {
+  count = var.secret_store == "secretsmanager" ? 1 : 0
+
+  name                    = trimprefix(local.anthropic_api_key_name, "/")
+  description             = "Anthropic API key for OpenClaw"
+  recovery_window_in_days = 0
+
+  tags = local.common_tags
+}
+
+resource "aws_secretsmanager_secret_version" "anthropic_api_key" {
+  count = var.secret_store == "secretsmanager" ? 1 : 0
+
+  secret_id     = aws_secretsmanager_secret.anthropic_api_key[0].id
+  secret_string = var.anthropic_api_key
+
+  lifecycle {
+    ignore_changes = [secret_string]
+  }
+}
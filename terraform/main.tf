@@ -39,6 +39,57 @@ variable "project_name" {
   default     = "openclaw-ec2"
 }
 
+variable "environment" {
+  description = "Environment name, matching the Terraform workspace"
+  type        = string
+  default     = "default"
+}
+
+variable "anthropic_api_key" {
+  description = "Anthropic API key for OpenClaw Claude integration; seeds the managed secret on first deploy"
+  type        = string
+  sensitive   = true
+}
+
+variable "secret_store" {
+  description = "Where the Anthropic API key is kept: ssm (Parameter Store) or secretsmanager"
+  type        = string
+  default     = "ssm"
+
+  validation {
+    condition     = contains(["ssm", "secretsmanager"], var.secret_store)
+    error_message = "secret_store must be ssm or secretsmanager."
+  }
+}
+
+variable "openclaw_version" {
+  description = "OpenClaw npm version or tag installed at first boot (read from the OpenClawVersion instance tag); `openclaw upgrade` changes running instances"
+  type        = string
+  default     = "latest"
+}
+
+variable "allowed_cidr_blocks" {
+  description = "CIDR blocks allowed to reach SSH (22), the gateway (8080) and the health check (8081)"
+  type        = list(string)
+  default     = ["0.0.0.0/0"]
+}
+
+variable "access_grants" {
+  description = "Extra per-port ingress grants managed by `openclaw access`"
+  type = list(object({
+    port        = number
+    cidr        = string
+    description = string
+  }))
+  default = []
+}
+
+locals {
+  anthropic_api_key_name = "/${var.project_name}/${var.environment}/anthropic-api-key"
+  anthropic_api_key_id   = var.secret_store == "ssm" ? aws_ssm_parameter.anthropic_api_key[0].name : aws_secretsmanager_secret.anthropic_api_key[0].arn
+  anthropic_api_key_arn  = var.secret_store == "ssm" ? aws_ssm_parameter.anthropic_api_key[0].arn : aws_secretsmanager_secret.anthropic_api_key[0].arn
+}
+
 # Data sources
 data "aws_availability_zones" "available" {
   state = "available"
@@ -121,7 +172,7 @@ resource "aws_security_group" "openclaw_ec2" {
     from_port   = 22
     to_port     = 22
     protocol    = "tcp"
-    cidr_blocks = ["0.0.0.0/0"]
+    cidr_blocks = var.allowed_cidr_blocks
   }
 
   ingress {
@@ -145,7 +196,7 @@ resource "aws_security_group" "openclaw_ec2" {
     from_port   = 8080
     to_port     = 8080
     protocol    = "tcp"
-    cidr_blocks = ["0.0.0.0/0"]
+    cidr_blocks = var.allowed_cidr_blocks
   }
 
   ingress {
@@ -153,7 +204,18 @@ resource "aws_security_group" "openclaw_ec2" {
     from_port   = 8081
     to_port     = 8081
     protocol    = "tcp"
-    cidr_blocks = ["0.0.0.0/0"]
+    cidr_blocks = var.allowed_cidr_blocks
+  }
+
+  dynamic "ingress" {
+    for_each = var.access_grants
+    content {
+      description = ingress.value.description
+      from_port   = ingress.value.port
+      to_port     = ingress.value.port
+      protocol    = "tcp"
+      cidr_blocks = [ingress.value.cidr]
+    }
   }
 
   egress {
@@ -183,6 +245,83 @@ resource "tls_private_key" "openclaw" {
   rsa_bits  = 4096
 }
 
+# Anthropic API key. Terraform only sets the first value: `openclaw secrets`
+# rotates it afterwards, and the instance reads it through its IAM role.
+resource "aws_ssm_parameter" "anthropic_api_key" {
+  count = var.secret_store == "ssm" ? 1 : 0
+
+  name        = local.anthropic_api_key_name
+  description = "Anthropic API key for OpenClaw"
+  type        = "SecureString"
+  value       = var.anthropic_api_key
+
+  lifecycle {
+    ignore_changes = [value]
+  }
+}
+
+resource "aws_secretsmanager_secret" "anthropic_api_key" {
+  count = var.secret_store == "secretsmanager" ? 1 : 0
+
+  name                    = trimprefix(local.anthropic_api_key_name, "/")
+  description             = "Anthropic API key for OpenClaw"
+  recovery_window_in_days = 0
+}
+
+resource "aws_secretsmanager_secret_version" "anthropic_api_key" {
+  count = var.secret_store == "secretsmanager" ? 1 : 0
+
+  secret_id     = aws_secretsmanager_secret.anthropic_api_key[0].id
+  secret_string = var.anthropic_api_key
+
+  lifecycle {
+    ignore_changes = [secret_string]
+  }
+}
+
+# Instance role: reads the API key and registers with SSM so `diagnose`,
+# `secrets rotate` and friends work without the private key.
+resource "aws_iam_role" "openclaw" {
+  name = "${var.project_name}-${var.environment}-instance"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action    = "sts:AssumeRole"
+        Effect    = "Allow"
+        Principal = { Service = "ec2.amazonaws.com" }
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "anthropic_api_key" {
+  name = "read-anthropic-api-key"
+  role = aws_iam_role.openclaw.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = var.secret_store == "ssm" ? ["ssm:GetParameter"] : ["secretsmanager:GetSecretValue"]
+        Resource = local.anthropic_api_key_arn
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy_attachment" "ssm_managed_instance" {
+  role       = aws_iam_role.openclaw.name
+  policy_arn = "arn:aws:iam::aws:policy/AmazonSSMManagedInstanceCore"
+}
+
+resource "aws_iam_instance_profile" "openclaw" {
+  name = "${var.project_name}-${var.environment}-instance"
+  role = aws_iam_role.openclaw.name
+}
+
 # EC2 Instance
 resource "aws_instance" "openclaw" {
   ami                    = data.aws_ami.ubuntu.id
@@ -190,12 +329,22 @@ resource "aws_instance" "openclaw" {
   key_name               = aws_key_pair.openclaw.key_name
   vpc_security_group_ids = [aws_security_group.openclaw_ec2.id]
   subnet_id              = aws_subnet.public.id
+  iam_instance_profile   = aws_iam_instance_profile.openclaw.name
 
+  # The OpenClaw version is read from the OpenClawVersion tag at first boot
+  # rather than rendered into user_data: `openclaw upgrade` records new
+  # versions, which then only update the tag instead of the user data.
   user_data = base64encode(templatefile("${path.module}/user_data_enhanced.sh", {
-    ssh_public_key = tls_private_key.openclaw.public_key_openssh
-    anthropic_api_key = var.anthropic_api_key
+    aws_region   = var.aws_region
+    secret_store = var.secret_store
+    secret_id    = local.anthropic_api_key_id
   }))
 
+  metadata_options {
+    http_endpoint          = "enabled"
+    instance_metadata_tags = "enabled"
+  }
+
   root_block_device {
     volume_type = "gp3"
     volume_size = 20
@@ -203,7 +352,14 @@ resource "aws_instance" "openclaw" {
   }
 
   tags = {
-    Name = "${var.project_name}-instance"
+    Name            = "${var.project_name}-instance"
+    OpenClawVersion = var.openclaw_version
+  }
+
+  # `openclaw keys rotate` replaces the key pair and swaps authorized_keys on
+  # the running instance; the launch-time key name must not force a new one.
+  lifecycle {
+    ignore_changes = [key_name]
   }
 }
 
@@ -244,6 +400,21 @@ output "security_group_id" {
   value       = aws_security_group.openclaw_ec2.id
 }
 
+output "instance_profile_name" {
+  description = "Name of the instance profile (used by openclaw doctor to reattach it)"
+  value       = aws_iam_instance_profile.openclaw.name
+}
+
+output "secret_store" {
+  description = "Where the Anthropic API key is kept (ssm or secretsmanager)"
+  value       = var.secret_store
+}
+
+output "anthropic_api_key_secret_id" {
+  description = "SSM parameter name or Secrets Manager ARN of the Anthropic API key"
+  value       = local.anthropic_api_key_id
+}
+
 output "openclaw_gateway_url" {
   description = "URL for OpenClaw Gateway"
   value       = "http://${aws_instance.openclaw.public_ip}:8080"
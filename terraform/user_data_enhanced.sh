@@ -92,13 +92,86 @@ mkdir -p /opt/openclaw/data
 mkdir -p /opt/openclaw/config
 chown -R openclaw:openclaw /opt/openclaw
 
-# Install OpenClaw
-echo "🌐 Installing OpenClaw..."
+# The Anthropic API key is not part of this script: it lives in ${secret_store}
+# and is fetched through the instance role, at boot and on `openclaw secrets rotate`.
+echo "🔑 Installing secrets refresh script..."
+cat > /opt/openclaw/refresh-secrets.sh << 'SECRETS_EOF'
+#!/bin/bash
+# Fetches the Anthropic API key through the instance role, writes it where the
+# gateway reads it and restarts the gateway. --no-restart only writes it.
+set -euo pipefail
+
+KEY_FILE=/home/openclaw/.openclaw/anthropic-api-key
+CONFIG_FILE=/home/openclaw/.openclaw/config.json
+KEY=""
+
+# A new instance profile can take a few seconds to become usable.
+for attempt in 1 2 3 4 5 6; do
+  if [ "${secret_store}" = "ssm" ]; then
+    KEY=$(aws ssm get-parameter --region "${aws_region}" --name "${secret_id}" \
+      --with-decryption --query Parameter.Value --output text) && break
+  else
+    KEY=$(aws secretsmanager get-secret-value --region "${aws_region}" --secret-id "${secret_id}" \
+      --query SecretString --output text) && break
+  fi
+  echo "Could not read ${secret_id} (attempt $attempt/6), retrying..."
+  sleep 10
+done
+
+if [ -z "$KEY" ]; then
+  echo "❌ Could not read the Anthropic API key from ${secret_id}" >&2
+  exit 1
+fi
+
+install -d -o openclaw -g openclaw -m 700 /home/openclaw/.openclaw
+umask 077
+printf '%s' "$KEY" > "$KEY_FILE"
+chown openclaw:openclaw "$KEY_FILE"
+
+if [ -f "$CONFIG_FILE" ]; then
+  jq --rawfile key "$KEY_FILE" '.anthropic.api_key = $key' "$CONFIG_FILE" > "$CONFIG_FILE.tmp"
+  mv "$CONFIG_FILE.tmp" "$CONFIG_FILE"
+  chown openclaw:openclaw "$CONFIG_FILE"
+fi
+
+if [ "$${1:-}" != "--no-restart" ]; then
+  su - openclaw -c "cd /opt/openclaw && pm2 restart ecosystem.config.js --only openclaw-gateway --update-env && pm2 save"
+fi
+
+echo "✅ Anthropic API key refreshed from ${secret_id}"
+SECRETS_EOF
+
+chmod 700 /opt/openclaw/refresh-secrets.sh
+
+cat > /etc/systemd/system/openclaw-secrets.service << 'SECRETS_UNIT_EOF'
+[Unit]
+Description=Fetch the OpenClaw Anthropic API key
+After=network-online.target
+Wants=network-online.target
+Before=pm2-openclaw.service
+
+[Service]
+Type=oneshot
+ExecStart=/opt/openclaw/refresh-secrets.sh --no-restart
+
+[Install]
+WantedBy=multi-user.target
+SECRETS_UNIT_EOF
+
+systemctl daemon-reload
+systemctl enable openclaw-secrets.service
+
+# Install OpenClaw, in the version the OpenClawVersion instance tag names
+# (kept out of this script so upgrades do not change the user data)
+IMDS_TOKEN=$(curl -s -X PUT http://169.254.169.254/latest/api/token -H "X-aws-ec2-metadata-token-ttl-seconds: 300")
+OPENCLAW_VERSION=$(curl -sf -H "X-aws-ec2-metadata-token: $IMDS_TOKEN" \
+  http://169.254.169.254/latest/meta-data/tags/instance/OpenClawVersion || echo latest)
+echo "🌐 Installing OpenClaw $OPENCLAW_VERSION..."
 su - openclaw -c "
 cd /opt/openclaw
 
 # Install OpenClaw globally
-npm install -g openclaw
+npm install -g openclaw@$OPENCLAW_VERSION
 
 # Create OpenClaw config directory in user home
 mkdir -p ~/.openclaw
@@ -119,7 +192,7 @@ cat > ~/.openclaw/config.json << 'CONFIG_EOF'
     }
   },
   \"anthropic\": {
-    \"api_key\": \"${anthropic_api_key}\"
+    \"api_key\": \"\"
   },
   \"logging\": {
     \"level\": \"info\",
@@ -135,6 +208,11 @@ mkdir -p /opt/openclaw/data
 
 # Create PM2 ecosystem file
 cat > /opt/openclaw/ecosystem.config.js << 'PM2_EOF'
+const fs = require('fs');
+
+// Written by /opt/openclaw/refresh-secrets.sh from the managed secret.
+const readSecret = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim() : '');
+
 module.exports = {
   apps: [
     {
@@ -145,7 +223,7 @@ module.exports = {
       env: {
         NODE_ENV: 'production',
         OPENCLAW_CONFIG: '/home/openclaw/.openclaw/config.json',
-        ANTHROPIC_API_KEY: '${anthropic_api_key}',
+        ANTHROPIC_API_KEY: readSecret('/home/openclaw/.openclaw/anthropic-api-key'),
         PORT: '8080'
       },
       instances: 1,
@@ -288,6 +366,9 @@ EOF
 chown openclaw:openclaw /opt/openclaw/health-check.js
 chmod +x /opt/openclaw/health-check.js
 
+# Fetch the API key before the gateway first starts
+/opt/openclaw/refresh-secrets.sh --no-restart
+
 # Start OpenClaw services with PM2
 echo "🚀 Starting OpenClaw services..."
 su - openclaw -c "
@@ -11,7 +11,6 @@ terraform {
     }
   }
 
-  backend "s3" {
-    # Backend configuration provided via -backend-config flags in GitHub Actions
-  }
+  # State is local until `openclaw backend init` writes backend.tf with the
+  # shared S3 bucket and DynamoDB lock table.
 }
\ No newline at end of file
@@ -0,0 +1,128 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, describe, before, after } = require('node:test');
+const AWS = require('aws-sdk');
+const { clientOptions } = require('../scripts/lib/aws');
+const {
+    stateKeys,
+    renderBackendConfig,
+    readBackendConfig,
+    workspaceOfLock,
+    StateBackend
+} = require('../scripts/lib/backend');
+const { LOCAL_AWS, uniqueName } = require('./helpers');
+
+const tempDirs = [];
+
+function withBackendFile(content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-backend-'));
+    tempDirs.push(dir);
+    if (content !== null) {
+        fs.writeFileSync(path.join(dir, 'backend.tf'), content);
+    }
+    return dir;
+}
+
+describe('backend.tf', () => {
+    after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+    test('keeps each stack under its own keys', () => {
+        assert.notStrictEqual(stateKeys('single').key, stateKeys('scaled').key);
+        assert.notStrictEqual(stateKeys('single').workspaceKeyPrefix, stateKeys('scaled').workspaceKeyPrefix);
+    });
+
+    test('reads back what it renders', () => {
+        const settings = {
+            bucket: 'state',
+            region: 'eu-west-1',
+            dynamodbTable: 'locks',
+            endpoint: 'http://localhost:4566',
+            ...stateKeys('scaled')
+        };
+        const config = readBackendConfig(withBackendFile(renderBackendConfig(settings)));
+
+        assert.deepStrictEqual({ ...config, file: undefined }, { ...settings, file: undefined });
+    });
+
+    test('treats no file, or one without an s3 backend, as local state', () => {
+        assert.strictEqual(readBackendConfig(withBackendFile(null)), null);
+        assert.strictEqual(readBackendConfig(withBackendFile('# The backend is configured elsewhere\n')), null);
+        assert.strictEqual(readBackendConfig(withBackendFile([
+            '# backend "s3" {',
+            '#   bucket = "commented-out"',
+            '# }'
+        ].join('\n'))), null);
+    });
+
+    test('maps lock paths to workspaces of this stack only', () => {
+        const config = { bucket: 'state', ...stateKeys('single') };
+        const other = stateKeys('scaled');
+
+        assert.strictEqual(workspaceOfLock(`state/${config.key}`, config), 'default');
+        assert.strictEqual(workspaceOfLock(`state/${config.workspaceKeyPrefix}/staging/${config.key}`, config), 'staging');
+        assert.strictEqual(workspaceOfLock(`state/${other.key}`, config), null);
+        assert.strictEqual(workspaceOfLock(`state/${other.workspaceKeyPrefix}/staging/${other.key}`, config), null);
+    });
+});
+
+// Needs AWS_ENDPOINT_URL pointing at LocalStack or another S3/DynamoDB
+// stand-in, see "Tests" in the README.
+describe('StateBackend', { skip: LOCAL_AWS ? false : 'AWS_ENDPOINT_URL is not set' }, () => {
+    const region = 'us-east-1';
+    const s3 = new AWS.S3(clientOptions(region));
+    const dynamodb = new AWS.DynamoDB(clientOptions(region));
+    const bucket = uniqueName('openclaw-tfstate-test');
+    const table = uniqueName('openclaw-locks-test');
+    let backend;
+
+    before(() => {
+        backend = new StateBackend({ s3, dynamodb, bucket, table, region });
+    });
+
+    test('creates a versioned, encrypted bucket once', async () => {
+        assert.strictEqual(await backend.ensureBucket(), true);
+        assert.strictEqual(await backend.ensureBucket(), false);
+        assert.deepStrictEqual(await backend.bucketStatus(), { versioning: 'Enabled', encryption: 'AES256' });
+    });
+
+    test('creates the lock table once', async () => {
+        assert.strictEqual(await backend.ensureLockTable(), true);
+        assert.strictEqual(await backend.ensureLockTable(), false);
+
+        const { Table } = await dynamodb.describeTable({ TableName: table }).promise();
+        assert.deepStrictEqual(Table.KeySchema, [{ AttributeName: 'LockID', KeyType: 'HASH' }]);
+    });
+
+    test('lists held locks and skips digest items', async () => {
+        const keys = stateKeys('single');
+        const lockPath = `${bucket}/${keys.workspaceKeyPrefix}/staging/${keys.key}`;
+        const info = { ID: 'f1e2d3', Operation: 'OperationTypeApply', Who: 'ci@runner', Created: '2026-10-19T12:00:00Z', Path: lockPath };
+
+        await dynamodb.putItem({ TableName: table, Item: { LockID: { S: lockPath }, Info: { S: JSON.stringify(info) } } }).promise();
+        await dynamodb.putItem({ TableName: table, Item: { LockID: { S: `${lockPath}-md5` }, Digest: { S: 'abc' } } }).promise();
+
+        assert.deepStrictEqual(await backend.locks(), [{
+            lockId: lockPath,
+            id: 'f1e2d3',
+            who: 'ci@runner',
+            operation: 'OperationTypeApply',
+            created: '2026-10-19T12:00:00Z',
+            path: lockPath
+        }]);
+    });
+
+    test('finds state already stored under a stack\'s keys', async () => {
+        const single = stateKeys('single');
+        const scaled = stateKeys('scaled');
+
+        assert.deepStrictEqual(await backend.existingStates(scaled), []);
+
+        await s3.putObject({ Bucket: bucket, Key: single.key, Body: '{}' }).promise();
+        await s3.putObject({ Bucket: bucket, Key: `${single.workspaceKeyPrefix}/staging/${single.key}`, Body: '{}' }).promise();
+
+        assert.deepStrictEqual(await backend.existingStates(single), [single.key, `${single.workspaceKeyPrefix}/staging/${single.key}`]);
+        assert.deepStrictEqual(await backend.existingStates(scaled), []);
+    });
+});
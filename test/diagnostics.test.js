@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { test, describe } = require('node:test');
+const { SshExecutor } = require('../scripts/lib/remote');
+const {
+    COLLECTORS,
+    EXPECTED_PM2_APPS,
+    parseInstallLog,
+    parsePm2List,
+    parseListeningPorts,
+    parseValidation,
+    summarize
+} = require('../scripts/lib/diagnostics');
+const { SSH_STAND_IN } = require('./helpers');
+
+const INSTALL_LOG = [
+    '📦 Updating system packages...',
+    'Hit:1 http://archive.ubuntu.com/ubuntu jammy InRelease',
+    '📦 Installing PM2...',
+    'npm ERR! code EACCES',
+    'npm ERR! syscall mkdir',
+    '👤 Creating OpenClaw user...',
+    'useradd: user openclaw created',
+    '✅ EC2 OpenClaw installation completed successfully at Mon Oct 19 12:00:00 UTC 2026'
+].join('\n');
+
+const PM2_LIST = JSON.stringify([
+    { name: 'openclaw-gateway', pm2_env: { status: 'online', restart_time: 0 } },
+    { name: 'health-check', pm2_env: { status: 'errored', restart_time: 15 } }
+]);
+
+const LISTENING = [
+    'LISTEN 0      128          0.0.0.0:22         0.0.0.0:*',
+    'LISTEN 0      511          0.0.0.0:8080       0.0.0.0:*',
+    'LISTEN 0      128             [::]:22            [::]:*'
+].join('\n');
+
+const VALIDATION = [
+    '🔍 Validating OpenClaw installation...',
+    '   ✅ OpenClaw command found: /usr/bin/openclaw',
+    '   ❌ Health check process not found'
+].join('\n');
+
+describe('diagnose summary', () => {
+    test('attributes install errors to the step they appear under', () => {
+        assert.deepStrictEqual(parseInstallLog(INSTALL_LOG), {
+            completed: true,
+            failedSteps: [{ step: 'Installing PM2...', errors: ['npm ERR! code EACCES', 'npm ERR! syscall mkdir'] }]
+        });
+        assert.strictEqual(parseInstallLog('📦 Installing Docker...').completed, false);
+    });
+
+    test('reads PM2 app states and notices missing apps', () => {
+        const pm2 = parsePm2List(PM2_LIST);
+        assert.deepStrictEqual(pm2.stoppedApps, ['health-check']);
+        assert.deepStrictEqual(pm2.missingApps, []);
+        assert.deepStrictEqual(parsePm2List('[PM2] Spawning PM2 daemon').missingApps, EXPECTED_PM2_APPS);
+    });
+
+    test('reads listening ports from ss', () => {
+        const ports = parseListeningPorts(LISTENING);
+        assert.deepStrictEqual(ports.listening, [22, 8080]);
+        assert.deepStrictEqual(ports.closedPorts.map(({ port }) => port), [8081]);
+    });
+
+    test('lists every problem and is healthy only without any', () => {
+        const summary = summarize({ 'install-log': INSTALL_LOG, pm2: PM2_LIST, ports: LISTENING, validation: VALIDATION });
+
+        assert.strictEqual(summary.healthy, false);
+        assert.deepStrictEqual(summary.problems, [
+            'Install step failed: Installing PM2...',
+            'PM2 app not online: health-check',
+            'Port 8081 (Health Check) is not listening',
+            'Validation: Health check process not found'
+        ]);
+        assert.deepStrictEqual(parseValidation(VALIDATION).failures, ['❌ Health check process not found']);
+    });
+
+    test('reports an instance that returned nothing as not installed', () => {
+        const summary = summarize({});
+        assert.strictEqual(summary.healthy, false);
+        assert.strictEqual(summary.problems[0], 'Installation did not complete');
+    });
+});
+
+describe('diagnose collectors over SSH', { skip: SSH_STAND_IN ? false : 'OPENCLAW_TEST_SSH_HOST is not set' }, () => {
+    test('runs every collector and summarizes what comes back', async () => {
+        const executor = new SshExecutor(SSH_STAND_IN);
+        const results = {};
+
+        for (const collector of COLLECTORS) {
+            const result = await executor.exec(collector.command);
+            assert.strictEqual(typeof result.exitCode, 'number', collector.command);
+            results[collector.name] = result.stdout;
+        }
+
+        const summary = summarize(results);
+        assert.strictEqual(summary.healthy, summary.problems.length === 0);
+    });
+});
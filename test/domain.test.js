@@ -0,0 +1,88 @@
+const assert = require('assert');
+const { test, describe } = require('node:test');
+const { SshExecutor } = require('../scripts/lib/remote');
+const { parseCertificateInfo, issueCertificateScript, issueCertificate } = require('../scripts/lib/domain');
+const { SSH_STAND_IN } = require('./helpers');
+
+const ACME_SERVER = process.env.OPENCLAW_TEST_ACME_SERVER || null;
+
+describe('certificate parsing', () => {
+    test('reads the OpenSSL 1.1+ name format', () => {
+        const info = parseCertificateInfo([
+            'subject=CN = openclaw.example.com',
+            'issuer=C = US, O = Let\'s Encrypt, CN = R11',
+            'notAfter=Jan 17 08:30:00 2027 GMT'
+        ].join('\n'));
+
+        assert.deepStrictEqual(info, {
+            subject: 'openclaw.example.com',
+            issuer: 'Let\'s Encrypt',
+            expiresAt: '2027-01-17T08:30:00.000Z'
+        });
+    });
+
+    test('reads the OpenSSL 1.0 slash format', () => {
+        const info = parseCertificateInfo([
+            'subject= /CN=openclaw.example.com',
+            'issuer= /C=US/O=Let\'s Encrypt/CN=R11',
+            'notAfter=Jan 17 08:30:00 2027 GMT'
+        ].join('\n'));
+
+        assert.strictEqual(info.subject, 'openclaw.example.com');
+        assert.strictEqual(info.issuer, 'Let\'s Encrypt');
+    });
+
+    test('falls back to the whole name and leaves missing fields null', () => {
+        const info = parseCertificateInfo('installing nginx...\nissuer=CN = Pebble Intermediate CA 4c5a7f\n');
+
+        assert.deepStrictEqual(info, {
+            subject: null,
+            issuer: 'CN = Pebble Intermediate CA 4c5a7f',
+            expiresAt: null
+        });
+    });
+});
+
+describe('certificate script', () => {
+    const options = { domain: 'openclaw.example.com', server: 'https://acme.example/dir' };
+
+    test('asks certbot for the domain on the given server', () => {
+        const certbot = issueCertificateScript(options).split('\n').find((line) => line.startsWith('certbot '));
+
+        assert.match(certbot, / -d openclaw\.example\.com --cert-name openclaw\.example\.com /);
+        assert.match(certbot, / --server https:\/\/acme\.example\/dir /);
+        assert.match(certbot, / --register-unsafely-without-email /);
+        assert.doesNotMatch(certbot, /--no-verify-ssl/);
+        assert.match(certbot, />&2$/);
+    });
+
+    test('passes the email and --no-verify-ssl when asked', () => {
+        const certbot = issueCertificateScript({ ...options, email: 'ops@example.com', insecure: true })
+            .split('\n').find((line) => line.startsWith('certbot '));
+
+        assert.match(certbot, / --email ops@example\.com /);
+        assert.doesNotMatch(certbot, /--register-unsafely-without-email/);
+        assert.match(certbot, / --no-verify-ssl /);
+    });
+
+    test('links the certificate and ends with the lines parseCertificateInfo reads', () => {
+        const lines = issueCertificateScript(options).split('\n');
+
+        assert.strictEqual(lines[0], 'set -e');
+        assert.ok(lines.includes('ln -sfn /etc/letsencrypt/live/openclaw.example.com/fullchain.pem /etc/nginx/ssl/openclaw.crt'));
+        assert.ok(lines.includes('ln -sfn /etc/letsencrypt/live/openclaw.example.com/privkey.pem /etc/nginx/ssl/openclaw.key'));
+        assert.match(lines[lines.length - 1], /^openssl x509 .* -noout -subject -issuer -enddate$/);
+    });
+});
+
+describe('certificate from Pebble over SSH', {
+    skip: SSH_STAND_IN && ACME_SERVER ? false : 'OPENCLAW_TEST_SSH_HOST and OPENCLAW_TEST_ACME_SERVER are not set'
+}, () => {
+    test('issues, links and reads back a certificate', async () => {
+        const domain = process.env.OPENCLAW_TEST_DOMAIN || 'openclaw.test';
+        const info = await issueCertificate(new SshExecutor(SSH_STAND_IN), { domain, server: ACME_SERVER, insecure: true });
+
+        assert.match(info.issuer, /Pebble/);
+        assert.ok(new Date(info.expiresAt) > new Date());
+    });
+});
@@ -0,0 +1,23 @@
+// Shared by the tests. AWS-backed tests run only against a local stand-in
+// (AWS_ENDPOINT_URL), never against a real account.
+const LOCAL_AWS = process.env.AWS_ENDPOINT_URL || null;
+
+if (LOCAL_AWS) {
+    // LocalStack and most emulators accept any keys.
+    process.env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID || 'test';
+    process.env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY || 'test';
+}
+
+// An SSH host standing in for the instance (a host or ~/.ssh/config alias that
+// accepts `ubuntu` with passwordless sudo), for the remote-command tests.
+const SSH_STAND_IN = process.env.OPENCLAW_TEST_SSH_HOST
+    ? { host: process.env.OPENCLAW_TEST_SSH_HOST, keyPath: process.env.OPENCLAW_TEST_SSH_KEY }
+    : null;
+
+// Resource names unique to one run, so reruns against the same emulator do
+// not see each other's leftovers.
+function uniqueName(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+module.exports = { LOCAL_AWS, SSH_STAND_IN, uniqueName };
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { test, describe } = require('node:test');
+const AWS = require('aws-sdk');
+const { clientOptions } = require('../scripts/lib/aws');
+const {
+    REFRESH_SCRIPT,
+    maskSecret,
+    checkAnthropicKey,
+    SsmSecretStore,
+    SecretsManagerSecretStore,
+    createSecretStore,
+    refreshInstanceSecrets
+} = require('../scripts/lib/secrets');
+const { LOCAL_AWS, uniqueName } = require('./helpers');
+
+const KEY = 'sk-ant-REDACTED';
+const NEXT_KEY = 'sk-ant-REDACTED';
+
+describe('API key handling', () => {
+    test('masks all but the ends of a key', () => {
+        assert.strictEqual(maskSecret(KEY), 'sk-ant-…0001');
+        assert.strictEqual(maskSecret('short'), '********');
+        assert.strictEqual(maskSecret(''), null);
+    });
+
+    test('trims a key and rejects empty or split ones', () => {
+        assert.strictEqual(checkAnthropicKey(`  ${KEY}\n`), KEY);
+        assert.throws(() => checkAnthropicKey(' \n'), /empty/);
+        assert.throws(() => checkAnthropicKey('sk-ant one'), /whitespace/);
+    });
+
+    test('picks the store named by the outputs', () => {
+        const ssm = createSecretStore({ secret_store: 'ssm', anthropic_api_key_secret_id: '/openclaw/key' }, 'us-east-1');
+        const secretsManager = createSecretStore({ secret_store: 'secretsmanager', anthropic_api_key_secret_id: 'openclaw/key' }, 'us-east-1');
+
+        assert.strictEqual(ssm.type, 'ssm');
+        assert.strictEqual(secretsManager.type, 'secretsmanager');
+        assert.throws(() => createSecretStore({}, 'us-east-1'), /user data/);
+    });
+
+    test('runs the refresh script and reports its last lines on failure', async () => {
+        const commands = [];
+        const executor = {
+            async exec(command) {
+                commands.push(command);
+                return commands.length === 1
+                    ? { exitCode: 0, stdout: 'refreshed\n', stderr: '' }
+                    : { exitCode: 1, stdout: '', stderr: 'AccessDenied\nCould not read the key\n' };
+            }
+        };
+
+        assert.strictEqual(await refreshInstanceSecrets(executor), 'refreshed\n');
+        await assert.rejects(refreshInstanceSecrets(executor), /AccessDenied Could not read the key/);
+        assert.deepStrictEqual(commands, [`sudo ${REFRESH_SCRIPT}`, `sudo ${REFRESH_SCRIPT}`]);
+    });
+});
+
+describe('secret stores', { skip: LOCAL_AWS ? false : 'AWS_ENDPOINT_URL is not set' }, () => {
+    const region = 'us-east-1';
+
+    test('SSM keeps the key as a versioned SecureString', async () => {
+        const ssm = new AWS.SSM(clientOptions(region));
+        const store = new SsmSecretStore({ id: `/${uniqueName('openclaw-test')}/anthropic-api-key`, ssm });
+
+        assert.strictEqual(await store.metadata(), null);
+        const first = await store.put(KEY);
+        const second = await store.put(NEXT_KEY);
+
+        assert.notStrictEqual(first, second);
+        assert.strictEqual(await store.get(), NEXT_KEY);
+
+        const metadata = await store.metadata();
+        assert.strictEqual(metadata.store, 'ssm');
+        assert.strictEqual(metadata.version, second);
+        assert.ok(metadata.lastModified);
+    });
+
+    test('Secrets Manager keeps the key as the current version', async () => {
+        const secretsManager = new AWS.SecretsManager(clientOptions(region));
+        const name = uniqueName('openclaw-test-anthropic-api-key');
+        const store = new SecretsManagerSecretStore({ id: name, secretsManager });
+
+        assert.strictEqual(await store.metadata(), null);
+        await secretsManager.createSecret({ Name: name, SecretString: KEY }).promise();
+        const version = await store.put(NEXT_KEY);
+
+        assert.strictEqual(await store.get(), NEXT_KEY);
+
+        const metadata = await store.metadata();
+        assert.strictEqual(metadata.store, 'secretsmanager');
+        assert.strictEqual(metadata.version, version);
+    });
+});
@@ -8,7 +8,6 @@ set -euo pipefail
 OPENCLAW_PORT=${openclaw_port}
 ENVIRONMENT=${environment}
 AWS_REGION=${aws_region}
-ANTHROPIC_API_KEY="${anthropic_api_key}"
 
 # Logging
 LOG_FILE="/var/log/openclaw-bootstrap.log"
@@ -29,6 +28,7 @@ yum install -y \
     htop \
     unzip \
     fail2ban \
+    jq \
     awscli
 
 # Install Node.js 20 (LTS) - OpenClaw needs modern Node
@@ -53,7 +53,7 @@ sudo -u openclaw bash << 'EOF'
 cd /home/openclaw
 
 # Install OpenClaw CLI via npm
-npm install -g openclaw
+npm install -g openclaw@${openclaw_version}
 
 # Verify installation
 openclaw --version
@@ -61,28 +61,78 @@ openclaw --version
 # Create workspace
 mkdir -p /home/openclaw/.openclaw/workspace
 
-# Create auth config with provided API key
-mkdir -p /home/openclaw/.openclaw/agents/main/agent
-cat > /home/openclaw/.openclaw/agents/main/agent/auth-profiles.json << AUTHEOF
-{
-  "version": 1,
-  "profiles": {
-    "anthropic:auto": {
-      "type": "token",
-      "provider": "anthropic",
-      "token": "$ANTHROPIC_API_KEY"
-    }
-  },
-  "lastGood": {
-    "anthropic": "anthropic:auto"
-  }
-}
-AUTHEOF
-
 EOF
 
 echo "OpenClaw CLI installed successfully"
 
+# The Anthropic API key is not part of this script: it lives in ${secret_store}
+# and is fetched through the instance role, at boot and on `openclaw secrets rotate`.
+echo "Installing secrets refresh script..."
+mkdir -p /opt/openclaw
+cat > /opt/openclaw/refresh-secrets.sh << 'SECRETS_EOF'
+#!/bin/bash
+# Fetches the Anthropic API key through the instance role, writes the auth
+# profile the gateway reads and restarts the gateway. --no-restart only writes it.
+set -euo pipefail
+
+PROFILE_DIR=/home/openclaw/.openclaw/agents/main/agent
+KEY=""
+
+# A new instance profile can take a few seconds to become usable.
+for attempt in 1 2 3 4 5 6; do
+  if [ "${secret_store}" = "ssm" ]; then
+    KEY=$(aws ssm get-parameter --region "${aws_region}" --name "${secret_id}" \
+      --with-decryption --query Parameter.Value --output text) && break
+  else
+    KEY=$(aws secretsmanager get-secret-value --region "${aws_region}" --secret-id "${secret_id}" \
+      --query SecretString --output text) && break
+  fi
+  echo "Could not read ${secret_id} (attempt $attempt/6), retrying..."
+  sleep 10
+done
+
+if [ -z "$KEY" ]; then
+  echo "Could not read the Anthropic API key from ${secret_id}" >&2
+  exit 1
+fi
+
+install -d -o openclaw -g openclaw -m 700 /home/openclaw/.openclaw "$PROFILE_DIR"
+umask 077
+jq -n --arg key "$KEY" '{
+  version: 1,
+  profiles: { "anthropic:auto": { type: "token", provider: "anthropic", token: $key } },
+  lastGood: { anthropic: "anthropic:auto" }
+}' > "$PROFILE_DIR/auth-profiles.json"
+chown openclaw:openclaw "$PROFILE_DIR/auth-profiles.json"
+
+if [ "$${1:-}" != "--no-restart" ]; then
+  systemctl restart openclaw
+fi
+
+echo "Anthropic API key refreshed from ${secret_id}"
+SECRETS_EOF
+
+chmod 700 /opt/openclaw/refresh-secrets.sh
+
+cat > /etc/systemd/system/openclaw-secrets.service << 'SECRETS_UNIT_EOF'
+[Unit]
+Description=Fetch the OpenClaw Anthropic API key
+After=network-online.target
+Wants=network-online.target
+Before=openclaw.service
+
+[Service]
+Type=oneshot
+ExecStart=/opt/openclaw/refresh-secrets.sh --no-restart
+
+[Install]
+WantedBy=multi-user.target
+SECRETS_UNIT_EOF
+
+systemctl daemon-reload
+systemctl enable openclaw-secrets.service
+/opt/openclaw/refresh-secrets.sh --no-restart
+
 # Create systemd service
 cat > /etc/systemd/system/openclaw.service << 'EOF'
 [Unit]
@@ -100,8 +150,8 @@ Environment=NODE_ENV=production
 ExecStart=/usr/bin/openclaw gateway start --port 8080 --bind 0.0.0.0
 Restart=always
 RestartSec=5
-StandardOutput=journal
-StandardError=journal
+StandardOutput=append:/var/log/openclaw/gateway.log
+StandardError=append:/var/log/openclaw/gateway.log
 SyslogIdentifier=openclaw
 
 # Security settings
@@ -146,6 +196,35 @@ cat > /etc/logrotate.d/openclaw << 'EOF'
 }
 EOF
 
+# Ship logs to CloudWatch for `openclaw logs`; streams are named
+# <instance-id>/<log> so output from replaced instances stays apart
+yum install -y amazon-cloudwatch-agent
+cat > /opt/aws/amazon-cloudwatch-agent/etc/amazon-cloudwatch-agent.json << 'EOF'
+{
+  "logs": {
+    "logs_collected": {
+      "files": {
+        "collect_list": [
+          {
+            "file_path": "/var/log/openclaw/gateway.log",
+            "log_group_name": "/aws/ec2/${project_name}-${environment}",
+            "log_stream_name": "{instance_id}/gateway"
+          },
+          {
+            "file_path": "/var/log/openclaw-bootstrap.log",
+            "log_group_name": "/aws/ec2/${project_name}-${environment}",
+            "log_stream_name": "{instance_id}/bootstrap"
+          }
+        ]
+      }
+    }
+  }
+}
+EOF
+/opt/aws/amazon-cloudwatch-agent/bin/amazon-cloudwatch-agent-ctl -a fetch-config -m ec2 -s \
+    -c file:/opt/aws/amazon-cloudwatch-agent/etc/amazon-cloudwatch-agent.json || \
+    echo "⚠️ CloudWatch agent failed to start, logs stay on the instance"
+
 # Start OpenClaw service
 systemctl daemon-reload
 systemctl enable openclaw
@@ -70,7 +70,13 @@ variable "allowed_cidr_blocks" {
 
 # Security Configuration
 variable "ssl_certificate_arn" {
-  description = "ARN of SSL certificate for HTTPS (optional)"
+  description = "ARN of the ACM certificate for HTTPS on the load balancer (optional, set by `openclaw domain attach`)"
+  type        = string
+  default     = ""
+}
+
+variable "cloudfront_certificate_arn" {
+  description = "ARN of an ACM certificate in us-east-1 for the CloudFront distribution (optional)"
   type        = string
   default     = ""
 }
@@ -122,11 +128,22 @@ variable "backup_retention_days" {
 
 # OpenClaw Configuration
 variable "anthropic_api_key" {
-  description = "Anthropic API key for OpenClaw Claude integration"
+  description = "Anthropic API key for OpenClaw Claude integration; seeds the managed secret on first deploy"
   type        = string
   sensitive   = true
 }
 
+variable "secret_store" {
+  description = "Where the Anthropic API key is kept: ssm (Parameter Store) or secretsmanager"
+  type        = string
+  default     = "ssm"
+
+  validation {
+    condition     = contains(["ssm", "secretsmanager"], var.secret_store)
+    error_message = "secret_store must be ssm or secretsmanager."
+  }
+}
+
 # Tags
 variable "additional_tags" {
   description = "Additional tags to apply to all resources"